@@ -1789,4 +1789,470 @@ describe('API', () => {
       ])
     }
   })
+
+  it('it should be successfully performed by the getRealizedPnLReport method', async function () {
+    this.timeout(120000)
+
+    const paramsArr = [
+      { end, start, symbol: 'tBTCUSD' },
+      {
+        end,
+        start: end - (10 * 60 * 60 * 1000),
+        symbol: ['tBTCUSD'],
+        costBasisMethod: 'HIFO'
+      }
+    ]
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getRealizedPnLReport',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isObject(res.body.result)
+      assert.isArray(res.body.result.res)
+      assert.isBoolean(res.body.result.nextPage)
+
+      const resItem = res.body.result.res[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'symbol',
+        'currency',
+        'quoteCurrency',
+        'amount',
+        'acquiredMts',
+        'disposedMts',
+        'cost',
+        'proceeds',
+        'realizedPnL',
+        'costBasisMethod',
+        'acquisitionTradeId',
+        'disposalTradeId'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getFeeSummaryReport method', async function () {
+    this.timeout(120000)
+
+    const paramsArr = [
+      { end, start },
+      {
+        end,
+        start,
+        symbol: ['tBTCUSD'],
+        isUSDConversionRequired: true
+      }
+    ]
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getFeeSummaryReport',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isObject(res.body.result)
+      assert.isArray(res.body.result.res)
+      assert.isBoolean(res.body.result.nextPage)
+
+      const resItem = res.body.result.res[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'groupBy',
+        'group',
+        'feeCurrency',
+        'amount',
+        'usdAmount',
+        'count'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getBalanceHistory method', async function () {
+    this.timeout(120000)
+
+    const paramsArr = [
+      { end, start },
+      {
+        end,
+        start: end - (10 * 24 * 60 * 60 * 1000),
+        symbol: ['BTC'],
+        interval: 'hour'
+      }
+    ]
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getBalanceHistory',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isObject(res.body.result)
+      assert.isArray(res.body.result.res)
+      assert.isString(res.body.result.timezoneName)
+      assert.isBoolean(res.body.result.nextPage)
+
+      const resItem = res.body.result.res[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'currency',
+        'wallet',
+        'balance'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getPortfolioValuation method', async function () {
+    this.timeout(120000)
+
+    const paramsArr = [
+      { end, start },
+      {
+        end,
+        start,
+        quoteCurrency: 'EUR'
+      }
+    ]
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getPortfolioValuation',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isObject(res.body.result)
+      assert.isArray(res.body.result.res)
+      assert.isString(res.body.result.timezoneName)
+      assert.isBoolean(res.body.result.nextPage)
+
+      const resItem = res.body.result.res[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'quoteCurrency',
+        'value',
+        'assets',
+        'unpricedCurrencies'
+      ])
+      assert.strictEqual(
+        resItem.quoteCurrency,
+        params.quoteCurrency ?? 'USD'
+      )
+      assert.isArray(resItem.assets)
+    }
+  })
+
+  it('it should not be successfully performed by the getPortfolioValuation method, unsupported quote currency', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPortfolioValuation',
+        params: {
+          end,
+          start,
+          quoteCurrency: 'BTC'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(400)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getPerformanceReport method', async function () {
+    this.timeout(120000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPerformanceReport',
+        params: {
+          end,
+          start,
+          interval: 'day'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.res)
+    assert.isString(res.body.result.timezoneName)
+    assert.isBoolean(res.body.result.nextPage)
+
+    const resItem = res.body.result.res[res.body.result.res.length - 1]
+
+    assert.isObject(resItem)
+    assert.propertyVal(resItem, 'period', 'total')
+    assert.containsAllKeys(resItem, [
+      'start',
+      'end',
+      'quoteCurrency',
+      'startEquity',
+      'endEquity',
+      'netCashFlow',
+      'tradingResult',
+      'timeWeightedReturn',
+      'moneyWeightedReturn',
+      'maxDrawdown',
+      'volatility'
+    ])
+  })
+
+  it('it should be successfully performed by the getTradingVolumeReport method', async function () {
+    this.timeout(120000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getTradingVolumeReport',
+        params: {
+          end,
+          start,
+          interval: 'day'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.res)
+    assert.isArray(res.body.result.unpricedPairs)
+    assert.isString(res.body.result.timezoneName)
+    assert.isBoolean(res.body.result.nextPage)
+    assert.isObject(res.body.result.feeTierProjection)
+    assert.containsAllKeys(res.body.result.feeTierProjection, [
+      'volumeSource',
+      'volume30dUsd',
+      'currentTier',
+      'nextTier',
+      'volumeToNextTierUsd',
+      'progressToNextTier',
+      'accountFees'
+    ])
+
+    const resItem = res.body.result.res[0]
+
+    assert.isObject(resItem)
+    assert.propertyVal(resItem, 'pair', 'ALL')
+    assert.containsAllKeys(resItem, [
+      'mts',
+      'pair',
+      'tradesCount',
+      'volumeUsd',
+      'rolling30dVolumeUsd'
+    ])
+  })
+
+  it('it should be successfully performed by the getWalletsSnapshotAt method', async function () {
+    this.timeout(120000)
+
+    const paramsArr = [
+      { end },
+      {
+        end,
+        compareEnd: start
+      }
+    ]
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getWalletsSnapshotAt',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isObject(res.body.result)
+      assert.isArray(res.body.result.res)
+      assert.isBoolean(res.body.result.nextPage)
+
+      const resItem = res.body.result.res[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'type',
+        'currency',
+        'balance',
+        'mtsUpdate',
+        ...(params.compareEnd
+          ? ['compareBalance', 'delta']
+          : [])
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the checkLedgersIntegrity method', async function () {
+    this.timeout(120000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'checkLedgersIntegrity',
+        params: {
+          start,
+          end,
+          symbol: ['BTC', 'USD']
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.res)
+    assert.isArray(res.body.result.chains)
+    assert.isBoolean(res.body.result.isIntegrityConfirmed)
+    assert.isNumber(res.body.result.checkedLedgersCount)
+    assert.isBoolean(res.body.result.nextPage)
+
+    const chainItem = res.body.result.chains[0]
+
+    assert.isObject(chainItem)
+    assert.containsAllKeys(chainItem, [
+      'currency',
+      'wallet',
+      'ledgersCount',
+      'firstMts',
+      'lastMts',
+      'findingsCount'
+    ])
+  })
+
+  it('it should be successfully performed by the getReconciliationReport method', async function () {
+    this.timeout(120000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getReconciliationReport',
+        params: {
+          start,
+          end,
+          timeWindow: 60 * 60 * 1000
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.res)
+    assert.isArray(res.body.result.summary)
+    assert.isBoolean(res.body.result.isReconciled)
+    assert.isBoolean(res.body.result.nextPage)
+
+    const summaryItem = res.body.result.summary[0]
+
+    assert.isObject(summaryItem)
+    assert.containsAllKeys(summaryItem, [
+      'type',
+      'itemsCount',
+      'matchedCount',
+      'mismatchedCount',
+      'unmatchedItemsCount',
+      'unmatchedLedgersCount'
+    ])
+  })
+
+  it('it should not be successfully performed by the getRealizedPnLReport method, unsupported cost basis method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getRealizedPnLReport',
+        params: {
+          end,
+          start,
+          costBasisMethod: 'UNKNOWN'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(400)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
+  })
 })
@@ -102,7 +102,7 @@ module.exports = (
     assert.propertyVal(res.body, 'id', 5)
   })
 
-  it('it should be successfully performed by the getTickersHistoryFile method', async function () {
+  it('it should be successfully performed by the getMultipleFile method with xlsx file format', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -113,15 +113,26 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getTickersHistoryFile',
+        method: 'getMultipleFile',
         params: {
-          isPDFRequired,
-          symbol: 'BTC',
-          end,
-          start,
-          limit: 1000,
           email,
-          language: 'zh-TW'
+          fileFormat: 'xlsx',
+          multiExport: [
+            {
+              method: 'getTradesFile',
+              symbol: ['tBTCUSD', 'tETHUSD'],
+              end,
+              start,
+              limit: 1000,
+              timezone: 'America/Los_Angeles'
+            },
+            {
+              method: 'getLedgersFile',
+              end,
+              start,
+              limit: 1000
+            }
+          ]
         },
         id: 5
       })
@@ -131,7 +142,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getPositionsHistoryFile method', async function () {
+  it('it should be successfully performed by the getMultipleFile method with combining into single file', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -142,14 +153,28 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getPositionsHistoryFile',
+        method: 'getMultipleFile',
         params: {
+          email,
           isPDFRequired,
-          symbol: 'tBTCUSD',
-          end,
-          start,
-          limit: 1000,
-          email
+          combineIntoSingleFile: true,
+          multiExport: [
+            {
+              method: 'getTradesFile',
+              symbol: ['tBTCUSD', 'tETHUSD'],
+              end,
+              start,
+              limit: 1000,
+              timezone: 'America/Los_Angeles'
+            },
+            {
+              method: 'getLedgersFile',
+              end,
+              start,
+              limit: 1000,
+              totals: true
+            }
+          ]
         },
         id: 5
       })
@@ -159,31 +184,40 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getActivePositionsFile method', async function () {
+  it('it should not be successfully performed by the getMultipleFile method, unsupported file format', async function () {
     this.timeout(60000)
 
-    const procPromise = queueToPromise(params.processorQueue)
-    const aggrPromise = queueToPromise(params.aggregatorQueue)
-
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
         auth,
-        method: 'getActivePositionsFile',
+        method: 'getMultipleFile',
         params: {
-          isPDFRequired,
-          email
+          email,
+          fileFormat: 'xml',
+          multiExport: [
+            {
+              method: 'getTradesFile',
+              end,
+              start,
+              limit: 1000
+            }
+          ]
         },
         id: 5
       })
       .expect('Content-Type', /json/)
-      .expect(200)
+      .expect(400)
 
-    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
   })
 
-  it('it should be successfully performed by the getPositionsAuditFile method', async function () {
+  it('it should be successfully performed by the getMultipleFile method with export preset', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -194,15 +228,30 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getPositionsAuditFile',
+        method: 'getMultipleFile',
         params: {
-          isPDFRequired,
-          id: [12345],
-          symbol: 'tBTCUSD',
-          end,
-          start,
-          limit: 1000,
-          email
+          email,
+          exportPreset: 'koinly',
+          multiExport: [
+            {
+              method: 'getTradesFile',
+              end,
+              start,
+              limit: 1000
+            },
+            {
+              method: 'getLedgersFile',
+              end,
+              start,
+              limit: 1000
+            },
+            {
+              method: 'getMovementsFile',
+              end,
+              start,
+              limit: 1000
+            }
+          ]
         },
         id: 5
       })
@@ -212,31 +261,41 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getWalletsFile method', async function () {
+  it('it should not be successfully performed by the getMultipleFile method with export preset, unsupported method', async function () {
     this.timeout(60000)
 
-    const procPromise = queueToPromise(params.processorQueue)
-    const aggrPromise = queueToPromise(params.aggregatorQueue)
-
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
         auth,
-        method: 'getWalletsFile',
+        method: 'getMultipleFile',
         params: {
-          isPDFRequired,
-          email
+          email,
+          exportPreset: 'cointracking',
+          multiExport: [
+            {
+              method: 'getTickersHistoryFile',
+              symbol: 'BTC',
+              end,
+              start,
+              limit: 1000
+            }
+          ]
         },
         id: 5
       })
       .expect('Content-Type', /json/)
-      .expect(200)
+      .expect(400)
 
-    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Only trades, ledgers and movements can be exported with the preset')
+    assert.propertyVal(res.body, 'id', 5)
   })
 
-  it('it should be successfully performed by the getFundingOfferHistoryFile method', async function () {
+  it('it should be successfully performed by the getTickersHistoryFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -247,15 +306,15 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getFundingOfferHistoryFile',
+        method: 'getTickersHistoryFile',
         params: {
           isPDFRequired,
-          symbol: 'fUSD',
+          symbol: 'BTC',
           end,
           start,
           limit: 1000,
           email,
-          milliseconds: true
+          language: 'zh-TW'
         },
         id: 5
       })
@@ -265,7 +324,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getFundingLoanHistoryFile method', async function () {
+  it('it should be successfully performed by the getPositionsHistoryFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -276,10 +335,10 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getFundingLoanHistoryFile',
+        method: 'getPositionsHistoryFile',
         params: {
           isPDFRequired,
-          symbol: 'fUSD',
+          symbol: 'tBTCUSD',
           end,
           start,
           limit: 1000,
@@ -293,7 +352,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getFundingCreditHistoryFile method', async function () {
+  it('it should be successfully performed by the getActivePositionsFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -304,13 +363,9 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getFundingCreditHistoryFile',
+        method: 'getActivePositionsFile',
         params: {
           isPDFRequired,
-          symbol: 'fUSD',
-          end,
-          start,
-          limit: 1000,
           email
         },
         id: 5
@@ -321,7 +376,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getLedgersFile method', async function () {
+  it('it should be successfully performed by the getPositionsAuditFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -332,14 +387,14 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getLedgersFile',
+        method: 'getPositionsAuditFile',
         params: {
           isPDFRequired,
-          symbol: ['BTC'],
+          id: [12345],
+          symbol: 'tBTCUSD',
           end,
           start,
           limit: 1000,
-          timezone: -3,
           email
         },
         id: 5
@@ -350,7 +405,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getTradesFile method', async function () {
+  it('it should be successfully performed by the getWalletsFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -361,14 +416,9 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getTradesFile',
+        method: 'getWalletsFile',
         params: {
           isPDFRequired,
-          symbol: ['tBTCUSD', 'tETHUSD'],
-          end,
-          start,
-          limit: 1000,
-          timezone: 'America/Los_Angeles',
           email
         },
         id: 5
@@ -379,7 +429,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getFundingTradesFile method', async function () {
+  it('it should be successfully performed by the getFundingOfferHistoryFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -390,15 +440,15 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getFundingTradesFile',
+        method: 'getFundingOfferHistoryFile',
         params: {
           isPDFRequired,
-          symbol: ['fBTC'],
+          symbol: 'fUSD',
           end,
           start,
           limit: 1000,
-          timezone: 'America/Los_Angeles',
-          email
+          email,
+          milliseconds: true
         },
         id: 5
       })
@@ -408,7 +458,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getStatusMessagesFile method', async function () {
+  it('it should be successfully performed by the getFundingLoanHistoryFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -419,11 +469,13 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getStatusMessagesFile',
+        method: 'getFundingLoanHistoryFile',
         params: {
           isPDFRequired,
-          symbol: ['tBTCF0:USTF0'],
-          timezone: 'America/Los_Angeles',
+          symbol: 'fUSD',
+          end,
+          start,
+          limit: 1000,
           email
         },
         id: 5
@@ -434,7 +486,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getPublicTradesFile method', async function () {
+  it('it should be successfully performed by the getFundingCreditHistoryFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -445,14 +497,13 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getPublicTradesFile',
+        method: 'getFundingCreditHistoryFile',
         params: {
           isPDFRequired,
-          symbol: 'tBTCUSD',
+          symbol: 'fUSD',
           end,
-          start: (new Date()).setDate(date.getDate() - 27),
+          start,
           limit: 1000,
-          timezone: 'America/Los_Angeles',
           email
         },
         id: 5
@@ -463,7 +514,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getCandlesFile method', async function () {
+  it('it should be successfully performed by the getLedgersFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -474,14 +525,14 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getCandlesFile',
+        method: 'getLedgersFile',
         params: {
           isPDFRequired,
-          symbol: 'tBTCUSD',
+          symbol: ['BTC'],
           end,
-          start: (new Date()).setDate(date.getDate() - 27),
+          start,
           limit: 1000,
-          timezone: 'America/Los_Angeles',
+          timezone: -3,
           email
         },
         id: 5
@@ -492,37 +543,37 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should not be successfully performed by the getPublicTradesFile method, time frame more then a month', async function () {
+  it('it should be successfully performed by the getLedgersFile method with charts', async function () {
     this.timeout(60000)
 
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
         auth,
-        method: 'getPublicTradesFile',
+        method: 'getLedgersFile',
         params: {
           isPDFRequired,
-          symbol: 'tBTCUSD',
+          charts: ['ledgersBalance'],
+          symbol: ['BTC'],
           end,
           start,
           limit: 1000,
-          timezone: 'America/Los_Angeles',
+          timezone: -3,
           email
         },
         id: 5
       })
       .expect('Content-Type', /json/)
-      .expect(422)
+      .expect(200)
 
-    assert.isObject(res.body)
-    assert.isObject(res.body.error)
-    assert.propertyVal(res.body.error, 'code', 422)
-    assert.propertyVal(res.body.error, 'message', 'For public trades export please select a time frame smaller than a month')
-    assert.propertyVal(res.body, 'id', 5)
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should not be successfully performed by the getPublicTradesFile method, with symbol array', async function () {
+  it('it should not be successfully performed by the getLedgersFile method, unsupported chart', async function () {
     this.timeout(60000)
 
     const res = await agent
@@ -530,14 +581,14 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getPublicTradesFile',
+        method: 'getLedgersFile',
         params: {
           isPDFRequired,
-          symbol: ['tBTCUSD', 'tETHUSD'],
+          charts: ['pieChart'],
+          symbol: ['BTC'],
           end,
           start,
           limit: 1000,
-          timezone: 'America/Los_Angeles',
           email
         },
         id: 5
@@ -552,7 +603,7 @@ module.exports = (
     assert.propertyVal(res.body, 'id', 5)
   })
 
-  it('it should be successfully performed by the getOrderTradesFile method', async function () {
+  it('it should be successfully performed by the getLedgersFile method with totals', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -563,15 +614,14 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getOrderTradesFile',
+        method: 'getLedgersFile',
         params: {
           isPDFRequired,
-          id: 12345,
-          symbol: 'tBTCUSD',
+          totals: true,
+          symbol: ['BTC'],
           end,
           start,
           limit: 1000,
-          timezone: 'America/Los_Angeles',
           email
         },
         id: 5
@@ -582,7 +632,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getOrdersFile method', async function () {
+  it('it should be successfully performed by the getLedgersFile method with csv dialect', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -593,10 +643,15 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getOrdersFile',
+        method: 'getLedgersFile',
         params: {
-          isPDFRequired,
-          symbol: 'tBTCUSD',
+          fileFormat: 'csv',
+          delimiter: ';',
+          decimalSeparator: ',',
+          includeBom: true,
+          encoding: 'utf16le',
+          quoteAll: true,
+          symbol: ['BTC'],
           end,
           start,
           limit: 1000,
@@ -610,32 +665,38 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getActiveOrdersFile method', async function () {
+  it('it should not be successfully performed by the getLedgersFile method, unsupported delimiter', async function () {
     this.timeout(60000)
 
-    const procPromise = queueToPromise(params.processorQueue)
-    const aggrPromise = queueToPromise(params.aggregatorQueue)
-
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
         auth,
-        method: 'getActiveOrdersFile',
+        method: 'getLedgersFile',
         params: {
-          isPDFRequired,
+          fileFormat: 'csv',
+          delimiter: ':',
+          symbol: ['BTC'],
+          end,
+          start,
+          limit: 1000,
           email
         },
         id: 5
       })
       .expect('Content-Type', /json/)
-      .expect(200)
+      .expect(400)
 
-    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
   })
 
-  it('it should be successfully performed by the getMovementsFile method', async function () {
-    this.timeout(3 * 60000)
+  it('it should be successfully performed by the getLedgersFile method with xlsx file format', async function () {
+    this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
     const aggrPromise = queueToPromise(params.aggregatorQueue)
@@ -645,13 +706,15 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getMovementsFile',
+        method: 'getLedgersFile',
         params: {
-          isPDFRequired,
-          symbol: 'BTC',
+          fileFormat: 'xlsx',
+          symbol: ['BTC'],
           end,
           start,
-          limit: 10000,
+          limit: 1000,
+          timezone: -3,
+          milliseconds: true,
           email
         },
         id: 5
@@ -662,8 +725,8 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getMovementsFile method, where amount > 0', async function () {
-    this.timeout(3 * 60000)
+  it('it should be successfully performed by the getLedgersFile method with json file format', async function () {
+    this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
     const aggrPromise = queueToPromise(params.aggregatorQueue)
@@ -673,15 +736,14 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getMovementsFile',
+        method: 'getLedgersFile',
         params: {
-          isPDFRequired,
-          symbol: 'BTC',
+          fileFormat: 'json',
+          symbol: ['BTC'],
           end,
           start,
-          limit: 10000,
-          email,
-          isDeposits: true
+          limit: 1000,
+          email
         },
         id: 5
       })
@@ -691,8 +753,8 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getMovementsFile method, where amount < 0', async function () {
-    this.timeout(3 * 60000)
+  it('it should be successfully performed by the getTradesFile method with ndjson file format', async function () {
+    this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
     const aggrPromise = queueToPromise(params.aggregatorQueue)
@@ -702,15 +764,43 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getMovementsFile',
+        method: 'getTradesFile',
+        params: {
+          fileFormat: 'ndjson',
+          symbol: ['tBTCUSD', 'tETHUSD'],
+          end,
+          start,
+          limit: 1000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getTradesFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getTradesFile',
         params: {
           isPDFRequired,
-          symbol: 'BTC',
+          symbol: ['tBTCUSD', 'tETHUSD'],
           end,
           start,
-          limit: 10000,
-          email,
-          isWithdrawals: true
+          limit: 1000,
+          timezone: 'America/Los_Angeles',
+          email
         },
         id: 5
       })
@@ -720,7 +810,7 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getLoginsFile method', async function () {
+  it('it should be successfully performed by the getTradesFile method with selected columns', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -731,9 +821,17 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getLoginsFile',
+        method: 'getTradesFile',
         params: {
           isPDFRequired,
+          columns: [
+            'mtsCreate',
+            { field: 'symbol', header: 'MARKET' },
+            'execAmount',
+            'orderType',
+            'maker'
+          ],
+          symbol: ['tBTCUSD', 'tETHUSD'],
           end,
           start,
           limit: 1000,
@@ -747,7 +845,37 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getChangeLogsFile method', async function () {
+  it('it should not be successfully performed by the getTradesFile method, unknown column', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getTradesFile',
+        params: {
+          isPDFRequired,
+          columns: ['id', 'password'],
+          symbol: ['tBTCUSD', 'tETHUSD'],
+          end,
+          start,
+          limit: 1000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(400)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getFundingTradesFile method', async function () {
     this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
@@ -758,12 +886,14 @@ module.exports = (
       .type('json')
       .send({
         auth,
-        method: 'getChangeLogsFile',
+        method: 'getFundingTradesFile',
         params: {
           isPDFRequired,
+          symbol: ['fBTC'],
           end,
           start,
           limit: 1000,
+          timezone: 'America/Los_Angeles',
           email
         },
         id: 5
@@ -774,30 +904,80 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should be successfully performed by the getWeightedAveragesReportFile method', async function () {
+  it('it should be successfully performed by the getStatusMessagesFile method', async function () {
     this.timeout(60000)
 
-    // TODO: Wait for implementation of pdf template in the next release
-    if (isPDFRequired) {
-      this.skip()
-    }
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getStatusMessagesFile',
+        params: {
+          isPDFRequired,
+          symbol: ['tBTCF0:USTF0'],
+          timezone: 'America/Los_Angeles',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getPublicTradesFile method', async function () {
+    this.timeout(60000)
 
     const procPromise = queueToPromise(params.processorQueue)
     const aggrPromise = queueToPromise(params.aggregatorQueue)
 
-    const _start = end - ((end - start) / (mockDataAmount / 2000))
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPublicTradesFile',
+        params: {
+          isPDFRequired,
+          symbol: 'tBTCUSD',
+          end,
+          start: (new Date()).setDate(date.getDate() - 27),
+          limit: 1000,
+          timezone: 'America/Los_Angeles',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getCandlesFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
 
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
         auth,
-        method: 'getWeightedAveragesReportFile',
+        method: 'getCandlesFile',
         params: {
           isPDFRequired,
           symbol: 'tBTCUSD',
           end,
-          start: _start,
+          start: (new Date()).setDate(date.getDate() - 27),
+          limit: 1000,
+          timezone: 'America/Los_Angeles',
           email
         },
         id: 5
@@ -808,74 +988,943 @@ module.exports = (
     await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
   })
 
-  it('it should not be successfully auth by the getLedgersFile method', async function () {
+  it('it should not be successfully performed by the getPublicTradesFile method, time frame more then a month', async function () {
     this.timeout(60000)
 
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
-        method: 'getLedgersFile',
+        auth,
+        method: 'getPublicTradesFile',
         params: {
           isPDFRequired,
-          symbol: 'BTC',
+          symbol: 'tBTCUSD',
           end,
           start,
-          limit: 10000,
+          limit: 1000,
+          timezone: 'America/Los_Angeles',
           email
         },
         id: 5
       })
       .expect('Content-Type', /json/)
-      .expect(401)
+      .expect(422)
 
     assert.isObject(res.body)
-    assert.propertyVal(res.body, 'id', 5)
     assert.isObject(res.body.error)
-    assert.containsAllKeys(res.body.error, [
-      'code',
-      'message'
-    ])
+    assert.propertyVal(res.body.error, 'code', 422)
+    assert.propertyVal(res.body.error, 'message', 'For public trades export please select a time frame smaller than a month')
+    assert.propertyVal(res.body, 'id', 5)
   })
 
-  it('it should be successfully performed by the getLedgersFile method, with multiple users', async function () {
-    this.timeout(5 * 60000)
+  it('it should not be successfully performed by the getPublicTradesFile method, with symbol array', async function () {
+    this.timeout(60000)
 
-    const count = 10
-    const procPromise = queueToPromiseMulti(
-      params.processorQueue,
-      count,
-      testProcQueue
-    )
-    const aggrPromise = queueToPromiseMulti(params.aggregatorQueue, count)
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPublicTradesFile',
+        params: {
+          isPDFRequired,
+          symbol: ['tBTCUSD', 'tETHUSD'],
+          end,
+          start,
+          limit: 1000,
+          timezone: 'America/Los_Angeles',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(400)
 
-    for (let i = 0; i < count; i += 1) {
-      const res = await agent
-        .post(`${basePath}/json-rpc`)
-        .type('json')
-        .send({
-          auth,
-          method: 'getLedgersFile',
-          params: {
-            isPDFRequired,
-            symbol: 'BTC',
-            end,
-            start,
-            limit: 10000,
-            email
-          },
-          id: 5
-        })
-        .expect('Content-Type', /json/)
-        .expect(200)
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
+  })
 
-      assert.isObject(res.body)
-      assert.propertyVal(res.body, 'id', 5)
-      assert.isObject(res.body.result)
-      assert.isOk(res.body.result.isSendEmail || res.body.result.isSaveLocaly)
-    }
+  it('it should be successfully performed by the getOrderTradesFile method', async function () {
+    this.timeout(60000)
 
-    await procPromise
-    await aggrPromise
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getOrderTradesFile',
+        params: {
+          isPDFRequired,
+          id: 12345,
+          symbol: 'tBTCUSD',
+          end,
+          start,
+          limit: 1000,
+          timezone: 'America/Los_Angeles',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getOrdersFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getOrdersFile',
+        params: {
+          isPDFRequired,
+          symbol: 'tBTCUSD',
+          end,
+          start,
+          limit: 1000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getActiveOrdersFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getActiveOrdersFile',
+        params: {
+          isPDFRequired,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getMovementsFile method', async function () {
+    this.timeout(3 * 60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getMovementsFile',
+        params: {
+          isPDFRequired,
+          symbol: 'BTC',
+          end,
+          start,
+          limit: 10000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getMovementsFile method, where amount > 0', async function () {
+    this.timeout(3 * 60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getMovementsFile',
+        params: {
+          isPDFRequired,
+          symbol: 'BTC',
+          end,
+          start,
+          limit: 10000,
+          email,
+          isDeposits: true
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getMovementsFile method, where amount < 0', async function () {
+    this.timeout(3 * 60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getMovementsFile',
+        params: {
+          isPDFRequired,
+          symbol: 'BTC',
+          end,
+          start,
+          limit: 10000,
+          email,
+          isWithdrawals: true
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getLoginsFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getLoginsFile',
+        params: {
+          isPDFRequired,
+          end,
+          start,
+          limit: 1000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getChangeLogsFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getChangeLogsFile',
+        params: {
+          isPDFRequired,
+          end,
+          start,
+          limit: 1000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getWeightedAveragesReportFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const _start = end - ((end - start) / (mockDataAmount / 2000))
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getWeightedAveragesReportFile',
+        params: {
+          isPDFRequired,
+          symbol: 'tBTCUSD',
+          end,
+          start: _start,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getRealizedPnLReportFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getRealizedPnLReportFile',
+        params: {
+          isPDFRequired,
+          symbol: 'tBTCUSD',
+          costBasisMethod: 'LIFO',
+          end,
+          start,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getFeeSummaryReportFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getFeeSummaryReportFile',
+        params: {
+          isPDFRequired,
+          end,
+          start,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getWalletsSnapshotAtFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getWalletsSnapshotAtFile',
+        params: {
+          isPDFRequired,
+          end,
+          compareEnd: start,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the checkLedgersIntegrityFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'checkLedgersIntegrityFile',
+        params: {
+          isPDFRequired,
+          start,
+          end,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getReconciliationReportFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getReconciliationReportFile',
+        params: {
+          isPDFRequired,
+          start,
+          end,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getPerformanceReportFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPerformanceReportFile',
+        params: {
+          isPDFRequired,
+          start,
+          end,
+          interval: 'week',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getJournalFile method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getJournalFile',
+        params: {
+          start,
+          end,
+          journalFormat: 'beancount',
+          journalAccounts: {
+            tradingFees: 'Expenses:Fees:Bitfinex'
+          },
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getJournalFile method with ledger-cli format', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getJournalFile',
+        params: {
+          start,
+          end,
+          journalFormat: 'ledger',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingReportFile(procPromise, aggrPromise, res)
+  })
+
+  it('it should not be successfully performed by the getJournalFile method, invalid account', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getJournalFile',
+        params: {
+          start,
+          end,
+          journalFormat: 'beancount',
+          journalAccounts: {
+            tradingFees: 'fees'
+          },
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(400)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should not be successfully auth by the getLedgersFile method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        method: 'getLedgersFile',
+        params: {
+          isPDFRequired,
+          symbol: 'BTC',
+          end,
+          start,
+          limit: 10000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(401)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.error)
+    assert.containsAllKeys(res.body.error, [
+      'code',
+      'message'
+    ])
+  })
+
+  it('it should be successfully performed by the getLedgersFile method, with multiple users', async function () {
+    this.timeout(5 * 60000)
+
+    const count = 10
+    const procPromise = queueToPromiseMulti(
+      params.processorQueue,
+      count,
+      testProcQueue
+    )
+    const aggrPromise = queueToPromiseMulti(params.aggregatorQueue, count)
+
+    for (let i = 0; i < count; i += 1) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getLedgersFile',
+          params: {
+            isPDFRequired,
+            symbol: 'BTC',
+            end,
+            start,
+            limit: 10000,
+            email
+          },
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isObject(res.body.result)
+      assert.isOk(res.body.result.isSendEmail || res.body.result.isSaveLocaly)
+    }
+
+    await procPromise
+    await aggrPromise
+  })
+
+  it('it should be successfully performed by the getReportFileJobs method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getReportFileJobs',
+        params: {
+          statuses: ['COMPLETED'],
+          limit: 5
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+    assert.isAtLeast(res.body.result.length, 1)
+    assert.isAtMost(res.body.result.length, 5)
+
+    const resItem = res.body.result[0]
+
+    assert.isObject(resItem)
+    assert.propertyVal(resItem, 'status', 'COMPLETED')
+    assert.propertyVal(resItem, 'progress', 100)
+    assert.containsAllKeys(resItem, [
+      'id',
+      'name',
+      'subReportNames',
+      'status',
+      'progress',
+      'createdAt',
+      'startedAt',
+      'finishedAt',
+      'error'
+    ])
+  })
+
+  it('it should be successfully performed by the cancelReportFileJob method', async function () {
+    this.timeout(60000)
+
+    const fileRes = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getLedgersFile',
+        params: {
+          isPDFRequired,
+          end,
+          start,
+          limit: 10000,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(fileRes.body.result)
+    assert.isString(fileRes.body.result.jobId)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'cancelReportFileJob',
+        params: {
+          jobId: fileRes.body.result.jobId
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.propertyVal(res.body.result, 'id', fileRes.body.result.jobId)
+    assert.propertyVal(res.body.result, 'status', 'CANCELED')
+  })
+
+  it('it should not be successfully performed by the cancelReportFileJob method, job not found', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'cancelReportFileJob',
+        params: {
+          jobId: '00000000-0000-4000-8000-000000000000'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(404)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 404)
+    assert.propertyVal(res.body.error, 'message', 'Report file job not found')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  let reportScheduleId = null
+
+  it('it should be successfully performed by the createReportSchedule method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'createReportSchedule',
+        params: {
+          name: 'Monthly ledgers',
+          method: 'getLedgersFile',
+          params: {
+            isPDFRequired,
+            email
+          },
+          recurrence: {
+            frequency: 'monthly',
+            dayOfMonth: 1,
+            hour: 0,
+            timezone: 'UTC'
+          }
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isString(res.body.result.id)
+    assert.propertyVal(res.body.result, 'method', 'getLedgersFile')
+    assert.propertyVal(res.body.result, 'isEnabled', true)
+    assert.isAbove(res.body.result.nextRunAt, Date.now())
+    assert.notProperty(res.body.result, 'auth')
+
+    reportScheduleId = res.body.result.id
+  })
+
+  it('it should be successfully performed by the listReportSchedules method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'listReportSchedules',
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+
+    const resItem = res.body.result
+      .find(({ id }) => id === reportScheduleId)
+
+    assert.isObject(resItem)
+    assert.containsAllKeys(resItem, [
+      'id',
+      'name',
+      'method',
+      'params',
+      'recurrence',
+      'isEnabled',
+      'createdAt',
+      'updatedAt',
+      'nextRunAt',
+      'lastRunAt',
+      'lastJobId',
+      'lastError'
+    ])
+  })
+
+  it('it should be successfully performed by the updateReportSchedule method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'updateReportSchedule',
+        params: {
+          id: reportScheduleId,
+          isEnabled: false,
+          recurrence: {
+            frequency: 'weekly',
+            dayOfWeek: 1
+          }
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.propertyVal(res.body.result, 'id', reportScheduleId)
+    assert.propertyVal(res.body.result, 'isEnabled', false)
+    assert.propertyVal(res.body.result.recurrence, 'frequency', 'weekly')
+  })
+
+  it('it should be successfully performed by the deleteReportSchedule method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'deleteReportSchedule',
+        params: {
+          id: reportScheduleId
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isOk(res.body.result)
+  })
+
+  it('it should not be successfully performed by the deleteReportSchedule method, schedule not found', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'deleteReportSchedule',
+        params: {
+          id: reportScheduleId
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(404)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 404)
+    assert.propertyVal(res.body.error, 'message', 'Report schedule not found')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getReportFileDeadLetters method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getReportFileDeadLetters',
+        params: {
+          limit: 5
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+    assert.isAtMost(res.body.result.length, 5)
+  })
+
+  it('it should not be successfully performed by the requeueReportFileDeadLetter method, job not found', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'requeueReportFileDeadLetter',
+        params: {
+          jobId: '00000000-0000-4000-8000-000000000000'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(404)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 404)
+    assert.propertyVal(res.body.error, 'message', 'Failed report file job not found')
+    assert.propertyVal(res.body, 'id', 5)
   })
 }
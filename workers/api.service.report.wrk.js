@@ -146,6 +146,24 @@ class WrkReportServiceApi extends WrkApi {
       ? argv.dbFolder
       : path.join(this.ctx.root, argv.dbFolder)
     const dbId = this.ctx.dbId || argv.dbId || 1
+
+    this.reportSchedulesFilePath = path.join(
+      dbPathAbsolute,
+      `report_schedules_${dbId}.json`
+    )
+    this.reportFileCheckpointsFilePath = path.join(
+      dbPathAbsolute,
+      `report_file_checkpoints_${dbId}.json`
+    )
+    this.reportFileDeadLettersFilePath = path.join(
+      dbPathAbsolute,
+      `report_file_dead_letters_${dbId}.json`
+    )
+    this.reportFileJobSchedulerFilePath = path.join(
+      dbPathAbsolute,
+      `report_file_job_scheduler_${dbId}.json`
+    )
+
     const opts = {
       dbPathAbsolute,
       persist: true,
@@ -180,6 +198,13 @@ class WrkReportServiceApi extends WrkApi {
         's0',
         's0',
         {}
+      ],
+      [
+        'fac',
+        'bfx-facs-interval',
+        '0',
+        '0',
+        {}
       ]
     ]
 
@@ -206,6 +231,10 @@ class WrkReportServiceApi extends WrkApi {
       deflateFac: this.deflate_gzip,
       grcSlackFac,
       i18next,
+      reportSchedulesFilePath: this.reportSchedulesFilePath,
+      reportFileCheckpointsFilePath: this.reportFileCheckpointsFilePath,
+      reportFileDeadLettersFilePath: this.reportFileDeadLettersFilePath,
+      reportFileJobSchedulerFilePath: this.reportFileJobSchedulerFilePath,
       ...deps
     })
 
@@ -233,9 +262,30 @@ class WrkReportServiceApi extends WrkApi {
     aggregatorQueue.on('error:base', (err) => {
       this.logger.error(`AGGREGATOR:QUEUE: ${err.stack || err}`)
     })
+
+    await this.container.get(TYPES.ReportFileJobScheduler).restoreJobs()
+    await this.container.get(TYPES.ReportFileCheckpoints).restoreJobs()
+    this.addReportSchedulesInterval()
   }
 
-  async stopService () {}
+  addReportSchedulesInterval () {
+    const conf = this.conf[this.group]
+    const reportSchedules = this.container.get(TYPES.ReportSchedules)
+
+    this.interval_0.add(
+      'reportSchedules',
+      () => reportSchedules.runDueSchedules(),
+      conf.reportSchedulesIntervalMs ?? 60000
+    )
+  }
+
+  async stopService () {
+    this.interval_0?.del('reportSchedules')
+
+    if (this.container.isBound(TYPES.ReportFileJobScheduler)) {
+      this.container.get(TYPES.ReportFileJobScheduler).stop()
+    }
+  }
 
   _start (cb) {
     async.series(
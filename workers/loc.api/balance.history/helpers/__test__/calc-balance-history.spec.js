@@ -0,0 +1,102 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  getPeriods,
+  calcBalanceHistory
+} = require('..')
+
+const getLedger = (id, mts, balance, opts) => ({
+  id,
+  currency: 'BTC',
+  mts,
+  amount: 0,
+  balance,
+  wallet: 'exchange',
+  ...opts
+})
+
+describe('Balance history helpers', () => {
+  it('periods are aligned to the timezone', function () {
+    this.timeout(1000)
+
+    const start = Date.UTC(2023, 0, 1, 12)
+    const end = Date.UTC(2023, 0, 3, 12)
+    const periods = getPeriods({
+      start,
+      end,
+      interval: 'day',
+      timezoneName: 'Asia/Tokyo'
+    })
+
+    assert.lengthOf(periods, 3)
+    assert.strictEqual(periods[0].start, start)
+    assert.strictEqual(periods[0].end, Date.UTC(2023, 0, 1, 15) - 1)
+    assert.strictEqual(periods[1].start, Date.UTC(2023, 0, 1, 15))
+    assert.strictEqual(periods[2].end, end)
+  })
+
+  it('too many periods are not allowed', function () {
+    this.timeout(1000)
+
+    assert.throws(() => getPeriods({
+      start: 0,
+      end: Date.UTC(2023, 0, 1),
+      interval: 'hour'
+    }), 'ERR_TOO_MANY_BALANCE_HISTORY_PERIODS')
+  })
+
+  it('end-of-period balances are taken from the last ledger entry', function () {
+    this.timeout(1000)
+
+    const ledgers = [
+      getLedger(1, Date.UTC(2022, 11, 31), 1),
+      getLedger(2, Date.UTC(2023, 0, 1, 5), 2),
+      getLedger(3, Date.UTC(2023, 0, 1, 6), 3),
+      getLedger(4, Date.UTC(2023, 0, 1, 7), 10, { wallet: 'margin' }),
+      getLedger(5, Date.UTC(2023, 0, 3, 1), 0.5)
+    ]
+    const res = calcBalanceHistory(ledgers, {
+      start: Date.UTC(2023, 0, 1),
+      end: Date.UTC(2023, 0, 3, 12),
+      interval: 'day',
+      timezoneName: 'UTC'
+    })
+
+    assert.isArray(res)
+    assert.lengthOf(res, 6)
+
+    const firstDay = res.filter(({ mts }) => mts === Date.UTC(2023, 0, 2) - 1)
+    assert.lengthOf(firstDay, 2)
+    assert.strictEqual(firstDay[0].wallet, 'exchange')
+    assert.strictEqual(firstDay[0].balance, 3)
+    assert.strictEqual(firstDay[1].wallet, 'margin')
+    assert.strictEqual(firstDay[1].balance, 10)
+
+    const secondDay = res.filter(({ mts }) => mts === Date.UTC(2023, 0, 3) - 1)
+    assert.strictEqual(secondDay[0].balance, 3)
+
+    const lastDay = res.filter(({ mts }) => mts === Date.UTC(2023, 0, 3, 12))
+    assert.strictEqual(lastDay[0].balance, 0.5)
+    assert.strictEqual(lastDay[1].balance, 10)
+  })
+
+  it('periods start from the first ledger entry by default', function () {
+    this.timeout(1000)
+
+    const ledgers = [
+      getLedger(2, Date.UTC(2023, 0, 2, 5), 2),
+      getLedger(1, Date.UTC(2023, 0, 1, 5), 1)
+    ]
+    const res = calcBalanceHistory(ledgers, {
+      end: Date.UTC(2023, 0, 2, 12),
+      interval: 'hour',
+      timezoneName: 'UTC'
+    })
+
+    assert.lengthOf(res, 32)
+    assert.strictEqual(res[0].mts, Date.UTC(2023, 0, 1, 6) - 1)
+    assert.strictEqual(res[0].balance, 1)
+  })
+})
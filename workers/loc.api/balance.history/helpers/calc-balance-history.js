@@ -0,0 +1,72 @@
+'use strict'
+
+const getPeriods = require('./get-periods')
+
+const _isValidLedger = (ledger) => (
+  ledger &&
+  typeof ledger === 'object' &&
+  Number.isInteger(ledger.mts) &&
+  Number.isFinite(ledger.balance) &&
+  ledger.currency &&
+  typeof ledger.currency === 'string'
+)
+
+/*
+ * The `balance` field of the last ledger entry
+ * before the period end is the wallet balance
+ * at the end of the period, by default periods
+ * start from the first ledger entry
+ */
+module.exports = (ledgers, opts) => {
+  const {
+    start,
+    end = Date.now(),
+    interval,
+    timezoneName
+  } = opts ?? {}
+
+  const sortedLedgers = (Array.isArray(ledgers) ? ledgers : [])
+    .filter(_isValidLedger)
+    .sort((a, b) => (
+      (a.mts - b.mts) ||
+      ((a.id ?? 0) - (b.id ?? 0))
+    ))
+  const periods = getPeriods({
+    start: Number.isInteger(start)
+      ? start
+      : Math.min(sortedLedgers[0]?.mts ?? end, end),
+    end,
+    interval,
+    timezoneName
+  })
+  const balancesMap = new Map()
+  const rows = []
+  let ledgerIndex = 0
+
+  for (const period of periods) {
+    while (
+      ledgerIndex < sortedLedgers.length &&
+      sortedLedgers[ledgerIndex].mts <= period.end
+    ) {
+      const ledger = sortedLedgers[ledgerIndex]
+      const wallet = ledger.wallet ?? null
+
+      balancesMap.set(`${ledger.currency}:${wallet}`, {
+        currency: ledger.currency,
+        wallet,
+        balance: ledger.balance
+      })
+
+      ledgerIndex += 1
+    }
+
+    for (const balance of balancesMap.values()) {
+      rows.push({
+        mts: period.end,
+        ...balance
+      })
+    }
+  }
+
+  return rows
+}
@@ -0,0 +1,43 @@
+'use strict'
+
+const moment = require('moment-timezone')
+
+const { BalanceHistoryTimeframeError } = require('../../errors')
+
+const MAX_PERIODS_COUNT = 10000
+
+/*
+ * Period boundaries are aligned to the user timezone,
+ * the last period is cut by the `end` param,
+ * the timeframe error can be specific to the report
+ */
+module.exports = ({
+  start,
+  end,
+  interval,
+  timezoneName = 'UTC',
+  TimeframeError = BalanceHistoryTimeframeError
+}) => {
+  const periods = []
+  const unit = interval === 'week'
+    ? 'isoWeek'
+    : interval
+  let periodStart = moment.tz(start, timezoneName).startOf(unit)
+
+  while (periodStart.valueOf() <= end) {
+    if (periods.length >= MAX_PERIODS_COUNT) {
+      throw new TimeframeError()
+    }
+
+    const nextPeriodStart = periodStart.clone().add(1, interval)
+
+    periods.push({
+      start: Math.max(periodStart.valueOf(), start),
+      end: Math.min(nextPeriodStart.valueOf() - 1, end)
+    })
+
+    periodStart = nextPeriodStart
+  }
+
+  return periods
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+const getPeriods = require('./get-periods')
+const calcBalanceHistory = require('./calc-balance-history')
+
+module.exports = {
+  getPeriods,
+  calcBalanceHistory
+}
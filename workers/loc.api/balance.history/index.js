@@ -0,0 +1,94 @@
+'use strict'
+
+const {
+  getPeriods,
+  calcBalanceHistory
+} = require('./helpers')
+const INTERVALS = require('./intervals')
+const { getTimezoneConf } = require('../helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination
+]
+class BalanceHistory {
+  constructor (
+    rService,
+    fetchDataWithPagination
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+  }
+
+  async getBalanceHistory (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start,
+      end = Date.now(),
+      interval = INTERVALS.DAY,
+      symbol: _symbol = []
+    } = params ?? {}
+    const symbolArr = Array.isArray(_symbol)
+      ? _symbol
+      : [_symbol]
+    const symbol = symbolArr.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    const { timezone } = await this.rService._getUserInfo({ auth })
+    const { timezoneName } = getTimezoneConf(timezone)
+
+    // Too many periods are not allowed before fetching the ledgers
+    if (Number.isInteger(start)) {
+      getPeriods({
+        start,
+        end,
+        interval,
+        timezoneName
+      })
+    }
+
+    /*
+     * Ledgers before `start` are needed to know balances
+     * at the end of the first periods
+     */
+    const ledgers = await this.fetchDataWithPagination({
+      getData: this.rService.getLedgers.bind(this.rService),
+      args: {
+        auth,
+        params: {
+          start: 0,
+          end,
+          ...(symbol.length > 0 ? { symbol } : {})
+        }
+      },
+      apiMethodName: 'ledgers',
+      datePropName: 'mts',
+      callerName: 'BALANCE_HISTORY'
+    })
+    const res = calcBalanceHistory(
+      ledgers,
+      {
+        start,
+        end,
+        interval,
+        timezoneName
+      }
+    )
+
+    return {
+      nextPage: false,
+      timezoneName,
+      res
+    }
+  }
+}
+
+decorateInjectable(BalanceHistory, depsTypes)
+
+module.exports = BalanceHistory
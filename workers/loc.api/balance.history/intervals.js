@@ -0,0 +1,9 @@
+'use strict'
+
+// Values are moment.js units of time
+module.exports = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+}
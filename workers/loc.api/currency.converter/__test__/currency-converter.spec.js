@@ -0,0 +1,81 @@
+'use strict'
+
+const { assert } = require('chai')
+
+require('reflect-metadata')
+const CurrencyConverter = require('..')
+
+const mts = Date.UTC(2023, 0, 10)
+const rService = { getCandles: () => [] }
+
+describe('Currency converter', () => {
+  it('temporary errors of fetching candles are not cached', async function () {
+    this.timeout(1000)
+
+    const requestedSymbols = []
+    let isRateLimited = true
+    const currencyConverter = new CurrencyConverter(
+      rService,
+      async ({ args }) => {
+        requestedSymbols.push(args.params.symbol)
+
+        if (isRateLimited) {
+          throw new Error('ERR_RATE_LIMIT')
+        }
+
+        return [{ mts, close: 20000 }]
+      }
+    )
+
+    try {
+      await currencyConverter.convert({ currency: 'BTC', amount: 2, mts })
+
+      assert.fail('The error should be thrown')
+    } catch (err) {
+      assert.match(err.message, /ERR_RATE_LIMIT/)
+    }
+
+    isRateLimited = false
+
+    assert.strictEqual(
+      await currencyConverter.convert({ currency: 'BTC', amount: 2, mts }),
+      40000
+    )
+    assert.deepStrictEqual(requestedSymbols, ['tBTCUSD', 'tBTCUSD'])
+  })
+
+  it('invalid pairs are cached as empty', async function () {
+    this.timeout(1000)
+
+    const requestedSymbols = []
+    const currencyConverter = new CurrencyConverter(
+      rService,
+      async ({ args }) => {
+        requestedSymbols.push(args.params.symbol)
+
+        if (args.params.symbol === 'tBTCUSD') {
+          return [{ mts, close: 20000 }]
+        }
+
+        throw new Error('symbol: invalid')
+      }
+    )
+    const getRate = await currencyConverter.getRateGetter({
+      currencies: ['ABC', 'ABC'],
+      start: mts,
+      end: mts
+    })
+
+    assert.isNull(getRate('ABC', mts))
+
+    const requestedSymbolsCount = requestedSymbols.length
+
+    await currencyConverter.getRateGetter({
+      currencies: ['ABC'],
+      start: mts,
+      end: mts
+    })
+
+    assert.strictEqual(requestedSymbols.length, requestedSymbolsCount)
+  })
+})
@@ -0,0 +1,73 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  getPairSymbol,
+  getConversionPaths,
+  getClosePrice,
+  calcRate
+} = require('..')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const btcUsdCandles = [
+  { mts: 0, close: 20000 },
+  { mts: DAY_MS, close: 21000 },
+  { mts: 2 * DAY_MS, close: 22000 }
+]
+const btcEurCandles = [
+  { mts: 0, close: 18000 },
+  { mts: DAY_MS, close: 19000 },
+  { mts: 2 * DAY_MS, close: 20000 }
+]
+
+describe('Currency converter helpers', () => {
+  it('pair symbols are built in the BFX format', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(getPairSymbol('BTC', 'USD'), 'tBTCUSD')
+    assert.strictEqual(getPairSymbol('TESTBTC', 'USD'), 'tTESTBTC:USD')
+    assert.strictEqual(getPairSymbol('BTC', 'TESTUSD'), 'tBTC:TESTUSD')
+  })
+
+  it('conversion paths triangulate through BTC and USD', function () {
+    this.timeout(1000)
+
+    assert.deepStrictEqual(getConversionPaths('EUR', 'EUR'), [['EUR']])
+    assert.deepStrictEqual(getConversionPaths('ETH', 'EUR'), [
+      ['ETH', 'EUR'],
+      ['ETH', 'USD', 'EUR'],
+      ['ETH', 'BTC', 'EUR'],
+      ['ETH', 'USD', 'BTC', 'EUR'],
+      ['ETH', 'BTC', 'USD', 'EUR']
+    ])
+    assert.deepStrictEqual(getConversionPaths('BTC', 'USD'), [
+      ['BTC', 'USD']
+    ])
+  })
+
+  it('close price is taken from the candle which contains the timestamp', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(getClosePrice(btcUsdCandles, DAY_MS + 1), 21000)
+    assert.strictEqual(getClosePrice(btcUsdCandles, 10 * DAY_MS), 22000)
+    assert.strictEqual(getClosePrice(btcUsdCandles, -1), 20000)
+    assert.isNull(getClosePrice([], DAY_MS))
+  })
+
+  it('rate is calculated through direct and inverse hops', function () {
+    this.timeout(1000)
+
+    const usdEurRate = calcRate([
+      { isInverse: true, candles: btcUsdCandles },
+      { isInverse: false, candles: btcEurCandles }
+    ], DAY_MS)
+
+    assert.closeTo(usdEurRate, 19000 / 21000, 1e-12)
+    assert.strictEqual(calcRate([], DAY_MS), 1)
+    assert.isNull(calcRate([
+      { isInverse: false, candles: [] }
+    ], DAY_MS))
+  })
+})
@@ -0,0 +1,28 @@
+'use strict'
+
+const getClosePrice = require('./get-close-price')
+
+/*
+ * Each hop of the path is `{ isInverse, candles }`,
+ * the inverse hop uses the pair quoted in the opposite direction
+ */
+module.exports = (hops, mts) => {
+  let rate = 1
+
+  for (const { isInverse, candles } of hops) {
+    const price = getClosePrice(candles, mts)
+
+    if (
+      !Number.isFinite(price) ||
+      price === 0
+    ) {
+      return null
+    }
+
+    rate *= isInverse
+      ? 1 / price
+      : price
+  }
+
+  return rate
+}
@@ -0,0 +1,19 @@
+'use strict'
+
+/*
+ * Candles are expected to be sorted by `mts` ascending,
+ * takes the close price of the candle which contains the timestamp,
+ * the first candle is used for timestamps before the history
+ */
+module.exports = (candles, mts) => {
+  if (
+    !Array.isArray(candles) ||
+    candles.length === 0
+  ) {
+    return null
+  }
+
+  const candle = candles.findLast((c) => c.mts <= mts) ?? candles[0]
+
+  return candle.close
+}
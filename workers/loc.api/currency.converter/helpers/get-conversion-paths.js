@@ -0,0 +1,27 @@
+'use strict'
+
+const BTC = 'BTC'
+const USD = 'USD'
+
+/*
+ * Returns lists of currencies to convert through in order of preference,
+ * most pairs are quoted in USD or BTC, and BTC has pairs
+ * with all forex currencies, so they cover triangulation
+ */
+module.exports = (fromCurrency, toCurrency) => {
+  if (fromCurrency === toCurrency) {
+    return [[fromCurrency]]
+  }
+
+  const paths = [
+    [fromCurrency, toCurrency],
+    [fromCurrency, USD, toCurrency],
+    [fromCurrency, BTC, toCurrency],
+    [fromCurrency, USD, BTC, toCurrency],
+    [fromCurrency, BTC, USD, toCurrency]
+  ]
+
+  return paths.filter((path) => (
+    new Set(path).size === path.length
+  ))
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+// Currencies longer than 3 chars are separated by `:` in the BFX pairs
+module.exports = (baseCurrency, quoteCurrency) => {
+  if (
+    baseCurrency.length > 3 ||
+    quoteCurrency.length > 3
+  ) {
+    return `t${baseCurrency}:${quoteCurrency}`
+  }
+
+  return `t${baseCurrency}${quoteCurrency}`
+}
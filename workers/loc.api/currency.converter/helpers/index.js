@@ -0,0 +1,13 @@
+'use strict'
+
+const getPairSymbol = require('./get-pair-symbol')
+const getConversionPaths = require('./get-conversion-paths')
+const getClosePrice = require('./get-close-price')
+const calcRate = require('./calc-rate')
+
+module.exports = {
+  getPairSymbol,
+  getConversionPaths,
+  getClosePrice,
+  calcRate
+}
@@ -0,0 +1,230 @@
+'use strict'
+
+const {
+  getPairSymbol,
+  getConversionPaths,
+  calcRate
+} = require('./helpers')
+const { isSymbolInvalidError } = require('../helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const CANDLES_TIMEFRAME = '1D'
+const CACHE_MAX_SIZE = 500
+// The last candle is still changing, so recent candles are refetched
+const RECENT_CANDLES_TTL_MS = 10 * 60 * 1000
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination
+]
+class CurrencyConverter {
+  constructor (
+    rService,
+    fetchDataWithPagination
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+
+    this._candlesCache = new Map()
+  }
+
+  /*
+   * Loads candles of all needed pairs once and returns
+   * a sync function `(currency, mts) => rate | null`
+   * to price many entries without extra requests
+   */
+  async getRateGetter (params = {}) {
+    const {
+      currencies = [],
+      quoteCurrency = 'USD',
+      start = 0,
+      end = Date.now()
+    } = params ?? {}
+    const hopsMap = new Map()
+
+    for (const currency of new Set(currencies)) {
+      if (
+        !currency ||
+        typeof currency !== 'string'
+      ) {
+        continue
+      }
+
+      hopsMap.set(
+        currency,
+        await this._findHops(currency, quoteCurrency, { start, end })
+      )
+    }
+
+    return (currency, mts) => {
+      const hops = hopsMap.get(currency)
+
+      if (!hops) {
+        return null
+      }
+
+      return calcRate(hops, mts)
+    }
+  }
+
+  async convert (params = {}) {
+    const {
+      currency,
+      amount,
+      mts = Date.now(),
+      quoteCurrency = 'USD'
+    } = params ?? {}
+
+    if (!Number.isFinite(amount)) {
+      return null
+    }
+
+    const getRate = await this.getRateGetter({
+      currencies: [currency],
+      quoteCurrency,
+      start: mts,
+      end: mts
+    })
+    const rate = getRate(currency, mts)
+
+    return Number.isFinite(rate)
+      ? amount * rate
+      : null
+  }
+
+  async _findHops (fromCurrency, toCurrency, range) {
+    for (const path of getConversionPaths(fromCurrency, toCurrency)) {
+      const hops = []
+
+      for (const [i, baseCurrency] of path.slice(0, -1).entries()) {
+        const hop = await this._getHop(baseCurrency, path[i + 1], range)
+
+        if (!hop) {
+          break
+        }
+
+        hops.push(hop)
+      }
+
+      if (hops.length === path.length - 1) {
+        return hops
+      }
+    }
+
+    return null
+  }
+
+  async _getHop (baseCurrency, quoteCurrency, range) {
+    const candles = await this._getCandles(
+      getPairSymbol(baseCurrency, quoteCurrency),
+      range
+    )
+
+    if (candles.length > 0) {
+      return { isInverse: false, candles }
+    }
+
+    const inverseCandles = await this._getCandles(
+      getPairSymbol(quoteCurrency, baseCurrency),
+      range
+    )
+
+    if (inverseCandles.length > 0) {
+      return { isInverse: true, candles: inverseCandles }
+    }
+
+    return null
+  }
+
+  /*
+   * A day before `start` is taken into account
+   * to have the candle which contains `start`
+   */
+  async _getCandles (symbol, range) {
+    const start = Math.max(range.start - DAY_MS, 0)
+    const { end } = range
+    const cached = this._candlesCache.get(symbol)
+
+    if (this._isCacheEntryUsable(cached, { start, end })) {
+      return cached.candles
+    }
+
+    const cacheStart = Math.min(start, cached?.start ?? start)
+    const cacheEnd = Math.max(end, cached?.end ?? end)
+    let candles = []
+
+    try {
+      const res = await this.fetchDataWithPagination({
+        getData: this.rService.getCandles.bind(this.rService),
+        args: {
+          params: {
+            symbol,
+            timeframe: CANDLES_TIMEFRAME,
+            section: 'hist',
+            start: cacheStart,
+            end: cacheEnd
+          }
+        },
+        apiMethodName: 'candles',
+        datePropName: 'mts',
+        callerName: 'CURRENCY_CONVERTER'
+      })
+
+      candles = res
+        .filter((c) => Number.isFinite(c?.close))
+        .sort((a, b) => a.mts - b.mts)
+    } catch (err) {
+      /*
+       * Only the pair which does not exist is cached as empty
+       * to not request again, temporary errors are not cached
+       */
+      if (!isSymbolInvalidError(err)) {
+        throw err
+      }
+    }
+
+    this._setCacheEntry(symbol, {
+      start: cacheStart,
+      end: cacheEnd,
+      fetchedAt: Date.now(),
+      candles
+    })
+
+    return candles
+  }
+
+  _isCacheEntryUsable (entry, range) {
+    if (
+      !entry ||
+      entry.start > range.start ||
+      entry.end < range.end
+    ) {
+      return false
+    }
+
+    const isRecentRangeCached = entry.fetchedAt - range.end < DAY_MS
+
+    return (
+      !isRecentRangeCached ||
+      Date.now() - entry.fetchedAt < RECENT_CANDLES_TTL_MS
+    )
+  }
+
+  _setCacheEntry (symbol, entry) {
+    this._candlesCache.delete(symbol)
+
+    if (this._candlesCache.size >= CACHE_MAX_SIZE) {
+      const [oldestSymbol] = this._candlesCache.keys()
+
+      this._candlesCache.delete(oldestSymbol)
+    }
+
+    this._candlesCache.set(symbol, entry)
+  }
+}
+
+decorateInjectable(CurrencyConverter, depsTypes)
+
+module.exports = CurrencyConverter
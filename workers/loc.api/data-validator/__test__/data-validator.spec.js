@@ -0,0 +1,40 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const dataValidator = require('..')
+const { ArgsParamsError } = require('../../errors')
+
+const { SCHEMA_IDS } = dataValidator
+const multiExport = [{ method: 'getLedgers' }]
+
+describe('Data validator', () => {
+  before(() => {
+    dataValidator.init()
+  })
+
+  it('multiple file request is validated without export preset', function () {
+    this.timeout(1000)
+
+    assert.isTrue(dataValidator.validate(
+      { params: { multiExport, fileFormat: 'xlsx' } },
+      SCHEMA_IDS.GET_MULTIPLE_FILE_REQ
+    ))
+  })
+
+  it('multiple file request with export preset is csv only', function () {
+    this.timeout(1000)
+
+    assert.isTrue(dataValidator.validate(
+      { params: { multiExport, exportPreset: 'koinly' } },
+      SCHEMA_IDS.GET_MULTIPLE_FILE_REQ
+    ))
+    assert.throws(
+      () => dataValidator.validate(
+        { params: { multiExport, exportPreset: 'koinly', fileFormat: 'xlsx' } },
+        SCHEMA_IDS.GET_MULTIPLE_FILE_REQ
+      ),
+      ArgsParamsError
+    )
+  })
+})
@@ -14,6 +14,22 @@ module.exports = {
   GET_TICKERS_HISTORY_REQ: 'getTickersHistoryReq',
   GET_MOVEMENT_INFO_REQ: 'getMovementInfoReq',
   GET_WALLETS_REQ: 'getWalletsReq',
+  GET_REALIZED_PNL_REPORT_REQ: 'getRealizedPnLReportReq',
+  GET_FEE_SUMMARY_REPORT_REQ: 'getFeeSummaryReportReq',
+  GET_BALANCE_HISTORY_REQ: 'getBalanceHistoryReq',
+  GET_WALLETS_SNAPSHOT_AT_REQ: 'getWalletsSnapshotAtReq',
+  CHECK_LEDGERS_INTEGRITY_REQ: 'checkLedgersIntegrityReq',
+  GET_RECONCILIATION_REPORT_REQ: 'getReconciliationReportReq',
+  GET_PORTFOLIO_VALUATION_REQ: 'getPortfolioValuationReq',
+  GET_PERFORMANCE_REPORT_REQ: 'getPerformanceReportReq',
+  GET_TRADING_VOLUME_REPORT_REQ: 'getTradingVolumeReportReq',
+  GET_REPORT_FILE_JOBS_REQ: 'getReportFileJobsReq',
+  CANCEL_REPORT_FILE_JOB_REQ: 'cancelReportFileJobReq',
+  CREATE_REPORT_SCHEDULE_REQ: 'createReportScheduleReq',
+  UPDATE_REPORT_SCHEDULE_REQ: 'updateReportScheduleReq',
+  DELETE_REPORT_SCHEDULE_REQ: 'deleteReportScheduleReq',
+  GET_REPORT_FILE_DEAD_LETTERS_REQ: 'getReportFileDeadLettersReq',
+  REQUEUE_REPORT_FILE_DEAD_LETTER_REQ: 'requeueReportFileDeadLetterReq',
 
   COMMON_FILE_REQ: 'commonFileReq',
   GET_MULTIPLE_FILE_REQ: 'getMultipleFileReq',
@@ -27,5 +43,12 @@ module.exports = {
   GET_STATUS_MESSAGES_FILE_REQ: 'getStatusMessagesFileReq',
   GET_CANDLES_FILE_REQ: 'getCandlesFileReq',
   GET_ORDER_TRADES_FILE_REQ: 'getOrderTradesFileReq',
-  GET_WEIGHTED_AVERAGES_REPORT_FILE_REQ: 'getWeightedAveragesReportFileReq'
+  GET_WEIGHTED_AVERAGES_REPORT_FILE_REQ: 'getWeightedAveragesReportFileReq',
+  GET_REALIZED_PNL_REPORT_FILE_REQ: 'getRealizedPnLReportFileReq',
+  GET_FEE_SUMMARY_REPORT_FILE_REQ: 'getFeeSummaryReportFileReq',
+  GET_WALLETS_SNAPSHOT_AT_FILE_REQ: 'getWalletsSnapshotAtFileReq',
+  CHECK_LEDGERS_INTEGRITY_FILE_REQ: 'checkLedgersIntegrityFileReq',
+  GET_RECONCILIATION_REPORT_FILE_REQ: 'getReconciliationReportFileReq',
+  GET_PERFORMANCE_REPORT_FILE_REQ: 'getPerformanceReportFileReq',
+  GET_JOURNAL_FILE_REQ: 'getJournalFileReq'
 }
@@ -0,0 +1,15 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.CANCEL_REPORT_FILE_JOB_REQ,
+  type: 'object',
+  additionalProperties: false,
+  required: ['jobId'],
+  properties: {
+    jobId: {
+      $ref: 'defs#/definitions/reportFileJobId'
+    }
+  }
+}
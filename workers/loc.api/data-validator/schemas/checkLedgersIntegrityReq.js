@@ -0,0 +1,26 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.CHECK_LEDGERS_INTEGRITY_REQ,
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    start: {
+      $ref: 'defs#/definitions/start'
+    },
+    end: {
+      $ref: 'defs#/definitions/end'
+    },
+    symbol: {
+      $ref: 'defs#/definitions/symbolWithMinItem'
+    },
+    notCheckNextPage: {
+      $ref: 'defs#/definitions/notCheckNextPage'
+    },
+    notThrowError: {
+      $ref: 'defs#/definitions/notThrowError'
+    }
+  }
+}
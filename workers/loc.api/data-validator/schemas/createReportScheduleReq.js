@@ -0,0 +1,27 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.CREATE_REPORT_SCHEDULE_REQ,
+  type: 'object',
+  additionalProperties: false,
+  required: ['method', 'recurrence'],
+  properties: {
+    name: {
+      $ref: 'defs#/definitions/reportScheduleName'
+    },
+    method: {
+      $ref: 'defs#/definitions/reportScheduleMethod'
+    },
+    params: {
+      type: 'object'
+    },
+    recurrence: {
+      $ref: 'defs#/definitions/reportScheduleRecurrence'
+    },
+    isEnabled: {
+      type: 'boolean'
+    }
+  }
+}
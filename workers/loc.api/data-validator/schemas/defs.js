@@ -146,6 +146,74 @@ module.exports = {
     isPDFRequired: {
       type: 'boolean'
     },
+    fileFormat: {
+      type: 'string',
+      enum: ['csv', 'pdf', 'xlsx', 'json', 'ndjson']
+    },
+    delimiter: {
+      type: 'string',
+      enum: [',', ';', '\t', '|']
+    },
+    decimalSeparator: {
+      type: 'string',
+      enum: ['.', ',']
+    },
+    includeBom: {
+      type: 'boolean'
+    },
+    encoding: {
+      type: 'string',
+      enum: ['utf8', 'utf16le', 'latin1']
+    },
+    quoteAll: {
+      type: 'boolean'
+    },
+    combineIntoSingleFile: {
+      type: 'boolean'
+    },
+    totals: {
+      type: 'boolean'
+    },
+    columns: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        oneOf: [
+          {
+            type: 'string',
+            minLength: 1
+          },
+          {
+            type: 'object',
+            additionalProperties: false,
+            required: ['field'],
+            properties: {
+              field: {
+                type: 'string',
+                minLength: 1
+              },
+              header: {
+                type: 'string',
+                minLength: 1
+              }
+            }
+          }
+        ]
+      }
+    },
+    charts: {
+      type: 'array',
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: [
+          'ledgersBalance',
+          'tradesVolume',
+          'candlesOhlc',
+          'positionsCumulativePnl'
+        ]
+      }
+    },
     isSignatureRequired: {
       type: 'boolean'
     },
@@ -155,6 +223,145 @@ module.exports = {
     candleTimeframe: {
       type: 'string',
       minLength: 2
+    },
+    costBasisMethod: {
+      type: 'string',
+      enum: ['FIFO', 'LIFO', 'HIFO', 'AVERAGE']
+    },
+    exportPreset: {
+      type: 'string',
+      enum: ['koinly', 'cointracking', 'universal']
+    },
+    journalFormat: {
+      type: 'string',
+      enum: ['beancount', 'ledger']
+    },
+    journalAccounts: {
+      type: 'object',
+      additionalProperties: false,
+      patternProperties: {
+        '^(assets|tradingFees|movementFees|fundingInterestIncome|fundingInterestExpense|deposits|withdrawals|transfers|stakingRewards|rebates|settlements|other)$': {
+          type: 'string',
+          pattern: '^(Assets|Liabilities|Equity|Income|Expenses)(:[A-Z0-9][A-Za-z0-9-]*)+$'
+        }
+      }
+    },
+    compareEnd: {
+      type: 'integer',
+      minimum: Date.UTC(2013)
+    },
+    balanceHistoryInterval: {
+      type: 'string',
+      enum: ['hour', 'day', 'week', 'month']
+    },
+    reconciliationTimeWindow: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 7 * 24 * 60 * 60 * 1000
+    },
+    valuationQuoteCurrency: {
+      type: 'string',
+      enum: ['USD', 'EUR', 'GBP', 'JPY']
+    },
+    performanceInterval: {
+      type: 'string',
+      enum: ['day', 'week', 'month', 'year']
+    },
+    reportFileJobId: {
+      type: 'string',
+      format: 'uuid'
+    },
+    reportFileJobStatuses: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: [
+          'QUEUED',
+          'PROCESSING',
+          'AGGREGATING',
+          'COMPLETED',
+          'FAILED',
+          'CANCELED'
+        ]
+      }
+    },
+    reportFileJobsLimit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 50
+    },
+    reportScheduleId: {
+      type: 'string',
+      format: 'uuid'
+    },
+    reportScheduleName: {
+      type: ['string', 'null'],
+      maxLength: 100
+    },
+    reportScheduleMethod: {
+      type: 'string',
+      pattern: '^get[A-Za-z]+File$'
+    },
+    reportScheduleRecurrence: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['frequency'],
+      properties: {
+        frequency: {
+          type: 'string',
+          enum: ['daily', 'weekly', 'monthly']
+        },
+        dayOfWeek: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 6
+        },
+        dayOfMonth: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 28
+        },
+        hour: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 23
+        },
+        minute: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 59
+        },
+        timezone: {
+          type: 'string'
+        }
+      }
+    },
+    tradingVolumeInterval: {
+      type: 'string',
+      enum: ['day', 'week', 'month']
+    },
+    feeTiers: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['minVolume', 'makerFee', 'takerFee'],
+        properties: {
+          minVolume: {
+            type: 'number',
+            minimum: 0
+          },
+          makerFee: {
+            type: 'number'
+          },
+          takerFee: {
+            type: 'number'
+          }
+        }
+      }
     }
   }
 }
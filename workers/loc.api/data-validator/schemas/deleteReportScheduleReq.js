@@ -0,0 +1,15 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.DELETE_REPORT_SCHEDULE_REQ,
+  type: 'object',
+  additionalProperties: false,
+  required: ['id'],
+  properties: {
+    id: {
+      $ref: 'defs#/definitions/reportScheduleId'
+    }
+  }
+}
@@ -25,6 +25,27 @@ module.exports = {
     isPDFRequired: {
       $ref: 'defs#/definitions/isPDFRequired'
     },
+    fileFormat: {
+      $ref: 'defs#/definitions/fileFormat'
+    },
+    delimiter: {
+      $ref: 'defs#/definitions/delimiter'
+    },
+    decimalSeparator: {
+      $ref: 'defs#/definitions/decimalSeparator'
+    },
+    includeBom: {
+      $ref: 'defs#/definitions/includeBom'
+    },
+    encoding: {
+      $ref: 'defs#/definitions/encoding'
+    },
+    quoteAll: {
+      $ref: 'defs#/definitions/quoteAll'
+    },
+    columns: {
+      $ref: 'defs#/definitions/columns'
+    },
     isSignatureRequired: {
       $ref: 'defs#/definitions/isSignatureRequired'
     }
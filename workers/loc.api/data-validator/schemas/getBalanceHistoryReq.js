@@ -0,0 +1,29 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.GET_BALANCE_HISTORY_REQ,
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    start: {
+      $ref: 'defs#/definitions/start'
+    },
+    end: {
+      $ref: 'defs#/definitions/end'
+    },
+    symbol: {
+      $ref: 'defs#/definitions/symbolWithMinItem'
+    },
+    interval: {
+      $ref: 'defs#/definitions/balanceHistoryInterval'
+    },
+    notCheckNextPage: {
+      $ref: 'defs#/definitions/notCheckNextPage'
+    },
+    notThrowError: {
+      $ref: 'defs#/definitions/notThrowError'
+    }
+  }
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.GET_FEE_SUMMARY_REPORT_FILE_REQ,
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    start: {
+      $ref: 'defs#/definitions/start'
+    },
+    end: {
+      $ref: 'defs#/definitions/end'
+    },
+    symbol: {
+      $ref: 'defs#/definitions/symbolWithMinItem'
+    },
+    isUSDConversionRequired: {
+      type: 'boolean'
+    },
+
+    email: {
+      $ref: 'defs#/definitions/email'
+    },
+    milliseconds: {
+      $ref: 'defs#/definitions/milliseconds'
+    },
+    dateFormat: {
+      $ref: 'defs#/definitions/dateFormat'
+    },
+    language: {
+      $ref: 'defs#/definitions/language'
+    },
+    timezone: {
+      $ref: 'defs#/definitions/timezone'
+    },
+    isPDFRequired: {
+      $ref: 'defs#/definitions/isPDFRequired'
+    },
+    fileFormat: {
+      $ref: 'defs#/definitions/fileFormat'
+    },
+    delimiter: {
+      $ref: 'defs#/definitions/delimiter'
+    },
+    decimalSeparator: {
+      $ref: 'defs#/definitions/decimalSeparator'
+    },
+    includeBom: {
+      $ref: 'defs#/definitions/includeBom'
+    },
+    encoding: {
+      $ref: 'defs#/definitions/encoding'
+    },
+    quoteAll: {
+      $ref: 'defs#/definitions/quoteAll'
+    },
+    columns: {
+      $ref: 'defs#/definitions/columns'
+    },
+    isSignatureRequired: {
+      $ref: 'defs#/definitions/isSignatureRequired'
+    }
+  }
+}
@@ -0,0 +1,34 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.GET_JOURNAL_FILE_REQ,
+  type: 'object',
+  additionalProperties: false,
+  required: ['journalFormat'],
+  properties: {
+    start: {
+      $ref: 'defs#/definitions/start'
+    },
+    end: {
+      $ref: 'defs#/definitions/end'
+    },
+    journalFormat: {
+      $ref: 'defs#/definitions/journalFormat'
+    },
+    journalAccounts: {
+      $ref: 'defs#/definitions/journalAccounts'
+    },
+
+    email: {
+      $ref: 'defs#/definitions/email'
+    },
+    language: {
+      $ref: 'defs#/definitions/language'
+    },
+    isSignatureRequired: {
+      $ref: 'defs#/definitions/isSignatureRequired'
+    }
+  }
+}
@@ -63,6 +63,33 @@ module.exports = {
     isPDFRequired: {
       $ref: 'defs#/definitions/isPDFRequired'
     },
+    fileFormat: {
+      $ref: 'defs#/definitions/fileFormat'
+    },
+    delimiter: {
+      $ref: 'defs#/definitions/delimiter'
+    },
+    decimalSeparator: {
+      $ref: 'defs#/definitions/decimalSeparator'
+    },
+    includeBom: {
+      $ref: 'defs#/definitions/includeBom'
+    },
+    encoding: {
+      $ref: 'defs#/definitions/encoding'
+    },
+    quoteAll: {
+      $ref: 'defs#/definitions/quoteAll'
+    },
+    columns: {
+      $ref: 'defs#/definitions/columns'
+    },
+    totals: {
+      $ref: 'defs#/definitions/totals'
+    },
+    charts: {
+      $ref: 'defs#/definitions/charts'
+    },
     isSignatureRequired: {
       $ref: 'defs#/definitions/isSignatureRequired'
     }
@@ -7,6 +7,25 @@ module.exports = {
   type: 'object',
   additionalProperties: false,
   required: ['multiExport'],
+  // Export presets are csv only
+  if: {
+    properties: {
+      exportPreset: {
+        $ref: 'defs#/definitions/exportPreset'
+      }
+    },
+    required: ['exportPreset']
+  },
+  then: {
+    properties: {
+      isPDFRequired: {
+        const: false
+      },
+      fileFormat: {
+        const: 'csv'
+      }
+    }
+  },
   properties: {
     email: {
       $ref: 'defs#/definitions/email'
@@ -17,9 +36,33 @@ module.exports = {
     isPDFRequired: {
       $ref: 'defs#/definitions/isPDFRequired'
     },
+    fileFormat: {
+      $ref: 'defs#/definitions/fileFormat'
+    },
+    combineIntoSingleFile: {
+      $ref: 'defs#/definitions/combineIntoSingleFile'
+    },
+    delimiter: {
+      $ref: 'defs#/definitions/delimiter'
+    },
+    decimalSeparator: {
+      $ref: 'defs#/definitions/decimalSeparator'
+    },
+    includeBom: {
+      $ref: 'defs#/definitions/includeBom'
+    },
+    encoding: {
+      $ref: 'defs#/definitions/encoding'
+    },
+    quoteAll: {
+      $ref: 'defs#/definitions/quoteAll'
+    },
     isSignatureRequired: {
       $ref: 'defs#/definitions/isSignatureRequired'
     },
+    exportPreset: {
+      $ref: 'defs#/definitions/exportPreset'
+    },
 
     multiExport: {
       type: 'array',
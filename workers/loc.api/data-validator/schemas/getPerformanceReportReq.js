@@ -0,0 +1,29 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.GET_PERFORMANCE_REPORT_REQ,
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    start: {
+      $ref: 'defs#/definitions/start'
+    },
+    end: {
+      $ref: 'defs#/definitions/end'
+    },
+    interval: {
+      $ref: 'defs#/definitions/performanceInterval'
+    },
+    quoteCurrency: {
+      $ref: 'defs#/definitions/valuationQuoteCurrency'
+    },
+    notCheckNextPage: {
+      $ref: 'defs#/definitions/notCheckNextPage'
+    },
+    notThrowError: {
+      $ref: 'defs#/definitions/notThrowError'
+    }
+  }
+}
@@ -0,0 +1,14 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.GET_REPORT_FILE_DEAD_LETTERS_REQ,
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    limit: {
+      $ref: 'defs#/definitions/reportFileJobsLimit'
+    }
+  }
+}
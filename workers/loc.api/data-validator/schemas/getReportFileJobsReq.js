@@ -0,0 +1,17 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.GET_REPORT_FILE_JOBS_REQ,
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    statuses: {
+      $ref: 'defs#/definitions/reportFileJobStatuses'
+    },
+    limit: {
+      $ref: 'defs#/definitions/reportFileJobsLimit'
+    }
+  }
+}
@@ -0,0 +1,26 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.GET_WALLETS_SNAPSHOT_AT_REQ,
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    end: {
+      $ref: 'defs#/definitions/end'
+    },
+    compareEnd: {
+      $ref: 'defs#/definitions/compareEnd'
+    },
+    symbol: {
+      $ref: 'defs#/definitions/symbolWithMinItem'
+    },
+    notCheckNextPage: {
+      $ref: 'defs#/definitions/notCheckNextPage'
+    },
+    notThrowError: {
+      $ref: 'defs#/definitions/notThrowError'
+    }
+  }
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.REQUEUE_REPORT_FILE_DEAD_LETTER_REQ,
+  type: 'object',
+  additionalProperties: false,
+  required: ['jobId'],
+  properties: {
+    jobId: {
+      $ref: 'defs#/definitions/reportFileJobId'
+    }
+  }
+}
@@ -0,0 +1,30 @@
+'use strict'
+
+const SCHEMA_IDS = require('../schema.ids')
+
+module.exports = {
+  $id: SCHEMA_IDS.UPDATE_REPORT_SCHEDULE_REQ,
+  type: 'object',
+  additionalProperties: false,
+  required: ['id'],
+  properties: {
+    id: {
+      $ref: 'defs#/definitions/reportScheduleId'
+    },
+    name: {
+      $ref: 'defs#/definitions/reportScheduleName'
+    },
+    method: {
+      $ref: 'defs#/definitions/reportScheduleMethod'
+    },
+    params: {
+      type: 'object'
+    },
+    recurrence: {
+      $ref: 'defs#/definitions/reportScheduleRecurrence'
+    },
+    isEnabled: {
+      type: 'boolean'
+    }
+  }
+}
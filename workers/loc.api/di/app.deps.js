@@ -15,7 +15,8 @@ const {
   prepareResponse,
   prepareApiResponse,
   FOREX_SYMBS,
-  getDataFromApi
+  getDataFromApi,
+  fetchDataWithPagination
 } = require('../helpers')
 const HasGrcService = require('../has.grc.service')
 const processor = require('../queue/processor')
@@ -25,14 +26,35 @@ const uploadToS3 = require('../queue/upload-to-s3')
 const sendMail = require('../queue/send-mail')
 const generateReportFile = require('../generate-report-file')
 const PdfWriter = require('../generate-report-file/pdf-writer')
+const XlsxWriter = require('../generate-report-file/xlsx-writer')
+const JsonWriter = require('../generate-report-file/json-writer')
 const ReportFileJobData = require('../generate-report-file/report.file.job.data')
 const Interrupter = require('../interrupter')
 const AbstractWSEventEmitter = require('../abstract.ws.event.emitter')
 const {
-  weightedAveragesReportCsvWriter
+  weightedAveragesReportCsvWriter,
+  exportPresetCsvWriter
 } = require('../generate-report-file/csv-writer')
+const {
+  journalWriter
+} = require('../generate-report-file/journal-writer')
 const WeightedAveragesReport = require('../weighted.averages.report')
+const RealizedPnLReport = require('../realized.pnl.report')
+const FeeSummaryReport = require('../fee.summary.report')
+const BalanceHistory = require('../balance.history')
+const WalletsSnapshot = require('../wallets.snapshot')
+const LedgersIntegrity = require('../ledgers.integrity')
+const ReconciliationReport = require('../reconciliation.report')
+const CurrencyConverter = require('../currency.converter')
+const PortfolioValuation = require('../portfolio.valuation')
+const PerformanceReport = require('../performance.report')
+const TradingVolumeReport = require('../trading.volume.report')
 const BfxApiRouter = require('../bfx.api.router')
+const ReportFileJobs = require('../report.file.jobs')
+const ReportSchedules = require('../report.schedules')
+const ReportFileCheckpoints = require('../report.file.checkpoints')
+const ReportFileDeadLetters = require('../report.file.dead.letters')
+const ReportFileJobScheduler = require('../report.file.job.scheduler')
 
 module.exports = ({
   rService,
@@ -41,12 +63,28 @@ module.exports = ({
   deflateFac,
   grcSlackFac,
   link,
-  i18next
+  i18next,
+  reportSchedulesFilePath,
+  reportFileCheckpointsFilePath,
+  reportFileDeadLettersFilePath,
+  reportFileJobSchedulerFilePath
 }) => {
   return new ContainerModule((bind) => {
     bind(TYPES.RService).toConstantValue(rService)
     bind(TYPES.RootPath).toConstantValue(rService.ctx.rootPath)
     bind(TYPES.I18next).toConstantValue(i18next)
+    bind(TYPES.ReportSchedulesFilePath).toConstantValue(
+      reportSchedulesFilePath
+    )
+    bind(TYPES.ReportFileCheckpointsFilePath).toConstantValue(
+      reportFileCheckpointsFilePath
+    )
+    bind(TYPES.ReportFileDeadLettersFilePath).toConstantValue(
+      reportFileDeadLettersFilePath
+    )
+    bind(TYPES.ReportFileJobSchedulerFilePath).toConstantValue(
+      reportFileJobSchedulerFilePath
+    )
     bind(TYPES.RServiceDepsSchema).toConstantValue([
       ['_responder', TYPES.Responder],
       ['_getREST', TYPES.GetREST],
@@ -55,6 +93,18 @@ module.exports = ({
       ['_generateReportFile', TYPES.GenerateReportFile],
       ['_hasGrcService', TYPES.HasGrcService],
       ['_weightedAveragesReport', TYPES.WeightedAveragesReport],
+      ['_realizedPnLReport', TYPES.RealizedPnLReport],
+      ['_feeSummaryReport', TYPES.FeeSummaryReport],
+      ['_balanceHistory', TYPES.BalanceHistory],
+      ['_walletsSnapshot', TYPES.WalletsSnapshot],
+      ['_ledgersIntegrity', TYPES.LedgersIntegrity],
+      ['_reconciliationReport', TYPES.ReconciliationReport],
+      ['_portfolioValuation', TYPES.PortfolioValuation],
+      ['_performanceReport', TYPES.PerformanceReport],
+      ['_tradingVolumeReport', TYPES.TradingVolumeReport],
+      ['_reportFileJobs', TYPES.ReportFileJobs],
+      ['_reportSchedules', TYPES.ReportSchedules],
+      ['_reportFileDeadLetters', TYPES.ReportFileDeadLetters],
       ['_i18next', TYPES.I18next],
       ['_dataValidator', TYPES.DataValidator]
     ])
@@ -73,6 +123,12 @@ module.exports = ({
     bind(TYPES.GetDataFromApi).toConstantValue(
       bindDepsToFn(getDataFromApi)
     )
+    bind(TYPES.FetchDataWithPagination).toConstantValue(
+      bindDepsToFn(
+        fetchDataWithPagination,
+        [TYPES.GetDataFromApi]
+      )
+    )
     bind(TYPES.Responder).toConstantValue(
       bindDepsToFn(
         responder,
@@ -132,6 +188,24 @@ module.exports = ({
     bind(TYPES.PdfWriter)
       .to(PdfWriter)
       .inSingletonScope()
+    bind(TYPES.XlsxWriter)
+      .to(XlsxWriter)
+      .inSingletonScope()
+    bind(TYPES.JsonWriter)
+      .to(JsonWriter)
+      .inSingletonScope()
+    bind(TYPES.ReportFileJobs)
+      .to(ReportFileJobs)
+      .inSingletonScope()
+    bind(TYPES.ReportFileCheckpoints)
+      .to(ReportFileCheckpoints)
+      .inSingletonScope()
+    bind(TYPES.ReportFileDeadLetters)
+      .to(ReportFileDeadLetters)
+      .inSingletonScope()
+    bind(TYPES.ReportFileJobScheduler)
+      .to(ReportFileJobScheduler)
+      .inSingletonScope()
     bind(TYPES.ReportFileJobData)
       .to(ReportFileJobData)
       .inSingletonScope()
@@ -139,13 +213,14 @@ module.exports = ({
       .toDynamicValue(() => bindDepsToFn(
         generateReportFile,
         [
-          TYPES.ProcessorQueue,
+          TYPES.ReportFileJobScheduler,
           TYPES.HasGrcService,
           TYPES.ReportFileJobData,
           TYPES.RService,
           TYPES.RootPath,
           TYPES.CONF,
-          TYPES.DataValidator
+          TYPES.DataValidator,
+          TYPES.PdfWriter
         ]
       ))
     bind(TYPES.WriteDataToStream).toConstantValue(
@@ -154,7 +229,8 @@ module.exports = ({
         [
           TYPES.RService,
           TYPES.ProcessorQueue,
-          TYPES.GetDataFromApi
+          TYPES.GetDataFromApi,
+          TYPES.ReportFileJobs
         ]
       )
     )
@@ -186,7 +262,13 @@ module.exports = ({
           TYPES.ProcessorQueue,
           TYPES.AggregatorQueue,
           TYPES.WriteDataToStream,
-          TYPES.PdfWriter
+          TYPES.PdfWriter,
+          TYPES.XlsxWriter,
+          TYPES.JsonWriter,
+          TYPES.ReportFileJobs,
+          TYPES.ReportFileCheckpoints,
+          TYPES.ReportFileDeadLetters,
+          TYPES.ReportFileJobScheduler
         ]
       ))
     bind(TYPES.Aggregator).toConstantValue(
@@ -198,7 +280,8 @@ module.exports = ({
           TYPES.AggregatorQueue,
           TYPES.HasGrcService,
           TYPES.UploadToS3,
-          TYPES.SendMail
+          TYPES.SendMail,
+          TYPES.ReportFileJobs
         ]
       )
     )
@@ -216,7 +299,49 @@ module.exports = ({
           ]
         )
       )
+    bind(TYPES.ExportPresetCsvWriter)
+      .toConstantValue(
+        bindDepsToFn(
+          exportPresetCsvWriter,
+          [
+            TYPES.WriteDataToStream
+          ]
+        )
+      )
+    bind(TYPES.JournalWriter)
+      .toConstantValue(
+        bindDepsToFn(
+          journalWriter,
+          [
+            TYPES.WriteDataToStream
+          ]
+        )
+      )
     bind(TYPES.WeightedAveragesReport)
       .to(WeightedAveragesReport)
+    bind(TYPES.RealizedPnLReport)
+      .to(RealizedPnLReport)
+    bind(TYPES.FeeSummaryReport)
+      .to(FeeSummaryReport)
+    bind(TYPES.BalanceHistory)
+      .to(BalanceHistory)
+    bind(TYPES.WalletsSnapshot)
+      .to(WalletsSnapshot)
+    bind(TYPES.LedgersIntegrity)
+      .to(LedgersIntegrity)
+    bind(TYPES.ReconciliationReport)
+      .to(ReconciliationReport)
+    bind(TYPES.CurrencyConverter)
+      .to(CurrencyConverter)
+      .inSingletonScope()
+    bind(TYPES.PortfolioValuation)
+      .to(PortfolioValuation)
+    bind(TYPES.PerformanceReport)
+      .to(PerformanceReport)
+    bind(TYPES.TradingVolumeReport)
+      .to(TradingVolumeReport)
+    bind(TYPES.ReportSchedules)
+      .to(ReportSchedules)
+      .inSingletonScope()
   })
 }
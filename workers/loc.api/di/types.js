@@ -37,6 +37,30 @@ module.exports = {
   GetDataFromApi: Symbol.for('GetDataFromApi'),
   WeightedAveragesReport: Symbol.for('WeightedAveragesReport'),
   WeightedAveragesReportCsvWriter: Symbol.for('WeightedAveragesReportCsvWriter'),
+  FetchDataWithPagination: Symbol.for('FetchDataWithPagination'),
+  RealizedPnLReport: Symbol.for('RealizedPnLReport'),
+  ExportPresetCsvWriter: Symbol.for('ExportPresetCsvWriter'),
+  JournalWriter: Symbol.for('JournalWriter'),
+  FeeSummaryReport: Symbol.for('FeeSummaryReport'),
+  BalanceHistory: Symbol.for('BalanceHistory'),
+  WalletsSnapshot: Symbol.for('WalletsSnapshot'),
+  LedgersIntegrity: Symbol.for('LedgersIntegrity'),
+  ReconciliationReport: Symbol.for('ReconciliationReport'),
+  CurrencyConverter: Symbol.for('CurrencyConverter'),
+  PortfolioValuation: Symbol.for('PortfolioValuation'),
+  PerformanceReport: Symbol.for('PerformanceReport'),
+  TradingVolumeReport: Symbol.for('TradingVolumeReport'),
   BfxApiRouter: Symbol.for('BfxApiRouter'),
-  PdfWriter: Symbol.for('PdfWriter')
+  PdfWriter: Symbol.for('PdfWriter'),
+  XlsxWriter: Symbol.for('XlsxWriter'),
+  JsonWriter: Symbol.for('JsonWriter'),
+  ReportFileJobs: Symbol.for('ReportFileJobs'),
+  ReportSchedules: Symbol.for('ReportSchedules'),
+  ReportSchedulesFilePath: Symbol.for('ReportSchedulesFilePath'),
+  ReportFileCheckpoints: Symbol.for('ReportFileCheckpoints'),
+  ReportFileCheckpointsFilePath: Symbol.for('ReportFileCheckpointsFilePath'),
+  ReportFileDeadLetters: Symbol.for('ReportFileDeadLetters'),
+  ReportFileDeadLettersFilePath: Symbol.for('ReportFileDeadLettersFilePath'),
+  ReportFileJobScheduler: Symbol.for('ReportFileJobScheduler'),
+  ReportFileJobSchedulerFilePath: Symbol.for('ReportFileJobSchedulerFilePath')
 }
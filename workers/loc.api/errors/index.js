@@ -53,6 +53,15 @@ class ConflictError extends BaseError {
   }
 }
 
+class NotFoundError extends BaseError {
+  constructor (message = 'ERR_NOT_FOUND') {
+    super(message)
+
+    this.statusCode = 404
+    this.statusMessage = 'Not Found'
+  }
+}
+
 class UnprocessableEntityError extends BaseError {
   constructor (message = 'ERR_UNPROCESSABLE_ENTITY') {
     super(message)
@@ -94,6 +103,14 @@ class ArgsParamsFilterError extends ArgsParamsError {
   }
 }
 
+class ArgsParamsColumnsError extends ArgsParamsError {
+  constructor (args) {
+    const _args = getErrorArgs(args, 'ERR_ARGS_PARAMS_COLUMNS_ARE_NOT_VALID')
+
+    super(_args)
+  }
+}
+
 class GrenacheServiceConfigArgsError extends BaseError {
   constructor (message = 'ERR_CONFIG_ARGS_NO_GRENACHE_SERVICE') {
     super(message)
@@ -118,7 +135,7 @@ class QueueJobAddingError extends ConflictError {
   constructor (message = 'ERR_HAS_JOB_IN_QUEUE') {
     super(message)
 
-    this.statusMessage = 'Spam restriction mode, user already has an export on queue'
+    this.statusMessage = 'Spam restriction mode, user has reached the maximum number of exports on queue'
   }
 }
 
@@ -170,6 +187,12 @@ class GrcPDFAvailabilityError extends BaseError {
   }
 }
 
+class PDFBackendAvailabilityError extends BaseError {
+  constructor (message = 'ERR_PDF_BACKEND_IS_NOT_AVAILABLE') {
+    super(message)
+  }
+}
+
 class WeightedAveragesTimeframeError extends UnprocessableEntityError {
   constructor (message = 'ERR_TIME_FRAME_MORE_THAN_TWO_YEARS') {
     super(message)
@@ -178,6 +201,22 @@ class WeightedAveragesTimeframeError extends UnprocessableEntityError {
   }
 }
 
+class BalanceHistoryTimeframeError extends UnprocessableEntityError {
+  constructor (message = 'ERR_TOO_MANY_BALANCE_HISTORY_PERIODS') {
+    super(message)
+
+    this.statusMessage = 'For balance history please select a bigger interval or a smaller time frame'
+  }
+}
+
+class TradingVolumeTimeframeError extends UnprocessableEntityError {
+  constructor (message = 'ERR_TOO_MANY_TRADING_VOLUME_PERIODS') {
+    super(message)
+
+    this.statusMessage = 'For trading volume please select a bigger interval or a smaller time frame'
+  }
+}
+
 class PDFBufferUnderElectronCreationError extends BaseError {
   constructor (electronErrStr) {
     const _args = getErrorArgs(
@@ -189,11 +228,80 @@ class PDFBufferUnderElectronCreationError extends BaseError {
   }
 }
 
+class ExportPresetMethodError extends BadRequestError {
+  constructor (message = 'ERR_METHOD_IS_NOT_SUPPORTED_BY_EXPORT_PRESET') {
+    super(message)
+
+    this.statusMessage = 'Only trades, ledgers and movements can be exported with the preset'
+  }
+}
+
+class ReportFileJobFindingError extends NotFoundError {
+  constructor (message = 'ERR_REPORT_FILE_JOB_NOT_FOUND') {
+    super(message)
+
+    this.statusMessage = 'Report file job not found'
+  }
+}
+
+class ReportFileJobCancelingError extends ConflictError {
+  constructor (message = 'ERR_REPORT_FILE_JOB_CAN_NOT_BE_CANCELED') {
+    super(message)
+
+    this.statusMessage = 'Only queued or processing report file job can be canceled'
+  }
+}
+
+class ReportFileJobCanceledError extends BaseError {
+  constructor (message = 'ERR_REPORT_FILE_JOB_HAS_BEEN_CANCELED') {
+    super(message)
+  }
+}
+
+class ReportFileJobRestoringError extends BaseError {
+  constructor (message = 'ERR_REPORT_FILE_JOB_CSV_WRITER_HAS_BEEN_LOST') {
+    super(message)
+  }
+}
+
+class ReportScheduleFindingError extends NotFoundError {
+  constructor (message = 'ERR_REPORT_SCHEDULE_NOT_FOUND') {
+    super(message)
+
+    this.statusMessage = 'Report schedule not found'
+  }
+}
+
+class ReportSchedulesLimitError extends ConflictError {
+  constructor (message = 'ERR_REPORT_SCHEDULES_LIMIT_HAS_BEEN_REACHED') {
+    super(message)
+
+    this.statusMessage = 'The maximum number of report schedules has been reached'
+  }
+}
+
+class ReportFileDeadLetterFindingError extends NotFoundError {
+  constructor (message = 'ERR_REPORT_FILE_DEAD_LETTER_NOT_FOUND') {
+    super(message)
+
+    this.statusMessage = 'Failed report file job not found'
+  }
+}
+
+class ReportFileDeadLetterRequeuingError extends ConflictError {
+  constructor (message = 'ERR_REPORT_FILE_DEAD_LETTER_CAN_NOT_BE_REQUEUED') {
+    super(message)
+
+    this.statusMessage = 'Failed report file job can not be requeued, please request the report file again'
+  }
+}
+
 module.exports = {
   BaseError,
   BadRequestError,
   AuthError,
   ConflictError,
+  NotFoundError,
   UnprocessableEntityError,
 
   FindMethodError,
@@ -208,10 +316,23 @@ module.exports = {
   ParamsValidSchemaFindingError,
   FilterParamsValidSchemaFindingError,
   ArgsParamsFilterError,
+  ArgsParamsColumnsError,
   LedgerPaymentFilteringParamsError,
   GrcSlackAvailabilityError,
   GrcPDFAvailabilityError,
+  PDFBackendAvailabilityError,
   ImplementationError,
   WeightedAveragesTimeframeError,
-  PDFBufferUnderElectronCreationError
+  BalanceHistoryTimeframeError,
+  TradingVolumeTimeframeError,
+  PDFBufferUnderElectronCreationError,
+  ExportPresetMethodError,
+  ReportFileJobFindingError,
+  ReportFileJobCancelingError,
+  ReportFileJobCanceledError,
+  ReportFileJobRestoringError,
+  ReportScheduleFindingError,
+  ReportSchedulesLimitError,
+  ReportFileDeadLetterFindingError,
+  ReportFileDeadLetterRequeuingError
 }
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  PAIR: 'pair',
+  MAKER_TAKER: 'makerTaker',
+  FEE_CURRENCY: 'feeCurrency',
+  MONTH: 'month'
+}
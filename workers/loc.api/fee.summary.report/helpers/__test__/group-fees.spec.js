@@ -0,0 +1,131 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  getFeeEntries,
+  groupFees
+} = require('..')
+
+const trades = [
+  {
+    id: 1,
+    symbol: 'tBTCUSD',
+    mtsCreate: Date.UTC(2023, 0, 10),
+    maker: 1,
+    fee: -2,
+    feeCurrency: 'USD'
+  },
+  {
+    id: 2,
+    symbol: 'tBTCUSD',
+    mtsCreate: Date.UTC(2023, 1, 10),
+    maker: -1,
+    fee: -0.001,
+    feeCurrency: 'BTC'
+  },
+  {
+    id: 3,
+    symbol: 'tETHUSD',
+    mtsCreate: Date.UTC(2023, 1, 11),
+    maker: -1,
+    fee: -3,
+    feeCurrency: 'USD'
+  }
+]
+const ledgers = [
+  {
+    id: 10,
+    currency: 'BTC',
+    mts: Date.UTC(2023, 1, 12),
+    amount: -0.0004,
+    description: 'Crypto Withdrawal fee on wallet exchange'
+  },
+  {
+    id: 11,
+    currency: 'USD',
+    mts: Date.UTC(2023, 1, 12),
+    amount: -5,
+    description: 'Trading fees for 0.17 BTC (BTCUSD) @ 8205.0 on BFX (0.2%) on wallet exchange'
+  },
+  {
+    id: 12,
+    currency: 'USD',
+    mts: Date.UTC(2023, 1, 12),
+    amount: 1,
+    description: 'Earned fees from user 123 on wallet exchange'
+  }
+]
+
+const findRow = (rows, groupBy, group, feeCurrency) => rows.find((row) => (
+  row.groupBy === groupBy &&
+  row.group === group &&
+  row.feeCurrency === feeCurrency
+))
+
+describe('Fee summary helpers', () => {
+  it('fee entries are taken from trades and non-trading fee ledgers', function () {
+    this.timeout(1000)
+
+    const entries = getFeeEntries({ trades, ledgers })
+
+    assert.isArray(entries)
+    assert.lengthOf(entries, 4)
+    assert.strictEqual(entries[0].amount, 2)
+    assert.strictEqual(entries[0].makerTaker, 'MAKER')
+    assert.strictEqual(entries[1].makerTaker, 'TAKER')
+    assert.strictEqual(entries[3].pair, 'NON_TRADING')
+    assert.strictEqual(entries[3].amount, 0.0004)
+  })
+
+  it('fees are grouped without USD conversion', function () {
+    this.timeout(1000)
+
+    const rows = groupFees(getFeeEntries({ trades, ledgers }))
+
+    assert.strictEqual(rows[0].groupBy, 'pair')
+
+    const btcUsdPair = findRow(rows, 'pair', 'tBTCUSD', 'USD')
+    assert.strictEqual(btcUsdPair.amount, 2)
+    assert.strictEqual(btcUsdPair.count, 1)
+    assert.isNull(btcUsdPair.usdAmount)
+
+    const taker = findRow(rows, 'makerTaker', 'TAKER', 'USD')
+    assert.strictEqual(taker.amount, 3)
+
+    const btcFees = findRow(rows, 'feeCurrency', 'BTC', 'BTC')
+    assert.closeTo(btcFees.amount, 0.0014, 1e-12)
+    assert.strictEqual(btcFees.count, 2)
+
+    const february = findRow(rows, 'month', '2023-02', 'USD')
+    assert.strictEqual(february.amount, 3)
+    assert.isUndefined(findRow(rows, 'month', '2023-01', 'BTC'))
+  })
+
+  it('fees are converted to USD', function () {
+    this.timeout(1000)
+
+    const getUsdPrice = (ccy) => {
+      if (ccy === 'USD') return 1
+      if (ccy === 'BTC') return 20000
+
+      return null
+    }
+    const rows = groupFees(
+      getFeeEntries({ trades, ledgers }),
+      { getUsdPrice }
+    )
+
+    const btcFees = findRow(rows, 'feeCurrency', 'BTC', 'BTC')
+    assert.closeTo(btcFees.usdAmount, 28, 1e-9)
+
+    const unconvertible = groupFees(
+      getFeeEntries({
+        trades: [{ ...trades[0], feeCurrency: 'XYZ' }]
+      }),
+      { getUsdPrice }
+    )
+
+    assert.isNull(unconvertible[0].usdAmount)
+  })
+})
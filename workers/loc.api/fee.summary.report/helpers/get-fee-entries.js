@@ -0,0 +1,68 @@
+'use strict'
+
+// Ledger entries which are not related to the trading
+const NON_TRADING = 'NON_TRADING'
+
+const _getMakerTaker = (maker) => {
+  if (maker === 1) {
+    return 'MAKER'
+  }
+  if (maker === -1) {
+    return 'TAKER'
+  }
+
+  return 'UNKNOWN'
+}
+
+/*
+ * Trading fees are taken from trades,
+ * so `Trading fees` ledger entries are skipped to not count them twice
+ */
+const _isFeeLedger = (ledger) => (
+  Number.isFinite(ledger?.amount) &&
+  ledger.amount < 0 &&
+  typeof ledger.description === 'string' &&
+  /fee/i.test(ledger.description) &&
+  !/^trading fees/i.test(ledger.description)
+)
+
+/*
+ * Fees are negative values in the BFX API,
+ * the entry amount is positive for paid fees
+ */
+module.exports = ({ trades, ledgers } = {}) => {
+  const entries = []
+
+  for (const trade of (Array.isArray(trades) ? trades : [])) {
+    if (
+      !Number.isFinite(trade?.fee) ||
+      trade.fee === 0 ||
+      !trade.feeCurrency
+    ) {
+      continue
+    }
+
+    entries.push({
+      mts: trade.mtsCreate,
+      pair: trade.symbol,
+      makerTaker: _getMakerTaker(trade.maker),
+      feeCurrency: trade.feeCurrency,
+      amount: -trade.fee
+    })
+  }
+  for (const ledger of (Array.isArray(ledgers) ? ledgers : [])) {
+    if (!_isFeeLedger(ledger)) {
+      continue
+    }
+
+    entries.push({
+      mts: ledger.mts,
+      pair: NON_TRADING,
+      makerTaker: NON_TRADING,
+      feeCurrency: ledger.currency,
+      amount: -ledger.amount
+    })
+  }
+
+  return entries
+}
@@ -0,0 +1,68 @@
+'use strict'
+
+const moment = require('moment-timezone')
+
+const FEE_GROUPS = require('../fee.groups')
+
+const _groupKeyGetters = {
+  [FEE_GROUPS.PAIR]: (entry) => entry.pair,
+  [FEE_GROUPS.MAKER_TAKER]: (entry) => entry.makerTaker,
+  [FEE_GROUPS.FEE_CURRENCY]: (entry) => entry.feeCurrency,
+  [FEE_GROUPS.MONTH]: (entry) => moment(entry.mts).utc().format('YYYY-MM')
+}
+
+const _compareRows = (a, b) => {
+  const groupOrder = Object.values(FEE_GROUPS)
+
+  return (
+    (groupOrder.indexOf(a.groupBy) - groupOrder.indexOf(b.groupBy)) ||
+    String(a.group).localeCompare(String(b.group)) ||
+    String(a.feeCurrency).localeCompare(String(b.feeCurrency))
+  )
+}
+
+/*
+ * Each group has totals per fee currency as
+ * the amounts in different currencies can not be summed up,
+ * the USD amount is null if any entry can not be converted
+ */
+module.exports = (entries, opts) => {
+  const { getUsdPrice } = opts ?? {}
+  const isUsdConverted = typeof getUsdPrice === 'function'
+  const rowsMap = new Map()
+
+  for (const entry of (Array.isArray(entries) ? entries : [])) {
+    const usdPrice = isUsdConverted
+      ? getUsdPrice(entry.feeCurrency, entry.mts)
+      : null
+    const usdAmount = Number.isFinite(usdPrice)
+      ? entry.amount * usdPrice
+      : null
+
+    for (const [groupBy, getGroupKey] of Object.entries(_groupKeyGetters)) {
+      const group = getGroupKey(entry)
+      const key = `${groupBy}:${group}:${entry.feeCurrency}`
+      const row = rowsMap.get(key) ?? {
+        groupBy,
+        group,
+        feeCurrency: entry.feeCurrency,
+        amount: 0,
+        usdAmount: isUsdConverted ? 0 : null,
+        count: 0
+      }
+
+      row.amount += entry.amount
+      row.usdAmount = (
+        Number.isFinite(row.usdAmount) &&
+        Number.isFinite(usdAmount)
+      )
+        ? row.usdAmount + usdAmount
+        : null
+      row.count += 1
+
+      rowsMap.set(key, row)
+    }
+  }
+
+  return [...rowsMap.values()].sort(_compareRows)
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+const getFeeEntries = require('./get-fee-entries')
+const groupFees = require('./group-fees')
+
+module.exports = {
+  getFeeEntries,
+  groupFees
+}
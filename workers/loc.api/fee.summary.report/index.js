@@ -0,0 +1,93 @@
+'use strict'
+
+const {
+  getFeeEntries,
+  groupFees
+} = require('./helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination,
+  TYPES.CurrencyConverter
+]
+class FeeSummaryReport {
+  constructor (
+    rService,
+    fetchDataWithPagination,
+    currencyConverter
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+    this.currencyConverter = currencyConverter
+  }
+
+  async getFeeSummaryReport (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start = 0,
+      end = Date.now(),
+      symbol: _symbol = [],
+      isUSDConversionRequired = false
+    } = params ?? {}
+    const symbolArr = Array.isArray(_symbol)
+      ? _symbol
+      : [_symbol]
+    const symbol = symbolArr.filter((s) => (
+      s && typeof s === 'string'
+    ))
+    const isPairFilterSet = symbol.length > 0
+
+    const trades = await this.fetchDataWithPagination({
+      getData: this.rService.getTrades.bind(this.rService),
+      args: {
+        auth,
+        params: {
+          start,
+          end,
+          ...(isPairFilterSet ? { symbol } : {})
+        }
+      },
+      apiMethodName: 'trades',
+      datePropName: 'mtsCreate',
+      callerName: 'FEE_SUMMARY_REPORT'
+    })
+    // Non-trading fees are not related to pairs
+    const ledgers = isPairFilterSet
+      ? []
+      : await this.fetchDataWithPagination({
+        getData: this.rService.getLedgers.bind(this.rService),
+        args: {
+          auth,
+          params: { start, end }
+        },
+        apiMethodName: 'ledgers',
+        datePropName: 'mts',
+        callerName: 'FEE_SUMMARY_REPORT'
+      })
+
+    const entries = getFeeEntries({ trades, ledgers })
+    const getUsdPrice = isUSDConversionRequired
+      ? await this.currencyConverter.getRateGetter({
+        currencies: entries.map(({ feeCurrency }) => feeCurrency),
+        quoteCurrency: 'USD',
+        start,
+        end
+      })
+      : null
+    const res = groupFees(entries, { getUsdPrice })
+
+    return {
+      nextPage: false,
+      res
+    }
+  }
+}
+
+decorateInjectable(FeeSummaryReport, depsTypes)
+
+module.exports = FeeSummaryReport
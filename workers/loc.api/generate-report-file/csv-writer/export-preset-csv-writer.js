@@ -0,0 +1,66 @@
+'use strict'
+
+const { pipeline } = require('stream/promises')
+const { stringify } = require('csv')
+
+const {
+  write
+} = require('../../queue/write-data-to-stream/helpers')
+const {
+  getExportPreset,
+  getExportPresetMapper
+} = require('../export-presets')
+const { streamWriter } = require('./helpers')
+
+/*
+ * Merges all sub-reports into one csv file,
+ * each data item is mapped into the preset layout
+ * instead of being written as is
+ */
+module.exports = (
+  writeDataToStream
+) => async (
+  wStream,
+  jobData
+) => {
+  if (typeof jobData === 'string') {
+    await streamWriter(
+      wStream,
+      [{
+        columnParams: { columns: ['mess'] },
+        writeFn: (stream) => write([{ mess: jobData }], stream)
+      }]
+    )
+
+    return
+  }
+
+  const {
+    exportPreset,
+    presetJobsData
+  } = jobData ?? {}
+  const preset = getExportPreset(exportPreset)
+  // Csv dialect params are not applied, the layout is fixed by importers
+  const stringifier = stringify({
+    header: true,
+    columns: preset.columns
+  })
+  const promise = pipeline(stringifier, wStream)
+
+  for (const subJobData of presetJobsData) {
+    const mapper = getExportPresetMapper(preset, subJobData.name)
+    const presetStream = {
+      write: (item) => {
+        for (const row of mapper(item)) {
+          stringifier.write(row)
+        }
+      }
+    }
+
+    await writeDataToStream(presetStream, subJobData)
+  }
+
+  stringifier.end()
+
+  await promise
+}
@@ -0,0 +1,105 @@
+'use strict'
+
+const { assert } = require('chai')
+const { pipeline } = require('stream/promises')
+const { Writable } = require('stream')
+const { stringify } = require('csv')
+
+const {
+  getCsvDialect,
+  getCsvStringifyOptions,
+  createCsvEncodingStream
+} = require('../csv-dialect')
+
+const columns = {
+  amount: 'AMOUNT',
+  description: 'DESCRIPTION'
+}
+const rows = [
+  { amount: -0.5, description: 'Withdrawal; fee' },
+  { amount: 1200, description: 'Déposit' }
+]
+
+const writeCsv = async (params) => {
+  const chunks = []
+  const stringifier = stringify(getCsvStringifyOptions(
+    params,
+    { header: true, columns }
+  ))
+  const promise = pipeline(
+    stringifier,
+    createCsvEncodingStream(params),
+    new Writable({
+      write (chunk, enc, cb) {
+        chunks.push(chunk)
+        cb()
+      }
+    })
+  )
+
+  for (const row of rows) {
+    stringifier.write(row)
+  }
+
+  stringifier.end()
+  await promise
+
+  return Buffer.concat(chunks)
+}
+
+describe('Csv dialect', () => {
+  it('default dialect keeps the current csv layout', async function () {
+    this.timeout(1000)
+
+    const buffer = await writeCsv()
+
+    assert.strictEqual(
+      buffer.toString('utf8'),
+      'AMOUNT,DESCRIPTION\n-0.5,Withdrawal; fee\n1200,Déposit\n'
+    )
+  })
+
+  it('numbers follow the decimal separator', async function () {
+    this.timeout(1000)
+
+    const buffer = await writeCsv({
+      delimiter: ';',
+      decimalSeparator: ','
+    })
+
+    assert.strictEqual(
+      buffer.toString('utf8'),
+      'AMOUNT;DESCRIPTION\n-0,5;"Withdrawal; fee"\n1200;Déposit\n'
+    )
+  })
+
+  it('all fields are quoted', async function () {
+    this.timeout(1000)
+
+    const buffer = await writeCsv({ delimiter: '\t', quoteAll: true })
+
+    assert.strictEqual(
+      buffer.toString('utf8').split('\n')[1],
+      '"-0.5"\t"Withdrawal; fee"'
+    )
+  })
+
+  it('csv is transcoded with BOM', async function () {
+    this.timeout(1000)
+
+    const utf16Buffer = await writeCsv({
+      encoding: 'utf16le',
+      includeBom: true
+    })
+    const latin1Buffer = await writeCsv({
+      encoding: 'latin1',
+      includeBom: true
+    })
+
+    assert.deepStrictEqual([...utf16Buffer.subarray(0, 4)], [0xff, 0xfe, 0x41, 0x00])
+    assert.include(utf16Buffer.toString('utf16le'), 'Déposit')
+    assert.strictEqual(latin1Buffer[0], 0x41)
+    assert.include([...latin1Buffer], 0xe9)
+    assert.isFalse(getCsvDialect({ encoding: 'latin1', includeBom: true }).includeBom)
+  })
+})
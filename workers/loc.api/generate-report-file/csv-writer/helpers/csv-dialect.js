@@ -0,0 +1,111 @@
+'use strict'
+
+const { Transform } = require('stream')
+const { StringDecoder } = require('string_decoder')
+
+const BOM = '\uFEFF'
+const UNICODE_ENCODINGS = ['utf8', 'utf16le']
+
+const CSV_DIALECT_PARAM_NAMES = [
+  'delimiter',
+  'decimalSeparator',
+  'includeBom',
+  'encoding',
+  'quoteAll'
+]
+
+const getCsvDialect = (params) => {
+  const {
+    delimiter = ',',
+    decimalSeparator = '.',
+    includeBom = false,
+    encoding = 'utf8',
+    quoteAll = false
+  } = params ?? {}
+
+  return {
+    delimiter,
+    decimalSeparator,
+    // BOM can't be represented in single-byte encodings
+    includeBom: includeBom && UNICODE_ENCODINGS.includes(encoding),
+    encoding,
+    quoteAll
+  }
+}
+
+const formatNumber = (val, decimalSeparator) => {
+  const str = `${val}`
+
+  return decimalSeparator === '.'
+    ? str
+    : str.replace('.', decimalSeparator)
+}
+
+/*
+ * Numbers are formatted by the stringifier as values are
+ * kept as numbers after applying report format settings
+ */
+const getCsvStringifyOptions = (params, columnParams) => {
+  const {
+    delimiter,
+    decimalSeparator,
+    quoteAll
+  } = getCsvDialect(params)
+
+  return {
+    ...columnParams,
+    delimiter,
+    quoted: quoteAll,
+    cast: {
+      number: (val) => formatNumber(val, decimalSeparator)
+    }
+  }
+}
+
+/*
+ * Stringified csv is transcoded into the selected encoding,
+ * BOM goes first to let Excel detect the encoding
+ */
+const createCsvEncodingStream = (params) => {
+  const {
+    includeBom,
+    encoding
+  } = getCsvDialect(params)
+  const decoder = new StringDecoder('utf8')
+  let isBomRequired = includeBom
+
+  const getChunk = (str) => {
+    const _str = isBomRequired
+      ? `${BOM}${str}`
+      : str
+    isBomRequired = false
+
+    return Buffer.from(_str, encoding)
+  }
+
+  return new Transform({
+    transform (chunk, enc, cb) {
+      const str = Buffer.isBuffer(chunk)
+        ? decoder.write(chunk)
+        : chunk
+
+      cb(null, getChunk(str))
+    },
+    flush (cb) {
+      const str = decoder.end()
+
+      if (str || isBomRequired) {
+        this.push(getChunk(str))
+      }
+
+      cb()
+    }
+  })
+}
+
+module.exports = {
+  CSV_DIALECT_PARAM_NAMES,
+  getCsvDialect,
+  getCsvStringifyOptions,
+  createCsvEncodingStream
+}
@@ -3,6 +3,13 @@
 const { pipeline } = require('stream/promises')
 const { stringify } = require('csv')
 
+const {
+  CSV_DIALECT_PARAM_NAMES,
+  getCsvDialect,
+  getCsvStringifyOptions,
+  createCsvEncodingStream
+} = require('./csv-dialect')
+
 const streamWriterToOne = async (
   rStream,
   wStream,
@@ -12,13 +19,20 @@ const streamWriterToOne = async (
   const { end = true } = opts ?? {}
   const promise = pipeline(rStream, wStream, { end })
 
-  writeFn(rStream)
+  await writeFn(rStream)
   rStream.end()
 
   await promise
 }
 
-const streamWriter = async (wStream, csvStreamDataMap) => {
+/*
+ * All parts are written into the one encoding stream
+ * to have the only BOM at the beginning of the file
+ */
+const streamWriter = async (wStream, csvStreamDataMap, params) => {
+  const encodingStream = createCsvEncodingStream(params)
+  const promise = pipeline(encodingStream, wStream)
+
   for (const [i, csvStreamData] of csvStreamDataMap.entries()) {
     const isLast = (i + 1) === csvStreamDataMap.length
     const {
@@ -26,17 +40,58 @@ const streamWriter = async (wStream, csvStreamDataMap) => {
       writeFn
     } = csvStreamData
 
-    const stringifier = stringify(columnParams)
+    const stringifier = stringify(
+      getCsvStringifyOptions(params, columnParams)
+    )
     await streamWriterToOne(
       stringifier,
-      wStream,
+      encodingStream,
       writeFn,
       { end: isLast }
     )
   }
+
+  await promise
+}
+
+/*
+ * The summary block is separated from the report table
+ * by the empty line and has the own header
+ */
+const writeTotalsToCsv = async (wStream, totals, params) => {
+  if (!totals) {
+    wStream.end()
+
+    return
+  }
+
+  const stringifier = stringify(getCsvStringifyOptions(
+    params,
+    {
+      header: true,
+      columns: totals.columns
+    }
+  ))
+
+  wStream.write('\n')
+
+  await streamWriterToOne(
+    stringifier,
+    wStream,
+    (stream) => {
+      for (const row of totals.rows) {
+        stream.write(row)
+      }
+    }
+  )
 }
 
 module.exports = {
+  CSV_DIALECT_PARAM_NAMES,
+  getCsvDialect,
+  getCsvStringifyOptions,
+  createCsvEncodingStream,
   streamWriterToOne,
-  streamWriter
+  streamWriter,
+  writeTotalsToCsv
 }
@@ -3,7 +3,11 @@
 const weightedAveragesReportCsvWriter = require(
   './weighted-averages-report-csv-writer'
 )
+const exportPresetCsvWriter = require(
+  './export-preset-csv-writer'
+)
 
 module.exports = {
-  weightedAveragesReportCsvWriter
+  weightedAveragesReportCsvWriter,
+  exportPresetCsvWriter
 }
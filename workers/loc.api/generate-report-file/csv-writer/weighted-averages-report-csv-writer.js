@@ -76,7 +76,8 @@ module.exports = (
           params
         )
       }
-    ]
+    ],
+    params
   )
 
   queue.emit('progress', 100)
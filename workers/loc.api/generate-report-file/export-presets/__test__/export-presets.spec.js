@@ -0,0 +1,195 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  EXPORT_PRESET_NAMES,
+  getExportPreset,
+  getExportPresetMapper
+} = require('..')
+const { getLedgerKind } = require('../helpers')
+const LEDGER_KINDS = require('../../../helpers/ledger.kinds')
+
+const mts = Date.UTC(2023, 0, 2, 3, 4, 5)
+const buyTrade = {
+  id: 1,
+  symbol: 'tBTCUST',
+  mtsCreate: mts,
+  orderID: 11,
+  execAmount: 0.5,
+  execPrice: 20000,
+  orderType: 'EXCHANGE LIMIT',
+  fee: -0.001,
+  feeCurrency: 'BTC'
+}
+const sellTrade = {
+  ...buyTrade,
+  id: 2,
+  execAmount: -0.5,
+  fee: -20,
+  feeCurrency: 'UST'
+}
+const withdrawal = {
+  id: 3,
+  currency: 'BTC',
+  mtsStarted: mts - 1000,
+  mtsUpdated: mts,
+  status: 'COMPLETED',
+  amount: -1,
+  fees: -0.0004,
+  transactionId: 'hash'
+}
+const fundingPayment = {
+  id: 4,
+  currency: 'USD',
+  mts,
+  amount: 2.5,
+  balance: 100,
+  description: 'Margin Funding Payment on wallet funding',
+  wallet: 'funding'
+}
+
+describe('Export presets', () => {
+  it('ledger kinds are detected by description', function () {
+    this.timeout(1000)
+
+    const kinds = [
+      ['Trading fees for 0.17 BTC (BTCUSD) @ 8205.0 on BFX (0.2%) on wallet exchange', LEDGER_KINDS.TRADE_FEE],
+      ['Exchange 657.55328064 XRP for USD @ 0.26968 on wallet exchange', LEDGER_KINDS.TRADE],
+      ['Crypto Withdrawal fee on wallet exchange', LEDGER_KINDS.MOVEMENT_FEE],
+      ['Wire Withdrawal fee on wallet funding', LEDGER_KINDS.MOVEMENT_FEE],
+      ['Withdrawal Express Fee on wallet exchange', LEDGER_KINDS.MOVEMENT_FEE],
+      ['Deposit (BITCOIN) #123 on wallet exchange', LEDGER_KINDS.MOVEMENT],
+      ['Crypto Withdrawal #123 on wallet exchange', LEDGER_KINDS.MOVEMENT],
+      ['Wire Withdrawal #13002753 on wallet funding', LEDGER_KINDS.MOVEMENT],
+      ['Bank Wire Deposit #123 on wallet exchange', LEDGER_KINDS.MOVEMENT],
+      ['Canceled withdrawal #123 on wallet exchange', LEDGER_KINDS.MOVEMENT],
+      ['Margin Funding Payment on wallet deposit', LEDGER_KINDS.MARGIN_FUNDING_PAYMENT],
+      ['Transfer of 1.0 BTC from wallet Exchange to Margin on wallet margin', LEDGER_KINDS.TRANSFER],
+      ['Margin Funding Payment on wallet funding', LEDGER_KINDS.MARGIN_FUNDING_PAYMENT],
+      ['Position #123 funding cost', LEDGER_KINDS.MARGIN_FUNDING_CHARGE],
+      ['Settlement @ 1.123 on wallet margin', LEDGER_KINDS.SETTLEMENT],
+      ['Staking Payment on wallet exchange', LEDGER_KINDS.STAKING_REWARD],
+      ['Something new', LEDGER_KINDS.OTHER]
+    ]
+
+    for (const [description, kind] of kinds) {
+      assert.strictEqual(getLedgerKind({ description }), kind)
+    }
+  })
+
+  it('unknown preset is not found', function () {
+    this.timeout(1000)
+
+    assert.isNull(getExportPreset('unknown'))
+    assert.isNull(getExportPresetMapper(
+      getExportPreset(EXPORT_PRESET_NAMES.KOINLY),
+      'getOrders'
+    ))
+  })
+
+  it('koinly preset', function () {
+    this.timeout(1000)
+
+    const preset = getExportPreset(EXPORT_PRESET_NAMES.KOINLY)
+    const [buyRow] = preset.mapTrade(buyTrade)
+    const [sellRow] = preset.mapTrade(sellTrade)
+    const [withdrawalRow] = preset.mapMovement(withdrawal)
+    const [paymentRow] = preset.mapLedger(fundingPayment)
+
+    assert.sameOrderedMembers(
+      Object.keys(buyRow),
+      Object.keys(preset.columns)
+    )
+    assert.strictEqual(buyRow.date, '2023-01-02 03:04:05')
+    assert.strictEqual(buyRow.sentAmount, 10000)
+    assert.strictEqual(buyRow.sentCurrency, 'USDT')
+    assert.strictEqual(buyRow.receivedAmount, 0.5)
+    assert.strictEqual(buyRow.receivedCurrency, 'BTC')
+    assert.strictEqual(buyRow.feeAmount, 0.001)
+    assert.strictEqual(buyRow.feeCurrency, 'BTC')
+
+    assert.strictEqual(sellRow.sentCurrency, 'BTC')
+    assert.strictEqual(sellRow.receivedAmount, 10000)
+    assert.strictEqual(sellRow.feeAmount, 20)
+    assert.strictEqual(sellRow.feeCurrency, 'USDT')
+
+    assert.strictEqual(withdrawalRow.sentAmount, 1)
+    assert.strictEqual(withdrawalRow.feeAmount, 0.0004)
+    assert.strictEqual(withdrawalRow.txHash, 'hash')
+
+    assert.strictEqual(paymentRow.receivedAmount, 2.5)
+    assert.strictEqual(paymentRow.label, 'loan interest')
+  })
+
+  it('cointracking preset', function () {
+    this.timeout(1000)
+
+    const preset = getExportPreset(EXPORT_PRESET_NAMES.COINTRACKING)
+    const [buyRow] = preset.mapTrade(buyTrade)
+    const [withdrawalRow] = preset.mapMovement(withdrawal)
+    const [paymentRow] = preset.mapLedger(fundingPayment)
+
+    assert.sameOrderedMembers(
+      Object.keys(buyRow),
+      Object.keys(preset.columns)
+    )
+    assert.strictEqual(buyRow.type, 'Trade')
+    assert.strictEqual(buyRow.date, '02.01.2023 03:04:05')
+    assert.strictEqual(buyRow.buyAmount, 0.5)
+    assert.strictEqual(buyRow.sellAmount, 10000)
+    assert.strictEqual(buyRow.exchange, 'Bitfinex')
+
+    assert.strictEqual(withdrawalRow.type, 'Withdrawal')
+    assert.strictEqual(withdrawalRow.sellAmount, 1)
+
+    assert.strictEqual(paymentRow.type, 'Lending Income')
+  })
+
+  it('universal preset', function () {
+    this.timeout(1000)
+
+    const preset = getExportPreset(EXPORT_PRESET_NAMES.UNIVERSAL)
+    const [sellRow] = preset.mapTrade(sellTrade)
+    const [withdrawalRow] = preset.mapMovement(withdrawal)
+
+    assert.sameOrderedMembers(
+      Object.keys(sellRow),
+      Object.keys(preset.columns)
+    )
+    assert.strictEqual(sellRow.date, '2023-01-02T03:04:05.000Z')
+    assert.strictEqual(sellRow.type, 'sell')
+    assert.strictEqual(sellRow.baseAmount, -0.5)
+    assert.strictEqual(sellRow.quoteAmount, 10000)
+    assert.strictEqual(sellRow.quoteCurrency, 'UST')
+
+    assert.strictEqual(withdrawalRow.type, 'withdrawal')
+    assert.strictEqual(withdrawalRow.baseAmount, -1)
+  })
+
+  it('trades, movements and internal ledgers are not exported from ledgers', function () {
+    this.timeout(1000)
+
+    const ledgers = [
+      { ...fundingPayment, description: 'Exchange 0.5 BTC for UST @ 20000 on wallet exchange' },
+      { ...fundingPayment, description: 'Trading fees for 0.5 BTC (BTCUST) @ 20000 on BFX (0.2%) on wallet exchange' },
+      { ...fundingPayment, description: 'Deposit (BITCOIN) #123 on wallet exchange' },
+      { ...fundingPayment, description: 'Wire Withdrawal #13002753 on wallet funding' },
+      { ...fundingPayment, description: 'Bank Wire Deposit #123 on wallet exchange' },
+      { ...fundingPayment, description: 'Transfer of 1.0 BTC from wallet Exchange to Margin on wallet margin' }
+    ]
+
+    for (const name of Object.values(EXPORT_PRESET_NAMES)) {
+      const preset = getExportPreset(name)
+
+      for (const ledger of ledgers) {
+        assert.lengthOf(preset.mapLedger(ledger), 0)
+      }
+
+      assert.lengthOf(
+        preset.mapMovement({ ...withdrawal, status: 'PENDING' }),
+        0
+      )
+    }
+  })
+})
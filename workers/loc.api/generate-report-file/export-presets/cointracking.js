@@ -0,0 +1,134 @@
+'use strict'
+
+const EXPORT_PRESET_NAMES = require('./export-preset-names')
+const LEDGER_KINDS = require('../../helpers/ledger.kinds')
+const {
+  normalizeCurrency,
+  formatDate,
+  getLedgerKind,
+  isExportedLedger,
+  isExportedMovement,
+  getTradeLegs
+} = require('./helpers')
+
+// CoinTracking CSV import, dates are in UTC
+const dateFormat = 'DD.MM.YYYY HH:mm:ss'
+const exchange = 'Bitfinex'
+
+const columns = {
+  type: 'Type',
+  buyAmount: 'Buy Amount',
+  buyCurrency: 'Buy Currency',
+  sellAmount: 'Sell Amount',
+  sellCurrency: 'Sell Currency',
+  fee: 'Fee',
+  feeCurrency: 'Fee Currency',
+  exchange: 'Exchange',
+  tradeGroup: 'Trade-Group',
+  comment: 'Comment',
+  date: 'Date'
+}
+
+const _ledgerTypes = {
+  [LEDGER_KINDS.MARGIN_FUNDING_PAYMENT]: ['Lending Income', 'Other Expense'],
+  [LEDGER_KINDS.MARGIN_FUNDING_CHARGE]: ['Other Income', 'Margin Fee'],
+  [LEDGER_KINDS.STAKING_REWARD]: ['Staking', 'Other Expense'],
+  [LEDGER_KINDS.AFFILIATE_REBATE]: ['Reward / Bonus', 'Other Expense'],
+  [LEDGER_KINDS.SETTLEMENT]: ['Margin Profit', 'Margin Loss'],
+  [LEDGER_KINDS.OTHER]: ['Other Income', 'Other Expense']
+}
+
+const _getRow = (row) => ({
+  type: '',
+  buyAmount: '',
+  buyCurrency: '',
+  sellAmount: '',
+  sellCurrency: '',
+  fee: '',
+  feeCurrency: '',
+  exchange,
+  tradeGroup: '',
+  comment: '',
+  date: '',
+  ...row
+})
+
+const mapTrade = (trade) => {
+  const legs = getTradeLegs(trade)
+
+  if (!legs) {
+    return []
+  }
+
+  return [_getRow({
+    type: 'Trade',
+    buyAmount: legs.receivedAmount,
+    buyCurrency: normalizeCurrency(legs.receivedCurrency),
+    sellAmount: legs.sentAmount,
+    sellCurrency: normalizeCurrency(legs.sentCurrency),
+    fee: legs.feeAmount || '',
+    feeCurrency: legs.feeAmount
+      ? normalizeCurrency(legs.feeCurrency)
+      : '',
+    comment: `Trade #${trade.id} of order #${trade.orderID}`,
+    date: formatDate(trade.mtsCreate, dateFormat)
+  })]
+}
+
+const mapLedger = (ledger) => {
+  if (!isExportedLedger(ledger)) {
+    return []
+  }
+
+  const isIncoming = ledger.amount > 0
+  const [incomingType, outgoingType] = _ledgerTypes[
+    getLedgerKind(ledger)
+  ] ?? _ledgerTypes[LEDGER_KINDS.OTHER]
+  const amount = Math.abs(ledger.amount)
+  const currency = normalizeCurrency(ledger.currency)
+
+  return [_getRow({
+    type: isIncoming ? incomingType : outgoingType,
+    ...(isIncoming
+      ? { buyAmount: amount, buyCurrency: currency }
+      : { sellAmount: amount, sellCurrency: currency }),
+    comment: ledger.description ?? '',
+    date: formatDate(ledger.mts, dateFormat)
+  })]
+}
+
+const mapMovement = (movement) => {
+  if (!isExportedMovement(movement)) {
+    return []
+  }
+
+  const isDeposit = movement.amount > 0
+  const amount = Math.abs(movement.amount)
+  const currency = normalizeCurrency(movement.currency)
+  const fee = Number.isFinite(movement.fees)
+    ? Math.abs(movement.fees)
+    : 0
+  const txId = movement.transactionId
+    ? ` tx ${movement.transactionId}`
+    : ''
+
+  return [_getRow({
+    type: isDeposit ? 'Deposit' : 'Withdrawal',
+    ...(isDeposit
+      ? { buyAmount: amount, buyCurrency: currency }
+      : { sellAmount: amount, sellCurrency: currency }),
+    fee: fee || '',
+    feeCurrency: fee ? currency : '',
+    comment: `${isDeposit ? 'Deposit' : 'Withdrawal'} #${movement.id}${txId}`,
+    date: formatDate(movement.mtsUpdated, dateFormat)
+  })]
+}
+
+module.exports = {
+  name: EXPORT_PRESET_NAMES.COINTRACKING,
+  dateFormat,
+  columns,
+  mapTrade,
+  mapLedger,
+  mapMovement
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  KOINLY: 'koinly',
+  COINTRACKING: 'cointracking',
+  UNIVERSAL: 'universal'
+}
@@ -0,0 +1,128 @@
+'use strict'
+
+const moment = require('moment-timezone')
+
+const splitSymbolPairs = require('../../helpers/split-symbol-pairs')
+const LEDGER_KINDS = require('../../helpers/ledger.kinds')
+const getLedgerKind = require('../../helpers/get-ledger-kind')
+
+/*
+ * Tax tools expect common tickers instead of
+ * the BFX currency ids
+ */
+const _currencyMap = new Map([
+  ['UST', 'USDT'],
+  ['UDC', 'USDC'],
+  ['TSD', 'TUSD'],
+  ['PAX', 'USDP'],
+  ['DSH', 'DASH'],
+  ['IOT', 'IOTA'],
+  ['QTM', 'QTUM'],
+  ['ALG', 'ALGO'],
+  ['MNA', 'MANA'],
+  ['DAT', 'DATA'],
+  ['YYW', 'YOYOW'],
+  ['QSH', 'QASH'],
+  ['SNG', 'SNGLS'],
+  ['AMP', 'AMPL'],
+  ['EUT', 'EURT'],
+  ['XCH', 'XCHF'],
+  ['WBT', 'WBTC']
+])
+
+/*
+ * Trades and movements are exported from their own sources,
+ * internal transfers are not taxable events
+ */
+const EXCLUDED_LEDGER_KINDS = [
+  LEDGER_KINDS.TRADE,
+  LEDGER_KINDS.TRADE_FEE,
+  LEDGER_KINDS.MOVEMENT,
+  LEDGER_KINDS.MOVEMENT_FEE,
+  LEDGER_KINDS.TRANSFER
+]
+
+const normalizeCurrency = (ccy) => {
+  if (
+    !ccy ||
+    typeof ccy !== 'string'
+  ) {
+    return ccy
+  }
+
+  return _currencyMap.get(ccy) ?? ccy
+}
+
+const formatDate = (mts, format) => {
+  if (!Number.isInteger(mts)) {
+    return ''
+  }
+
+  return moment(mts).utc().format(format)
+}
+
+const isExportedLedger = (ledger) => (
+  Number.isFinite(ledger?.amount) &&
+  ledger.amount !== 0 &&
+  !EXCLUDED_LEDGER_KINDS.includes(getLedgerKind(ledger))
+)
+
+const isExportedMovement = (movement) => (
+  Number.isFinite(movement?.amount) &&
+  movement.amount !== 0 &&
+  movement.status === 'COMPLETED'
+)
+
+/*
+ * Returns what was sent and received by the trade
+ * as absolute amounts, the fee is positive as well
+ */
+const getTradeLegs = (trade) => {
+  const {
+    symbol,
+    execAmount,
+    execPrice,
+    fee,
+    feeCurrency
+  } = trade ?? {}
+
+  if (
+    !symbol ||
+    typeof symbol !== 'string' ||
+    !Number.isFinite(execAmount) ||
+    execAmount === 0 ||
+    !Number.isFinite(execPrice)
+  ) {
+    return null
+  }
+
+  const [baseCurrency, quoteCurrency] = splitSymbolPairs(symbol)
+  const isBuy = execAmount > 0
+  const baseAmount = Math.abs(execAmount)
+  const quoteAmount = Math.abs(execAmount * execPrice)
+
+  return {
+    isBuy,
+    baseCurrency,
+    quoteCurrency,
+    baseAmount,
+    quoteAmount,
+    price: execPrice,
+    sentAmount: isBuy ? quoteAmount : baseAmount,
+    sentCurrency: isBuy ? quoteCurrency : baseCurrency,
+    receivedAmount: isBuy ? baseAmount : quoteAmount,
+    receivedCurrency: isBuy ? baseCurrency : quoteCurrency,
+    feeAmount: Number.isFinite(fee) ? Math.abs(fee) : 0,
+    feeCurrency: feeCurrency ?? ''
+  }
+}
+
+module.exports = {
+  EXCLUDED_LEDGER_KINDS,
+  normalizeCurrency,
+  formatDate,
+  getLedgerKind,
+  isExportedLedger,
+  isExportedMovement,
+  getTradeLegs
+}
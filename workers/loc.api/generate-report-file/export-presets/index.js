@@ -0,0 +1,38 @@
+'use strict'
+
+const EXPORT_PRESET_NAMES = require('./export-preset-names')
+const koinly = require('./koinly')
+const cointracking = require('./cointracking')
+const universal = require('./universal')
+
+const _presets = new Map([
+  [EXPORT_PRESET_NAMES.KOINLY, koinly],
+  [EXPORT_PRESET_NAMES.COINTRACKING, cointracking],
+  [EXPORT_PRESET_NAMES.UNIVERSAL, universal]
+])
+
+// Report methods which can be mapped into export presets
+const EXPORT_PRESET_MAPPER_NAMES = {
+  getTrades: 'mapTrade',
+  getLedgers: 'mapLedger',
+  getMovements: 'mapMovement'
+}
+
+const getExportPreset = (name) => {
+  return _presets.get(name) ?? null
+}
+
+const getExportPresetMapper = (preset, method) => {
+  const mapperName = EXPORT_PRESET_MAPPER_NAMES[method]
+
+  return typeof preset?.[mapperName] === 'function'
+    ? preset[mapperName]
+    : null
+}
+
+module.exports = {
+  EXPORT_PRESET_NAMES,
+  EXPORT_PRESET_MAPPER_NAMES,
+  getExportPreset,
+  getExportPresetMapper
+}
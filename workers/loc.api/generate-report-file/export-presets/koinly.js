@@ -0,0 +1,131 @@
+'use strict'
+
+const EXPORT_PRESET_NAMES = require('./export-preset-names')
+const LEDGER_KINDS = require('../../helpers/ledger.kinds')
+const {
+  normalizeCurrency,
+  formatDate,
+  getLedgerKind,
+  isExportedLedger,
+  isExportedMovement,
+  getTradeLegs
+} = require('./helpers')
+
+// Koinly Universal Format, dates are in UTC
+const dateFormat = 'YYYY-MM-DD HH:mm:ss'
+
+const columns = {
+  date: 'Date',
+  sentAmount: 'Sent Amount',
+  sentCurrency: 'Sent Currency',
+  receivedAmount: 'Received Amount',
+  receivedCurrency: 'Received Currency',
+  feeAmount: 'Fee Amount',
+  feeCurrency: 'Fee Currency',
+  netWorthAmount: 'Net Worth Amount',
+  netWorthCurrency: 'Net Worth Currency',
+  label: 'Label',
+  description: 'Description',
+  txHash: 'TxHash'
+}
+
+const _ledgerLabels = {
+  [LEDGER_KINDS.MARGIN_FUNDING_PAYMENT]: ['loan interest', 'loan interest'],
+  [LEDGER_KINDS.MARGIN_FUNDING_CHARGE]: ['other income', 'margin fee'],
+  [LEDGER_KINDS.STAKING_REWARD]: ['reward', 'cost'],
+  [LEDGER_KINDS.AFFILIATE_REBATE]: ['income', 'cost'],
+  [LEDGER_KINDS.SETTLEMENT]: ['realized gain', 'realized gain'],
+  [LEDGER_KINDS.OTHER]: ['other income', 'cost']
+}
+
+const _getRow = (row) => ({
+  date: '',
+  sentAmount: '',
+  sentCurrency: '',
+  receivedAmount: '',
+  receivedCurrency: '',
+  feeAmount: '',
+  feeCurrency: '',
+  netWorthAmount: '',
+  netWorthCurrency: '',
+  label: '',
+  description: '',
+  txHash: '',
+  ...row
+})
+
+const mapTrade = (trade) => {
+  const legs = getTradeLegs(trade)
+
+  if (!legs) {
+    return []
+  }
+
+  return [_getRow({
+    date: formatDate(trade.mtsCreate, dateFormat),
+    sentAmount: legs.sentAmount,
+    sentCurrency: normalizeCurrency(legs.sentCurrency),
+    receivedAmount: legs.receivedAmount,
+    receivedCurrency: normalizeCurrency(legs.receivedCurrency),
+    feeAmount: legs.feeAmount || '',
+    feeCurrency: legs.feeAmount
+      ? normalizeCurrency(legs.feeCurrency)
+      : '',
+    description: `Trade #${trade.id} of order #${trade.orderID}`
+  })]
+}
+
+const mapLedger = (ledger) => {
+  if (!isExportedLedger(ledger)) {
+    return []
+  }
+
+  const isIncoming = ledger.amount > 0
+  const [incomingLabel, outgoingLabel] = _ledgerLabels[
+    getLedgerKind(ledger)
+  ] ?? _ledgerLabels[LEDGER_KINDS.OTHER]
+  const amount = Math.abs(ledger.amount)
+  const currency = normalizeCurrency(ledger.currency)
+
+  return [_getRow({
+    date: formatDate(ledger.mts, dateFormat),
+    ...(isIncoming
+      ? { receivedAmount: amount, receivedCurrency: currency }
+      : { sentAmount: amount, sentCurrency: currency }),
+    label: isIncoming ? incomingLabel : outgoingLabel,
+    description: ledger.description ?? ''
+  })]
+}
+
+const mapMovement = (movement) => {
+  if (!isExportedMovement(movement)) {
+    return []
+  }
+
+  const isDeposit = movement.amount > 0
+  const amount = Math.abs(movement.amount)
+  const currency = normalizeCurrency(movement.currency)
+  const feeAmount = Number.isFinite(movement.fees)
+    ? Math.abs(movement.fees)
+    : 0
+
+  return [_getRow({
+    date: formatDate(movement.mtsUpdated, dateFormat),
+    ...(isDeposit
+      ? { receivedAmount: amount, receivedCurrency: currency }
+      : { sentAmount: amount, sentCurrency: currency }),
+    feeAmount: feeAmount || '',
+    feeCurrency: feeAmount ? currency : '',
+    description: `${isDeposit ? 'Deposit' : 'Withdrawal'} #${movement.id}`,
+    txHash: movement.transactionId ?? ''
+  })]
+}
+
+module.exports = {
+  name: EXPORT_PRESET_NAMES.KOINLY,
+  dateFormat,
+  columns,
+  mapTrade,
+  mapLedger,
+  mapMovement
+}
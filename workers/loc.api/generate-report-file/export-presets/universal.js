@@ -0,0 +1,129 @@
+'use strict'
+
+const EXPORT_PRESET_NAMES = require('./export-preset-names')
+const LEDGER_KINDS = require('../../helpers/ledger.kinds')
+const {
+  formatDate,
+  getLedgerKind,
+  isExportedLedger,
+  isExportedMovement,
+  getTradeLegs
+} = require('./helpers')
+
+// ISO 8601 in UTC, amounts are signed from the account perspective
+const dateFormat = 'YYYY-MM-DDTHH:mm:ss.SSS[Z]'
+
+const columns = {
+  date: 'Date',
+  type: 'Type',
+  baseAmount: 'Base Amount',
+  baseCurrency: 'Base Currency',
+  quoteAmount: 'Quote Amount',
+  quoteCurrency: 'Quote Currency',
+  price: 'Price',
+  feeAmount: 'Fee Amount',
+  feeCurrency: 'Fee Currency',
+  wallet: 'Wallet',
+  source: 'Source',
+  reference: 'Reference',
+  description: 'Description'
+}
+
+const _ledgerTypes = {
+  [LEDGER_KINDS.MARGIN_FUNDING_PAYMENT]: 'interest',
+  [LEDGER_KINDS.MARGIN_FUNDING_CHARGE]: 'fee',
+  [LEDGER_KINDS.STAKING_REWARD]: 'reward',
+  [LEDGER_KINDS.AFFILIATE_REBATE]: 'rebate',
+  [LEDGER_KINDS.SETTLEMENT]: 'settlement',
+  [LEDGER_KINDS.OTHER]: 'other'
+}
+
+const _getRow = (row) => ({
+  date: '',
+  type: '',
+  baseAmount: '',
+  baseCurrency: '',
+  quoteAmount: '',
+  quoteCurrency: '',
+  price: '',
+  feeAmount: '',
+  feeCurrency: '',
+  wallet: '',
+  source: '',
+  reference: '',
+  description: '',
+  ...row
+})
+
+const mapTrade = (trade) => {
+  const legs = getTradeLegs(trade)
+
+  if (!legs) {
+    return []
+  }
+
+  const sign = legs.isBuy ? 1 : -1
+
+  return [_getRow({
+    date: formatDate(trade.mtsCreate, dateFormat),
+    type: legs.isBuy ? 'buy' : 'sell',
+    baseAmount: sign * legs.baseAmount,
+    baseCurrency: legs.baseCurrency,
+    quoteAmount: -sign * legs.quoteAmount,
+    quoteCurrency: legs.quoteCurrency,
+    price: legs.price,
+    feeAmount: legs.feeAmount,
+    feeCurrency: legs.feeCurrency,
+    source: 'trades',
+    reference: trade.id ?? '',
+    description: `${trade.orderType ?? ''} order #${trade.orderID}`.trim()
+  })]
+}
+
+const mapLedger = (ledger) => {
+  if (!isExportedLedger(ledger)) {
+    return []
+  }
+
+  return [_getRow({
+    date: formatDate(ledger.mts, dateFormat),
+    type: _ledgerTypes[getLedgerKind(ledger)] ?? _ledgerTypes[LEDGER_KINDS.OTHER],
+    baseAmount: ledger.amount,
+    baseCurrency: ledger.currency,
+    wallet: ledger.wallet ?? '',
+    source: 'ledgers',
+    reference: ledger.id ?? '',
+    description: ledger.description ?? ''
+  })]
+}
+
+const mapMovement = (movement) => {
+  if (!isExportedMovement(movement)) {
+    return []
+  }
+
+  const isDeposit = movement.amount > 0
+
+  return [_getRow({
+    date: formatDate(movement.mtsUpdated, dateFormat),
+    type: isDeposit ? 'deposit' : 'withdrawal',
+    baseAmount: movement.amount,
+    baseCurrency: movement.currency,
+    feeAmount: Number.isFinite(movement.fees)
+      ? Math.abs(movement.fees)
+      : 0,
+    feeCurrency: movement.currency,
+    source: 'movements',
+    reference: movement.id ?? '',
+    description: movement.transactionId ?? ''
+  })]
+}
+
+module.exports = {
+  name: EXPORT_PRESET_NAMES.UNIVERSAL,
+  dateFormat,
+  columns,
+  mapTrade,
+  mapLedger,
+  mapMovement
+}
@@ -0,0 +1,112 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  ArgsParamsColumnsError
+} = require('../../../errors')
+const {
+  getColumnsByParam,
+  applyColumnsParam
+} = require('..')
+
+const columnsCsv = {
+  id: '#',
+  symbol: 'PAIR',
+  orderID: 'ORDER ID',
+  execAmount: 'AMOUNT'
+}
+const modelFields = [
+  'id',
+  'symbol',
+  'orderID',
+  'execAmount',
+  'orderType',
+  'maker'
+]
+
+describe('Columns param of report files', () => {
+  it('columns are picked in the requested order', function () {
+    this.timeout(1000)
+
+    const res = getColumnsByParam(
+      [
+        'execAmount',
+        { field: 'symbol', header: 'Market' },
+        'orderType',
+        'id'
+      ],
+      { columnsCsv, modelFields }
+    )
+
+    assert.deepStrictEqual(res, {
+      execAmount: 'AMOUNT',
+      symbol: 'Market',
+      orderType: 'ORDER TYPE',
+      id: '#'
+    })
+    assert.deepStrictEqual(Object.keys(res), [
+      'execAmount',
+      'symbol',
+      'orderType',
+      'id'
+    ])
+  })
+
+  it('unknown and duplicated fields are rejected', function () {
+    this.timeout(1000)
+
+    assert.throws(
+      () => getColumnsByParam(['id', 'password'], { columnsCsv, modelFields }),
+      ArgsParamsColumnsError
+    )
+    assert.throws(
+      () => getColumnsByParam(['id', { field: 'id' }], { columnsCsv, modelFields }),
+      ArgsParamsColumnsError
+    )
+    assert.throws(
+      () => getColumnsByParam(['maker'], { columnsCsv }),
+      ArgsParamsColumnsError
+    )
+
+    try {
+      getColumnsByParam(['id', 'password'], { columnsCsv, modelFields })
+    } catch (err) {
+      assert.strictEqual(err.statusCode, 400)
+      assert.strictEqual(err.data[0].instancePath, '/columns/1')
+    }
+  })
+
+  it('columns param is applied to sub-reports', function () {
+    this.timeout(1000)
+
+    const jobData = {
+      name: 'getMultiple',
+      args: { params: {} },
+      jobsData: [
+        {
+          name: 'getTrades',
+          args: { params: { columns: ['maker', 'id'] } },
+          columnsCsv,
+          columnsPdf: columnsCsv
+        },
+        {
+          name: 'getWallets',
+          args: { params: {} },
+          columnsCsv: { type: 'TYPE' }
+        }
+      ]
+    }
+    const res = applyColumnsParam(jobData, (name) => (
+      name === 'getTrades' ? modelFields : []
+    ))
+
+    assert.deepStrictEqual(res.jobsData[0].columnsCsv, {
+      maker: 'MAKER',
+      id: '#'
+    })
+    assert.notProperty(res.jobsData[0], 'columnsPdf')
+    assert.strictEqual(res.jobsData[1], jobData.jobsData[1])
+    assert.deepStrictEqual(jobData.jobsData[0].columnsCsv, columnsCsv)
+  })
+})
@@ -0,0 +1,109 @@
+'use strict'
+
+const {
+  ArgsParamsColumnsError
+} = require('../../errors')
+
+const _getDefaultHeader = (field) => field
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toUpperCase()
+
+const _normalizeColumn = (column) => (
+  typeof column === 'string'
+    ? { field: column }
+    : { ...column }
+)
+
+/*
+ * Fields are checked against the filter model of the report,
+ * reports without the filter model can only keep, reorder
+ * and rename their own columns
+ */
+const getColumnsByParam = (columns, opts) => {
+  const {
+    columnsCsv,
+    modelFields
+  } = opts ?? {}
+  const allowedFields = Array.isArray(modelFields) && modelFields.length > 0
+    ? modelFields
+    : Object.keys(columnsCsv ?? {})
+  const errors = []
+
+  const res = columns.reduce((accum, column, i) => {
+    const { field, header } = _normalizeColumn(column)
+
+    if (!allowedFields.includes(field)) {
+      errors.push({
+        instancePath: `/columns/${i}`,
+        message: 'must be equal to one of the allowed values',
+        params: { allowedValues: allowedFields }
+      })
+
+      return accum
+    }
+    if (Object.prototype.hasOwnProperty.call(accum, field)) {
+      errors.push({
+        instancePath: `/columns/${i}`,
+        message: 'must not have duplicate fields',
+        params: { field }
+      })
+
+      return accum
+    }
+
+    accum[field] = header ?? columnsCsv?.[field] ?? _getDefaultHeader(field)
+
+    return accum
+  }, {})
+
+  if (errors.length > 0) {
+    throw new ArgsParamsColumnsError({ data: errors })
+  }
+
+  return res
+}
+
+/*
+ * The `columns` param replaces hardcoded columns of the report,
+ * for the multiple export it's taken from each sub-report params
+ */
+const applyColumnsParam = (jobData, getModelFields) => {
+  if (Array.isArray(jobData?.jobsData)) {
+    return {
+      ...jobData,
+      jobsData: jobData.jobsData.map((subJobData) => (
+        applyColumnsParam(subJobData, getModelFields)
+      ))
+    }
+  }
+
+  const columns = jobData?.args?.params?.columns
+
+  if (
+    !Array.isArray(columns) ||
+    columns.length === 0
+  ) {
+    return jobData
+  }
+
+  const columnsCsv = getColumnsByParam(
+    columns,
+    {
+      columnsCsv: jobData?.columnsCsv,
+      modelFields: typeof getModelFields === 'function'
+        ? getModelFields(jobData?.name)
+        : null
+    }
+  )
+  const { columnsPdf, ...restJobData } = jobData
+
+  return {
+    ...restJobData,
+    columnsCsv
+  }
+}
+
+module.exports = {
+  getColumnsByParam,
+  applyColumnsParam
+}
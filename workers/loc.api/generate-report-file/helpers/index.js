@@ -3,7 +3,17 @@
 const omitExtraParamFieldsForReportExport = require(
   './omit-extra-param-fields-for-report-export'
 )
+const normalizeFileFormatParam = require(
+  './normalize-file-format-param'
+)
+const {
+  getColumnsByParam,
+  applyColumnsParam
+} = require('./apply-columns-param')
 
 module.exports = {
-  omitExtraParamFieldsForReportExport
+  omitExtraParamFieldsForReportExport,
+  normalizeFileFormatParam,
+  getColumnsByParam,
+  applyColumnsParam
 }
@@ -0,0 +1,24 @@
+'use strict'
+
+const FILE_FORMATS = require('../../queue/helpers/file-formats')
+
+/*
+ * The `isPDFRequired` flag is still used to check
+ * the PDF service availability and by the PDF writer,
+ * so it's kept in sync with the `fileFormat` param
+ */
+module.exports = (args) => {
+  const fileFormat = args?.params?.fileFormat
+
+  if (!fileFormat) {
+    return args
+  }
+
+  return {
+    ...args,
+    params: {
+      ...args.params,
+      isPDFRequired: fileFormat === FILE_FORMATS.PDF
+    }
+  }
+}
@@ -8,6 +8,15 @@ module.exports = (params) => {
     'milliseconds',
     'language',
     'isPDFRequired',
+    'fileFormat',
+    'charts',
+    'columns',
+    'totals',
+    'delimiter',
+    'decimalSeparator',
+    'includeBom',
+    'encoding',
+    'quoteAll',
     'method',
     'timezone',
     'email',
@@ -6,6 +6,9 @@ const {
 const {
   getFilterValidationSchemaId
 } = require('../helpers/prepare-response/helpers')
+const {
+  filterModels
+} = require('../data-validator/filter-schemas/helpers')
 const {
   EmailSendingError,
   GrcPDFAvailabilityError
@@ -13,9 +16,14 @@ const {
 const getLocalReportFolderPaths = require(
   '../queue/helpers/get-local-report-folder-paths'
 )
+const {
+  normalizeFileFormatParam,
+  applyColumnsParam
+} = require('./helpers')
 
 const _getReportFileStoreStatus = async ({
   hasGrcService,
+  pdfWriter,
   args,
   rootPath,
   conf
@@ -55,7 +63,7 @@ const _getReportFileStoreStatus = async ({
   }
   if (
     args?.params?.isPDFRequired &&
-    !await hasGrcService.hasPDFService()
+    !await pdfWriter.isPDFAvailable()
   ) {
     throw new GrcPDFAvailabilityError()
   }
@@ -102,22 +110,33 @@ const _getFilterApiMethodNamesAndArgs = (
   })
 }
 
+const _getFilterModelFields = (reportName) => {
+  const filterApiMethodName = _filterApiMethodNameMap
+    .get(`${reportName}FileJobData`)
+  const filterSchemaId = getFilterValidationSchemaId(filterApiMethodName)
+
+  return Object.keys(filterModels.get(filterSchemaId) ?? {})
+}
+
 module.exports = (
-  processorQueue,
+  reportFileJobScheduler,
   hasGrcService,
   reportFileJobData,
   rService,
   rootPath,
   conf,
-  dataValidator
+  dataValidator,
+  pdfWriter
 ) => async (
   name,
-  args
+  _args
 ) => {
+  const args = normalizeFileFormatParam(_args)
   const user = await rService.verifyUser(null, args)
 
   const status = await _getReportFileStoreStatus({
     hasGrcService,
+    pdfWriter,
     args,
     rootPath,
     conf
@@ -136,9 +155,15 @@ module.exports = (
   }
 
   const getter = reportFileJobData[name].bind(reportFileJobData)
-  const jobData = await getter(args, null, user)
+  const jobData = applyColumnsParam(
+    await getter(args, null, user),
+    _getFilterModelFields
+  )
 
-  processorQueue.addJob(jobData)
+  const jobId = await reportFileJobScheduler.addJob(jobData)
 
-  return status
+  return {
+    ...status,
+    jobId
+  }
 }
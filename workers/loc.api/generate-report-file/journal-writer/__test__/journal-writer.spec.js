@@ -0,0 +1,258 @@
+'use strict'
+
+const { Writable } = require('stream')
+const { assert } = require('chai')
+
+const {
+  JOURNAL_FORMATS,
+  DEFAULT_ACCOUNTS,
+  journalWriter,
+  renderJournal,
+  mapTrade,
+  mapLedger
+} = require('..')
+
+const mts = Date.UTC(2023, 0, 2, 3, 4, 5)
+const buyTrade = {
+  id: 1,
+  symbol: 'tBTCUST',
+  mtsCreate: mts,
+  orderID: 11,
+  execAmount: 0.5,
+  execPrice: 20000,
+  orderType: 'EXCHANGE LIMIT',
+  fee: -0.001,
+  feeCurrency: 'BTC'
+}
+const marginSellTrade = {
+  ...buyTrade,
+  id: 2,
+  mtsCreate: mts + 1000,
+  execAmount: -0.1,
+  orderType: 'LIMIT',
+  fee: -4,
+  feeCurrency: 'UST'
+}
+const fundingPayment = {
+  id: 3,
+  currency: 'USD',
+  mts: mts - 1000,
+  amount: 2.5,
+  description: 'Margin Funding Payment on wallet funding',
+  wallet: 'funding'
+}
+const withdrawal = {
+  id: 4,
+  currency: 'BTC',
+  mts,
+  amount: -0.5,
+  description: 'Crypto Withdrawal #123 on wallet exchange'
+}
+const tradingFee = {
+  id: 5,
+  currency: 'BTC',
+  mts,
+  amount: -0.001,
+  description: 'Trading fees for 0.5 BTC (BTCUST) @ 20000 on BFX (0.2%) on wallet exchange'
+}
+
+const getBalances = (transactions) => transactions.map(({ postings }) => (
+  postings.reduce((accum, { amount, currency, cost }) => {
+    const costCurrency = cost?.currency ?? currency
+    const costAmount = cost
+      ? Math.sign(amount) * cost.amount
+      : amount
+
+    accum[costCurrency] = (accum[costCurrency] ?? 0) + costAmount
+
+    return accum
+  }, {})
+))
+
+describe('Journal writer', () => {
+  it('trades are mapped into balanced transactions', function () {
+    this.timeout(1000)
+
+    const transactions = [
+      ...mapTrade(buyTrade, DEFAULT_ACCOUNTS),
+      ...mapTrade(marginSellTrade, DEFAULT_ACCOUNTS)
+    ]
+
+    assert.lengthOf(transactions, 2)
+    assert.deepStrictEqual(transactions[0].postings, [
+      {
+        account: 'Assets:Bitfinex:Exchange:BTC',
+        amount: 0.5,
+        currency: 'BTC',
+        cost: { amount: 10000, currency: 'USDT' }
+      },
+      {
+        account: 'Assets:Bitfinex:Exchange:USDT',
+        amount: -10000,
+        currency: 'USDT'
+      },
+      {
+        account: 'Expenses:Bitfinex:Fees:Trading',
+        amount: 0.001,
+        currency: 'BTC'
+      },
+      {
+        account: 'Assets:Bitfinex:Exchange:BTC',
+        amount: -0.001,
+        currency: 'BTC'
+      }
+    ])
+    assert.strictEqual(
+      transactions[1].postings[0].account,
+      'Assets:Bitfinex:Margin:BTC'
+    )
+    assert.strictEqual(transactions[1].postings[0].amount, -0.1)
+
+    for (const balances of getBalances(transactions)) {
+      for (const balance of Object.values(balances)) {
+        assert.closeTo(balance, 0, 1e-12)
+      }
+    }
+  })
+
+  it('ledger entries are mapped into configured counter accounts', function () {
+    this.timeout(1000)
+
+    const accounts = {
+      ...DEFAULT_ACCOUNTS,
+      fundingInterestIncome: 'Income:Lending'
+    }
+    const [payment] = mapLedger(fundingPayment, accounts)
+    const [withdrawalTransaction] = mapLedger(withdrawal, accounts)
+
+    assert.deepStrictEqual(payment.postings, [
+      {
+        account: 'Assets:Bitfinex:Funding:USD',
+        amount: 2.5,
+        currency: 'USD'
+      },
+      {
+        account: 'Income:Lending',
+        amount: -2.5,
+        currency: 'USD'
+      }
+    ])
+    assert.strictEqual(
+      withdrawalTransaction.postings[1].account,
+      DEFAULT_ACCOUNTS.withdrawals
+    )
+    assert.isEmpty(mapLedger(tradingFee, accounts))
+    assert.strictEqual(
+      mapLedger(
+        { ...withdrawal, category: 262 },
+        accounts
+      )[0].postings[1].account,
+      DEFAULT_ACCOUNTS.stakingRewards
+    )
+  })
+
+  it('beancount journal is rendered', function () {
+    this.timeout(1000)
+
+    const journal = renderJournal(
+      [
+        ...mapTrade(buyTrade, DEFAULT_ACCOUNTS),
+        ...mapLedger(fundingPayment, DEFAULT_ACCOUNTS)
+      ],
+      {
+        journalFormat: JOURNAL_FORMATS.BEANCOUNT,
+        start: mts - 1000,
+        end: mts
+      }
+    ).join('')
+
+    assert.include(journal, '2023-01-02 open Assets:Bitfinex:Funding:USD\n')
+    assert.include(journal, [
+      '2023-01-02 * "Trade #1 BTC/USDT of order #11"',
+      '  bfx_id: "trade-1"',
+      '  Assets:Bitfinex:Exchange:BTC  0.5 BTC @@ 10000 USDT',
+      '  Assets:Bitfinex:Exchange:USDT  -10000 USDT'
+    ].join('\n'))
+    assert.isBelow(
+      journal.indexOf('Margin Funding Payment'),
+      journal.indexOf('Trade #1')
+    )
+  })
+
+  it('ledger-cli journal is rendered', function () {
+    this.timeout(1000)
+
+    const journal = renderJournal(
+      mapLedger(
+        { ...fundingPayment, currency: 'USTF0' },
+        DEFAULT_ACCOUNTS
+      ),
+      {
+        journalFormat: JOURNAL_FORMATS.LEDGER,
+        start: mts - 1000,
+        end: mts
+      }
+    ).join('')
+
+    assert.include(journal, 'account Assets:Bitfinex:Funding:USTF0\n')
+    assert.include(journal, [
+      '2023/01/02 * Margin Funding Payment on wallet funding',
+      '    ; bfx_id: ledger-3',
+      '    Assets:Bitfinex:Funding:USTF0  2.5 "USTF0"'
+    ].join('\n'))
+  })
+
+  it('journal is written page by page', async function () {
+    this.timeout(1000)
+
+    const chunks = []
+    const drainingStates = []
+    const wStream = new Writable({
+      highWaterMark: 1,
+      write (chunk, encoding, cb) {
+        chunks.push(chunk.toString())
+        setImmediate(cb)
+      }
+    })
+    const promise = new Promise((resolve, reject) => {
+      wStream.on('finish', () => resolve(chunks.join('')))
+      wStream.on('error', reject)
+    })
+    const pages = {
+      getLedgers: [[fundingPayment], [withdrawal]],
+      getTrades: [[buyTrade]]
+    }
+    const writeJournal = journalWriter(async (stream, { name }) => {
+      for (const page of pages[name]) {
+        for (const item of page) {
+          stream.write(item)
+        }
+
+        await stream.waitForDrain()
+        drainingStates.push(wStream.writableNeedDrain)
+      }
+    })
+
+    await writeJournal(wStream, {
+      journalFormat: JOURNAL_FORMATS.BEANCOUNT,
+      journalJobsData: [{ name: 'getLedgers' }, { name: 'getTrades' }],
+      args: { params: { start: mts - 1000, end: mts } }
+    })
+
+    const journal = await promise
+
+    assert.deepStrictEqual(drainingStates, [false, false, false])
+    assert.isBelow(
+      journal.indexOf('Margin Funding Payment'),
+      journal.indexOf('Crypto Withdrawal')
+    )
+    assert.isBelow(
+      journal.indexOf('Crypto Withdrawal'),
+      journal.indexOf('Trade #1')
+    )
+    assert.strictEqual(
+      journal.split('open Assets:Bitfinex:Exchange:BTC\n').length,
+      2
+    )
+  })
+})
@@ -0,0 +1,54 @@
+'use strict'
+
+const { formatDate } = require('../export-presets/helpers')
+const getRenderer = require('./renderers')
+
+/*
+ * Transactions are rendered in windows as they arrive
+ * to not keep the whole journal in memory, each window
+ * is sorted by date. Accounts are declared right before
+ * the first usage and opened from the journal start
+ */
+module.exports = (opts) => {
+  const {
+    journalFormat,
+    start,
+    end
+  } = opts ?? {}
+  const renderer = getRenderer(journalFormat)
+  const declaredAccounts = new Set()
+
+  const renderHeader = () => [
+    renderer.renderComment(
+      `Bitfinex journal from ${formatDate(start, renderer.dateFormat)} to ${formatDate(end, renderer.dateFormat)} (UTC)`
+    )
+  ]
+
+  const renderTransactions = (transactions) => {
+    const sortedTransactions = [...transactions]
+      .sort((a, b) => a.mts - b.mts)
+    const chunks = []
+
+    for (const transaction of sortedTransactions) {
+      const accounts = transaction.postings
+        .map(({ account }) => account)
+        .filter((account) => !declaredAccounts.has(account))
+
+      chunks.push('\n')
+
+      for (const account of new Set(accounts)) {
+        declaredAccounts.add(account)
+        chunks.push(renderer.renderAccount(account, start))
+      }
+
+      chunks.push(renderer.renderTransaction(transaction))
+    }
+
+    return chunks
+  }
+
+  return {
+    renderHeader,
+    renderTransactions
+  }
+}
@@ -0,0 +1,21 @@
+'use strict'
+
+/*
+ * Wallet accounts are put under the `assets` account
+ * as `<assets>:<Wallet>:<CURRENCY>`, the rest are
+ * counter accounts of the postings
+ */
+module.exports = {
+  assets: 'Assets:Bitfinex',
+  tradingFees: 'Expenses:Bitfinex:Fees:Trading',
+  movementFees: 'Expenses:Bitfinex:Fees:Movements',
+  fundingInterestIncome: 'Income:Bitfinex:FundingInterest',
+  fundingInterestExpense: 'Expenses:Bitfinex:FundingInterest',
+  deposits: 'Equity:Bitfinex:Deposits',
+  withdrawals: 'Equity:Bitfinex:Withdrawals',
+  transfers: 'Equity:Bitfinex:Transfers',
+  stakingRewards: 'Income:Bitfinex:Staking',
+  rebates: 'Income:Bitfinex:Rebates',
+  settlements: 'Income:Bitfinex:Settlements',
+  other: 'Equity:Bitfinex:Uncategorized'
+}
@@ -0,0 +1,119 @@
+'use strict'
+
+const LEDGER_KINDS = require('../../helpers/ledger.kinds')
+const {
+  normalizeCurrency,
+  getLedgerKind
+} = require('../export-presets/helpers')
+
+const AMOUNT_PRECISION = 8
+
+// Ledger categories of the API take precedence over descriptions
+const _ledgerCategoryKinds = new Map([
+  [28, LEDGER_KINDS.MARGIN_FUNDING_PAYMENT],
+  [241, LEDGER_KINDS.AFFILIATE_REBATE],
+  [262, LEDGER_KINDS.STAKING_REWARD]
+])
+
+const _ledgerKindAccountNames = {
+  [LEDGER_KINDS.MOVEMENT_FEE]: 'movementFees',
+  [LEDGER_KINDS.TRANSFER]: 'transfers',
+  [LEDGER_KINDS.MARGIN_FUNDING_PAYMENT]: 'fundingInterestIncome',
+  [LEDGER_KINDS.MARGIN_FUNDING_CHARGE]: 'fundingInterestExpense',
+  [LEDGER_KINDS.STAKING_REWARD]: 'stakingRewards',
+  [LEDGER_KINDS.AFFILIATE_REBATE]: 'rebates',
+  [LEDGER_KINDS.SETTLEMENT]: 'settlements',
+  [LEDGER_KINDS.OTHER]: 'other'
+}
+
+const _capitalize = (str) => (
+  `${str[0].toUpperCase()}${str.slice(1).toLowerCase()}`
+)
+
+// Commodities have to start with a letter, e.g. `1INCH`
+const normalizeCommodity = (ccy) => {
+  const commodity = `${normalizeCurrency(ccy) ?? ''}`
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+
+  if (!commodity) {
+    return 'UNKNOWN'
+  }
+
+  return /^[A-Z]/.test(commodity)
+    ? commodity
+    : `X${commodity}`
+}
+
+const formatAmount = (amount) => {
+  const str = amount
+    .toFixed(AMOUNT_PRECISION)
+    .replace(/\.?0+$/, '')
+
+  return str === '-0' ? '0' : str
+}
+
+const roundAmount = (amount) => Number(formatAmount(amount))
+
+const getLedgerWalletName = (ledger) => {
+  if (
+    ledger?.wallet &&
+    typeof ledger.wallet === 'string'
+  ) {
+    return ledger.wallet
+  }
+
+  const [, wallet] = `${ledger?.description ?? ''}`
+    .match(/on wallet ([a-z]+)\s*$/i) ?? []
+
+  return wallet ?? 'exchange'
+}
+
+const getTradeWalletName = (trade) => (
+  /^exchange/i.test(trade?.orderType ?? 'EXCHANGE')
+    ? 'exchange'
+    : 'margin'
+)
+
+const getAssetAccount = (accounts, wallet, ccy) => (
+  `${accounts.assets}:${_capitalize(wallet)}:${normalizeCommodity(ccy)}`
+)
+
+const getJournalLedgerKind = (ledger) => {
+  const category = Number.parseInt(ledger?.category)
+
+  return _ledgerCategoryKinds.get(category) ?? getLedgerKind(ledger)
+}
+
+/*
+ * Trades and trading fees are taken from the trades
+ * to be put into balanced transactions with both legs
+ */
+const getLedgerCounterAccount = (accounts, ledger) => {
+  const kind = getJournalLedgerKind(ledger)
+
+  if (
+    kind === LEDGER_KINDS.TRADE ||
+    kind === LEDGER_KINDS.TRADE_FEE
+  ) {
+    return null
+  }
+  if (kind === LEDGER_KINDS.MOVEMENT) {
+    return ledger.amount > 0
+      ? accounts.deposits
+      : accounts.withdrawals
+  }
+
+  return accounts[_ledgerKindAccountNames[kind]] ?? accounts.other
+}
+
+module.exports = {
+  normalizeCommodity,
+  formatAmount,
+  roundAmount,
+  getLedgerWalletName,
+  getTradeWalletName,
+  getAssetAccount,
+  getJournalLedgerKind,
+  getLedgerCounterAccount
+}
@@ -0,0 +1,21 @@
+'use strict'
+
+const JOURNAL_FORMATS = require('./journal-formats')
+const DEFAULT_ACCOUNTS = require('./default-accounts')
+const journalWriter = require('./journal-writer')
+const renderJournal = require('./render-journal')
+const createJournalRenderer = require('./create-journal-renderer')
+const {
+  mapTrade,
+  mapLedger
+} = require('./transactions')
+
+module.exports = {
+  JOURNAL_FORMATS,
+  DEFAULT_ACCOUNTS,
+  journalWriter,
+  renderJournal,
+  createJournalRenderer,
+  mapTrade,
+  mapLedger
+}
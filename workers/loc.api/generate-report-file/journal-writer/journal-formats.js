@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+  BEANCOUNT: 'beancount',
+  LEDGER: 'ledger'
+}
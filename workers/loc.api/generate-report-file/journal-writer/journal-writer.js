@@ -0,0 +1,84 @@
+'use strict'
+
+const { once } = require('events')
+
+const DEFAULT_ACCOUNTS = require('./default-accounts')
+const createJournalRenderer = require('./create-journal-renderer')
+const {
+  mapTrade,
+  mapLedger
+} = require('./transactions')
+
+const _mappers = {
+  getTrades: mapTrade,
+  getLedgers: mapLedger
+}
+
+const _writeChunks = async (wStream, chunks) => {
+  for (const chunk of chunks) {
+    wStream.write(chunk)
+  }
+
+  if (wStream.writableNeedDrain) {
+    await once(wStream, 'drain')
+  }
+}
+
+/*
+ * Ledgers and trades are mapped into double-entry
+ * transactions and written into one plain-text journal
+ * page by page as they are fetched
+ */
+module.exports = (
+  writeDataToStream
+) => async (
+  wStream,
+  jobData
+) => {
+  if (typeof jobData === 'string') {
+    wStream.end(`; ${jobData}\n`)
+
+    return
+  }
+
+  const {
+    journalFormat,
+    journalAccounts,
+    journalJobsData,
+    args
+  } = jobData ?? {}
+  const accounts = {
+    ...DEFAULT_ACCOUNTS,
+    ...journalAccounts
+  }
+  const journalRenderer = createJournalRenderer({
+    journalFormat,
+    start: args?.params?.start ?? 0,
+    end: args?.params?.end ?? Date.now()
+  })
+
+  await _writeChunks(wStream, journalRenderer.renderHeader())
+
+  for (const subJobData of journalJobsData) {
+    const mapper = _mappers[subJobData.name]
+    let transactions = []
+
+    const writePage = async () => {
+      const chunks = journalRenderer.renderTransactions(transactions)
+      transactions = []
+
+      await _writeChunks(wStream, chunks)
+    }
+    const journalStream = {
+      write: (item) => {
+        transactions.push(...mapper(item, accounts))
+      },
+      waitForDrain: writePage
+    }
+
+    await writeDataToStream(journalStream, subJobData)
+    await writePage()
+  }
+
+  wStream.end()
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+const createJournalRenderer = require('./create-journal-renderer')
+
+// Renders the journal of transactions as the one window
+module.exports = (transactions, opts) => {
+  const journalRenderer = createJournalRenderer(opts)
+
+  return [
+    ...journalRenderer.renderHeader(),
+    ...journalRenderer.renderTransactions(transactions)
+  ]
+}
@@ -0,0 +1,51 @@
+'use strict'
+
+const { formatDate } = require('../../export-presets/helpers')
+const { formatAmount } = require('../helpers')
+
+const dateFormat = 'YYYY-MM-DD'
+
+const _escape = (str) => (
+  `${str}`
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/(["\\])/g, '\\$1')
+)
+
+const _renderAmount = ({ amount, currency }) => (
+  `${formatAmount(amount)} ${currency}`
+)
+
+const renderComment = (comment) => `; ${comment}\n`
+
+const renderAccount = (account, mts) => (
+  `${formatDate(mts, dateFormat)} open ${account}\n`
+)
+
+const renderTransaction = (transaction) => {
+  const {
+    mts,
+    id,
+    narration,
+    postings
+  } = transaction
+  const lines = [
+    `${formatDate(mts, dateFormat)} * "${_escape(narration)}"`,
+    `  bfx_id: "${_escape(id)}"`,
+    ...postings.map((posting) => {
+      const cost = posting.cost
+        ? ` @@ ${_renderAmount(posting.cost)}`
+        : ''
+
+      return `  ${posting.account}  ${_renderAmount(posting)}${cost}`
+    })
+  ]
+
+  return `${lines.join('\n')}\n`
+}
+
+module.exports = {
+  dateFormat,
+  renderComment,
+  renderAccount,
+  renderTransaction
+}
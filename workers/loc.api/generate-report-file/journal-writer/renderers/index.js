@@ -0,0 +1,14 @@
+'use strict'
+
+const JOURNAL_FORMATS = require('../journal-formats')
+const beancount = require('./beancount')
+const ledger = require('./ledger')
+
+const _renderers = new Map([
+  [JOURNAL_FORMATS.BEANCOUNT, beancount],
+  [JOURNAL_FORMATS.LEDGER, ledger]
+])
+
+module.exports = (journalFormat) => {
+  return _renderers.get(journalFormat) ?? beancount
+}
@@ -0,0 +1,120 @@
+'use strict'
+
+const {
+  getTradeLegs
+} = require('../export-presets/helpers')
+const {
+  normalizeCommodity,
+  roundAmount,
+  getLedgerWalletName,
+  getTradeWalletName,
+  getAssetAccount,
+  getLedgerCounterAccount
+} = require('./helpers')
+
+const _getPosting = (account, amount, ccy, cost) => ({
+  account,
+  amount: roundAmount(amount),
+  currency: normalizeCommodity(ccy),
+  ...(cost
+    ? {
+        cost: {
+          amount: roundAmount(cost.amount),
+          currency: normalizeCommodity(cost.currency)
+        }
+      }
+    : {})
+})
+
+/*
+ * The base leg has the total cost in the quote currency,
+ * so the transaction is balanced by the quote leg
+ */
+const mapTrade = (trade, accounts) => {
+  const legs = getTradeLegs(trade)
+
+  if (!legs) {
+    return []
+  }
+
+  const wallet = getTradeWalletName(trade)
+  const sign = legs.isBuy ? 1 : -1
+  const postings = [
+    _getPosting(
+      getAssetAccount(accounts, wallet, legs.baseCurrency),
+      sign * legs.baseAmount,
+      legs.baseCurrency,
+      { amount: legs.quoteAmount, currency: legs.quoteCurrency }
+    ),
+    _getPosting(
+      getAssetAccount(accounts, wallet, legs.quoteCurrency),
+      -sign * legs.quoteAmount,
+      legs.quoteCurrency
+    )
+  ]
+
+  if (
+    legs.feeAmount > 0 &&
+    legs.feeCurrency
+  ) {
+    postings.push(
+      _getPosting(
+        accounts.tradingFees,
+        legs.feeAmount,
+        legs.feeCurrency
+      ),
+      _getPosting(
+        getAssetAccount(accounts, wallet, legs.feeCurrency),
+        -legs.feeAmount,
+        legs.feeCurrency
+      )
+    )
+  }
+
+  return [{
+    mts: trade.mtsCreate,
+    id: `trade-${trade.id}`,
+    narration: `Trade #${trade.id} ${normalizeCommodity(legs.baseCurrency)}/${normalizeCommodity(legs.quoteCurrency)} of order #${trade.orderID}`,
+    postings
+  }]
+}
+
+const mapLedger = (ledger, accounts) => {
+  if (
+    !Number.isFinite(ledger?.amount) ||
+    ledger.amount === 0
+  ) {
+    return []
+  }
+
+  const counterAccount = getLedgerCounterAccount(accounts, ledger)
+
+  if (!counterAccount) {
+    return []
+  }
+
+  const wallet = getLedgerWalletName(ledger)
+
+  return [{
+    mts: ledger.mts,
+    id: `ledger-${ledger.id}`,
+    narration: ledger.description ?? `Ledger entry #${ledger.id}`,
+    postings: [
+      _getPosting(
+        getAssetAccount(accounts, wallet, ledger.currency),
+        ledger.amount,
+        ledger.currency
+      ),
+      _getPosting(
+        counterAccount,
+        -ledger.amount,
+        ledger.currency
+      )
+    ]
+  }]
+}
+
+module.exports = {
+  mapTrade,
+  mapLedger
+}
@@ -0,0 +1,80 @@
+'use strict'
+
+const { Writable } = require('stream')
+const { assert } = require('chai')
+
+require('reflect-metadata')
+const JsonWriter = require('..')
+
+const pages = [
+  [{ id: 1, amount: 1 }, { id: 2, amount: 2 }],
+  [{ id: 3, amount: 3 }]
+]
+const jobData = {
+  name: 'getLedgers',
+  userInfo: { userId: 1 },
+  args: { params: { fileFormat: 'json' } }
+}
+
+const createWritable = () => {
+  const chunks = []
+  const wStream = new Writable({
+    highWaterMark: 1,
+    write (chunk, encoding, cb) {
+      chunks.push(chunk.toString())
+      setImmediate(cb)
+    }
+  })
+  const promise = new Promise((resolve, reject) => {
+    wStream.on('finish', () => resolve(chunks.join('')))
+    wStream.on('error', reject)
+  })
+
+  return { wStream, promise }
+}
+const createJsonWriter = (wStream, drainingStates = []) => new JsonWriter(
+  async (stream) => {
+    for (const page of pages) {
+      for (const item of page) {
+        stream.write(item)
+      }
+
+      await stream.waitForDrain()
+      drainingStates.push(wStream.writableNeedDrain)
+    }
+  }
+)
+
+describe('JSON report file writer', () => {
+  it('rows are written page by page into the json', async function () {
+    this.timeout(1000)
+
+    const drainingStates = []
+    const { wStream, promise } = createWritable()
+
+    await createJsonWriter(wStream, drainingStates).write(wStream, jobData)
+
+    const res = JSON.parse(await promise)
+
+    assert.strictEqual(res.metadata.method, 'getLedgers')
+    assert.deepStrictEqual(res.data, pages.flat())
+    assert.strictEqual(res.rowsCount, 3)
+    assert.deepStrictEqual(drainingStates, [false, false])
+  })
+
+  it('metadata and rows count are the first and the last ndjson lines', async function () {
+    this.timeout(1000)
+
+    const { wStream, promise } = createWritable()
+
+    await createJsonWriter(wStream).write(wStream, jobData, { isNdjson: true })
+
+    const lines = (await promise).trim().split('\n')
+      .map((line) => JSON.parse(line))
+
+    assert.lengthOf(lines, 5)
+    assert.strictEqual(lines[0].metadata.method, 'getLedgers')
+    assert.deepStrictEqual(lines.slice(1, -1), pages.flat())
+    assert.deepStrictEqual(lines[4], { rowsCount: 3 })
+  })
+})
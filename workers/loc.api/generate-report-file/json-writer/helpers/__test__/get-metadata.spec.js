@@ -0,0 +1,55 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const { getMetadata } = require('..')
+
+describe('getMetadata helper', () => {
+  it('metadata contains request params and user', function () {
+    this.timeout(1000)
+
+    const metadata = getMetadata(
+      {
+        name: 'getLedgers',
+        userInfo: {
+          userId: 1,
+          email: 'user@example.com',
+          username: 'user',
+          apiKey: 'key',
+          apiSecret: 'secret'
+        },
+        args: {
+          params: {
+            start: 0,
+            end: 1000,
+            fileFormat: 'json',
+            fileNamesMap: [['getLedgers', 'ledgers']]
+          }
+        }
+      }
+    )
+
+    assert.strictEqual(metadata.method, 'getLedgers')
+    assert.deepStrictEqual(metadata.params, {
+      start: 0,
+      end: 1000,
+      fileFormat: 'json'
+    })
+    assert.deepStrictEqual(metadata.user, {
+      id: 1,
+      email: 'user@example.com',
+      username: 'user'
+    })
+    assert.isString(metadata.generatedAt)
+  })
+
+  it('metadata of the error message is returned without job data', function () {
+    this.timeout(1000)
+
+    const metadata = getMetadata(null)
+
+    assert.isNull(metadata.method)
+    assert.deepStrictEqual(metadata.params, {})
+    assert.isNull(metadata.user.id)
+  })
+})
@@ -0,0 +1,30 @@
+'use strict'
+
+const { omit } = require('lib-js-util-base')
+
+/*
+ * The user info contains the auth data,
+ * so only the identifying fields are exposed,
+ * rows count is written after the rows
+ */
+module.exports = (jobData) => {
+  const {
+    name,
+    userInfo,
+    args
+  } = jobData ?? {}
+
+  return {
+    method: name ?? null,
+    params: omit(args?.params ?? {}, [
+      'name',
+      'fileNamesMap'
+    ]),
+    user: {
+      id: userInfo?.userId ?? userInfo?.id ?? null,
+      email: userInfo?.email ?? null,
+      username: userInfo?.username ?? null
+    },
+    generatedAt: new Date().toISOString()
+  }
+}
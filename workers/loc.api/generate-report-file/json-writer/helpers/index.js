@@ -0,0 +1,7 @@
+'use strict'
+
+const getMetadata = require('./get-metadata')
+
+module.exports = {
+  getMetadata
+}
@@ -0,0 +1,106 @@
+'use strict'
+
+const { once } = require('events')
+const { omit } = require('lib-js-util-base')
+
+const { getMetadata } = require('./helpers')
+
+const { decorateInjectable } = require('../../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.WriteDataToStream
+]
+class JsonWriter {
+  constructor (
+    writeDataToStream
+  ) {
+    this.writeDataToStream = writeDataToStream
+  }
+
+  /*
+   * Rows are written without format settings to keep
+   * raw model fields as they arrive page by page,
+   * the metadata header goes first and the rows count
+   * is known only at the end, for ndjson they are
+   * the first and the last lines
+   */
+  async write (wStream, jobData, opts) {
+    const { isNdjson } = opts ?? {}
+    const fields = this._getSelectedFields(jobData)
+    const metadata = getMetadata(
+      typeof jobData === 'string' ? null : jobData
+    )
+    let rowsCount = 0
+
+    wStream.write(isNdjson
+      ? `${JSON.stringify({ metadata })}\n`
+      : `{"metadata":${JSON.stringify(metadata)},"data":[`)
+
+    await this.writeDataToStream(
+      {
+        write: (item) => {
+          const row = JSON.stringify(this._pickFields(item, fields))
+
+          wStream.write(isNdjson
+            ? `${row}\n`
+            : `${rowsCount > 0 ? ',' : ''}\n${row}`)
+          rowsCount += 1
+        },
+        waitForDrain: async () => {
+          if (!wStream.writableNeedDrain) {
+            return
+          }
+
+          await once(wStream, 'drain')
+        }
+      },
+      typeof jobData === 'string'
+        ? jobData
+        : omit(jobData, ['formatSettings'])
+    )
+
+    wStream.end(isNdjson
+      ? `${JSON.stringify({ rowsCount })}\n`
+      : `\n],"rowsCount":${rowsCount}}\n`)
+  }
+
+  /*
+   * Only fields selected by the `columns` param are kept,
+   * otherwise all model fields are written
+   */
+  _getSelectedFields (jobData) {
+    const columns = jobData?.args?.params?.columns
+
+    if (
+      !Array.isArray(columns) ||
+      columns.length === 0 ||
+      !jobData?.columnsCsv ||
+      typeof jobData.columnsCsv !== 'object'
+    ) {
+      return null
+    }
+
+    return Object.keys(jobData.columnsCsv)
+  }
+
+  _pickFields (item, fields) {
+    if (
+      !fields ||
+      !item ||
+      typeof item !== 'object' ||
+      Object.prototype.hasOwnProperty.call(item, 'message')
+    ) {
+      return item
+    }
+
+    return fields.reduce((accum, field) => {
+      accum[field] = item[field]
+
+      return accum
+    }, {})
+  }
+}
+
+decorateInjectable(JsonWriter, depsTypes)
+
+module.exports = JsonWriter
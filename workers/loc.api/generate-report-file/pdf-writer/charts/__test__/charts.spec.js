@@ -0,0 +1,124 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  CHART_NAMES,
+  isChartRequired,
+  getCharts
+} = require('..')
+const { getNiceTicks } = require('../svg/helpers')
+
+const mts = Date.UTC(2024, 0, 1, 12)
+const dayMs = 24 * 60 * 60 * 1000
+const getJobData = (name, charts, params) => ({
+  name,
+  args: { params: { charts, ...params } }
+})
+
+describe('Pdf charts', () => {
+  it('charts are selected by report name', function () {
+    this.timeout(1000)
+
+    assert.isTrue(isChartRequired(
+      getJobData('getLedgers', [CHART_NAMES.LEDGERS_BALANCE])
+    ))
+    assert.isFalse(isChartRequired(
+      getJobData('getTrades', [CHART_NAMES.LEDGERS_BALANCE])
+    ))
+    assert.isFalse(isChartRequired(getJobData('getLedgers')))
+    assert.isEmpty(getCharts(
+      [{ mts, currency: 'BTC', wallet: 'exchange', balance: 1 }],
+      getJobData('getMovements', [CHART_NAMES.LEDGERS_BALANCE])
+    ))
+  })
+
+  it('ledgers balance is summed over wallets', function () {
+    this.timeout(1000)
+
+    const charts = getCharts(
+      [
+        { mts: mts + (2 * dayMs), currency: 'BTC', wallet: 'exchange', balance: 3 },
+        { mts, currency: 'BTC', wallet: 'exchange', balance: 1 },
+        { mts: mts + dayMs, currency: 'BTC', wallet: 'margin', balance: 2 },
+        { mts, currency: 'USD', wallet: 'exchange', balance: 100 }
+      ],
+      getJobData('getLedgers', [CHART_NAMES.LEDGERS_BALANCE]),
+      { translate: (defVal, { prop }) => `${prop}:${defVal}` }
+    )
+
+    assert.lengthOf(charts, 2)
+    assert.strictEqual(
+      charts[0].title,
+      'template.charts.ledgersBalance:Balance over time, BTC'
+    )
+    assert.match(charts[0].svg, /^<svg [^>]+>.*<\/svg>$/)
+    assert.include(charts[0].svg, '<path d="M72,')
+    assert.strictEqual(
+      (charts[0].svg.match(/<path d="([^"]+)"/)[1].match(/[ML]/g)).length,
+      3
+    )
+  })
+
+  it('trades volume is grouped by days in user timezone', function () {
+    this.timeout(1000)
+
+    const trade = {
+      symbol: 'tBTCUSD',
+      mtsCreate: mts,
+      execAmount: 0.5,
+      execPrice: 20000
+    }
+    const trades = [
+      trade,
+      { ...trade, mtsCreate: mts + (10 * 60 * 60 * 1000) },
+      { ...trade, mtsCreate: mts + (2 * dayMs), execAmount: -1 }
+    ]
+    const utcCharts = getCharts(
+      trades,
+      getJobData('getTrades', [CHART_NAMES.TRADES_VOLUME])
+    )
+    const charts = getCharts(
+      trades,
+      getJobData('getTrades', [CHART_NAMES.TRADES_VOLUME], { timezone: 3 })
+    )
+
+    assert.lengthOf(charts, 1)
+    assert.strictEqual(charts[0].title, 'Daily volume, USD')
+    assert.lengthOf(utcCharts[0].svg.match(/<rect /g), 2)
+    assert.lengthOf(charts[0].svg.match(/<rect /g), 3)
+  })
+
+  it('candles and cumulative P&L are rendered', function () {
+    this.timeout(1000)
+
+    const [ohlcChart] = getCharts(
+      [
+        { mts, open: 10, close: 12, high: 13, low: 9, symbol: 'tBTCUSD' },
+        { mts: mts + dayMs, open: 12, close: 11, high: 12, low: 10, symbol: 'tBTCUSD' }
+      ],
+      getJobData('getCandles', [CHART_NAMES.CANDLES_OHLC])
+    )
+    const [pnlChart] = getCharts(
+      [
+        { symbol: 'tETHUSD', mtsUpdate: mts, pl: 5 },
+        { symbol: 'tETHUSD', mtsUpdate: mts + dayMs, pl: -8 }
+      ],
+      getJobData('getPositionsHistory', [CHART_NAMES.POSITIONS_CUMULATIVE_PNL])
+    )
+
+    assert.strictEqual(ohlcChart.title, 'OHLC, BTC/USD')
+    assert.include(ohlcChart.svg, 'stroke="#03ca9b"')
+    assert.include(ohlcChart.svg, 'stroke="#e55353"')
+    assert.strictEqual(pnlChart.title, 'Cumulative P&L, USD')
+    assert.include(pnlChart.svg, '>-2<')
+  })
+
+  it('axis ticks are nice numbers', function () {
+    this.timeout(1000)
+
+    assert.deepStrictEqual(getNiceTicks(0, 10), [0, 2, 4, 6, 8, 10])
+    assert.deepStrictEqual(getNiceTicks(-0.3, 0.2), [-0.3, -0.2, -0.1, 0, 0.1, 0.2])
+    assert.deepStrictEqual(getNiceTicks(5, 5), [5])
+  })
+})
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  LEDGERS_BALANCE: 'ledgersBalance',
+  TRADES_VOLUME: 'tradesVolume',
+  CANDLES_OHLC: 'candlesOhlc',
+  POSITIONS_CUMULATIVE_PNL: 'positionsCumulativePnl'
+}
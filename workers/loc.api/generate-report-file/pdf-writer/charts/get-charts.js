@@ -0,0 +1,97 @@
+'use strict'
+
+const CHART_NAMES = require('./chart-names')
+const {
+  getLedgersBalanceSeries,
+  getTradesVolumeSeries,
+  getCandlesSeries,
+  getPositionsPnlSeries
+} = require('./series')
+const {
+  renderLineChart,
+  renderBarChart,
+  renderOhlcChart
+} = require('./svg')
+
+const CHARTS = {
+  [CHART_NAMES.LEDGERS_BALANCE]: {
+    reportName: 'getLedgers',
+    getSeries: getLedgersBalanceSeries,
+    render: renderLineChart,
+    defaultTitle: 'Balance over time'
+  },
+  [CHART_NAMES.TRADES_VOLUME]: {
+    reportName: 'getTrades',
+    getSeries: getTradesVolumeSeries,
+    render: renderBarChart,
+    defaultTitle: 'Daily volume'
+  },
+  [CHART_NAMES.CANDLES_OHLC]: {
+    reportName: 'getCandles',
+    getSeries: getCandlesSeries,
+    render: renderOhlcChart,
+    defaultTitle: 'OHLC'
+  },
+  [CHART_NAMES.POSITIONS_CUMULATIVE_PNL]: {
+    reportName: 'getPositionsHistory',
+    getSeries: getPositionsPnlSeries,
+    render: renderLineChart,
+    defaultTitle: 'Cumulative P&L'
+  }
+}
+
+const getChartNames = (jobData) => {
+  const chartNames = jobData?.args?.params?.charts
+
+  if (!Array.isArray(chartNames)) {
+    return []
+  }
+
+  return chartNames.filter((chartName) => (
+    CHARTS[chartName]?.reportName === jobData?.name
+  ))
+}
+
+const isChartRequired = (jobData) => (
+  getChartNames(jobData).length > 0
+)
+
+/*
+ * Returns charts as inline SVG strings to be embedded into
+ * pdf templates, the title is passed through the translator
+ */
+const getCharts = (apiData, jobData, opts) => {
+  const { translate } = opts ?? {}
+  const params = jobData?.args?.params ?? {}
+  const data = Array.isArray(apiData) ? apiData : []
+
+  return getChartNames(jobData).reduce((accum, chartName) => {
+    const {
+      getSeries,
+      render,
+      defaultTitle
+    } = CHARTS[chartName]
+    const series = getSeries(data, params)
+
+    for (const { key, points } of series) {
+      const title = typeof translate === 'function'
+        ? translate(defaultTitle, {
+          prop: `template.charts.${chartName}`
+        })
+        : defaultTitle
+
+      accum.push({
+        name: chartName,
+        title: `${title}, ${key}`,
+        svg: render(points, params)
+      })
+    }
+
+    return accum
+  }, [])
+}
+
+module.exports = {
+  isChartRequired,
+  getCharts
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+const CHART_NAMES = require('./chart-names')
+const {
+  isChartRequired,
+  getCharts
+} = require('./get-charts')
+
+module.exports = {
+  CHART_NAMES,
+  isChartRequired,
+  getCharts
+}
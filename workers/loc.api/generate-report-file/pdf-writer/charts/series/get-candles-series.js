@@ -0,0 +1,35 @@
+'use strict'
+
+const splitSymbolPairs = require(
+  '../../../../helpers/split-symbol-pairs'
+)
+const {
+  sortByMts,
+  groupBy,
+  takeMostActiveSeries
+} = require('./helpers')
+
+const MAX_CANDLES_AMOUNT = 365
+
+module.exports = (candles) => {
+  const validCandles = candles.filter((candle) => (
+    Number.isInteger(candle?.mts) &&
+    ['open', 'high', 'low', 'close']
+      .every((key) => Number.isFinite(candle[key]))
+  ))
+  const candlesBySymbol = groupBy(validCandles, ({ symbol }) => (
+    symbol && typeof symbol === 'string'
+      ? splitSymbolPairs(symbol).join('/')
+      : null
+  ))
+  const seriesMap = new Map()
+
+  for (const [pair, pairCandles] of candlesBySymbol) {
+    seriesMap.set(
+      pair,
+      sortByMts(pairCandles).slice(-MAX_CANDLES_AMOUNT)
+    )
+  }
+
+  return takeMostActiveSeries(seriesMap)
+}
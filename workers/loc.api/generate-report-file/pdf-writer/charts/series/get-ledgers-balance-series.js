@@ -0,0 +1,38 @@
+'use strict'
+
+const {
+  sortByMts,
+  groupBy,
+  takeMostActiveSeries
+} = require('./helpers')
+
+/*
+ * The balance of currency is the sum of the last known
+ * balances of all wallets at the moment of each ledger entry
+ */
+module.exports = (ledgers) => {
+  const entries = sortByMts(ledgers.filter((ledger) => (
+    Number.isInteger(ledger?.mts) &&
+    Number.isFinite(ledger?.balance) &&
+    ledger?.currency &&
+    typeof ledger.currency === 'string'
+  )))
+  const entriesByCurrency = groupBy(entries, ({ currency }) => currency)
+  const seriesMap = new Map()
+
+  for (const [currency, currencyEntries] of entriesByCurrency) {
+    const walletBalances = new Map()
+    const points = currencyEntries.map(({ mts, wallet, balance }) => {
+      walletBalances.set(wallet, balance)
+
+      const value = [...walletBalances.values()]
+        .reduce((accum, val) => accum + val, 0)
+
+      return { mts, value }
+    })
+
+    seriesMap.set(currency, points)
+  }
+
+  return takeMostActiveSeries(seriesMap)
+}
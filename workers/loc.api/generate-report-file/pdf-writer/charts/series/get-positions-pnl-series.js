@@ -0,0 +1,55 @@
+'use strict'
+
+const splitSymbolPairs = require(
+  '../../../../helpers/split-symbol-pairs'
+)
+const {
+  sortByMts,
+  groupBy,
+  takeMostActiveSeries
+} = require('./helpers')
+
+/*
+ * P&L of positions is accumulated in the quote currency
+ * of pairs by the time of the position closing
+ */
+module.exports = (positions) => {
+  const closedPositions = positions.reduce((accum, position) => {
+    const { symbol, mtsUpdate, pl } = position ?? {}
+
+    if (
+      !symbol ||
+      typeof symbol !== 'string' ||
+      !Number.isInteger(mtsUpdate) ||
+      !Number.isFinite(pl)
+    ) {
+      return accum
+    }
+
+    accum.push({
+      currency: splitSymbolPairs(symbol)[1],
+      mts: mtsUpdate,
+      pl
+    })
+
+    return accum
+  }, [])
+  const positionsByCurrency = groupBy(
+    closedPositions,
+    ({ currency }) => currency
+  )
+  const seriesMap = new Map()
+
+  for (const [currency, currencyPositions] of positionsByCurrency) {
+    let value = 0
+    const points = sortByMts(currencyPositions).map(({ mts, pl }) => {
+      value += pl
+
+      return { mts, value }
+    })
+
+    seriesMap.set(currency, points)
+  }
+
+  return takeMostActiveSeries(seriesMap)
+}
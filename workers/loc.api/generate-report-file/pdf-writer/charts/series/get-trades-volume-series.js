@@ -0,0 +1,59 @@
+'use strict'
+
+const splitSymbolPairs = require(
+  '../../../../helpers/split-symbol-pairs'
+)
+const { getMoment } = require('../svg/helpers')
+const {
+  sortByMts,
+  groupBy,
+  takeMostActiveSeries
+} = require('./helpers')
+
+/*
+ * The daily volume is calculated in the quote currency
+ * of pairs, days are taken in the user timezone
+ */
+module.exports = (trades, params) => {
+  const { timezone } = params ?? {}
+  const volumes = trades.reduce((accum, trade) => {
+    const {
+      symbol,
+      mtsCreate,
+      execAmount,
+      execPrice
+    } = trade ?? {}
+
+    if (
+      !symbol ||
+      typeof symbol !== 'string' ||
+      !Number.isInteger(mtsCreate) ||
+      !Number.isFinite(execAmount) ||
+      !Number.isFinite(execPrice)
+    ) {
+      return accum
+    }
+
+    accum.push({
+      currency: splitSymbolPairs(symbol)[1],
+      mts: getMoment(mtsCreate, timezone).startOf('day').valueOf(),
+      value: Math.abs(execAmount * execPrice)
+    })
+
+    return accum
+  }, [])
+  const volumesByCurrency = groupBy(volumes, ({ currency }) => currency)
+  const seriesMap = new Map()
+
+  for (const [currency, currencyVolumes] of volumesByCurrency) {
+    const volumesByDay = groupBy(currencyVolumes, ({ mts }) => mts)
+    const points = [...volumesByDay].map(([mts, dayVolumes]) => ({
+      mts,
+      value: dayVolumes.reduce((accum, { value }) => accum + value, 0)
+    }))
+
+    seriesMap.set(currency, sortByMts(points))
+  }
+
+  return takeMostActiveSeries(seriesMap)
+}
@@ -0,0 +1,37 @@
+'use strict'
+
+const MAX_SERIES_AMOUNT = 6
+
+const sortByMts = (items) => [...items]
+  .sort((a, b) => a.mts - b.mts)
+
+const groupBy = (items, getKey) => items.reduce((accum, item) => {
+  const key = getKey(item)
+
+  if (!key) {
+    return accum
+  }
+  if (!accum.has(key)) {
+    accum.set(key, [])
+  }
+
+  accum.get(key).push(item)
+
+  return accum
+}, new Map())
+
+/*
+ * Only the most active series are taken
+ * to keep the pdf file size reasonable
+ */
+const takeMostActiveSeries = (seriesMap) => [...seriesMap]
+  .filter(([, points]) => points.length > 0)
+  .sort(([, a], [, b]) => b.length - a.length)
+  .slice(0, MAX_SERIES_AMOUNT)
+  .map(([key, points]) => ({ key, points }))
+
+module.exports = {
+  sortByMts,
+  groupBy,
+  takeMostActiveSeries
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+const getLedgersBalanceSeries = require('./get-ledgers-balance-series')
+const getTradesVolumeSeries = require('./get-trades-volume-series')
+const getCandlesSeries = require('./get-candles-series')
+const getPositionsPnlSeries = require('./get-positions-pnl-series')
+
+module.exports = {
+  getLedgersBalanceSeries,
+  getTradesVolumeSeries,
+  getCandlesSeries,
+  getPositionsPnlSeries
+}
@@ -0,0 +1,220 @@
+'use strict'
+
+const moment = require('moment-timezone')
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+const CHART_SIZE = {
+  width: 720,
+  height: 240,
+  paddingTop: 12,
+  paddingRight: 28,
+  paddingBottom: 28,
+  paddingLeft: 72
+}
+const COLORS = {
+  axis: '#9aa5ad',
+  grid: '#e4e8eb',
+  text: '#1b262d',
+  line: '#03ca9b',
+  bar: '#03ca9b',
+  up: '#03ca9b',
+  down: '#e55353'
+}
+
+const escapeXml = (str) => `${str ?? ''}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const round = (val) => Math.round(val * 100) / 100
+
+const getMoment = (mts, timezone = 0) => {
+  try {
+    return Number.isFinite(timezone)
+      ? moment(mts).utcOffset(timezone)
+      : moment(mts).tz(timezone)
+  } catch (err) {
+    return moment(mts).utcOffset(0)
+  }
+}
+
+const getLinearScale = (domain, range) => {
+  const [d0, d1] = domain
+  const [r0, r1] = range
+  const k = d1 === d0
+    ? 0
+    : (r1 - r0) / (d1 - d0)
+
+  return (val) => (
+    d1 === d0
+      ? (r0 + r1) / 2
+      : r0 + ((val - d0) * k)
+  )
+}
+
+const getExtent = (values) => {
+  const finiteValues = values.filter((val) => Number.isFinite(val))
+
+  if (finiteValues.length === 0) {
+    return [0, 0]
+  }
+
+  return finiteValues.reduce(([min, max], val) => [
+    Math.min(min, val),
+    Math.max(max, val)
+  ], [Infinity, -Infinity])
+}
+
+/*
+ * Ticks are put on the 1, 2, 5 multiples of the power of ten
+ * to keep axis labels readable
+ */
+const getNiceTicks = (min, max, count = 5) => {
+  if (min === max) {
+    return [min]
+  }
+
+  const rawStep = (max - min) / count
+  const power = Math.pow(10, Math.floor(Math.log10(rawStep)))
+  const step = [1, 2, 5, 10].map((mult) => mult * power)
+    .find((step) => step >= rawStep)
+  const ticks = []
+
+  for (
+    let i = Math.ceil((min / step) - 1e-6);
+    i <= Math.floor((max / step) + 1e-6);
+    i++
+  ) {
+    ticks.push(Number((i * step).toPrecision(12)))
+  }
+
+  return ticks
+}
+
+const formatNumber = (val) => {
+  const abs = Math.abs(val)
+
+  if (abs >= 1e9) {
+    return `${round(val / 1e9)}B`
+  }
+  if (abs >= 1e6) {
+    return `${round(val / 1e6)}M`
+  }
+  if (abs >= 1e3) {
+    return `${round(val / 1e3)}K`
+  }
+
+  return `${Number(val.toPrecision(6))}`
+}
+
+/*
+ * Time ticks are aligned to the start of the day (or hour for
+ * short periods) in the user timezone like dates in the report
+ */
+const getTimeTicks = (min, max, params) => {
+  const {
+    timezone,
+    dateFormat = 'YY-MM-DD'
+  } = params ?? {}
+  const isShortPeriod = (max - min) < (2 * DAY_MS)
+  const unit = isShortPeriod ? 'hour' : 'day'
+  const unitMs = isShortPeriod ? HOUR_MS : DAY_MS
+  const format = isShortPeriod ? 'HH:mm' : dateFormat
+  const step = Math.max(Math.ceil((max - min) / unitMs / 5), 1)
+  const ticks = []
+
+  for (
+    const tick = getMoment(min, timezone).startOf(unit);
+    tick.valueOf() <= max;
+    tick.add(step, unit)
+  ) {
+    if (tick.valueOf() >= min) {
+      ticks.push({
+        value: tick.valueOf(),
+        label: tick.format(format)
+      })
+    }
+  }
+
+  return ticks
+}
+
+const getPlotArea = (size = CHART_SIZE) => ({
+  left: size.paddingLeft,
+  right: size.width - size.paddingRight,
+  top: size.paddingTop,
+  bottom: size.height - size.paddingBottom
+})
+
+/*
+ * Renders the grid, the axes and the tick labels,
+ * returns the scales for the plotted data
+ */
+const renderFrame = ({ xDomain, yDomain, params }) => {
+  const area = getPlotArea()
+  const [yMin, yMax] = yDomain
+  const yTicks = getNiceTicks(yMin, yMax)
+  const yNiceDomain = yMin === yMax
+    ? yDomain
+    : [
+        Math.min(yMin, yTicks[0]),
+        Math.max(yMax, yTicks[yTicks.length - 1])
+      ]
+  const xScale = getLinearScale(xDomain, [area.left, area.right])
+  const yScale = getLinearScale(yNiceDomain, [area.bottom, area.top])
+  const elements = []
+
+  for (const tick of yTicks) {
+    const y = round(yScale(tick))
+
+    elements.push(
+      `<line x1="${area.left}" y1="${y}" x2="${area.right}" y2="${y}" stroke="${COLORS.grid}" stroke-width="1"/>`,
+      `<text x="${area.left - 6}" y="${y + 3}" font-size="9" text-anchor="end" fill="${COLORS.text}">${escapeXml(formatNumber(tick))}</text>`
+    )
+  }
+  for (const tick of getTimeTicks(...xDomain, params)) {
+    const x = round(xScale(tick.value))
+
+    elements.push(
+      `<line x1="${x}" y1="${area.bottom}" x2="${x}" y2="${area.bottom + 4}" stroke="${COLORS.axis}" stroke-width="1"/>`,
+      `<text x="${x}" y="${area.bottom + 16}" font-size="9" text-anchor="middle" fill="${COLORS.text}">${escapeXml(tick.label)}</text>`
+    )
+  }
+
+  elements.push(
+    `<line x1="${area.left}" y1="${area.bottom}" x2="${area.right}" y2="${area.bottom}" stroke="${COLORS.axis}" stroke-width="1"/>`,
+    `<line x1="${area.left}" y1="${area.top}" x2="${area.left}" y2="${area.bottom}" stroke="${COLORS.axis}" stroke-width="1"/>`
+  )
+
+  return {
+    area,
+    xScale,
+    yScale,
+    frame: elements.join('')
+  }
+}
+
+const wrapSvg = (content) => [
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_SIZE.width}" height="${CHART_SIZE.height}"`,
+  ` viewBox="0 0 ${CHART_SIZE.width} ${CHART_SIZE.height}" font-family="Inter, sans-serif">`,
+  content,
+  '</svg>'
+].join('')
+
+module.exports = {
+  DAY_MS,
+  COLORS,
+  escapeXml,
+  round,
+  getMoment,
+  getLinearScale,
+  getExtent,
+  getNiceTicks,
+  formatNumber,
+  getTimeTicks,
+  renderFrame,
+  wrapSvg
+}
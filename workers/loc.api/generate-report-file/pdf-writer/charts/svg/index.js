@@ -0,0 +1,11 @@
+'use strict'
+
+const renderLineChart = require('./render-line-chart')
+const renderBarChart = require('./render-bar-chart')
+const renderOhlcChart = require('./render-ohlc-chart')
+
+module.exports = {
+  renderLineChart,
+  renderBarChart,
+  renderOhlcChart
+}
@@ -0,0 +1,41 @@
+'use strict'
+
+const {
+  DAY_MS,
+  COLORS,
+  round,
+  getExtent,
+  renderFrame,
+  wrapSvg
+} = require('./helpers')
+
+/*
+ * Bars are expected as `{ mts, value }` where `mts`
+ * is the start of the period of `periodMs` length
+ */
+module.exports = (bars, params, opts) => {
+  const { periodMs = DAY_MS } = opts ?? {}
+  const [xMin, xMax] = getExtent(bars.map(({ mts }) => mts))
+  const [yMin, yMax] = getExtent(bars.map(({ value }) => value))
+  const {
+    frame,
+    area,
+    xScale,
+    yScale
+  } = renderFrame({
+    xDomain: [xMin, xMax + periodMs],
+    yDomain: [Math.min(yMin, 0), Math.max(yMax, 0)],
+    params
+  })
+  const periodWidth = (area.right - area.left) /
+    Math.max((xMax + periodMs - xMin) / periodMs, 1)
+  const barWidth = round(Math.max(periodWidth * 0.8, 1))
+  const y0 = yScale(0)
+  const rects = bars.map(({ mts, value }) => {
+    const y = yScale(value)
+
+    return `<rect x="${round(xScale(mts) + ((periodWidth - barWidth) / 2))}" y="${round(Math.min(y, y0))}" width="${barWidth}" height="${round(Math.abs(y0 - y))}" fill="${COLORS.bar}"/>`
+  })
+
+  return wrapSvg([frame, ...rects].join(''))
+}
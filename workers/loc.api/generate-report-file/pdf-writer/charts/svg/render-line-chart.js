@@ -0,0 +1,34 @@
+'use strict'
+
+const {
+  COLORS,
+  round,
+  getExtent,
+  renderFrame,
+  wrapSvg
+} = require('./helpers')
+
+/*
+ * Points are expected as `{ mts, value }` sorted by `mts`
+ */
+module.exports = (points, params) => {
+  const xDomain = getExtent(points.map(({ mts }) => mts))
+  const [yMin, yMax] = getExtent(points.map(({ value }) => value))
+  const {
+    frame,
+    xScale,
+    yScale
+  } = renderFrame({
+    xDomain,
+    yDomain: [Math.min(yMin, 0), Math.max(yMax, 0)],
+    params
+  })
+  const path = points.map(({ mts, value }, i) => (
+    `${i === 0 ? 'M' : 'L'}${round(xScale(mts))},${round(yScale(value))}`
+  )).join('')
+
+  return wrapSvg([
+    frame,
+    `<path d="${path}" fill="none" stroke="${COLORS.line}" stroke-width="1.5"/>`
+  ].join(''))
+}
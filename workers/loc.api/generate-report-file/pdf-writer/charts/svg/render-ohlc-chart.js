@@ -0,0 +1,53 @@
+'use strict'
+
+const {
+  COLORS,
+  round,
+  getExtent,
+  renderFrame,
+  wrapSvg
+} = require('./helpers')
+
+/*
+ * Candles are expected as `{ mts, open, high, low, close }`
+ * sorted by `mts`, each one is drawn as the OHLC bar
+ */
+module.exports = (candles, params) => {
+  const [xMin, xMax] = getExtent(candles.map(({ mts }) => mts))
+  const periodMs = candles.length > 1
+    ? (xMax - xMin) / (candles.length - 1)
+    : 1
+  const yDomain = getExtent(candles.reduce((accum, { high, low }) => {
+    accum.push(high, low)
+
+    return accum
+  }, []))
+  const {
+    frame,
+    area,
+    xScale,
+    yScale
+  } = renderFrame({
+    xDomain: [xMin - (periodMs / 2), xMax + (periodMs / 2)],
+    yDomain,
+    params
+  })
+  const tickWidth = Math.max(
+    (area.right - area.left) / Math.max(candles.length, 1) * 0.35,
+    0.5
+  )
+  const bars = candles.map(({ mts, open, high, low, close }) => {
+    const x = round(xScale(mts))
+    const color = close >= open ? COLORS.up : COLORS.down
+
+    return [
+      `<g stroke="${color}" stroke-width="1">`,
+      `<line x1="${x}" y1="${round(yScale(high))}" x2="${x}" y2="${round(yScale(low))}"/>`,
+      `<line x1="${round(x - tickWidth)}" y1="${round(yScale(open))}" x2="${x}" y2="${round(yScale(open))}"/>`,
+      `<line x1="${x}" y1="${round(yScale(close))}" x2="${round(x + tickWidth)}" y2="${round(yScale(close))}"/>`,
+      '</g>'
+    ].join('')
+  })
+
+  return wrapSvg([frame, ...bars].join(''))
+}
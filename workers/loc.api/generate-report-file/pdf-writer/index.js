@@ -11,9 +11,18 @@ const {
   getDateNotLessMinStart
 } = require('../../helpers/date-param.helpers')
 const {
-  GrcPDFAvailabilityError
+  PDFBackendAvailabilityError
 } = require('../../errors')
 const TEMPLATE_FILE_NAMES = require('./template-file-names')
+const {
+  isChartRequired,
+  getCharts
+} = require('./charts')
+const {
+  PDF_BACKEND_NAMES,
+  GrenachePdfBackend,
+  LocalPdfBackend
+} = require('./pdf-backends')
 const TRANSLATION_NAMESPACES = require(
   '../../i18next/translation.namespaces'
 )
@@ -33,23 +42,37 @@ const depsTypes = (TYPES) => [
   TYPES.ROOT_FOLDER_PATH,
   TYPES.HasGrcService,
   TYPES.GrcBfxReq,
-  TYPES.I18next
+  TYPES.I18next,
+  TYPES.CONF
 ]
 class PdfWriter {
   #fonts = this.#renderFontsTemplate(fontsTemplate, base64Fonts)
   #templatePaths = new Map()
   #templates = new Map()
+  #pdfBackends = new Map()
 
   constructor (
     rootFolderPath,
     hasGrcService,
     grcBfxReq,
-    i18next
+    i18next,
+    conf
   ) {
     this.rootFolderPath = rootFolderPath
     this.hasGrcService = hasGrcService
     this.grcBfxReq = grcBfxReq
     this.i18next = i18next
+    this.conf = conf
+
+    this.pdfBackendName = conf?.pdfBackend ?? PDF_BACKEND_NAMES.GRENACHE
+    this.addPdfBackend(
+      PDF_BACKEND_NAMES.GRENACHE,
+      new GrenachePdfBackend({ hasGrcService, grcBfxReq })
+    )
+    this.addPdfBackend(
+      PDF_BACKEND_NAMES.LOCAL,
+      new LocalPdfBackend({ browserArgs: conf?.localPdfBrowserArgs })
+    )
 
     this.isElectronjsEnv = false
     this.shouldZoomBeAdjusted = (
@@ -63,8 +86,11 @@ class PdfWriter {
 
   async createPDFStream (opts) {
     const pdfWriter = this
+    const isRawDataRequired = isChartRequired(opts?.jobData)
+    const rawData = []
+    let totals = null
 
-    return new Transform({
+    const pdfStream = new Transform({
       writableObjectMode: true,
 
       construct (cb) {
@@ -85,6 +111,52 @@ class PdfWriter {
       flush (cb) {
         pdfWriter.#processPdf(
           this.data,
+          opts,
+          { rawData, totals }
+        ).then((buffer) => {
+          this.push(buffer)
+          this.push(null)
+          cb()
+        }).catch((err) => {
+          cb(err)
+        })
+      }
+    })
+
+    /*
+     * Charts are drawn from not formatted data
+     * as dates are already turned into strings
+     */
+    if (isRawDataRequired) {
+      pdfStream.writeRawData = (item) => {
+        rawData.push(item)
+      }
+    }
+
+    pdfStream.writeTotals = (res) => {
+      totals = res
+    }
+
+    return pdfStream
+  }
+
+  /*
+   * Sub-reports are collected into sections by own streams,
+   * one document with table of contents is rendered on end
+   */
+  async createCombinedPDFStream (opts) {
+    const pdfWriter = this
+    const sections = []
+
+    const pdfStream = new Transform({
+      writableObjectMode: true,
+
+      transform (chunk, encoding, cb) {
+        cb()
+      },
+      flush (cb) {
+        pdfWriter.#processCombinedPdf(
+          sections,
           opts
         ).then((buffer) => {
           this.push(buffer)
@@ -95,15 +167,53 @@ class PdfWriter {
         })
       }
     })
+
+    pdfStream.addSection = (sectionOpts) => {
+      const section = {
+        opts: sectionOpts,
+        apiData: [],
+        extraData: {
+          rawData: [],
+          totals: null
+        }
+      }
+      sections.push(section)
+
+      return {
+        write: (chunk) => {
+          if (Array.isArray(chunk)) {
+            section.apiData.push(...chunk)
+
+            return
+          }
+
+          section.apiData.push(chunk)
+        },
+        ...(isChartRequired(sectionOpts?.jobData)
+          ? {
+              writeRawData: (item) => {
+                section.extraData.rawData.push(item)
+              }
+            }
+          : {}),
+        writeTotals: (res) => {
+          section.extraData.totals = res
+        }
+      }
+    }
+
+    return pdfStream
   }
 
   async #processPdf (
     apiData,
-    opts
+    opts,
+    extraData
   ) {
     const template = await this.#renderTemplate(
       apiData,
-      opts
+      opts,
+      extraData
     )
     const buffer = await this.createPDFBuffer({
       template,
@@ -113,6 +223,66 @@ class PdfWriter {
     return buffer
   }
 
+  async #processCombinedPdf (
+    sections,
+    opts
+  ) {
+    const {
+      jobData,
+      language = 'en'
+    } = opts ?? {}
+    const renderedSections = []
+
+    for (const [i, section] of sections.entries()) {
+      const id = `report-section-${i + 1}`
+      const html = await this.#renderTemplate(
+        section.apiData,
+        {
+          ...section.opts,
+          language,
+          isSection: true,
+          sectionId: id
+        },
+        section.extraData
+      )
+
+      renderedSections.push({
+        ...this.#getReportDetails(section.opts?.jobData),
+        id,
+        html
+      })
+    }
+
+    const template = this.#getTemplate(
+      TEMPLATE_FILE_NAMES.COMBINED,
+      language
+    )
+    const html = template({
+      shouldZoomBeAdjusted: this.#shouldZoomBeAdjusted(),
+      apiData: [],
+      jobData,
+      reportColumns: null,
+      charts: [],
+      totals: null,
+      sections: renderedSections,
+      language,
+      isError: false,
+      ...this.#getReportDetails(jobData),
+      // The period of the document covers periods of all sub-reports
+      ...(renderedSections.length > 0
+        ? {
+            start: new Date(Math.min(...renderedSections.map(({ start }) => start))),
+            end: new Date(Math.max(...renderedSections.map(({ end }) => end)))
+          }
+        : {})
+    })
+
+    return this.createPDFBuffer({
+      template: html,
+      language
+    })
+  }
+
   async createPDFBuffer (args) {
     const _args = {
       template: 'No data',
@@ -123,18 +293,33 @@ class PdfWriter {
       ...args
     }
 
-    if (!await this.hasGrcService.hasPDFService()) {
-      throw new GrcPDFAvailabilityError()
+    return this.getPdfBackend().createPDFBuffer(_args)
+  }
+
+  /*
+   * A backend has to implement `isAvailable()` and
+   * `createPDFBuffer(args)` returning a `Buffer`,
+   * it's selected by the `pdfBackend` config option
+   */
+  addPdfBackend (name, pdfBackend) {
+    this.#pdfBackends.set(name, pdfBackend)
+  }
+
+  getPdfBackend () {
+    const pdfBackend = this.#pdfBackends.get(this.pdfBackendName)
+
+    if (!pdfBackend) {
+      throw new PDFBackendAvailabilityError()
     }
 
-    const bufferData = await this.grcBfxReq({
-      service: 'rest:ext:pdf',
-      action: 'createPDFBuffer',
-      args: [_args]
-    })
-    const res = Buffer.from(bufferData)
+    return pdfBackend
+  }
 
-    return res
+  async isPDFAvailable () {
+    return (
+      this.#pdfBackends.has(this.pdfBackendName) &&
+      !!await this.getPdfBackend().isAvailable()
+    )
   }
 
   #getTemplate (pdfCustomTemplateName, language) {
@@ -155,35 +340,72 @@ class PdfWriter {
 
   async #renderTemplate (
     apiData,
-    opts
+    opts,
+    extraData
   ) {
     const {
       jobData,
       pdfCustomTemplateName,
       language = 'en',
-      isError
+      isError,
+      isSection = false,
+      sectionId
     } = opts ?? {}
+    const {
+      rawData,
+      totals
+    } = extraData ?? {}
 
     const template = this.#getTemplate(
       pdfCustomTemplateName,
       language
     )
-    const {
-      date,
-      readableBaseName
-    } = getCompleteFileName(
-      jobData.name,
-      jobData.args.params
-    )
     const reportColumns = jobData?.columnsPdf ?? jobData?.columnsCsv
+    const charts = isError
+      ? []
+      : getCharts(
+        rawData,
+        jobData,
+        { translate: this.getTranslator(language) }
+      )
 
     const html = template({
-      shouldZoomBeAdjusted: this.shouldZoomBeAdjusted,
+      shouldZoomBeAdjusted: this.#shouldZoomBeAdjusted(),
       apiData,
       jobData,
       reportColumns,
+      charts,
+      totals: isError ? null : totals,
       language,
       isError,
+      isSection,
+      sectionId,
+      ...this.#getReportDetails(jobData)
+    })
+
+    return html
+  }
+
+  #shouldZoomBeAdjusted () {
+    return (
+      this.shouldZoomBeAdjusted &&
+      this.getPdfBackend().isZoomAdjustmentRequired
+    )
+  }
+
+  #getReportDetails (jobData) {
+    const {
+      date,
+      readableBaseName
+    } = getCompleteFileName(
+      jobData.name,
+      {
+        fileNamesMap: jobData.fileNamesMap,
+        ...jobData.args.params
+      }
+    )
+
+    return {
       reportName: readableBaseName ?? 'Report table',
       start: new Date(
         getDateNotLessMinStart(jobData?.args?.params?.start)
@@ -194,9 +416,7 @@ class PdfWriter {
       date: date instanceof Date
         ? date
         : new Date()
-    })
-
-    return html
+    }
   }
 
   getTranslator (language) {
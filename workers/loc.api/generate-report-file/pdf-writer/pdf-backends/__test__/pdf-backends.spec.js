@@ -0,0 +1,71 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  GrenachePdfBackend,
+  LocalPdfBackend
+} = require('..')
+const {
+  GrcPDFAvailabilityError
+} = require('../../../../errors')
+
+const getGrenachePdfBackend = (isAvailable) => {
+  const calls = []
+  const backend = new GrenachePdfBackend({
+    hasGrcService: {
+      hasPDFService: async () => isAvailable
+    },
+    grcBfxReq: async (req) => {
+      calls.push(req)
+
+      return [37, 80, 68, 70]
+    }
+  })
+
+  return { backend, calls }
+}
+
+describe('PDF backends', () => {
+  it('grenache backend requests the pdf service', async function () {
+    this.timeout(1000)
+
+    const { backend, calls } = getGrenachePdfBackend(true)
+    const buffer = await backend.createPDFBuffer({ template: 'html' })
+
+    assert.isTrue(await backend.isAvailable())
+    assert.isTrue(backend.isZoomAdjustmentRequired)
+    assert.instanceOf(buffer, Buffer)
+    assert.strictEqual(buffer.toString(), '%PDF')
+    assert.lengthOf(calls, 1)
+    assert.strictEqual(calls[0].service, 'rest:ext:pdf')
+    assert.deepStrictEqual(calls[0].args, [{ template: 'html' }])
+  })
+
+  it('grenache backend throws if the pdf service is missing', async function () {
+    this.timeout(1000)
+
+    const { backend, calls } = getGrenachePdfBackend(false)
+
+    try {
+      await backend.createPDFBuffer({ template: 'html' })
+
+      assert.fail('The error has not been thrown')
+    } catch (err) {
+      assert.instanceOf(err, GrcPDFAvailabilityError)
+    }
+
+    assert.isFalse(await backend.isAvailable())
+    assert.lengthOf(calls, 0)
+  })
+
+  it('local backend does not adjust the zoom of templates', function () {
+    this.timeout(1000)
+
+    const backend = new LocalPdfBackend({ browserArgs: ['--no-sandbox'] })
+
+    assert.isFalse(backend.isZoomAdjustmentRequired)
+    assert.deepStrictEqual(backend.browserArgs, ['--no-sandbox'])
+    assert.isBoolean(backend.isAvailable())
+  })
+})
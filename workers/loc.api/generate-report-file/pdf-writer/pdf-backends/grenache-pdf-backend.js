@@ -0,0 +1,44 @@
+'use strict'
+
+const {
+  GrcPDFAvailabilityError
+} = require('../../../errors')
+
+/*
+ * Renders PDF by the `rest:ext:pdf` grenache service,
+ * it's based on `html-pdf` lib so the zoom of templates
+ * needs to be adjusted
+ */
+class GrenachePdfBackend {
+  constructor (params) {
+    const {
+      hasGrcService,
+      grcBfxReq
+    } = params ?? {}
+
+    this.hasGrcService = hasGrcService
+    this.grcBfxReq = grcBfxReq
+
+    this.isZoomAdjustmentRequired = true
+  }
+
+  isAvailable () {
+    return this.hasGrcService.hasPDFService()
+  }
+
+  async createPDFBuffer (args) {
+    if (!await this.isAvailable()) {
+      throw new GrcPDFAvailabilityError()
+    }
+
+    const bufferData = await this.grcBfxReq({
+      service: 'rest:ext:pdf',
+      action: 'createPDFBuffer',
+      args: [args]
+    })
+
+    return Buffer.from(bufferData)
+  }
+}
+
+module.exports = GrenachePdfBackend
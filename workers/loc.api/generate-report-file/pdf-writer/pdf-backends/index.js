@@ -0,0 +1,11 @@
+'use strict'
+
+const PDF_BACKEND_NAMES = require('./pdf-backend-names')
+const GrenachePdfBackend = require('./grenache-pdf-backend')
+const LocalPdfBackend = require('./local-pdf-backend')
+
+module.exports = {
+  PDF_BACKEND_NAMES,
+  GrenachePdfBackend,
+  LocalPdfBackend
+}
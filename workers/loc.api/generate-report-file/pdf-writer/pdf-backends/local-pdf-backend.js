@@ -0,0 +1,135 @@
+'use strict'
+
+const {
+  PDFBackendAvailabilityError
+} = require('../../../errors')
+
+// The browser is closed when there are no PDFs to render
+const BROWSER_IDLE_TIMEOUT_MS = 60 * 1000
+
+/*
+ * Renders PDF in-process by the headless Chromium,
+ * `puppeteer` is an optional dependency so it's
+ * required only when the backend is used
+ */
+class LocalPdfBackend {
+  #browserPromise = null
+  #closingTimer = null
+  #pendingPagesCount = 0
+
+  constructor (params) {
+    const {
+      browserArgs = []
+    } = params ?? {}
+
+    this.browserArgs = Array.isArray(browserArgs)
+      ? browserArgs
+      : []
+
+    this.isZoomAdjustmentRequired = false
+  }
+
+  isAvailable () {
+    return !!this.#requirePuppeteer()
+  }
+
+  async createPDFBuffer (args) {
+    const {
+      template,
+      format,
+      orientation
+    } = args ?? {}
+
+    this.#pendingPagesCount += 1
+    clearTimeout(this.#closingTimer)
+
+    let page = null
+
+    try {
+      const browser = await this.#getBrowser()
+      page = await browser.newPage()
+
+      await page.setContent(template, { waitUntil: 'load' })
+      await page.emulateMediaType('print')
+
+      const pdf = await page.pdf({
+        format: orientation,
+        landscape: format === 'landscape',
+        printBackground: true,
+        margin: { top: 0, right: 0, bottom: 0, left: 0 }
+      })
+
+      return Buffer.from(pdf)
+    } finally {
+      this.#pendingPagesCount -= 1
+
+      await page?.close().catch(() => {})
+
+      this.#scheduleBrowserClosing()
+    }
+  }
+
+  #requirePuppeteer () {
+    try {
+      return require('puppeteer')
+    } catch (err) {
+      return null
+    }
+  }
+
+  #getBrowser () {
+    if (this.#browserPromise) {
+      return this.#browserPromise
+    }
+
+    const puppeteer = this.#requirePuppeteer()
+
+    if (!puppeteer) {
+      throw new PDFBackendAvailabilityError()
+    }
+
+    this.#browserPromise = puppeteer.launch({
+      headless: true,
+      args: this.browserArgs
+    }).then((browser) => {
+      browser.once('disconnected', () => {
+        this.#browserPromise = null
+      })
+
+      return browser
+    }).catch((err) => {
+      this.#browserPromise = null
+
+      throw err
+    })
+
+    return this.#browserPromise
+  }
+
+  #scheduleBrowserClosing () {
+    if (this.#pendingPagesCount > 0) {
+      return
+    }
+
+    clearTimeout(this.#closingTimer)
+
+    this.#closingTimer = setTimeout(() => {
+      this.close().catch(() => {})
+    }, BROWSER_IDLE_TIMEOUT_MS).unref()
+  }
+
+  async close () {
+    const browserPromise = this.#browserPromise
+    this.#browserPromise = null
+
+    if (!browserPromise) {
+      return
+    }
+
+    const browser = await browserPromise
+
+    await browser.close()
+  }
+}
+
+module.exports = LocalPdfBackend
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+  GRENACHE: 'grenache',
+  LOCAL: 'local'
+}
@@ -1,5 +1,12 @@
 'use strict'
 
 module.exports = {
-  MAIN: 'main.pug'
+  MAIN: 'main.pug',
+  LEDGERS_INTEGRITY: 'ledgers-integrity.pug',
+  PERFORMANCE_REPORT: 'performance-report.pug',
+  LEDGERS: 'ledgers.pug',
+  TRADES: 'trades.pug',
+  MOVEMENTS: 'movements.pug',
+  WEIGHTED_AVERAGES_REPORT: 'weighted-averages-report.pug',
+  COMBINED: 'combined.pug'
 }
@@ -12,23 +12,40 @@ const {
 } = require('../helpers')
 const {
   FindMethodToGetReportFileError,
-  SymbolsTypeError
+  SymbolsTypeError,
+  ExportPresetMethodError
 } = require('../errors')
+const {
+  EXPORT_PRESET_MAPPER_NAMES
+} = require('./export-presets')
+const TEMPLATE_FILE_NAMES = require('./pdf-writer/template-file-names')
+const isCombinedReportFile = require(
+  '../queue/helpers/is-combined-report-file'
+)
+const {
+  CSV_DIALECT_PARAM_NAMES
+} = require('./csv-writer/helpers')
 
 const depsTypes = (TYPES) => [
   TYPES.RService,
   TYPES.DataValidator,
-  TYPES.WeightedAveragesReportCsvWriter
+  TYPES.WeightedAveragesReportCsvWriter,
+  TYPES.ExportPresetCsvWriter,
+  TYPES.JournalWriter
 ]
 class ReportFileJobData {
   constructor (
     rService,
     dataValidator,
-    weightedAveragesReportCsvWriter
+    weightedAveragesReportCsvWriter,
+    exportPresetCsvWriter,
+    journalWriter
   ) {
     this.rService = rService
     this.dataValidator = dataValidator
     this.weightedAveragesReportCsvWriter = weightedAveragesReportCsvWriter
+    this.exportPresetCsvWriter = exportPresetCsvWriter
+    this.journalWriter = journalWriter
   }
 
   async getTradesFileJobData (
@@ -78,7 +95,8 @@ class ReportFileJobData {
       formatSettings: {
         mtsCreate: 'date',
         symbol: 'symbol'
-      }
+      },
+      pdfCustomTemplateName: TEMPLATE_FILE_NAMES.TRADES
     }
 
     return jobData
@@ -626,7 +644,8 @@ class ReportFileJobData {
       },
       formatSettings: {
         mts: 'date'
-      }
+      },
+      pdfCustomTemplateName: TEMPLATE_FILE_NAMES.LEDGERS
     }
 
     return jobData
@@ -846,7 +865,8 @@ class ReportFileJobData {
         mtsStarted: 'date',
         mtsUpdated: 'date',
         currency: 'prepareCurrency'
-      }
+      },
+      pdfCustomTemplateName: TEMPLATE_FILE_NAMES.MOVEMENTS
     }
 
     return jobData
@@ -1137,8 +1157,19 @@ class ReportFileJobData {
 
     const {
       language,
-      isPDFRequired
+      isPDFRequired,
+      fileFormat,
+      exportPreset
     } = args?.params ?? {}
+    // Csv dialect is common for all sub-reports
+    const csvDialectParams = CSV_DIALECT_PARAM_NAMES
+      .reduce((accum, name) => {
+        if (typeof args?.params?.[name] !== 'undefined') {
+          accum[name] = args.params[name]
+        }
+
+        return accum
+      }, {})
     const jobsData = []
 
     for (const params of args.params.multiExport) {
@@ -1164,7 +1195,11 @@ class ReportFileJobData {
               : {}),
             ...(typeof isPDFRequired === 'boolean'
               ? { isPDFRequired }
-              : {})
+              : {}),
+            ...(fileFormat && typeof fileFormat === 'string'
+              ? { fileFormat }
+              : {}),
+            ...csvDialectParams
           }
         },
         userId,
@@ -1174,15 +1209,74 @@ class ReportFileJobData {
       jobsData.push(jobData)
     }
 
+    if (exportPreset) {
+      return this._getExportPresetJobData(
+        args,
+        userId,
+        userInfo,
+        jobsData
+      )
+    }
+
     return {
       userInfo,
       userId,
       name: 'getMultiple',
+      // All sub-reports are put into one xlsx workbook or pdf document
+      ...(isCombinedReportFile(args?.params)
+        ? { fileNamesMap: [['getMultiple', 'multiple-exports']] }
+        : {}),
       args,
       jobsData
     }
   }
 
+  /*
+   * The preset produces one merged csv file,
+   * sub-reports are written without formatting
+   * to be mapped into the preset layout
+   */
+  _getExportPresetJobData (
+    args,
+    userId,
+    userInfo,
+    jobsData
+  ) {
+    const { exportPreset } = args.params
+    const presetJobsData = jobsData.map((jobData) => {
+      if (!EXPORT_PRESET_MAPPER_NAMES[jobData?.name]) {
+        throw new ExportPresetMethodError()
+      }
+
+      return omit(jobData, [
+        'columnsCsv',
+        'formatSettings',
+        'csvCustomWriter',
+        'pdfCustomTemplateName'
+      ])
+    })
+    const starts = presetJobsData.map(({ args }) => args?.params?.start ?? 0)
+    const ends = presetJobsData.map(({ args }) => args?.params?.end ?? Date.now())
+
+    return {
+      userInfo,
+      userId,
+      name: 'getMultiple',
+      fileNamesMap: [['getMultiple', `${exportPreset}-export`]],
+      args: {
+        ...args,
+        params: {
+          ...omit(args.params, ['multiExport']),
+          start: Math.min(...starts),
+          end: Math.max(...ends)
+        }
+      },
+      exportPreset,
+      presetJobsData,
+      csvCustomWriter: this.exportPresetCsvWriter
+    }
+  }
+
   async getWeightedAveragesReportFileJobData (
     args,
     uId,
@@ -1234,11 +1328,426 @@ class ReportFileJobData {
         firstTradeMts: 'date',
         lastTradeMts: 'date'
       },
-      csvCustomWriter: this.weightedAveragesReportCsvWriter
+      csvCustomWriter: this.weightedAveragesReportCsvWriter,
+      pdfCustomTemplateName: TEMPLATE_FILE_NAMES.WEIGHTED_AVERAGES_REPORT
+    }
+
+    return jobData
+  }
+
+  async getRealizedPnLReportFileJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    this.dataValidator.validate(
+      args,
+      this.dataValidator.SCHEMA_IDS.GET_REALIZED_PNL_REPORT_FILE_REQ,
+      { shouldParamsFieldBeChecked: true }
+    )
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const reportFileArgs = getReportFileArgs(
+      args,
+      {
+        isLimitUnused: true,
+        extraParams: { notThrowError: true }
+      }
+    )
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getRealizedPnLReport',
+      fileNamesMap: [['getRealizedPnLReport', 'realized-pnl-report']],
+      args: reportFileArgs,
+      columnsCsv: {
+        symbol: 'PAIR',
+        amount: 'AMOUNT',
+        acquiredMts: 'ACQUIRED',
+        disposedMts: 'DISPOSED',
+        cost: 'COST',
+        proceeds: 'PROCEEDS',
+        realizedPnL: 'REALIZED P&L',
+        costBasisMethod: 'METHOD',
+        acquisitionTradeId: 'ACQUISITION TRADE #',
+        disposalTradeId: 'DISPOSAL TRADE #'
+      },
+      formatSettings: {
+        symbol: 'symbol',
+        acquiredMts: 'date',
+        disposedMts: 'date'
+      }
+    }
+
+    return jobData
+  }
+
+  async getFeeSummaryReportFileJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    this.dataValidator.validate(
+      args,
+      this.dataValidator.SCHEMA_IDS.GET_FEE_SUMMARY_REPORT_FILE_REQ,
+      { shouldParamsFieldBeChecked: true }
+    )
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const reportFileArgs = getReportFileArgs(
+      args,
+      {
+        isLimitUnused: true,
+        extraParams: { notThrowError: true }
+      }
+    )
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getFeeSummaryReport',
+      fileNamesMap: [['getFeeSummaryReport', 'fee-summary-report']],
+      args: reportFileArgs,
+      columnsCsv: {
+        groupBy: 'GROUPED BY',
+        group: 'GROUP',
+        feeCurrency: 'FEE CURRENCY',
+        amount: 'FEE',
+        usdAmount: 'FEE USD',
+        count: 'COUNT'
+      }
+    }
+
+    return jobData
+  }
+
+  async getWalletsSnapshotAtFileJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    this.dataValidator.validate(
+      args,
+      this.dataValidator.SCHEMA_IDS.GET_WALLETS_SNAPSHOT_AT_FILE_REQ,
+      { shouldParamsFieldBeChecked: true }
+    )
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const reportFileArgs = getReportFileArgs(
+      args,
+      {
+        isLimitUnused: true,
+        extraParams: {
+          notThrowError: true,
+          isBaseNameInName: true
+        }
+      }
+    )
+    const isCompared = Number.isInteger(args?.params?.compareEnd)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getWalletsSnapshotAt',
+      fileNamesMap: [['getWalletsSnapshotAt', 'wallets-snapshot']],
+      args: reportFileArgs,
+      columnsCsv: {
+        type: 'TYPE',
+        currency: 'CURRENCY',
+        balance: 'BALANCE',
+        ...(isCompared
+          ? {
+              compareBalance: 'COMPARED BALANCE',
+              delta: 'DELTA'
+            }
+          : {}),
+        mtsUpdate: 'UPDATED'
+      },
+      formatSettings: {
+        mtsUpdate: 'date'
+      }
+    }
+
+    return jobData
+  }
+
+  async checkLedgersIntegrityFileJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    this.dataValidator.validate(
+      args,
+      this.dataValidator.SCHEMA_IDS.CHECK_LEDGERS_INTEGRITY_FILE_REQ,
+      { shouldParamsFieldBeChecked: true }
+    )
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const reportFileArgs = getReportFileArgs(
+      args,
+      {
+        isLimitUnused: true,
+        extraParams: { notThrowError: true }
+      }
+    )
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'checkLedgersIntegrity',
+      fileNamesMap: [['checkLedgersIntegrity', 'ledgers-integrity']],
+      args: reportFileArgs,
+      columnsCsv: {
+        type: 'FINDING',
+        currency: 'CURRENCY',
+        wallet: 'WALLET',
+        id: '#',
+        mts: 'DATE',
+        prevId: 'PREVIOUS #',
+        prevMts: 'PREVIOUS DATE',
+        amount: 'AMOUNT',
+        balance: 'BALANCE',
+        expectedBalance: 'EXPECTED BALANCE',
+        diff: 'DIFFERENCE',
+        details: 'DETAILS'
+      },
+      formatSettings: {
+        mts: 'date',
+        prevMts: 'date'
+      },
+      pdfCustomTemplateName: TEMPLATE_FILE_NAMES.LEDGERS_INTEGRITY
+    }
+
+    return jobData
+  }
+
+  async getReconciliationReportFileJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    this.dataValidator.validate(
+      args,
+      this.dataValidator.SCHEMA_IDS.GET_RECONCILIATION_REPORT_FILE_REQ,
+      { shouldParamsFieldBeChecked: true }
+    )
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const reportFileArgs = getReportFileArgs(
+      args,
+      {
+        isLimitUnused: true,
+        extraParams: { notThrowError: true }
+      }
+    )
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getReconciliationReport',
+      fileNamesMap: [['getReconciliationReport', 'reconciliation']],
+      args: reportFileArgs,
+      columnsCsv: {
+        type: 'TYPE',
+        status: 'STATUS',
+        reason: 'REASON',
+        currency: 'CURRENCY',
+        sourceId: 'SOURCE #',
+        sourceMts: 'SOURCE DATE',
+        sourceAmount: 'SOURCE AMOUNT',
+        ledgerId: 'LEDGER #',
+        ledgerMts: 'LEDGER DATE',
+        ledgerAmount: 'LEDGER AMOUNT',
+        diff: 'DIFFERENCE',
+        details: 'DETAILS'
+      },
+      formatSettings: {
+        sourceMts: 'date',
+        ledgerMts: 'date'
+      }
+    }
+
+    return jobData
+  }
+
+  async getPerformanceReportFileJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    this.dataValidator.validate(
+      args,
+      this.dataValidator.SCHEMA_IDS.GET_PERFORMANCE_REPORT_FILE_REQ,
+      { shouldParamsFieldBeChecked: true }
+    )
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const reportFileArgs = getReportFileArgs(
+      args,
+      {
+        isLimitUnused: true,
+        extraParams: { notThrowError: true }
+      }
+    )
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getPerformanceReport',
+      fileNamesMap: [['getPerformanceReport', 'performance-report']],
+      args: reportFileArgs,
+      columnsCsv: {
+        period: 'PERIOD',
+        start: 'FROM',
+        end: 'TO',
+        quoteCurrency: 'CURRENCY',
+        startEquity: 'START EQUITY',
+        endEquity: 'END EQUITY',
+        netCashFlow: 'NET DEPOSITS',
+        tradingResult: 'TRADING RESULT',
+        timeWeightedReturn: 'TIME-WEIGHTED RETURN',
+        moneyWeightedReturn: 'MONEY-WEIGHTED RETURN',
+        maxDrawdown: 'MAX DRAWDOWN',
+        volatility: 'VOLATILITY'
+      },
+      formatSettings: {
+        start: 'date',
+        end: 'date'
+      },
+      pdfCustomTemplateName: TEMPLATE_FILE_NAMES.PERFORMANCE_REPORT
     }
 
     return jobData
   }
+
+  /*
+   * Ledgers and trades are written without formatting
+   * to be mapped into double-entry transactions
+   */
+  async getJournalFileJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    this.dataValidator.validate(
+      args,
+      this.dataValidator.SCHEMA_IDS.GET_JOURNAL_FILE_REQ,
+      { shouldParamsFieldBeChecked: true }
+    )
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const {
+      start,
+      end,
+      journalFormat,
+      journalAccounts
+    } = args.params
+    const journalJobsData = []
+
+    for (const getJobDataMethodName of [
+      'getLedgersFileJobData',
+      'getTradesFileJobData'
+    ]) {
+      const jobData = await this[getJobDataMethodName](
+        {
+          ...args,
+          params: {
+            ...(Number.isInteger(start) ? { start } : {}),
+            ...(Number.isInteger(end) ? { end } : {})
+          }
+        },
+        userId,
+        userInfo
+      )
+
+      journalJobsData.push(omit(jobData, [
+        'columnsCsv',
+        'formatSettings',
+        'csvCustomWriter',
+        'pdfCustomTemplateName'
+      ]))
+    }
+
+    const starts = journalJobsData.map(({ args }) => args?.params?.start ?? 0)
+    const ends = journalJobsData.map(({ args }) => args?.params?.end ?? Date.now())
+
+    return {
+      userInfo,
+      userId,
+      name: 'getJournal',
+      fileNamesMap: [['getJournal', `${journalFormat}-journal`]],
+      args: {
+        ...args,
+        params: {
+          ...args.params,
+          start: Math.min(...starts),
+          end: Math.max(...ends),
+          fileFormat: journalFormat
+        }
+      },
+      journalFormat,
+      journalAccounts,
+      journalJobsData,
+      csvCustomWriter: this.journalWriter
+    }
+  }
 }
 
 decorateInjectable(ReportFileJobData, depsTypes)
@@ -0,0 +1,97 @@
+'use strict'
+
+const { Writable } = require('stream')
+const ExcelJS = require('exceljs')
+const { assert } = require('chai')
+
+require('reflect-metadata')
+const XlsxWriter = require('..')
+
+const mts = Date.UTC(2023, 0, 10)
+const pages = [
+  [{ id: 1, mts, amount: 1 }, { id: 2, mts, amount: 2 }],
+  [{ id: 3, mts, amount: 3 }]
+]
+const jobData = {
+  name: 'getLedgers',
+  args: { params: { start: mts, end: mts } },
+  columnsCsv: { id: '#', mts: 'DATE', amount: 'AMOUNT' },
+  formatSettings: { mts: 'date' }
+}
+
+const createWritable = () => {
+  const chunks = []
+  const wStream = new Writable({
+    write (chunk, encoding, cb) {
+      chunks.push(chunk)
+      setImmediate(cb)
+    }
+  })
+  const promise = new Promise((resolve, reject) => {
+    wStream.on('finish', () => resolve(Buffer.concat(chunks)))
+    wStream.on('error', reject)
+  })
+
+  return { wStream, promise }
+}
+const createXlsxWriter = () => new XlsxWriter(
+  async (stream) => {
+    for (const page of pages) {
+      for (const item of page) {
+        stream.write(item)
+      }
+
+      await stream.waitForDrain()
+    }
+  }
+)
+const readWorkbook = async (promise) => {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(await promise)
+
+  return workbook.worksheets.map((worksheet) => ({
+    name: worksheet.name,
+    values: worksheet.getSheetValues()
+      .filter(Boolean)
+      .map((values) => values.slice(1))
+  }))
+}
+
+describe('XLSX report file writer', () => {
+  it('rows are written page by page into the worksheet', async function () {
+    this.timeout(5000)
+
+    const { wStream, promise } = createWritable()
+
+    await createXlsxWriter().write(wStream, jobData)
+
+    const [worksheet, ...otherWorksheets] = await readWorkbook(promise)
+
+    assert.lengthOf(otherWorksheets, 0)
+    assert.deepStrictEqual(worksheet.values[0], ['#', 'DATE', 'AMOUNT'])
+    assert.deepStrictEqual(
+      worksheet.values.slice(1).map(([id, , amount]) => [id, amount]),
+      [[1, 1], [2, 2], [3, 3]]
+    )
+    assert.instanceOf(worksheet.values[1][1], Date)
+  })
+
+  it('next worksheet is started on reaching the row limit', async function () {
+    this.timeout(5000)
+
+    const { wStream, promise } = createWritable()
+    const xlsxWriter = createXlsxWriter()
+    xlsxWriter.maxRowsPerWorksheet = 3
+
+    await xlsxWriter.write(wStream, jobData)
+
+    const worksheets = await readWorkbook(promise)
+
+    assert.lengthOf(worksheets, 2)
+    assert.notStrictEqual(worksheets[0].name, worksheets[1].name)
+    assert.deepStrictEqual(
+      worksheets.map(({ values }) => values.map(([id]) => id)),
+      [['#', 1, 2], ['#', 3]]
+    )
+  })
+})
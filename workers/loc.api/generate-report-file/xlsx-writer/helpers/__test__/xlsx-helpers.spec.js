@@ -0,0 +1,67 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  getExcelDateFormat,
+  getExcelDate,
+  getCellValue,
+  getWorksheetName
+} = require('..')
+
+const mts = Date.UTC(2023, 10, 14, 22, 13, 20)
+
+describe('xlsx writer helpers', () => {
+  it('date format is converted into Excel number format', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(getExcelDateFormat(), 'yy-mm-dd hh:mm:ss')
+    assert.strictEqual(
+      getExcelDateFormat({ dateFormat: 'DD-MM-YYYY', milliseconds: true }),
+      'dd-mm-yyyy hh:mm:ss.000'
+    )
+  })
+
+  it('date is shifted to the wall clock time of timezone', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(
+      getExcelDate(mts).toISOString(),
+      '2023-11-14T22:13:20.000Z'
+    )
+    assert.strictEqual(
+      getExcelDate(mts, { timezone: -3 }).toISOString(),
+      '2023-11-14T19:13:20.000Z'
+    )
+    assert.strictEqual(
+      getExcelDate(mts, { timezone: 'Europe/Kiev' }).toISOString(),
+      '2023-11-15T00:13:20.000Z'
+    )
+    assert.isNull(getExcelDate(null))
+  })
+
+  it('cell values are kept typed', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(getCellValue(1.5), 1.5)
+    assert.strictEqual(getCellValue('BTC'), 'BTC')
+    assert.isNull(getCellValue())
+    assert.strictEqual(getCellValue({ a: 1 }), '{"a":1}')
+  })
+
+  it('worksheet names are valid and unique', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(getWorksheetName('Trades'), 'Trades')
+    assert.strictEqual(
+      getWorksheetName('trades', ['Trades']),
+      'trades (2)'
+    )
+    assert.strictEqual(getWorksheetName('a/b:c'), 'a b c')
+    assert.lengthOf(
+      getWorksheetName('x'.repeat(40), ['x'.repeat(31)]),
+      31
+    )
+    assert.strictEqual(getWorksheetName(''), 'Report')
+  })
+})
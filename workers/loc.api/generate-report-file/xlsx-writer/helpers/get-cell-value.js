@@ -0,0 +1,24 @@
+'use strict'
+
+/*
+ * Numbers and dates are kept typed,
+ * nested data is serialized to be shown in one cell
+ */
+module.exports = (val) => {
+  if (
+    val === null ||
+    typeof val === 'undefined'
+  ) {
+    return null
+  }
+  if (
+    typeof val === 'number' ||
+    typeof val === 'string' ||
+    typeof val === 'boolean' ||
+    val instanceof Date
+  ) {
+    return val
+  }
+
+  return JSON.stringify(val)
+}
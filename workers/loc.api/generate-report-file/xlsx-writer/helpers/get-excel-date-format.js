@@ -0,0 +1,19 @@
+'use strict'
+
+/*
+ * Converts the `dateFormat` param into the Excel number format,
+ * the same time part is used as for csv and pdf files
+ */
+module.exports = (params) => {
+  const {
+    dateFormat = 'YY-MM-DD',
+    milliseconds = false
+  } = params ?? {}
+  const date = dateFormat
+    .replace(/Y/g, 'y')
+    .replace(/D/g, 'd')
+    .replace(/M/g, 'm')
+  const ms = milliseconds ? '.000' : ''
+
+  return `${date} hh:mm:ss${ms}`
+}
@@ -0,0 +1,28 @@
+'use strict'
+
+const moment = require('moment-timezone')
+
+const _getUtcOffset = (mts, timezone) => {
+  try {
+    return Number.isFinite(timezone)
+      ? moment(mts).utcOffset(timezone).utcOffset()
+      : moment(mts).tz(timezone).utcOffset()
+  } catch (err) {
+    return 0
+  }
+}
+
+/*
+ * Excel dates don't have a timezone, so the date is shifted
+ * to show the same wall clock time as in csv and pdf files
+ */
+module.exports = (mts, params) => {
+  if (!Number.isInteger(mts)) {
+    return mts
+  }
+
+  const { timezone = 0 } = params ?? {}
+  const utcOffset = _getUtcOffset(mts, timezone)
+
+  return new Date(mts + (utcOffset * 60 * 1000))
+}
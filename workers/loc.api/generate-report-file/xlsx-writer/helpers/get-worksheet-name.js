@@ -0,0 +1,26 @@
+'use strict'
+
+// Excel limits the name length and doesn't allow some chars
+const MAX_NAME_LENGTH = 31
+const FORBIDDEN_CHARS_REG_EXP = /[\\/?*[\]:]/g
+
+module.exports = (name, usedNames = []) => {
+  const baseName = (name || 'Report')
+    .replace(FORBIDDEN_CHARS_REG_EXP, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH) || 'Report'
+  let worksheetName = baseName
+  let count = 1
+
+  while (usedNames.some((usedName) => (
+    usedName.toLowerCase() === worksheetName.toLowerCase()
+  ))) {
+    count += 1
+
+    const ending = ` (${count})`
+
+    worksheetName = `${baseName.slice(0, MAX_NAME_LENGTH - ending.length)}${ending}`
+  }
+
+  return worksheetName
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+const getExcelDateFormat = require('./get-excel-date-format')
+const getExcelDate = require('./get-excel-date')
+const getCellValue = require('./get-cell-value')
+const getWorksheetName = require('./get-worksheet-name')
+
+module.exports = {
+  getExcelDateFormat,
+  getExcelDate,
+  getCellValue,
+  getWorksheetName
+}
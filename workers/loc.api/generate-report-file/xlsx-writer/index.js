@@ -0,0 +1,229 @@
+'use strict'
+
+const { once } = require('events')
+const ExcelJS = require('exceljs')
+const { omit } = require('lib-js-util-base')
+
+const getCompleteFileName = require('../../queue/helpers/get-complete-file-name')
+const {
+  getExcelDateFormat,
+  getExcelDate,
+  getCellValue,
+  getWorksheetName
+} = require('./helpers')
+
+const MIN_COLUMN_WIDTH = 10
+const MAX_COLUMN_WIDTH = 60
+// Excel limits the worksheet by 1,048,576 rows including the header
+const MAX_ROWS_PER_WORKSHEET = 1048576
+
+const { decorateInjectable } = require('../../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.WriteDataToStream
+]
+class XlsxWriter {
+  constructor (
+    writeDataToStream
+  ) {
+    this.writeDataToStream = writeDataToStream
+
+    this.maxRowsPerWorksheet = MAX_ROWS_PER_WORKSHEET
+  }
+
+  /*
+   * Each sub-report of the multiple export is put
+   * into the own worksheet of the one workbook,
+   * rows are committed into the stream page by page
+   */
+  async write (wStream, jobData) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: wStream,
+      useStyles: true
+    })
+    workbook.created = new Date()
+    const usedNames = []
+
+    if (typeof jobData === 'string') {
+      const sheetWriter = this._createSheetWriter(workbook, usedNames, {
+        name: 'Report',
+        columns: { message: 'MESSAGE' }
+      })
+
+      sheetWriter.addRows([{ message: jobData }])
+      sheetWriter.commit()
+    } else {
+      const jobsData = Array.isArray(jobData?.jobsData)
+        ? jobData.jobsData
+        : [jobData]
+
+      for (const subJobData of jobsData) {
+        await this._writeSheet(wStream, workbook, usedNames, subJobData)
+      }
+    }
+
+    await workbook.commit()
+  }
+
+  /*
+   * Dates are not formatted as strings to be kept as real
+   * Excel dates, other format settings are applied as for csv
+   */
+  async _writeSheet (wStream, workbook, usedNames, jobData) {
+    const params = { ...jobData?.args?.params }
+    const formatSettings = { ...jobData?.formatSettings }
+    const dateKeys = Object.keys(formatSettings)
+      .filter((key) => formatSettings[key] === 'date')
+    const sheetWriter = this._createSheetWriter(workbook, usedNames, {
+      name: getCompleteFileName(
+        jobData?.name,
+        { ...params, ...jobData }
+      ).readableBaseName,
+      columns: jobData?.columnsCsv,
+      dateKeys,
+      params
+    })
+    let rows = []
+
+    const writePage = async () => {
+      sheetWriter.addRows(rows)
+      rows = []
+
+      if (wStream.writableNeedDrain) {
+        await once(wStream, 'drain')
+      }
+    }
+
+    await this.writeDataToStream(
+      {
+        write: (item) => rows.push(item),
+        waitForDrain: writePage
+      },
+      {
+        ...jobData,
+        formatSettings: omit(formatSettings, dateKeys)
+      }
+    )
+    await writePage()
+
+    sheetWriter.commit()
+  }
+
+  _getColumns (columnsCsv, rows) {
+    if (
+      columnsCsv &&
+      typeof columnsCsv === 'object' &&
+      Object.keys(columnsCsv).length > 0
+    ) {
+      return columnsCsv
+    }
+
+    const [firstRow] = rows
+
+    return Object.keys({ ...firstRow }).reduce((accum, key) => {
+      accum[key] = key
+
+      return accum
+    }, {})
+  }
+
+  /*
+   * Column widths are taken from the first page as
+   * columns are written before the first committed row,
+   * the next worksheet is started on reaching the row limit
+   */
+  _createSheetWriter (workbook, usedNames, sheet) {
+    const {
+      name,
+      columns,
+      dateKeys = [],
+      params
+    } = sheet
+    const dateFormat = getExcelDateFormat(params)
+    let columnEntries = null
+    let columnWidths = []
+    let worksheet = null
+    let rowsCount = 0
+
+    const addWorksheet = () => {
+      worksheet?.commit()
+
+      const worksheetName = getWorksheetName(name, usedNames)
+      usedNames.push(worksheetName)
+
+      worksheet = workbook.addWorksheet(worksheetName, {
+        views: [{ state: 'frozen', ySplit: 1 }]
+      })
+      worksheet.columns = columnEntries.map(([key, header], i) => ({
+        header,
+        key: `${i}`,
+        width: columnWidths[i],
+        ...(dateKeys.includes(key)
+          ? { style: { numFmt: dateFormat } }
+          : {})
+      }))
+      worksheet.getRow(1).font = { bold: true }
+      rowsCount = 1
+    }
+    const setColumns = (rows) => {
+      columnEntries = Object.entries(this._getColumns(columns, rows))
+      columnWidths = columnEntries.map(([key, header]) => {
+        const maxLength = dateKeys.includes(key)
+          ? dateFormat.length
+          : rows.reduce((accum, row) => {
+            const length = `${getCellValue(row?.[key]) ?? ''}`.length
+
+            return Math.max(accum, length)
+          }, 0)
+
+        return Math.min(
+          Math.max(maxLength, `${header}`.length, MIN_COLUMN_WIDTH) + 2,
+          MAX_COLUMN_WIDTH
+        )
+      })
+    }
+
+    const addRows = (rows) => {
+      if (!columnEntries) {
+        if (rows.length === 0) {
+          return
+        }
+
+        setColumns(rows)
+      }
+
+      for (const row of rows) {
+        if (!worksheet || rowsCount >= this.maxRowsPerWorksheet) {
+          addWorksheet()
+        }
+
+        worksheet.addRow(columnEntries.map(([key]) => (
+          dateKeys.includes(key)
+            ? getExcelDate(row?.[key], params)
+            : getCellValue(row?.[key])
+        ))).commit()
+        rowsCount += 1
+      }
+    }
+    const commit = () => {
+      // The empty report has the worksheet with headers only
+      if (!columnEntries) {
+        setColumns([])
+      }
+      if (!worksheet) {
+        addWorksheet()
+      }
+
+      worksheet.commit()
+    }
+
+    return {
+      addRows,
+      commit
+    }
+  }
+}
+
+decorateInjectable(XlsxWriter, depsTypes)
+
+module.exports = XlsxWriter
@@ -100,6 +100,10 @@ const isMaintenanceError = (err) => {
   return /maintenance/i.test(_getErrorString(err))
 }
 
+const isServerError = (err) => {
+  return /(HTTP code 5\d\d)|(Internal Server Error)|(Service Unavailable)|(Gateway Time-?out)/i.test(_getErrorString(err))
+}
+
 const isENetError = (err) => (
   isENetUnreachError(err) ||
   isEConnResetError(err) ||
@@ -143,5 +147,6 @@ module.exports = {
   isCommonNetError,
   isENetError,
   isForbiddenError,
-  isMaintenanceError
+  isMaintenanceError,
+  isServerError
 }
@@ -1,9 +1,5 @@
 'use strict'
 
-const hasJobInQueueWithStatusBy = require(
-  './has-job-in-queue-with-status-by'
-)
-
 module.exports = async (
   rService,
   uId,
@@ -13,7 +9,7 @@ module.exports = async (
 
   const userId = Number.isInteger(uId)
     ? uId
-    : await hasJobInQueueWithStatusBy(rService, user)
+    : id
 
   const userInfo = {
     ...user,
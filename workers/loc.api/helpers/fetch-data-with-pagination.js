@@ -0,0 +1,96 @@
+'use strict'
+
+const { getMethodLimit } = require('./limit-param.helpers')
+
+/*
+ * Walks the whole `start`/`end` timeframe page by page
+ * using `nextPage` of the API response as the next `end` value
+ */
+module.exports = (
+  getDataFromApi
+) => async ({
+  getData,
+  args,
+  apiMethodName,
+  datePropName,
+  callerName
+}) => {
+  const start = args?.params?.start ?? 0
+  const params = {
+    ...args?.params,
+    start,
+    end: args?.params?.end ?? Date.now(),
+    limit: getMethodLimit({ isMax: true }, apiMethodName),
+    notThrowError: true
+  }
+
+  let serialRequestsCount = 0
+
+  const data = []
+
+  while (true) {
+    const _res = await getDataFromApi({
+      getData,
+      args: {
+        ...args,
+        auth: args?.auth ?? {},
+        params: { ...params }
+      },
+      callerName,
+      shouldNotInterrupt: true
+    })
+    const { res, nextPage } = _res ?? {}
+    const prevEnd = params.end
+
+    if (
+      Array.isArray(res) &&
+      res.length === 0 &&
+      Number.isInteger(nextPage) &&
+      nextPage !== prevEnd &&
+      serialRequestsCount < 1
+    ) {
+      serialRequestsCount += 1
+      params.end = nextPage
+
+      continue
+    }
+
+    serialRequestsCount = 0
+
+    if (
+      !Array.isArray(res) ||
+      res.length === 0
+    ) {
+      break
+    }
+
+    const lastMts = res[res.length - 1]?.[datePropName]
+
+    if (!Number.isInteger(lastMts)) {
+      data.push(...res)
+
+      break
+    }
+    if (start >= lastMts) {
+      data.push(...res.filter((item) => (
+        start <= item?.[datePropName]
+      )))
+
+      break
+    }
+
+    data.push(...res)
+
+    // Prevents an endless loop if the API does not move the cursor
+    if (
+      !Number.isInteger(nextPage) ||
+      nextPage === prevEnd
+    ) {
+      break
+    }
+
+    params.end = nextPage
+  }
+
+  return data
+}
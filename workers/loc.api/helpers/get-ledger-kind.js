@@ -0,0 +1,41 @@
+'use strict'
+
+const LEDGER_KINDS = require('./ledger.kinds')
+
+/*
+ * The order is important, fee entries are matched
+ * before entries with the same keywords. Movements are
+ * matched anywhere in the description as it can start
+ * with the method (crypto, wire, etc.), the legacy
+ * `deposit` wallet name is not a movement keyword
+ */
+const _ledgerKindMatchers = [
+  [LEDGER_KINDS.TRADE_FEE, /^trading fees/i],
+  [LEDGER_KINDS.TRADE, /^exchange /i],
+  [LEDGER_KINDS.MOVEMENT_FEE, /(?<!wallet )\b(deposit|withdrawal)\b.*\bfees?\b/i],
+  [LEDGER_KINDS.MOVEMENT, /(?<!wallet )\b(deposit|withdrawal)\b/i],
+  [LEDGER_KINDS.TRANSFER, /^transfer /i],
+  [LEDGER_KINDS.MARGIN_FUNDING_PAYMENT, /^margin funding payment/i],
+  [LEDGER_KINDS.MARGIN_FUNDING_CHARGE, /(margin funding charge|funding cost)/i],
+  [LEDGER_KINDS.STAKING_REWARD, /staking/i],
+  [LEDGER_KINDS.AFFILIATE_REBATE, /(affiliate|rebate|earned fees)/i],
+  [LEDGER_KINDS.SETTLEMENT, /^(settlement|position )/i]
+]
+
+// The kind is detected by the ledger description
+module.exports = (ledger) => {
+  const description = ledger?.description
+
+  if (
+    !description ||
+    typeof description !== 'string'
+  ) {
+    return LEDGER_KINDS.OTHER
+  }
+
+  const matcher = _ledgerKindMatchers.find(([kind, regExp]) => (
+    regExp.test(description)
+  ))
+
+  return matcher?.[0] ?? LEDGER_KINDS.OTHER
+}
@@ -18,9 +18,6 @@ const {
   checkTimeLimit
 } = require('./date-param.helpers')
 const getTimezoneConf = require('./get-timezone-conf')
-const hasJobInQueueWithStatusBy = require(
-  './has-job-in-queue-with-status-by'
-)
 const {
   isAuthError,
   isRateLimitError,
@@ -45,7 +42,8 @@ const {
   isCommonNetError,
   isENetError,
   isForbiddenError,
-  isMaintenanceError
+  isMaintenanceError,
+  isServerError
 } = require('./api-errors-testers')
 const {
   accountCache,
@@ -61,9 +59,16 @@ const filterResponse = require('./filter-response')
 const FILTER_API_METHOD_NAMES = require('./filter.api.method.names')
 const FILTER_CONDITIONS = require('./filter.conditions')
 const getDataFromApi = require('./get-data-from-api')
+const fetchDataWithPagination = require('./fetch-data-with-pagination')
 const splitSymbolPairs = require('./split-symbol-pairs')
 const FOREX_SYMBS = require('./forex.symbs')
 const getTranslator = require('./get-translator')
+const LEDGER_KINDS = require('./ledger.kinds')
+const getLedgerKind = require('./get-ledger-kind')
+const {
+  readJsonArrayFile,
+  writeJsonArrayFile
+} = require('./json-file-storage')
 
 module.exports = {
   getREST,
@@ -71,7 +76,6 @@ module.exports = {
   MIN_START_MTS,
   getDateNotMoreNow,
   getDateNotLessMinStart,
-  hasJobInQueueWithStatusBy,
   isAuthError,
   isRateLimitError,
   isNonceSmallError,
@@ -96,6 +100,7 @@ module.exports = {
   isENetError,
   isForbiddenError,
   isMaintenanceError,
+  isServerError,
   accountCache,
   parseFields,
   parseLoginsExtraDataFields,
@@ -112,8 +117,13 @@ module.exports = {
   FILTER_API_METHOD_NAMES,
   FILTER_CONDITIONS,
   getDataFromApi,
+  fetchDataWithPagination,
   parsePositionsAuditId,
   splitSymbolPairs,
   FOREX_SYMBS,
-  getTranslator
+  getTranslator,
+  LEDGER_KINDS,
+  getLedgerKind,
+  readJsonArrayFile,
+  writeJsonArrayFile
 }
@@ -0,0 +1,38 @@
+'use strict'
+
+const path = require('path')
+const fs = require('fs')
+
+const readJsonArrayFile = async (filePath) => {
+  try {
+    const json = await fs.promises.readFile(filePath, 'utf8')
+    const items = JSON.parse(json)
+
+    return Array.isArray(items)
+      ? items
+      : []
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+
+    throw err
+  }
+}
+
+/*
+ * The file is replaced by renaming to not leave
+ * the broken json if the process is stopped on writing
+ */
+const writeJsonArrayFile = async (filePath, items) => {
+  const tempFilePath = `${filePath}.tmp`
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.promises.writeFile(tempFilePath, JSON.stringify(items))
+  await fs.promises.rename(tempFilePath, filePath)
+}
+
+module.exports = {
+  readJsonArrayFile,
+  writeJsonArrayFile
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = {
+  TRADE: 'TRADE',
+  TRADE_FEE: 'TRADE_FEE',
+  MOVEMENT: 'MOVEMENT',
+  MOVEMENT_FEE: 'MOVEMENT_FEE',
+  TRANSFER: 'TRANSFER',
+  MARGIN_FUNDING_PAYMENT: 'MARGIN_FUNDING_PAYMENT',
+  MARGIN_FUNDING_CHARGE: 'MARGIN_FUNDING_CHARGE',
+  STAKING_REWARD: 'STAKING_REWARD',
+  AFFILIATE_REBATE: 'AFFILIATE_REBATE',
+  SETTLEMENT: 'SETTLEMENT',
+  OTHER: 'OTHER'
+}
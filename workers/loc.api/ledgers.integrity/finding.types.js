@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  BALANCE_MISMATCH: 'BALANCE_MISMATCH',
+  DUPLICATE_ID: 'DUPLICATE_ID',
+  SAME_MTS_ORDER: 'SAME_MTS_ORDER'
+}
@@ -0,0 +1,116 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const { checkLedgersIntegrity } = require('..')
+
+const getLedger = (id, mts, amount, balance, opts) => ({
+  id,
+  currency: 'BTC',
+  wallet: 'exchange',
+  mts,
+  amount,
+  balance,
+  ...opts
+})
+
+describe('checkLedgersIntegrity helper', () => {
+  it('consistent balance chains have no findings', function () {
+    this.timeout(1000)
+
+    const res = checkLedgersIntegrity([
+      getLedger(3, 3000, -0.5, 0.5),
+      getLedger(2, 2000, 0.1 + 0.2, 1),
+      getLedger(1, 1000, 0.7, 0.7),
+      getLedger(4, 1500, 10, 10, { wallet: 'margin' })
+    ])
+
+    assert.strictEqual(res.checkedLedgersCount, 4)
+    assert.lengthOf(res.findings, 0)
+    assert.lengthOf(res.chains, 2)
+    assert.deepStrictEqual(res.chains[0], {
+      currency: 'BTC',
+      wallet: 'exchange',
+      ledgersCount: 3,
+      firstMts: 1000,
+      lastMts: 3000,
+      findingsCount: 0
+    })
+  })
+
+  it('gaps are reported as balance mismatches', function () {
+    this.timeout(1000)
+
+    const res = checkLedgersIntegrity([
+      getLedger(1, 1000, 1, 1),
+      getLedger(3, 3000, 1, 3)
+    ])
+
+    assert.lengthOf(res.findings, 1)
+
+    const [finding] = res.findings
+
+    assert.strictEqual(finding.type, 'BALANCE_MISMATCH')
+    assert.strictEqual(finding.id, 3)
+    assert.strictEqual(finding.prevId, 1)
+    assert.strictEqual(finding.expectedBalance, 2)
+    assert.strictEqual(finding.diff, 1)
+    assert.strictEqual(res.chains[0].findingsCount, 1)
+  })
+
+  it('duplicate ids are reported', function () {
+    this.timeout(1000)
+
+    const res = checkLedgersIntegrity([
+      getLedger(1, 1000, 1, 1),
+      getLedger(2, 2000, 1, 2),
+      getLedger(2, 2000, 1, 2)
+    ])
+
+    assert.strictEqual(res.checkedLedgersCount, 2)
+    assert.lengthOf(res.findings, 1)
+    assert.strictEqual(res.findings[0].type, 'DUPLICATE_ID')
+    assert.strictEqual(res.findings[0].id, 2)
+  })
+
+  it('same mts ordering anomalies are reported without mismatches', function () {
+    this.timeout(1000)
+
+    const res = checkLedgersIntegrity([
+      getLedger(1, 1000, 1, 1),
+      getLedger(2, 2000, 1, 3),
+      getLedger(3, 2000, 1, 2),
+      getLedger(4, 3000, 1, 4)
+    ])
+
+    assert.lengthOf(res.findings, 1)
+    assert.strictEqual(res.findings[0].type, 'SAME_MTS_ORDER')
+    assert.strictEqual(res.findings[0].id, 3)
+    assert.match(res.findings[0].details, /3, 2$/)
+  })
+
+  it('same mts ordering anomalies are resolved at the chain start', function () {
+    this.timeout(1000)
+
+    const res = checkLedgersIntegrity([
+      getLedger(1, 1000, 1, 3),
+      getLedger(2, 1000, 1, 2)
+    ])
+
+    assert.lengthOf(res.findings, 1)
+    assert.strictEqual(res.findings[0].type, 'SAME_MTS_ORDER')
+  })
+
+  it('findings of large histories are collected', function () {
+    this.timeout(5000)
+
+    const ledgersCount = 200000
+    const res = checkLedgersIntegrity(Array.from(
+      { length: ledgersCount },
+      (item, i) => getLedger(i + 1, (i + 1) * 1000, 1, 0)
+    ))
+
+    assert.strictEqual(res.checkedLedgersCount, ledgersCount)
+    assert.lengthOf(res.findings, ledgersCount - 1)
+  })
+})
@@ -0,0 +1,255 @@
+'use strict'
+
+const FINDING_TYPES = require('../finding.types')
+
+// Relative tolerance for float balance sums
+const EPSILON = 1e-8
+
+const _isValidLedger = (ledger) => (
+  ledger &&
+  typeof ledger === 'object' &&
+  ledger.currency &&
+  typeof ledger.currency === 'string' &&
+  Number.isInteger(ledger.mts) &&
+  Number.isFinite(ledger.amount) &&
+  Number.isFinite(ledger.balance)
+)
+
+const _isBalanceMatched = (prevBalance, ledger) => {
+  const diff = prevBalance + ledger.amount - ledger.balance
+
+  return Math.abs(diff) <= EPSILON * Math.max(1, Math.abs(ledger.balance))
+}
+
+const _getFinding = (type, ledger, params) => ({
+  type,
+  currency: ledger.currency,
+  wallet: ledger.wallet ?? null,
+  id: ledger.id ?? null,
+  mts: ledger.mts ?? null,
+  prevId: null,
+  prevMts: null,
+  amount: ledger.amount ?? null,
+  balance: ledger.balance ?? null,
+  expectedBalance: null,
+  diff: null,
+  details: '',
+  ...params
+})
+
+const _getChainsMap = (ledgers) => {
+  const chainsMap = new Map()
+
+  for (const ledger of ledgers) {
+    const wallet = ledger.wallet ?? null
+    const key = `${ledger.currency}:${wallet}`
+
+    if (!chainsMap.has(key)) {
+      chainsMap.set(key, [])
+    }
+
+    chainsMap.get(key).push(ledger)
+  }
+
+  for (const chain of chainsMap.values()) {
+    chain.sort((a, b) => (
+      (a.mts - b.mts) ||
+      ((a.id ?? 0) - (b.id ?? 0))
+    ))
+  }
+
+  return chainsMap
+}
+
+const _groupBySameMts = (chain) => {
+  const groups = []
+
+  for (const ledger of chain) {
+    const lastGroup = groups[groups.length - 1]
+
+    if (lastGroup?.[0]?.mts === ledger.mts) {
+      lastGroup.push(ledger)
+
+      continue
+    }
+
+    groups.push([ledger])
+  }
+
+  return groups
+}
+
+const _isGroupMatched = (prevBalance, group) => {
+  const hasPrevBalance = Number.isFinite(prevBalance)
+  let balance = hasPrevBalance
+    ? prevBalance
+    : group[0].balance
+
+  for (const ledger of (hasPrevBalance ? group : group.slice(1))) {
+    if (!_isBalanceMatched(balance, ledger)) {
+      return false
+    }
+
+    balance = ledger.balance
+  }
+
+  return true
+}
+
+const _findOrderFrom = (prevBalance, group) => {
+  const rest = [...group]
+  const orderedGroup = []
+  let balance = prevBalance
+
+  while (rest.length > 0) {
+    const index = rest.findIndex((ledger) => (
+      _isBalanceMatched(balance, ledger)
+    ))
+
+    if (index < 0) {
+      return null
+    }
+
+    const [ledger] = rest.splice(index, 1)
+
+    orderedGroup.push(ledger)
+    balance = ledger.balance
+  }
+
+  return orderedGroup
+}
+
+/*
+ * Entries with the same `mts` may be returned
+ * in an order which breaks the balance chain,
+ * try to find an order which keeps it consistent
+ */
+const _findSameMtsOrder = (prevBalance, group) => {
+  if (Number.isFinite(prevBalance)) {
+    return _findOrderFrom(prevBalance, group)
+  }
+
+  for (const [i, seed] of group.entries()) {
+    const orderedRest = _findOrderFrom(
+      seed.balance,
+      group.filter((ledger, j) => j !== i)
+    )
+
+    if (orderedRest) {
+      return [seed, ...orderedRest]
+    }
+  }
+
+  return null
+}
+
+const _checkChain = (chain) => {
+  const findings = []
+  let prevLedger = null
+
+  for (const group of _groupBySameMts(chain)) {
+    let orderedGroup = group
+
+    if (
+      group.length > 1 &&
+      !_isGroupMatched(prevLedger?.balance, group)
+    ) {
+      const sameMtsOrder = _findSameMtsOrder(prevLedger?.balance, group)
+
+      if (sameMtsOrder) {
+        orderedGroup = sameMtsOrder
+        findings.push(_getFinding(
+          FINDING_TYPES.SAME_MTS_ORDER,
+          sameMtsOrder[0],
+          {
+            prevId: prevLedger?.id ?? null,
+            prevMts: prevLedger?.mts ?? null,
+            details: `Balance chain is consistent in order of ids: ${sameMtsOrder.map(({ id }) => id).join(', ')}`
+          }
+        ))
+      }
+    }
+
+    for (const ledger of orderedGroup) {
+      if (
+        prevLedger &&
+        !_isBalanceMatched(prevLedger.balance, ledger)
+      ) {
+        const expectedBalance = prevLedger.balance + ledger.amount
+
+        findings.push(_getFinding(
+          FINDING_TYPES.BALANCE_MISMATCH,
+          ledger,
+          {
+            prevId: prevLedger.id ?? null,
+            prevMts: prevLedger.mts,
+            expectedBalance,
+            diff: ledger.balance - expectedBalance,
+            details: 'Balance is not equal to the previous balance plus amount'
+          }
+        ))
+      }
+
+      prevLedger = ledger
+    }
+  }
+
+  return findings
+}
+
+/*
+ * Each currency and wallet pair has an own balance chain,
+ * the first entry of the chain is a seed and is not checked
+ */
+module.exports = (ledgers) => {
+  const idsSet = new Set()
+  const uniqLedgers = []
+  const findings = []
+  const chains = []
+
+  for (const ledger of (Array.isArray(ledgers) ? ledgers : [])) {
+    if (!_isValidLedger(ledger)) {
+      continue
+    }
+    if (
+      ledger.id !== null &&
+      typeof ledger.id !== 'undefined' &&
+      idsSet.has(ledger.id)
+    ) {
+      findings.push(_getFinding(
+        FINDING_TYPES.DUPLICATE_ID,
+        ledger,
+        { details: 'Entry with the same id has already been checked' }
+      ))
+
+      continue
+    }
+
+    idsSet.add(ledger.id)
+    uniqLedgers.push(ledger)
+  }
+
+  for (const chain of _getChainsMap(uniqLedgers).values()) {
+    const chainFindings = _checkChain(chain)
+    const [firstLedger] = chain
+    const lastLedger = chain[chain.length - 1]
+
+    for (const finding of chainFindings) {
+      findings.push(finding)
+    }
+    chains.push({
+      currency: firstLedger.currency,
+      wallet: firstLedger.wallet ?? null,
+      ledgersCount: chain.length,
+      firstMts: firstLedger.mts,
+      lastMts: lastLedger.mts,
+      findingsCount: chainFindings.length
+    })
+  }
+
+  return {
+    checkedLedgersCount: uniqLedgers.length,
+    chains,
+    findings
+  }
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+const checkLedgersIntegrity = require('./check-ledgers-integrity')
+
+module.exports = {
+  checkLedgersIntegrity
+}
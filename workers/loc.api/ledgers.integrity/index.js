@@ -0,0 +1,86 @@
+'use strict'
+
+const { checkLedgersIntegrity } = require('./helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination
+]
+class LedgersIntegrity {
+  constructor (
+    rService,
+    fetchDataWithPagination
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+  }
+
+  async checkLedgersIntegrity (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start = 0,
+      end = Date.now(),
+      symbol: _symbol = []
+    } = params ?? {}
+    const symbolArr = Array.isArray(_symbol)
+      ? _symbol
+      : [_symbol]
+    const symbol = symbolArr.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    /*
+     * Paging per currency decreases the number of entries
+     * with the same `mts` on the page boundaries
+     */
+    const symbolsToFetch = symbol.length > 0
+      ? symbol
+      : [null]
+    const ledgers = []
+
+    for (const currency of symbolsToFetch) {
+      const res = await this.fetchDataWithPagination({
+        getData: this.rService.getLedgers.bind(this.rService),
+        args: {
+          auth,
+          params: {
+            start,
+            end,
+            ...(currency ? { symbol: currency } : {})
+          }
+        },
+        apiMethodName: 'ledgers',
+        datePropName: 'mts',
+        callerName: 'LEDGERS_INTEGRITY'
+      })
+
+      // Spreading of the full history exceeds the call stack size
+      for (const ledger of res) {
+        ledgers.push(ledger)
+      }
+    }
+
+    const {
+      checkedLedgersCount,
+      chains,
+      findings
+    } = checkLedgersIntegrity(ledgers)
+
+    return {
+      nextPage: false,
+      isIntegrityConfirmed: findings.length === 0,
+      checkedLedgersCount,
+      chains,
+      res: findings
+    }
+  }
+}
+
+decorateInjectable(LedgersIntegrity, depsTypes)
+
+module.exports = LedgersIntegrity
@@ -0,0 +1,90 @@
+'use strict'
+
+const { assert } = require('chai')
+
+require('reflect-metadata')
+const PerformanceReport = require('..')
+const PortfolioValuation = require('../../portfolio.valuation')
+const BalanceHistory = require('../../balance.history')
+
+const HOUR_MS = 60 * 60 * 1000
+const firstLedgerMts = Date.UTC(2023, 0, 1, 5)
+
+const ledgers = [
+  {
+    id: 2,
+    currency: 'USD',
+    mts: firstLedgerMts + 48 * HOUR_MS,
+    amount: 10,
+    balance: 110,
+    wallet: 'exchange'
+  },
+  {
+    id: 1,
+    currency: 'USD',
+    mts: firstLedgerMts,
+    amount: 100,
+    balance: 100,
+    wallet: 'exchange'
+  }
+]
+const movements = [
+  {
+    id: 1,
+    currency: 'USD',
+    status: 'COMPLETED',
+    mtsUpdated: firstLedgerMts,
+    amount: 100
+  }
+]
+
+const getPerformanceReport = (fetchedParams) => {
+  const rService = {
+    _getUserInfo: async () => ({ timezone: 'UTC' }),
+    getLedgers: () => {},
+    getMovements: () => {}
+  }
+  const fetchDataWithPagination = async ({ apiMethodName, args }) => {
+    fetchedParams.push({ apiMethodName, ...args.params })
+
+    return apiMethodName === 'ledgers'
+      ? ledgers
+      : movements
+  }
+  const currencyConverter = {
+    getRateGetter: async () => () => 1
+  }
+
+  return new PerformanceReport(
+    rService,
+    fetchDataWithPagination,
+    new PortfolioValuation(
+      new BalanceHistory(rService, fetchDataWithPagination),
+      currencyConverter
+    ),
+    currencyConverter
+  )
+}
+
+describe('Performance report', () => {
+  it('report starts from the first ledger entry by default', async function () {
+    this.timeout(1000)
+
+    const fetchedParams = []
+    const { res } = await getPerformanceReport(fetchedParams)
+      .getPerformanceReport({
+        params: { end: Date.UTC(2023, 0, 5) }
+      })
+    const totalRow = res[res.length - 1]
+
+    assert.strictEqual(totalRow.period, 'total')
+    assert.strictEqual(totalRow.start, Date.UTC(2023, 0, 2))
+    assert.closeTo(totalRow.timeWeightedReturn, 0.1, 1e-8)
+    assert.strictEqual(
+      fetchedParams.find(({ apiMethodName }) => (
+        apiMethodName === 'movements'
+      )).start,
+      Date.UTC(2023, 0, 2)
+    )
+  })
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  getEquityPoints,
+  calcIrr,
+  calcPerformanceMetrics,
+  getPerformanceRows
+} = require('..')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const getPoint = (day, equity, cashFlow = 0) => ({
+  mts: (day + 1) * DAY_MS - 1,
+  equity,
+  cashFlow
+})
+
+describe('Performance report helpers', () => {
+  it('cash flows are assigned to the next equity point', function () {
+    this.timeout(1000)
+
+    const points = getEquityPoints(
+      [
+        { mts: 2 * DAY_MS - 1, value: 200 },
+        { mts: DAY_MS - 1, value: 100 }
+      ],
+      [
+        { mts: DAY_MS + 10, amount: 50 },
+        { mts: DAY_MS + 20, amount: -10 },
+        { mts: 5 * DAY_MS, amount: 1000 }
+      ]
+    )
+
+    assert.deepStrictEqual(points, [
+      { mts: DAY_MS - 1, equity: 100, cashFlow: 0 },
+      { mts: 2 * DAY_MS - 1, equity: 200, cashFlow: 40 }
+    ])
+  })
+
+  it('IRR is found for simple cash flows', function () {
+    this.timeout(1000)
+
+    assert.closeTo(calcIrr([
+      { time: 0, amount: -100 },
+      { time: 1, amount: 110 }
+    ]), 0.1, 1e-8)
+    assert.closeTo(calcIrr([
+      { time: 0, amount: -100 },
+      { time: 0.5, amount: -100 },
+      { time: 1, amount: 210 }
+    ]), 0.067, 1e-4)
+    assert.isNull(calcIrr([
+      { time: 0, amount: 100 },
+      { time: 1, amount: 110 }
+    ]))
+  })
+
+  it('deposits are not counted as returns', function () {
+    this.timeout(1000)
+
+    const metrics = calcPerformanceMetrics([
+      getPoint(0, 100),
+      getPoint(1, 110),
+      getPoint(2, 1110, 1000),
+      getPoint(3, 999)
+    ])
+
+    assert.strictEqual(metrics.startEquity, 100)
+    assert.strictEqual(metrics.endEquity, 999)
+    assert.strictEqual(metrics.netCashFlow, 1000)
+    assert.closeTo(metrics.tradingResult, -101, 1e-9)
+    assert.closeTo(metrics.timeWeightedReturn, (1.1 * 1 * (999 / 1110)) - 1, 1e-12)
+    assert.closeTo(metrics.maxDrawdown, 0.1, 1e-12)
+    assert.isAbove(metrics.volatility, 0)
+    assert.isBelow(metrics.moneyWeightedReturn, 0)
+  })
+
+  it('rows are built per period with the total row', function () {
+    this.timeout(1000)
+
+    const points = [
+      getPoint(0, 100),
+      getPoint(1, 110),
+      getPoint(2, 121),
+      getPoint(3, 121)
+    ]
+    const rows = getPerformanceRows(points, {
+      start: DAY_MS,
+      end: 4 * DAY_MS - 1,
+      interval: 'day',
+      timezoneName: 'UTC',
+      quoteCurrency: 'USD'
+    })
+
+    assert.lengthOf(rows, 4)
+    assert.strictEqual(rows[0].period, 'day')
+    assert.strictEqual(rows[0].startEquity, 100)
+    assert.closeTo(rows[0].timeWeightedReturn, 0.1, 1e-12)
+    assert.strictEqual(rows[2].timeWeightedReturn, 0)
+
+    const totalRow = rows[3]
+
+    assert.strictEqual(totalRow.period, 'total')
+    assert.strictEqual(totalRow.quoteCurrency, 'USD')
+    assert.closeTo(totalRow.timeWeightedReturn, 0.21, 1e-12)
+    assert.closeTo(totalRow.moneyWeightedReturn, 0.21, 1e-8)
+    assert.strictEqual(totalRow.maxDrawdown, 0)
+  })
+})
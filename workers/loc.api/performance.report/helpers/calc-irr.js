@@ -0,0 +1,62 @@
+'use strict'
+
+const MAX_ITERATIONS = 200
+const PRECISION = 1e-10
+const MIN_RATE = -0.999999
+const MAX_RATE = 1000
+
+const _calcNpv = (cashFlows, rate) => cashFlows.reduce(
+  (accum, { time, amount }) => accum + (amount / ((1 + rate) ** time)),
+  0
+)
+
+/*
+ * Cash flows are `{ time, amount }` where `time` is in any units,
+ * the returned rate is per one unit of time,
+ * so time as a fraction of the period gives the period rate.
+ * The bisection method is used as it doesn't diverge,
+ * `null` is returned when there is no root in the range
+ */
+module.exports = (cashFlows) => {
+  if (
+    !Array.isArray(cashFlows) ||
+    cashFlows.length < 2
+  ) {
+    return null
+  }
+
+  let low = MIN_RATE
+  let high = MAX_RATE
+  let lowNpv = _calcNpv(cashFlows, low)
+  const highNpv = _calcNpv(cashFlows, high)
+
+  if (
+    !Number.isFinite(lowNpv) ||
+    !Number.isFinite(highNpv) ||
+    Math.sign(lowNpv) === Math.sign(highNpv)
+  ) {
+    return null
+  }
+
+  for (let i = 0; i < MAX_ITERATIONS; i += 1) {
+    const mid = (low + high) / 2
+    const midNpv = _calcNpv(cashFlows, mid)
+
+    if (
+      Math.abs(midNpv) < PRECISION ||
+      (high - low) / 2 < PRECISION
+    ) {
+      return mid
+    }
+    if (Math.sign(midNpv) === Math.sign(lowNpv)) {
+      low = mid
+      lowNpv = midNpv
+
+      continue
+    }
+
+    high = mid
+  }
+
+  return (low + high) / 2
+}
@@ -0,0 +1,129 @@
+'use strict'
+
+const calcIrr = require('./calc-irr')
+
+const DAYS_PER_YEAR = 365
+
+const _calcStandardDeviation = (values) => {
+  const mean = values.reduce((accum, val) => accum + val, 0) / values.length
+  const variance = values.reduce(
+    (accum, val) => accum + ((val - mean) ** 2),
+    0
+  ) / (values.length - 1)
+
+  return Math.sqrt(variance)
+}
+
+/*
+ * Cash flows are treated as made at the start of the day,
+ * so a daily return is `(equity - (prevEquity + cashFlow)) / (prevEquity + cashFlow)`,
+ * days without invested capital are skipped
+ */
+const _getDailyReturns = (basePoint, points) => {
+  const returns = []
+  let prevEquity = basePoint.equity
+
+  for (const { equity, cashFlow } of points) {
+    const investedEquity = prevEquity + cashFlow
+
+    if (investedEquity > 0) {
+      returns.push((equity - investedEquity) / investedEquity)
+    }
+
+    prevEquity = equity
+  }
+
+  return returns
+}
+
+const _calcMaxDrawdown = (returns) => {
+  let index = 1
+  let peak = 1
+  let maxDrawdown = 0
+
+  for (const dailyReturn of returns) {
+    index *= 1 + dailyReturn
+    peak = Math.max(peak, index)
+    maxDrawdown = Math.max(maxDrawdown, 1 - (index / peak))
+  }
+
+  return maxDrawdown
+}
+
+/*
+ * Money-weighted return is the IRR of the period,
+ * the start equity is an investment and the end equity is a withdrawal
+ */
+const _calcMoneyWeightedReturn = (basePoint, points) => {
+  const lastPoint = points[points.length - 1]
+  const duration = lastPoint.mts - basePoint.mts
+
+  if (duration <= 0) {
+    return null
+  }
+
+  const cashFlows = [{ time: 0, amount: -basePoint.equity }]
+  let prevMts = basePoint.mts
+
+  for (const { mts, cashFlow } of points) {
+    if (cashFlow !== 0) {
+      cashFlows.push({
+        time: (prevMts - basePoint.mts) / duration,
+        amount: -cashFlow
+      })
+    }
+
+    prevMts = mts
+  }
+
+  cashFlows.push({ time: 1, amount: lastPoint.equity })
+
+  return calcIrr(cashFlows)
+}
+
+/*
+ * The first point is a base one which is the equity
+ * at the end of the day before the period,
+ * the volatility is annualized
+ */
+module.exports = (points) => {
+  const [basePoint, ...periodPoints] = Array.isArray(points)
+    ? points
+    : []
+
+  if (!basePoint) {
+    return null
+  }
+
+  const lastPoint = periodPoints[periodPoints.length - 1] ?? basePoint
+  const startEquity = basePoint.equity
+  const endEquity = lastPoint.equity
+  const netCashFlow = periodPoints.reduce(
+    (accum, { cashFlow }) => accum + cashFlow,
+    0
+  )
+  const returns = _getDailyReturns(basePoint, periodPoints)
+  const timeWeightedReturn = returns.length > 0
+    ? returns.reduce((accum, r) => accum * (1 + r), 1) - 1
+    : null
+  const moneyWeightedReturn = periodPoints.length > 0
+    ? _calcMoneyWeightedReturn(basePoint, periodPoints)
+    : null
+  const maxDrawdown = returns.length > 0
+    ? _calcMaxDrawdown(returns)
+    : null
+  const volatility = returns.length > 1
+    ? _calcStandardDeviation(returns) * Math.sqrt(DAYS_PER_YEAR)
+    : null
+
+  return {
+    startEquity,
+    endEquity,
+    netCashFlow,
+    tradingResult: endEquity - startEquity - netCashFlow,
+    timeWeightedReturn,
+    moneyWeightedReturn,
+    maxDrawdown,
+    volatility
+  }
+}
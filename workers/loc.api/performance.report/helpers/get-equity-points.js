@@ -0,0 +1,43 @@
+'use strict'
+
+/*
+ * External cash flows are assigned to the first equity point
+ * at or after the flow, flows after the last point are dropped
+ * as they are not reflected in the equity yet
+ */
+module.exports = (valuations, cashFlows) => {
+  const points = (Array.isArray(valuations) ? valuations : [])
+    .filter((v) => (
+      Number.isInteger(v?.mts) &&
+      Number.isFinite(v.value)
+    ))
+    .sort((a, b) => a.mts - b.mts)
+    .map(({ mts, value }) => ({
+      mts,
+      equity: value,
+      cashFlow: 0
+    }))
+  const sortedCashFlows = (Array.isArray(cashFlows) ? cashFlows : [])
+    .filter((f) => (
+      Number.isInteger(f?.mts) &&
+      Number.isFinite(f.amount)
+    ))
+    .sort((a, b) => a.mts - b.mts)
+  let pointIndex = 0
+
+  for (const { mts, amount } of sortedCashFlows) {
+    while (
+      pointIndex < points.length &&
+      points[pointIndex].mts < mts
+    ) {
+      pointIndex += 1
+    }
+    if (pointIndex >= points.length) {
+      break
+    }
+
+    points[pointIndex].cashFlow += amount
+  }
+
+  return points
+}
@@ -0,0 +1,76 @@
+'use strict'
+
+const { getPeriods } = require('../../balance.history/helpers')
+const calcPerformanceMetrics = require('./calc-performance-metrics')
+
+const TOTAL_PERIOD = 'total'
+
+const _getRow = (points, opts) => {
+  const {
+    period,
+    start,
+    end,
+    quoteCurrency
+  } = opts
+  const basePoint = points.findLast(({ mts }) => mts < start)
+  const periodPoints = points.filter(({ mts }) => (
+    mts >= start &&
+    mts <= end
+  ))
+  const metricsPoints = basePoint
+    ? [basePoint, ...periodPoints]
+    : periodPoints
+  const metrics = calcPerformanceMetrics(metricsPoints)
+
+  if (!metrics) {
+    return null
+  }
+
+  return {
+    period,
+    start,
+    end,
+    quoteCurrency,
+    ...metrics
+  }
+}
+
+/*
+ * Points are expected to be sorted by `mts`,
+ * the last row is for the whole range
+ */
+module.exports = (points, opts) => {
+  const {
+    start,
+    end,
+    interval,
+    timezoneName,
+    quoteCurrency
+  } = opts ?? {}
+  const periods = getPeriods({
+    start,
+    end,
+    interval,
+    timezoneName
+  })
+  const rows = periods.map((period) => _getRow(
+    points,
+    {
+      period: interval,
+      start: period.start,
+      end: period.end,
+      quoteCurrency
+    }
+  ))
+  const totalRow = _getRow(
+    points,
+    {
+      period: TOTAL_PERIOD,
+      start,
+      end,
+      quoteCurrency
+    }
+  )
+
+  return [...rows, totalRow].filter((row) => row)
+}
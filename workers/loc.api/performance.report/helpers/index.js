@@ -0,0 +1,13 @@
+'use strict'
+
+const getEquityPoints = require('./get-equity-points')
+const calcIrr = require('./calc-irr')
+const calcPerformanceMetrics = require('./calc-performance-metrics')
+const getPerformanceRows = require('./get-performance-rows')
+
+module.exports = {
+  getEquityPoints,
+  calcIrr,
+  calcPerformanceMetrics,
+  getPerformanceRows
+}
@@ -0,0 +1,136 @@
+'use strict'
+
+const {
+  getEquityPoints,
+  getPerformanceRows
+} = require('./helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination,
+  TYPES.PortfolioValuation,
+  TYPES.CurrencyConverter
+]
+class PerformanceReport {
+  constructor (
+    rService,
+    fetchDataWithPagination,
+    portfolioValuation,
+    currencyConverter
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+    this.portfolioValuation = portfolioValuation
+    this.currencyConverter = currencyConverter
+  }
+
+  async getPerformanceReport (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start: _start,
+      end = Date.now(),
+      interval = 'month',
+      quoteCurrency = 'USD'
+    } = params ?? {}
+
+    const isStartPassed = Number.isInteger(_start)
+
+    /*
+     * The day before `start` gives the base equity
+     * to calculate the return of the first day,
+     * by default the first day of ledgers is the base one
+     */
+    const {
+      timezoneName,
+      res: valuations
+    } = await this.portfolioValuation.getPortfolioValuation({
+      auth,
+      params: {
+        ...(isStartPassed
+          ? { start: Math.max(_start - DAY_MS, 0) }
+          : {}),
+        end,
+        interval: 'day',
+        quoteCurrency
+      }
+    })
+    const start = isStartPassed
+      ? _start
+      : Math.min((valuations[0]?.mts ?? end) + 1, end)
+    const cashFlows = await this._getCashFlows({
+      auth,
+      start,
+      end,
+      quoteCurrency
+    })
+    const points = getEquityPoints(valuations, cashFlows)
+    const res = getPerformanceRows(
+      points,
+      {
+        start,
+        end,
+        interval,
+        timezoneName,
+        quoteCurrency
+      }
+    )
+
+    return {
+      nextPage: false,
+      timezoneName,
+      res
+    }
+  }
+
+  /*
+   * Deposits and withdrawals are external cash flows,
+   * they are separated from the trading result
+   */
+  async _getCashFlows ({ auth, start, end, quoteCurrency }) {
+    const movements = await this.fetchDataWithPagination({
+      getData: this.rService.getMovements.bind(this.rService),
+      args: {
+        auth,
+        params: { start, end }
+      },
+      apiMethodName: 'movements',
+      datePropName: 'mtsUpdated',
+      callerName: 'PERFORMANCE_REPORT'
+    })
+    const completedMovements = movements.filter((movement) => (
+      movement?.status === 'COMPLETED' &&
+      Number.isFinite(movement.amount) &&
+      movement.amount !== 0
+    ))
+    const getRate = await this.currencyConverter.getRateGetter({
+      currencies: completedMovements.map(({ currency }) => currency),
+      quoteCurrency,
+      start,
+      end
+    })
+
+    return completedMovements.reduce((accum, movement) => {
+      const rate = getRate(movement.currency, movement.mtsUpdated)
+
+      if (Number.isFinite(rate)) {
+        accum.push({
+          mts: movement.mtsUpdated,
+          amount: movement.amount * rate
+        })
+      }
+
+      return accum
+    }, [])
+  }
+}
+
+decorateInjectable(PerformanceReport, depsTypes)
+
+module.exports = PerformanceReport
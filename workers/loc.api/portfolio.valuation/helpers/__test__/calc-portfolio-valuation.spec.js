@@ -0,0 +1,50 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const { calcPortfolioValuation } = require('..')
+
+const rates = {
+  USD: 1,
+  BTC: 20000
+}
+const getRate = (currency, mts) => (
+  Number.isFinite(rates[currency])
+    ? rates[currency] * (mts === 2000 ? 2 : 1)
+    : null
+)
+
+describe('calcPortfolioValuation helper', () => {
+  it('balances of wallets are summed and valued per period', function () {
+    this.timeout(1000)
+
+    const res = calcPortfolioValuation([
+      { mts: 2000, currency: 'BTC', wallet: 'exchange', balance: 1 },
+      { mts: 1000, currency: 'BTC', wallet: 'exchange', balance: 0.5 },
+      { mts: 1000, currency: 'BTC', wallet: 'margin', balance: 0.5 },
+      { mts: 1000, currency: 'USD', wallet: 'exchange', balance: 100 },
+      { mts: 1000, currency: 'TESTCCY', wallet: 'exchange', balance: 5 },
+      { mts: 2000, currency: 'USD', wallet: 'exchange', balance: 0 }
+    ], { quoteCurrency: 'USD', getRate })
+
+    assert.lengthOf(res, 2)
+
+    const [first, second] = res
+
+    assert.strictEqual(first.mts, 1000)
+    assert.strictEqual(first.quoteCurrency, 'USD')
+    assert.strictEqual(first.value, 20100)
+    assert.deepStrictEqual(first.unpricedCurrencies, ['TESTCCY'])
+    assert.deepStrictEqual(first.assets[0], {
+      currency: 'BTC',
+      balance: 1,
+      rate: 20000,
+      value: 20000
+    })
+    assert.isNull(first.assets[2].value)
+
+    assert.strictEqual(second.mts, 2000)
+    assert.strictEqual(second.value, 40000)
+    assert.lengthOf(second.assets, 1)
+  })
+})
@@ -0,0 +1,67 @@
+'use strict'
+
+/*
+ * Balances of all wallets are summed per currency
+ * and valued by the rate at the end of the period,
+ * currencies without a rate are listed and not valued
+ */
+module.exports = (balances, opts) => {
+  const {
+    quoteCurrency,
+    getRate
+  } = opts ?? {}
+  const periodsMap = new Map()
+
+  for (const { mts, currency, balance } of (Array.isArray(balances) ? balances : [])) {
+    if (
+      !Number.isFinite(balance) ||
+      balance === 0
+    ) {
+      continue
+    }
+    if (!periodsMap.has(mts)) {
+      periodsMap.set(mts, new Map())
+    }
+
+    const assetsMap = periodsMap.get(mts)
+
+    assetsMap.set(currency, (assetsMap.get(currency) ?? 0) + balance)
+  }
+
+  return [...periodsMap]
+    .sort(([a], [b]) => a - b)
+    .map(([mts, assetsMap]) => {
+      const assets = []
+      const unpricedCurrencies = []
+      let value = 0
+
+      for (const [currency, balance] of assetsMap) {
+        const rate = getRate(currency, mts)
+        const isPriced = Number.isFinite(rate)
+        const assetValue = isPriced
+          ? balance * rate
+          : null
+
+        if (isPriced) {
+          value += assetValue
+        } else {
+          unpricedCurrencies.push(currency)
+        }
+
+        assets.push({
+          currency,
+          balance,
+          rate: isPriced ? rate : null,
+          value: assetValue
+        })
+      }
+
+      return {
+        mts,
+        quoteCurrency,
+        value,
+        assets,
+        unpricedCurrencies
+      }
+    })
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+const calcPortfolioValuation = require('./calc-portfolio-valuation')
+
+module.exports = {
+  calcPortfolioValuation
+}
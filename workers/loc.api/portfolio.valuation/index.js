@@ -0,0 +1,66 @@
+'use strict'
+
+const { calcPortfolioValuation } = require('./helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.BalanceHistory,
+  TYPES.CurrencyConverter
+]
+class PortfolioValuation {
+  constructor (
+    balanceHistory,
+    currencyConverter
+  ) {
+    this.balanceHistory = balanceHistory
+    this.currencyConverter = currencyConverter
+  }
+
+  async getPortfolioValuation (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start,
+      end = Date.now(),
+      interval,
+      symbol,
+      quoteCurrency = 'USD'
+    } = params ?? {}
+
+    const {
+      timezoneName,
+      res: balances
+    } = await this.balanceHistory.getBalanceHistory({
+      auth,
+      params: {
+        start,
+        end,
+        interval,
+        symbol
+      }
+    })
+    const getRate = await this.currencyConverter.getRateGetter({
+      currencies: balances.map(({ currency }) => currency),
+      quoteCurrency,
+      start: start ?? balances[0]?.mts ?? end,
+      end
+    })
+    const res = calcPortfolioValuation(
+      balances,
+      { quoteCurrency, getRate }
+    )
+
+    return {
+      nextPage: false,
+      timezoneName,
+      res
+    }
+  }
+}
+
+decorateInjectable(PortfolioValuation, depsTypes)
+
+module.exports = PortfolioValuation
@@ -15,7 +15,8 @@ module.exports = (
   aggregatorQueue,
   hasGrcService,
   uploadToS3,
-  sendMail
+  sendMail,
+  reportFileJobs
 ) => {
   return async (job) => {
     try {
@@ -74,6 +75,7 @@ module.exports = (
         }
 
         job.done()
+        reportFileJobs.completeJob(job.data?.reportFileJob?.id)
         aggregatorQueue.emit('completed', {
           newFilePaths,
           reportFilesMetadata,
@@ -106,6 +108,7 @@ module.exports = (
       }
 
       job.done()
+      reportFileJobs.completeJob(job.data?.reportFileJob?.id)
       aggregatorQueue.emit('completed', {
         newFilePaths,
         reportFilesMetadata,
@@ -115,6 +118,7 @@ module.exports = (
       if (err.syscall === 'unlink') {
         aggregatorQueue.emit('error:unlink', job)
         job.done()
+        reportFileJobs.completeJob(job.data?.reportFileJob?.id)
       } else {
         try {
           for (const filePath of job.data.filePaths) {
@@ -125,6 +129,7 @@ module.exports = (
         }
 
         job.done(err)
+        reportFileJobs.failJob(job.data?.reportFileJob?.id, err)
       }
 
       aggregatorQueue.emit('error:base', err, job)
@@ -0,0 +1,51 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  RETRY_ERROR_CLASSES,
+  getRetryErrorClass,
+  getRetryDelay
+} = require('../get-retry-delay')
+
+describe('Report file job retry policy', () => {
+  it('errors are classified for retrying', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(
+      getRetryErrorClass(new Error('ERR_RATE_LIMIT')),
+      RETRY_ERROR_CLASSES.RATE_LIMIT
+    )
+    assert.strictEqual(
+      getRetryErrorClass(new Error('HTTP code 503 Service Unavailable')),
+      RETRY_ERROR_CLASSES.SERVER_ERROR
+    )
+    assert.strictEqual(
+      getRetryErrorClass(new Error('connect ECONNREFUSED 127.0.0.1:443')),
+      RETRY_ERROR_CLASSES.NETWORK
+    )
+    assert.isNull(getRetryErrorClass(new Error('symbol: invalid')))
+  })
+
+  it('delay grows exponentially till max retries', function () {
+    this.timeout(1000)
+
+    const err = new Error('ESOCKETTIMEDOUT')
+    const retryPolicy = {
+      network: {
+        maxRetries: 4,
+        initialDelayMs: 1000,
+        maxDelayMs: 5000
+      }
+    }
+
+    assert.deepStrictEqual(
+      [0, 1, 2, 3, 4].map((attempt) => (
+        getRetryDelay(err, attempt, retryPolicy)
+      )),
+      [1000, 2000, 4000, 5000, null]
+    )
+    assert.strictEqual(getRetryDelay(err), 60 * 1000)
+    assert.isNull(getRetryDelay(new Error('ERR_AUTH_UNAUTHORIZED')))
+  })
+})
@@ -0,0 +1,12 @@
+'use strict'
+
+module.exports = {
+  CSV: 'csv',
+  PDF: 'pdf',
+  HTML: 'html',
+  XLSX: 'xlsx',
+  JSON: 'json',
+  NDJSON: 'ndjson',
+  BEANCOUNT: 'beancount',
+  LEDGER: 'ledger'
+}
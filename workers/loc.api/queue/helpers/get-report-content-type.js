@@ -1,17 +1,41 @@
 'use strict'
 
+const FILE_FORMATS = require('./file-formats')
+const getReportFileFormat = require('./get-report-file-format')
+
+const _contentTypes = {
+  [FILE_FORMATS.CSV]: 'text/csv',
+  [FILE_FORMATS.PDF]: 'application/pdf',
+  [FILE_FORMATS.HTML]: 'text/html',
+  [FILE_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [FILE_FORMATS.JSON]: 'application/json',
+  [FILE_FORMATS.NDJSON]: 'application/x-ndjson',
+  [FILE_FORMATS.BEANCOUNT]: 'text/plain',
+  [FILE_FORMATS.LEDGER]: 'text/plain'
+}
+const _csvCharsets = {
+  utf8: 'utf-8',
+  utf16le: 'utf-16le',
+  latin1: 'iso-8859-1'
+}
+
 module.exports = (params) => {
   const {
-    isCompress,
-    isPDFRequired
+    isCompress
   } = params ?? {}
 
   if (isCompress) {
     return 'application/zip'
   }
-  if (isPDFRequired) {
-    return 'application/pdf'
+
+  const fileFormat = getReportFileFormat(params)
+
+  if (
+    fileFormat === FILE_FORMATS.CSV &&
+    _csvCharsets[params?.encoding]
+  ) {
+    return `text/csv; charset=${_csvCharsets[params.encoding]}`
   }
 
-  return 'text/csv'
+  return _contentTypes[fileFormat] ?? 'text/csv'
 }
@@ -1,17 +1,7 @@
 'use strict'
 
-module.exports = (params) => {
-  const {
-    isPDFRequired,
-    isHTMLRequired
-  } = params ?? {}
-
-  if (isPDFRequired) {
-    return 'pdf'
-  }
-  if (isHTMLRequired) {
-    return 'html'
-  }
+const getReportFileFormat = require('./get-report-file-format')
 
-  return 'csv'
+module.exports = (params) => {
+  return getReportFileFormat(params)
 }
@@ -0,0 +1,27 @@
+'use strict'
+
+const FILE_FORMATS = require('./file-formats')
+
+/*
+ * The `fileFormat` param takes precedence,
+ * boolean flags are handled for back compatibility
+ */
+module.exports = (params) => {
+  const {
+    fileFormat,
+    isPDFRequired,
+    isHTMLRequired
+  } = params ?? {}
+
+  if (Object.values(FILE_FORMATS).includes(fileFormat)) {
+    return fileFormat
+  }
+  if (isPDFRequired) {
+    return FILE_FORMATS.PDF
+  }
+  if (isHTMLRequired) {
+    return FILE_FORMATS.HTML
+  }
+
+  return FILE_FORMATS.CSV
+}
@@ -0,0 +1,91 @@
+'use strict'
+
+const {
+  isRateLimitError,
+  isServerError,
+  isMaintenanceError,
+  isENetError
+} = require('../../helpers/api-errors-testers')
+
+const RETRY_ERROR_CLASSES = {
+  RATE_LIMIT: 'rateLimit',
+  SERVER_ERROR: 'serverError',
+  NETWORK: 'network'
+}
+
+const DEFAULT_RETRY_POLICY = {
+  [RETRY_ERROR_CLASSES.RATE_LIMIT]: {
+    maxRetries: 5,
+    initialDelayMs: 5 * 60 * 1000,
+    factor: 2,
+    maxDelayMs: 60 * 60 * 1000
+  },
+  [RETRY_ERROR_CLASSES.SERVER_ERROR]: {
+    maxRetries: 3,
+    initialDelayMs: 2 * 60 * 1000,
+    factor: 2,
+    maxDelayMs: 30 * 60 * 1000
+  },
+  [RETRY_ERROR_CLASSES.NETWORK]: {
+    maxRetries: 3,
+    initialDelayMs: 60 * 1000,
+    factor: 2,
+    maxDelayMs: 30 * 60 * 1000
+  }
+}
+
+const getRetryErrorClass = (err) => {
+  if (isRateLimitError(err)) {
+    return RETRY_ERROR_CLASSES.RATE_LIMIT
+  }
+  if (
+    isServerError(err) ||
+    isMaintenanceError(err)
+  ) {
+    return RETRY_ERROR_CLASSES.SERVER_ERROR
+  }
+  if (isENetError(err)) {
+    return RETRY_ERROR_CLASSES.NETWORK
+  }
+
+  return null
+}
+
+/*
+ * Returns the exponential backoff delay for the next attempt,
+ * `null` means the job should not be retried. The policy of
+ * the config overrides the default one per error class
+ */
+const getRetryDelay = (err, attempt = 0, retryPolicy) => {
+  const errorClass = getRetryErrorClass(err)
+
+  if (!errorClass) {
+    return null
+  }
+
+  const {
+    maxRetries,
+    initialDelayMs,
+    factor,
+    maxDelayMs
+  } = {
+    ...DEFAULT_RETRY_POLICY[errorClass],
+    ...retryPolicy?.[errorClass]
+  }
+
+  if (attempt >= maxRetries) {
+    return null
+  }
+
+  return Math.min(
+    initialDelayMs * (factor ** attempt),
+    maxDelayMs
+  )
+}
+
+module.exports = {
+  RETRY_ERROR_CLASSES,
+  DEFAULT_RETRY_POLICY,
+  getRetryErrorClass,
+  getRetryDelay
+}
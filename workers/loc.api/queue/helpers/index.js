@@ -4,20 +4,36 @@ const getCompleteFileName = require('./get-complete-file-name')
 const {
   moveFileToLocalStorage,
   writableToPromise,
-  createUniqueFileName
+  createUniqueFileName,
+  waitForStreamsFlush
 } = require('./utils')
 const getLocalReportFolderPaths = require(
   './get-local-report-folder-paths'
 )
 const getReportFileExtName = require('./get-report-file-ext-name')
 const getReportContentType = require('./get-report-content-type')
+const getReportFileFormat = require('./get-report-file-format')
+const isCombinedReportFile = require('./is-combined-report-file')
+const {
+  RETRY_ERROR_CLASSES,
+  getRetryErrorClass,
+  getRetryDelay
+} = require('./get-retry-delay')
+const FILE_FORMATS = require('./file-formats')
 
 module.exports = {
   moveFileToLocalStorage,
   writableToPromise,
   createUniqueFileName,
+  waitForStreamsFlush,
   getCompleteFileName,
   getLocalReportFolderPaths,
   getReportFileExtName,
-  getReportContentType
+  getReportContentType,
+  getReportFileFormat,
+  isCombinedReportFile,
+  RETRY_ERROR_CLASSES,
+  getRetryErrorClass,
+  getRetryDelay,
+  FILE_FORMATS
 }
@@ -0,0 +1,22 @@
+'use strict'
+
+const getReportFileFormat = require('./get-report-file-format')
+const FILE_FORMATS = require('./file-formats')
+
+/*
+ * Sub-reports of the multiple export are put into one file,
+ * it's default for xlsx workbook and optional for pdf
+ */
+module.exports = (params) => {
+  const { combineIntoSingleFile } = params ?? {}
+  const fileFormat = getReportFileFormat(params)
+
+  if (fileFormat === FILE_FORMATS.XLSX) {
+    return combineIntoSingleFile !== false
+  }
+  if (fileFormat === FILE_FORMATS.PDF) {
+    return combineIntoSingleFile === true
+  }
+
+  return false
+}
@@ -171,8 +171,24 @@ const writableToPromise = stream => {
   })
 }
 
+/*
+ * Resolves when all written data has passed through
+ * the streams, e.g. to know the size of the file for the
+ * written rows, the caller should not write meanwhile
+ */
+const waitForStreamsFlush = async (streams, interval = 10) => {
+  while (streams.some((stream) => (
+    stream.writableLength > 0 ||
+    stream.readableLength > 0 ||
+    stream.pending
+  ))) {
+    await new Promise((resolve) => setTimeout(resolve, interval))
+  }
+}
+
 module.exports = {
   moveFileToLocalStorage,
   writableToPromise,
-  createUniqueFileName
+  createUniqueFileName,
+  waitForStreamsFlush
 }
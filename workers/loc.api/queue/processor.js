@@ -10,27 +10,105 @@ const fs = require('fs')
 const { stringify } = require('csv')
 
 const unlink = promisify(fs.unlink)
+const truncate = promisify(fs.truncate)
 
 const {
   createUniqueFileName,
-  writableToPromise
+  writableToPromise,
+  waitForStreamsFlush,
+  getReportFileFormat,
+  isCombinedReportFile,
+  getRetryDelay,
+  FILE_FORMATS
 } = require('./helpers')
 
 const { isAuthError } = require('../helpers')
+const {
+  ReportFileJobCanceledError,
+  ReportFileJobRestoringError
+} = require('../errors')
+const {
+  getCsvStringifyOptions,
+  createCsvEncodingStream,
+  streamWriterToOne,
+  writeTotalsToCsv
+} = require('../generate-report-file/csv-writer/helpers')
 
 const processReportFile = async (deps, args) => {
   const {
     data,
-    filePath
+    filePath,
+    cursor,
+    saveCursor
   } = args
 
   const write = data?.isUnauth
     ? 'Your file could not be completed, please try again'
     : data
 
-  const writable = fs.createWriteStream(filePath)
+  /*
+   * Only csv cursor is saved, rows are appended to the temp file
+   * and ones written after the saved cursor are truncated
+   */
+  const isResumed = Number.isInteger(cursor?.fileSize)
+
+  if (isResumed) {
+    await truncate(filePath, cursor.fileSize)
+  }
+
+  const writable = fs.createWriteStream(
+    filePath,
+    { flags: isResumed ? 'a' : 'w' }
+  )
   const writablePromise = writableToPromise(writable)
+  const fileFormat = getReportFileFormat(data?.args?.params)
+
+  if (
+    fileFormat === FILE_FORMATS.JSON ||
+    fileFormat === FILE_FORMATS.NDJSON
+  ) {
+    await deps.jsonWriter.write(
+      writable,
+      write,
+      { isNdjson: fileFormat === FILE_FORMATS.NDJSON }
+    )
+
+    return writablePromise
+  }
+  if (fileFormat === FILE_FORMATS.XLSX) {
+    await deps.xlsxWriter.write(
+      writable,
+      write
+    )
+
+    return writablePromise
+  }
+  if (
+    data?.args?.params?.isPDFRequired &&
+    Array.isArray(write?.jobsData)
+  ) {
+    const pdfStream = await deps.pdfWriter
+      .createCombinedPDFStream({
+        jobData: data,
+        language: data?.args?.params.language
+      })
+
+    pipeline(pdfStream, writable, () => {})
 
+    for (const subJobData of write.jobsData) {
+      await deps.writeDataToStream(
+        pdfStream.addSection({
+          jobData: subJobData,
+          pdfCustomTemplateName: subJobData?.pdfCustomTemplateName
+        }),
+        subJobData
+      )
+    }
+
+    pdfStream.end()
+
+    return writablePromise
+  }
   if (data?.args?.params?.isPDFRequired) {
     const pdfStream = await deps.pdfWriter
       .createPDFStream({
@@ -60,19 +138,47 @@ const processReportFile = async (deps, args) => {
     return writablePromise
   }
 
-  const stringifier = stringify({
-    header: true,
-    columns: data?.columnsCsv
-  })
+  const stringifier = stringify(getCsvStringifyOptions(
+    data?.args?.params,
+    {
+      header: !isResumed,
+      columns: data?.columnsCsv
+    }
+  ))
+  const encodingStream = createCsvEncodingStream(
+    isResumed
+      ? { ...data?.args?.params, includeBom: false }
+      : data?.args?.params
+  )
+  let totals = null
+  stringifier.writeTotals = (res) => {
+    totals = res
+  }
 
-  pipeline(stringifier, writable, () => {})
+  pipeline(encodingStream, writable, () => {})
 
-  await deps.writeDataToStream(
+  await streamWriterToOne(
     stringifier,
-    write
+    encodingStream,
+    (stream) => deps.writeDataToStream(stream, write, {
+      cursor: isResumed ? cursor : null,
+      saveCursor: typeof saveCursor === 'function'
+        ? async (nextCursor) => {
+          await waitForStreamsFlush([stringifier, encodingStream, writable])
+          await saveCursor({
+            ...nextCursor,
+            fileSize: (isResumed ? cursor.fileSize : 0) + writable.bytesWritten
+          })
+        }
+        : null
+    }),
+    { end: false }
+  )
+  await writeTotalsToCsv(
+    encodingStream,
+    totals,
+    data?.args?.params
   )
-
-  stringifier.end()
 
   return writablePromise
 }
@@ -83,21 +189,44 @@ module.exports = (
   processorQueue,
   aggregatorQueue,
   writeDataToStream,
-  pdfWriter
+  pdfWriter,
+  xlsxWriter,
+  jsonWriter,
+  reportFileJobs,
+  reportFileCheckpoints,
+  reportFileDeadLetters,
+  reportFileJobScheduler
 ) => {
+  processorQueue.on('progress', (percent, jobTag) => {
+    reportFileJobs.setProgress(percent, jobTag)
+  })
   processorQueue.on('completed', (result) => {
+    reportFileJobs.passJobToAggregator(result?.reportFileJob?.id)
+
     aggregatorQueue.addJob({
       ...result,
       s3Conf: conf.s3Conf
     })
   })
-  processorQueue.on('error:auth', (job) => {
+  /*
+   * The file with the error message is sent to the user,
+   * the tag is removed for the failed job to keep its status
+   */
+  const addErrorMessageJob = (job, opts) => {
+    const { isJobTagRemoved } = opts ?? {}
     const data = cloneDeep(job.data)
     delete data.columnsCsv
 
+    if (isJobTagRemoved) {
+      delete data.reportFileJob
+    }
     if (Array.isArray(data.jobsData)) {
       data.jobsData.forEach(item => {
         delete item.columnsCsv
+
+        if (isJobTagRemoved) {
+          delete item.reportFileJob
+        }
       })
     }
 
@@ -105,24 +234,86 @@ module.exports = (
       ...data,
       isUnauth: true
     })
+  }
+
+  processorQueue.on('error:auth', (job) => {
+    addErrorMessageJob(job)
+  })
+  processorQueue.on('error:dead-letter', (job) => {
+    addErrorMessageJob(job, { isJobTagRemoved: true })
   })
 
-  return async (job) => {
+  const retryJob = async (job, opts) => {
+    const {
+      err,
+      retryDelay,
+      isResumed,
+      checkpointFiles
+    } = opts
+    const jobData = {
+      ...job.data,
+      retryAttempt: (job.data.retryAttempt ?? 0) + 1
+    }
+
+    reportFileJobs.requeueJob(jobData.reportFileJob?.id, err)
+
+    if (isResumed) {
+      await reportFileCheckpoints.saveCheckpoint(jobData, checkpointFiles)
+    }
+
+    await reportFileJobScheduler.requeueJob(jobData, { retryDelay })
+  }
+
+  const moveJobToDeadLetters = async (job, err) => {
+    reportFileJobs.failJob(job.data?.reportFileJob?.id, err)
+    await reportFileDeadLetters.addJob(job.data, err)
+
+    processorQueue.emit('error:dead-letter', job)
+  }
+
+  const processJob = async (job) => {
+    // The job canceled before processing is just skipped
+    if (reportFileJobs.isCanceledJob(job.data?.reportFileJob?.id)) {
+      await reportFileCheckpoints.discardCheckpoint(job.data)
+      job.done()
+
+      return
+    }
+
+    reportFileJobs.startJob(job.data)
+
+    const checkpointFiles = []
     const filePaths = []
     const chunkCommonFolders = []
     const subParamsArr = []
     const isUnauth = job.data.isUnauth || false
-    const jobsData = Array.isArray(job.data.jobsData)
+    const isCombinedFile = isCombinedReportFile(job.data?.args?.params)
+    const jobsData = (
+      Array.isArray(job.data.jobsData) &&
+      !isCombinedFile
+    )
       ? job.data.jobsData
       : [job.data]
 
     try {
+      // Custom csv writers are not kept in the persisted job data
+      if (
+        !isUnauth &&
+        job.data.isCsvCustomWriterLost
+      ) {
+        throw new ReportFileJobRestoringError()
+      }
+
       job.data.args.params = { ...job.data.args.params }
 
+      const checkpoint = await reportFileCheckpoints
+        .getCheckpoint(job.data)
+
       const {
         userInfo,
         userId,
         name,
+        reportFileJob,
         args: {
           params: {
             email,
@@ -132,14 +323,22 @@ module.exports = (
         }
       } = { ...job.data }
 
-      for (const data of jobsData) {
+      for (const [i, data] of jobsData.entries()) {
         data.args.params = { ...data.args.params }
 
-        const filePath = await createUniqueFileName(
-          rootPath,
-          data.args.params
+        const checkpointFile = checkpoint?.files?.[i]
+        const filePath = checkpointFile?.filePath ?? (
+          await createUniqueFileName(
+            rootPath,
+            data.args.params
+          )
         )
         filePaths.push(filePath)
+        checkpointFiles.push({
+          filePath,
+          isCompleted: false,
+          cursor: checkpointFile?.cursor ?? null
+        })
 
         const {
           chunkCommonFolder,
@@ -154,18 +353,41 @@ module.exports = (
         })
         chunkCommonFolders.push(chunkCommonFolder)
 
+        // The sub report completed before restarting is not generated again
+        if (checkpointFile?.isCompleted) {
+          checkpointFiles[i].isCompleted = true
+
+          continue
+        }
+
         await processReportFile(
           {
             writeDataToStream,
-            pdfWriter
+            pdfWriter,
+            xlsxWriter,
+            jsonWriter
           },
           {
             data,
-            filePath
+            filePath,
+            cursor: checkpointFiles[i].cursor,
+            saveCursor: (cursor) => {
+              checkpointFiles[i].cursor = cursor
+
+              return reportFileCheckpoints
+                .saveCheckpoint(job.data, checkpointFiles)
+            }
           }
         )
+
+        checkpointFiles[i].isCompleted = true
+        checkpointFiles[i].cursor = null
+        await reportFileCheckpoints
+          .saveCheckpoint(job.data, checkpointFiles)
       }
 
+      await reportFileCheckpoints.removeCheckpoint(job.data)
+
       job.done()
       processorQueue.emit('completed', {
         chunkCommonFolders,
@@ -177,24 +399,85 @@ module.exports = (
         email,
         isSignatureRequired,
         language,
-        isUnauth
+        isUnauth,
+        reportFileJob
       })
     } catch (err) {
-      try {
-        for (const filePath of filePaths) {
-          await unlink(filePath)
+      const isCanceled = err instanceof ReportFileJobCanceledError
+      const isAuth = !isCanceled && isAuthError(err)
+      const retryDelay = (
+        isCanceled ||
+        isAuth ||
+        isUnauth
+      )
+        ? null
+        : getRetryDelay(
+          err,
+          job.data.retryAttempt,
+          conf.reportFileJobRetryPolicy
+        )
+      const isRetried = Number.isFinite(retryDelay)
+      const isResumed = (
+        isRetried &&
+        reportFileCheckpoints.isResumableJob(job.data)
+      )
+
+      // Temp files are kept to resume the generation on retrying
+      if (!isResumed) {
+        try {
+          for (const filePath of filePaths) {
+            await unlink(filePath)
+          }
+        } catch (err) {
+          processorQueue.emit('error:unlink', job)
         }
-      } catch (err) {
-        processorQueue.emit('error:unlink', job)
+        try {
+          await reportFileCheckpoints.removeCheckpoint(job.data)
+        } catch (err) {
+          processorQueue.emit('error:base', err, job)
+        }
+      }
+
+      if (isCanceled) {
+        job.done()
+
+        return
       }
 
       job.done(err)
 
-      if (isAuthError(err)) {
-        processorQueue.emit('error:auth', job)
+      try {
+        if (isAuth) {
+          reportFileJobs.requeueJob(job.data?.reportFileJob?.id, err)
+          processorQueue.emit('error:auth', job)
+        } else if (isRetried) {
+          await retryJob(job, {
+            err,
+            retryDelay,
+            isResumed,
+            checkpointFiles
+          })
+        } else if (isUnauth) {
+          reportFileJobs.failJob(job.data?.reportFileJob?.id, err)
+        } else {
+          await moveJobToDeadLetters(job, err)
+        }
+      } catch (err) {
+        processorQueue.emit('error:base', err, job)
       }
 
       processorQueue.emit('error:base', err, job)
     }
   }
+
+  // The next queued job of the users is taken after finishing the current one
+  return async (job) => {
+    try {
+      await processJob(job)
+    } finally {
+      await reportFileJobScheduler.releaseJob(job.data).catch((err) => {
+        processorQueue.emit('error:base', err, job)
+      })
+    }
+  }
 }
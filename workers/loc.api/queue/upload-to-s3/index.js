@@ -117,7 +117,7 @@ module.exports = (
     const promises = buffers.map(async (buffer, i) => {
       const ext = isCompress ? 'zip' : ''
       const singleFileName = isCompress
-        ? streams[i].data.name.slice(0, -3)
+        ? streams[i].data.name.replace(/[^.]+$/, '')
         : streams[i].data.name
       const fileName = isCompress && isMultiExport
         ? `${fileNameWithoutExt}.zip`
@@ -127,7 +127,9 @@ module.exports = (
         contentDisposition: `attachment; filename="${fileName}"`,
         contentType: getReportContentType({
           isCompress,
-          isPDFRequired: subParamsArr[i].isPDFRequired
+          isPDFRequired: subParamsArr[i].isPDFRequired,
+          fileFormat: subParamsArr[i].fileFormat,
+          encoding: subParamsArr[i].encoding
         })
       }
       const hexStrBuff = buffer.toString('hex')
@@ -174,7 +174,8 @@ const write = (
   stream,
   formatSettings,
   params,
-  method
+  method,
+  totals
 ) => {
   const resArr = Array.isArray(res)
     ? res
@@ -184,10 +185,56 @@ const write = (
     const _item = dataNormalizer(item, method, params)
     const res = _dataFormatter(_item, formatSettings, params)
 
+    if (totals) {
+      totals.add(_item)
+    }
+    // Not formatted data is used e.g. to draw charts in pdf reports
+    if (typeof stream.writeRawData === 'function') {
+      stream.writeRawData(_item)
+    }
+
     stream.write(res)
   }
 }
 
+/*
+ * The stream decides how to put the summary block,
+ * e.g. as the separate table at the end of the file
+ */
+const writeTotalsToStream = (
+  stream,
+  totals,
+  formatSettings,
+  params
+) => {
+  if (
+    !totals ||
+    typeof stream.writeTotals !== 'function'
+  ) {
+    return
+  }
+
+  const { columns, rows } = totals.getResult()
+
+  if (rows.length === 0) {
+    return
+  }
+
+  stream.writeTotals({
+    columns,
+    rows: _dataFormatter(rows, formatSettings, params)
+  })
+}
+
+// The stream can ask to wait before fetching the next page
+const waitForStreamDrain = async (stream) => {
+  if (typeof stream.waitForDrain !== 'function') {
+    return
+  }
+
+  await stream.waitForDrain()
+}
+
 const writeMessageToStream = (
   processorQueue,
   stream,
@@ -211,6 +258,7 @@ const setDefaultParams = (args, method) => {
 
   if (
     method === 'getWallets' ||
+    method === 'getWalletsSnapshotAt' ||
     method === 'getPositionsSnapshot' ||
     method === 'getFullSnapshotReport'
   ) {
@@ -245,13 +293,14 @@ const filterMovementsByAmount = (res, { params }) => {
 const progress = (
   queue,
   currTime,
-  { start, end }
+  { start, end },
+  jobTag
 ) => {
   const percent = Math.round(
     ((currTime - start) / (end - start)) * 100
   )
 
-  queue.emit('progress', percent)
+  queue.emit('progress', percent, jobTag)
 }
 
 module.exports = {
@@ -259,5 +308,7 @@ module.exports = {
   setDefaultParams,
   filterMovementsByAmount,
   write,
+  writeTotalsToStream,
+  waitForStreamDrain,
   progress
 }
@@ -10,17 +10,32 @@ const {
   setDefaultParams,
   filterMovementsByAmount,
   write,
+  writeTotalsToStream,
+  waitForStreamDrain,
   progress
 } = require('./helpers')
+const { createTotalsAggregator } = require('./totals')
 
+/*
+ * The cursor is passed to resume writing from the page
+ * following the last saved one, `saveCursor` is called
+ * after writing each page
+ */
 module.exports = (
   rService,
   processorQueue,
-  getDataFromApi
+  getDataFromApi,
+  reportFileJobs
 ) => async (
   stream,
-  jobData
+  jobData,
+  opts
 ) => {
+  const {
+    cursor,
+    saveCursor
+  } = opts ?? {}
+
   if (typeof jobData === 'string') {
     writeMessageToStream(processorQueue, stream, jobData)
 
@@ -28,6 +43,7 @@ module.exports = (
   }
 
   const method = jobData.name
+  const jobTag = jobData.reportFileJob
 
   if (typeof rService[method] !== 'function') {
     throw new Error('ERR_METHOD_NOT_FOUND')
@@ -42,8 +58,17 @@ module.exports = (
   }
 
   setDefaultParams(_args, method)
+
+  if (cursor) {
+    _args.params.end = cursor.paramsEnd
+  }
+
   const currIterationArgs = cloneDeep(_args)
 
+  if (cursor) {
+    currIterationArgs.params.end = cursor.end
+  }
+
   const getData = rService[method].bind(rService)
   const getSymbols = rService.getSymbols.bind(rService)
   const symbols = (await getDataFromApi({
@@ -58,11 +83,21 @@ module.exports = (
     return accum
   }, {})
 
-  let count = 0
+  const writeParams = { ..._args.params, symbols }
+  const totals = jobData?.args?.params?.totals
+    ? createTotalsAggregator(method)
+    : null
+
+  if (cursor) {
+    totals?.setState(cursor.totals)
+  }
+
+  let count = cursor?.count ?? 0
   let serialRequestsCount = 0
 
   while (true) {
-    processorQueue.emit('progress', 0)
+    reportFileJobs.checkJobCancellation(jobTag)
+    processorQueue.emit('progress', 0, jobTag)
 
     const _res = await getDataFromApi({
       getData,
@@ -113,10 +148,12 @@ module.exports = (
         res,
         stream,
         formatSettings,
-        { ..._args.params, symbols },
-        method
+        writeParams,
+        method,
+        totals
       )
-      processorQueue.emit('progress', 100)
+      await waitForStreamDrain(stream)
+      processorQueue.emit('progress', 100, jobTag)
 
       break
     }
@@ -125,7 +162,7 @@ module.exports = (
       !Array.isArray(res) ||
       res.length === 0
     ) {
-      if (count > 0) processorQueue.emit('progress', 100)
+      if (count > 0) processorQueue.emit('progress', 100, jobTag)
 
       break
     }
@@ -154,9 +191,11 @@ module.exports = (
       res,
       stream,
       formatSettings,
-      { ..._args.params, symbols },
-      method
+      writeParams,
+      method,
+      totals
     )
+    await waitForStreamDrain(stream)
 
     count += res.length
 
@@ -165,15 +204,30 @@ module.exports = (
       !Number.isInteger(currTime) ||
       !Number.isInteger(nextPage)
     ) {
-      processorQueue.emit('progress', 100)
+      processorQueue.emit('progress', 100, jobTag)
 
       break
     }
 
-    progress(processorQueue, currTime, _args.params)
+    progress(processorQueue, currTime, _args.params, jobTag)
 
     if (!Number.isInteger(currIterationArgs.params.end)) {
       currIterationArgs.params.end = lastItem[propName] - 1
     }
+    if (typeof saveCursor === 'function') {
+      await saveCursor({
+        end: currIterationArgs.params.end,
+        paramsEnd: _args.params.end,
+        count,
+        totals: totals?.getState() ?? null
+      })
+    }
   }
+
+  writeTotalsToStream(
+    stream,
+    totals,
+    formatSettings,
+    writeParams
+  )
 }
@@ -0,0 +1,110 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const { createTotalsAggregator } = require('..')
+
+describe('Report file totals', () => {
+  it('amounts are summed per currency', function () {
+    this.timeout(1000)
+
+    const totals = createTotalsAggregator('getLedgers')
+
+    totals.add({ currency: 'USD', amount: -5 })
+    totals.add({ currency: 'BTC', amount: 0.1 })
+    totals.add({ currency: 'BTC', amount: 0.2 })
+    totals.add({ currency: 'BTC', amount: null })
+
+    assert.deepStrictEqual(totals.getResult(), {
+      columns: {
+        currency: 'CURRENCY',
+        count: 'COUNT',
+        amount: 'AMOUNT'
+      },
+      rows: [
+        { currency: 'BTC', count: 3, amount: 0.3 },
+        { currency: 'USD', count: 1, amount: -5 }
+      ]
+    })
+  })
+
+  it('trade fees are summed per fee currency', function () {
+    this.timeout(1000)
+
+    const totals = createTotalsAggregator('getTrades')
+    const trade = {
+      symbol: 'tBTCUSD',
+      execAmount: 0.5,
+      fee: -0.001,
+      feeCurrency: 'BTC'
+    }
+
+    totals.add(trade)
+    totals.add({ ...trade, execAmount: -0.2 })
+    totals.add({ ...trade, fee: -2, feeCurrency: 'USD' })
+
+    assert.deepStrictEqual(totals.getResult().rows, [
+      {
+        symbol: 'tBTCUSD',
+        feeCurrency: 'BTC',
+        count: 2,
+        execAmount: 0.3,
+        fee: -0.002
+      },
+      {
+        symbol: 'tBTCUSD',
+        feeCurrency: 'USD',
+        count: 1,
+        execAmount: 0.5,
+        fee: -2
+      }
+    ])
+  })
+
+  it('orders are counted per status and movements are netted', function () {
+    this.timeout(1000)
+
+    const orders = createTotalsAggregator('getOrders')
+    const movements = createTotalsAggregator('getMovements')
+
+    orders.add({ status: 'EXECUTED @ 9.9(1.0)' })
+    orders.add({ status: 'EXECUTED @ 10.0(2.0): was PARTIALLY FILLED @ 9.9(1.0)' })
+    orders.add({ status: 'CANCELED' })
+    movements.add({ currency: 'BTC', amount: 1, fees: 0 })
+    movements.add({ currency: 'BTC', amount: -0.4, fees: -0.0004 })
+
+    assert.deepStrictEqual(orders.getResult().rows, [
+      { status: 'CANCELED', count: 1 },
+      { status: 'EXECUTED', count: 2 }
+    ])
+    assert.deepStrictEqual(movements.getResult().rows, [{
+      currency: 'BTC',
+      count: 2,
+      deposits: 1,
+      withdrawals: -0.4,
+      amount: 0.6,
+      fees: -0.0004
+    }])
+    assert.isNull(createTotalsAggregator('getWallets'))
+  })
+
+  it('aggregator state is restored from checkpoint', function () {
+    this.timeout(1000)
+
+    const totals = createTotalsAggregator('getLedgers')
+
+    totals.add({ currency: 'BTC', amount: 0.1 })
+    totals.add({ currency: 'USD', amount: 2 })
+
+    const state = JSON.parse(JSON.stringify(totals.getState()))
+    const restoredTotals = createTotalsAggregator('getLedgers')
+
+    restoredTotals.setState(state)
+    restoredTotals.add({ currency: 'BTC', amount: 0.2 })
+
+    assert.deepStrictEqual(restoredTotals.getResult().rows, [
+      { currency: 'BTC', count: 2, amount: 0.3 },
+      { currency: 'USD', count: 1, amount: 2 }
+    ])
+  })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+const TOTALS_CONFIGS = require('./totals-configs')
+
+const _round = (val) => Math.round(val * 1e8) / 1e8
+
+const _getGroupValues = (item, groupBy) => Object.entries(groupBy)
+  .map(([key, { getValue }]) => (
+    typeof getValue === 'function'
+      ? getValue(item)
+      : item?.[key]
+  ))
+
+/*
+ * Only aggregated values are kept per group,
+ * so memory doesn't depend on the amount of exported rows
+ */
+module.exports = (method, configs = TOTALS_CONFIGS) => {
+  const config = configs[method]
+
+  if (!config) {
+    return null
+  }
+
+  const { groupBy, aggregates } = config
+  const groups = new Map()
+
+  return {
+    add (item) {
+      if (!item || typeof item !== 'object') {
+        return
+      }
+
+      const groupValues = _getGroupValues(item, groupBy)
+      const groupKey = JSON.stringify(groupValues)
+
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          groupValues,
+          sums: Object.keys(aggregates).map(() => 0)
+        })
+      }
+
+      const { sums } = groups.get(groupKey)
+
+      for (const [i, { getValue }] of Object.values(aggregates).entries()) {
+        const val = getValue(item)
+
+        if (Number.isFinite(val)) {
+          sums[i] += val
+        }
+      }
+    },
+
+    getResult () {
+      const groupKeys = Object.keys(groupBy)
+      const aggregateKeys = Object.keys(aggregates)
+      const columns = Object.entries({ ...groupBy, ...aggregates })
+        .reduce((accum, [key, { header }]) => {
+          accum[key] = header
+
+          return accum
+        }, {})
+      const rows = [...groups.values()]
+        .sort((a, b) => (
+          a.groupValues.join().localeCompare(b.groupValues.join())
+        ))
+        .map(({ groupValues, sums }) => ({
+          ...groupKeys.reduce((accum, key, i) => {
+            accum[key] = groupValues[i]
+
+            return accum
+          }, {}),
+          ...aggregateKeys.reduce((accum, key, i) => {
+            accum[key] = _round(sums[i])
+
+            return accum
+          }, {})
+        }))
+
+      return { columns, rows }
+    },
+
+    // The state is kept in the checkpoint to resume the report generation
+    getState () {
+      return [...groups.values()]
+    },
+
+    setState (state) {
+      groups.clear()
+
+      for (const group of Array.isArray(state) ? state : []) {
+        groups.set(JSON.stringify(group.groupValues), group)
+      }
+    }
+  }
+}
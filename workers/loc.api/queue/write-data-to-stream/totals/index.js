@@ -0,0 +1,9 @@
+'use strict'
+
+const TOTALS_CONFIGS = require('./totals-configs')
+const createTotalsAggregator = require('./create-totals-aggregator')
+
+module.exports = {
+  TOTALS_CONFIGS,
+  createTotalsAggregator
+}
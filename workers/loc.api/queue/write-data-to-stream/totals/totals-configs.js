@@ -0,0 +1,110 @@
+'use strict'
+
+const _getAmount = ({ amount }) => amount
+const _getFee = ({ fee }) => fee
+
+// e.g. `EXECUTED @ 9.9(1.0): was PARTIALLY FILLED @ ...` -> `EXECUTED`
+const _getOrderStatus = ({ status }) => (
+  typeof status === 'string'
+    ? status.split(/\s*[@:]/)[0].trim()
+    : status
+)
+
+const _count = {
+  header: 'COUNT',
+  getValue: () => 1
+}
+
+const _tradesConfig = {
+  groupBy: {
+    symbol: { header: 'PAIR' },
+    feeCurrency: { header: 'FEE CURRENCY' }
+  },
+  aggregates: {
+    count: _count,
+    execAmount: {
+      header: 'AMOUNT',
+      getValue: ({ execAmount }) => execAmount
+    },
+    fee: {
+      header: 'FEE',
+      getValue: _getFee
+    }
+  }
+}
+
+module.exports = {
+  getLedgers: {
+    groupBy: {
+      currency: { header: 'CURRENCY' }
+    },
+    aggregates: {
+      count: _count,
+      amount: {
+        header: 'AMOUNT',
+        getValue: _getAmount
+      }
+    }
+  },
+  getTrades: _tradesConfig,
+  getOrderTrades: _tradesConfig,
+  getFundingTrades: {
+    groupBy: {
+      symbol: { header: 'CURRENCY' }
+    },
+    aggregates: {
+      count: _count,
+      amount: {
+        header: 'AMOUNT',
+        getValue: _getAmount
+      }
+    }
+  },
+  getOrders: {
+    groupBy: {
+      status: {
+        header: 'STATUS',
+        getValue: _getOrderStatus
+      }
+    },
+    aggregates: {
+      count: _count
+    }
+  },
+  getMovements: {
+    groupBy: {
+      currency: { header: 'CURRENCY' }
+    },
+    aggregates: {
+      count: _count,
+      deposits: {
+        header: 'DEPOSITS',
+        getValue: ({ amount }) => (amount > 0 ? amount : 0)
+      },
+      withdrawals: {
+        header: 'WITHDRAWALS',
+        getValue: ({ amount }) => (amount < 0 ? amount : 0)
+      },
+      amount: {
+        header: 'NET AMOUNT',
+        getValue: _getAmount
+      },
+      fees: {
+        header: 'FEES',
+        getValue: ({ fees }) => fees
+      }
+    }
+  },
+  getPositionsHistory: {
+    groupBy: {
+      symbol: { header: 'PAIR' }
+    },
+    aggregates: {
+      count: _count,
+      pl: {
+        header: 'P&L',
+        getValue: ({ pl }) => pl
+      }
+    }
+  }
+}
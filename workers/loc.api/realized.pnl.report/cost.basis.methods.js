@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  FIFO: 'FIFO',
+  LIFO: 'LIFO',
+  HIFO: 'HIFO',
+  AVERAGE: 'AVERAGE'
+}
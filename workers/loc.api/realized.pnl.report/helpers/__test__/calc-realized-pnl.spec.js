@@ -0,0 +1,158 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const calcRealizedPnL = require('../calc-realized-pnl')
+
+const getTrade = (id, mtsCreate, execAmount, execPrice, opts) => ({
+  id,
+  symbol: 'tBTCUSD',
+  mtsCreate,
+  execAmount,
+  execPrice,
+  fee: 0,
+  feeCurrency: 'USD',
+  ...opts
+})
+
+const trades = [
+  getTrade(1, 1000, 1, 100),
+  getTrade(2, 2000, 1, 300),
+  getTrade(3, 3000, 1, 200),
+  getTrade(4, 4000, -1, 400)
+]
+
+describe('calcRealizedPnL helper', () => {
+  it('FIFO cost basis method', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL(trades, { costBasisMethod: 'FIFO' })
+
+    assert.isArray(res)
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].symbol, 'tBTCUSD')
+    assert.strictEqual(res[0].currency, 'BTC')
+    assert.strictEqual(res[0].quoteCurrency, 'USD')
+    assert.strictEqual(res[0].amount, 1)
+    assert.strictEqual(res[0].cost, 100)
+    assert.strictEqual(res[0].proceeds, 400)
+    assert.strictEqual(res[0].realizedPnL, 300)
+    assert.strictEqual(res[0].acquiredMts, 1000)
+    assert.strictEqual(res[0].disposedMts, 4000)
+    assert.strictEqual(res[0].acquisitionTradeId, 1)
+    assert.strictEqual(res[0].disposalTradeId, 4)
+    assert.strictEqual(res[0].costBasisMethod, 'FIFO')
+  })
+
+  it('LIFO cost basis method', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL(trades, { costBasisMethod: 'LIFO' })
+
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].cost, 200)
+    assert.strictEqual(res[0].realizedPnL, 200)
+    assert.strictEqual(res[0].acquisitionTradeId, 3)
+  })
+
+  it('HIFO cost basis method', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL(trades, { costBasisMethod: 'HIFO' })
+
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].cost, 300)
+    assert.strictEqual(res[0].realizedPnL, 100)
+    assert.strictEqual(res[0].acquisitionTradeId, 2)
+  })
+
+  it('AVERAGE cost basis method', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL(trades, { costBasisMethod: 'AVERAGE' })
+
+    assert.lengthOf(res, 1)
+    assert.closeTo(res[0].cost, 200, 1e-9)
+    assert.closeTo(res[0].realizedPnL, 200, 1e-9)
+    assert.isNull(res[0].acquiredMts)
+    assert.isNull(res[0].acquisitionTradeId)
+  })
+
+  it('disposal splits across several lots', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL([
+      getTrade(1, 1000, 1, 100),
+      getTrade(2, 2000, 1, 200),
+      getTrade(3, 3000, -1.5, 400)
+    ], { costBasisMethod: 'FIFO' })
+
+    assert.lengthOf(res, 2)
+    assert.strictEqual(res[0].acquisitionTradeId, 2)
+    assert.strictEqual(res[0].amount, 0.5)
+    assert.strictEqual(res[0].cost, 100)
+    assert.strictEqual(res[0].proceeds, 200)
+    assert.strictEqual(res[1].acquisitionTradeId, 1)
+    assert.strictEqual(res[1].amount, 1)
+    assert.strictEqual(res[1].cost, 100)
+    assert.strictEqual(res[1].proceeds, 400)
+  })
+
+  it('fees are included into cost and proceeds', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL([
+      getTrade(1, 1000, 1, 100, { fee: -1, feeCurrency: 'USD' }),
+      getTrade(2, 2000, -1, 200, { fee: -2, feeCurrency: 'USD' })
+    ])
+
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].cost, 101)
+    assert.strictEqual(res[0].proceeds, 198)
+    assert.strictEqual(res[0].realizedPnL, 97)
+  })
+
+  it('fee in the base currency decreases acquired amount', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL([
+      getTrade(1, 1000, 1, 100, { fee: -0.5, feeCurrency: 'BTC' }),
+      getTrade(2, 2000, -0.5, 200)
+    ])
+
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].amount, 0.5)
+    assert.strictEqual(res[0].cost, 100)
+    assert.strictEqual(res[0].proceeds, 100)
+    assert.strictEqual(res[0].realizedPnL, 0)
+  })
+
+  it('disposal without acquisition has null cost basis', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL([
+      getTrade(1, 1000, -1, 100)
+    ])
+
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].amount, 1)
+    assert.isNull(res[0].cost)
+    assert.isNull(res[0].realizedPnL)
+    assert.strictEqual(res[0].proceeds, 100)
+  })
+
+  it('only disposals in the timeframe are returned', function () {
+    this.timeout(1000)
+
+    const res = calcRealizedPnL([
+      getTrade(1, 1000, 2, 100),
+      getTrade(2, 2000, -1, 150),
+      getTrade(3, 3000, -1, 300)
+    ], { start: 2500, end: 3500 })
+
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].disposalTradeId, 3)
+    assert.strictEqual(res[0].cost, 100)
+    assert.strictEqual(res[0].realizedPnL, 200)
+  })
+})
@@ -0,0 +1,249 @@
+'use strict'
+
+const splitSymbolPairs = require('../../helpers/split-symbol-pairs')
+const COST_BASIS_METHODS = require('../cost.basis.methods')
+
+// Lot leftovers less than that are treated as fully disposed
+const EPSILON = 1e-12
+
+const _isValidTrade = (trade) => (
+  trade &&
+  typeof trade === 'object' &&
+  trade.symbol &&
+  typeof trade.symbol === 'string' &&
+  Number.isInteger(trade.mtsCreate) &&
+  Number.isFinite(trade.execAmount) &&
+  trade.execAmount !== 0 &&
+  Number.isFinite(trade.execPrice) &&
+  trade.execPrice > 0
+)
+
+const _sortTradesAsc = (trades) => {
+  return trades
+    .filter(_isValidTrade)
+    .sort((a, b) => (
+      (a.mtsCreate - b.mtsCreate) ||
+      ((a.id ?? 0) - (b.id ?? 0))
+    ))
+}
+
+/*
+ * Fees are negative values in the BFX API,
+ * a fee in the quote currency increases the lot cost,
+ * a fee in the base currency decreases the acquired amount
+ */
+const _getAcquisition = (trade, baseCcy, quoteCcy) => {
+  const {
+    execAmount,
+    execPrice,
+    fee,
+    feeCurrency
+  } = trade
+
+  let amount = execAmount
+  let cost = execAmount * execPrice
+
+  if (Number.isFinite(fee)) {
+    if (feeCurrency === quoteCcy) {
+      cost -= fee
+    }
+    if (feeCurrency === baseCcy) {
+      amount += fee
+    }
+  }
+
+  return { amount, cost }
+}
+
+/*
+ * A fee in the quote currency decreases proceeds,
+ * a fee in the base currency is disposed of additionally
+ */
+const _getDisposal = (trade, baseCcy, quoteCcy) => {
+  const {
+    execAmount,
+    execPrice,
+    fee,
+    feeCurrency
+  } = trade
+
+  const soldAmount = Math.abs(execAmount)
+  let amount = soldAmount
+  let proceeds = soldAmount * execPrice
+
+  if (Number.isFinite(fee)) {
+    if (feeCurrency === quoteCcy) {
+      proceeds += fee
+    }
+    if (feeCurrency === baseCcy) {
+      amount -= fee
+    }
+  }
+
+  return { amount, proceeds }
+}
+
+const _addLot = (lots, lot, costBasisMethod) => {
+  if (
+    costBasisMethod !== COST_BASIS_METHODS.AVERAGE ||
+    lots.length === 0
+  ) {
+    lots.push(lot)
+
+    return
+  }
+
+  // The average cost method keeps only one pooled lot per symbol
+  const [pool] = lots
+
+  pool.amount += lot.amount
+  pool.cost += lot.cost
+  pool.mts = null
+  pool.tradeId = null
+}
+
+const _pickLotIndex = (lots, costBasisMethod) => {
+  if (costBasisMethod === COST_BASIS_METHODS.LIFO) {
+    return lots.length - 1
+  }
+  if (costBasisMethod === COST_BASIS_METHODS.HIFO) {
+    return lots.reduce((maxIndex, lot, i) => {
+      const maxLot = lots[maxIndex]
+
+      return (lot.cost / lot.amount) > (maxLot.cost / maxLot.amount)
+        ? i
+        : maxIndex
+    }, 0)
+  }
+
+  return 0
+}
+
+const _getRow = ({
+  trade,
+  baseCcy,
+  quoteCcy,
+  amount,
+  lot,
+  cost,
+  proceeds,
+  costBasisMethod
+}) => {
+  return {
+    symbol: trade.symbol,
+    currency: baseCcy,
+    quoteCurrency: quoteCcy,
+    amount,
+    acquiredMts: lot?.mts ?? null,
+    disposedMts: trade.mtsCreate,
+    cost,
+    proceeds,
+    realizedPnL: Number.isFinite(cost)
+      ? proceeds - cost
+      : null,
+    costBasisMethod,
+    acquisitionTradeId: lot?.tradeId ?? null,
+    disposalTradeId: trade.id ?? null
+  }
+}
+
+/*
+ * Matches disposals against acquisition lots per symbol,
+ * all trades before `start` are used only to build lots
+ */
+module.exports = (trades, opts) => {
+  const {
+    start = 0,
+    end = Date.now(),
+    costBasisMethod = COST_BASIS_METHODS.FIFO
+  } = opts ?? {}
+
+  const lotsMap = new Map()
+  const rows = []
+
+  if (!Array.isArray(trades)) {
+    return rows
+  }
+
+  for (const trade of _sortTradesAsc(trades)) {
+    const [baseCcy, quoteCcy] = splitSymbolPairs(trade.symbol)
+
+    if (!lotsMap.has(trade.symbol)) {
+      lotsMap.set(trade.symbol, [])
+    }
+
+    const lots = lotsMap.get(trade.symbol)
+
+    if (trade.execAmount > 0) {
+      const { amount, cost } = _getAcquisition(trade, baseCcy, quoteCcy)
+
+      if (amount > EPSILON) {
+        _addLot(
+          lots,
+          { amount, cost, mts: trade.mtsCreate, tradeId: trade.id ?? null },
+          costBasisMethod
+        )
+      }
+
+      continue
+    }
+
+    const { amount, proceeds } = _getDisposal(trade, baseCcy, quoteCcy)
+    const proceedsPerUnit = proceeds / amount
+    const isInRange = (
+      trade.mtsCreate >= start &&
+      trade.mtsCreate <= end
+    )
+    let remainingAmount = amount
+
+    while (
+      remainingAmount > EPSILON &&
+      lots.length > 0
+    ) {
+      const lotIndex = _pickLotIndex(lots, costBasisMethod)
+      const lot = lots[lotIndex]
+      const matchedAmount = Math.min(remainingAmount, lot.amount)
+      const matchedCost = lot.cost * (matchedAmount / lot.amount)
+
+      if (isInRange) {
+        rows.push(_getRow({
+          trade,
+          baseCcy,
+          quoteCcy,
+          amount: matchedAmount,
+          lot,
+          cost: matchedCost,
+          proceeds: proceedsPerUnit * matchedAmount,
+          costBasisMethod
+        }))
+      }
+
+      lot.amount -= matchedAmount
+      lot.cost -= matchedCost
+      remainingAmount -= matchedAmount
+
+      if (lot.amount <= EPSILON) {
+        lots.splice(lotIndex, 1)
+      }
+    }
+
+    // There is no acquisition for the disposed amount in the fetched history
+    if (
+      remainingAmount > EPSILON &&
+      isInRange
+    ) {
+      rows.push(_getRow({
+        trade,
+        baseCcy,
+        quoteCcy,
+        amount: remainingAmount,
+        lot: null,
+        cost: null,
+        proceeds: proceedsPerUnit * remainingAmount,
+        costBasisMethod
+      }))
+    }
+  }
+
+  return rows.reverse()
+}
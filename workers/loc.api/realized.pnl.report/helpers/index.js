@@ -0,0 +1,7 @@
+'use strict'
+
+const calcRealizedPnL = require('./calc-realized-pnl')
+
+module.exports = {
+  calcRealizedPnL
+}
@@ -0,0 +1,71 @@
+'use strict'
+
+const { calcRealizedPnL } = require('./helpers')
+const COST_BASIS_METHODS = require('./cost.basis.methods')
+
+const { decorateInjectable } = require('../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination
+]
+class RealizedPnLReport {
+  constructor (
+    rService,
+    fetchDataWithPagination
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+  }
+
+  async getRealizedPnLReport (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start = 0,
+      end = Date.now(),
+      symbol: _symbol = [],
+      costBasisMethod = COST_BASIS_METHODS.FIFO
+    } = params ?? {}
+    const symbolArr = Array.isArray(_symbol)
+      ? _symbol
+      : [_symbol]
+    const symbol = symbolArr.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    /*
+     * Trades before `start` are needed to build acquisition lots
+     * for disposals in the requested timeframe
+     */
+    const trades = await this.fetchDataWithPagination({
+      getData: this.rService.getTrades.bind(this.rService),
+      args: {
+        auth,
+        params: {
+          start: 0,
+          end,
+          ...(symbol.length > 0 ? { symbol } : {})
+        }
+      },
+      apiMethodName: 'trades',
+      datePropName: 'mtsCreate',
+      callerName: 'REALIZED_PNL_REPORT'
+    })
+    const res = calcRealizedPnL(
+      trades,
+      { start, end, costBasisMethod }
+    )
+
+    return {
+      nextPage: false,
+      res
+    }
+  }
+}
+
+decorateInjectable(RealizedPnLReport, depsTypes)
+
+module.exports = RealizedPnLReport
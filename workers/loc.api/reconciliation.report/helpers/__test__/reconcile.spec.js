@@ -0,0 +1,260 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  matchLedgers,
+  reconcile
+} = require('..')
+
+const HOUR_MS = 60 * 60 * 1000
+
+const movements = [
+  {
+    id: 11,
+    currency: 'BTC',
+    status: 'COMPLETED',
+    mtsUpdated: 10 * HOUR_MS,
+    amount: 1,
+    fees: 0
+  },
+  {
+    id: 12,
+    currency: 'BTC',
+    status: 'COMPLETED',
+    mtsUpdated: 20 * HOUR_MS,
+    amount: -0.5,
+    fees: -0.001
+  },
+  {
+    id: 13,
+    currency: 'ETH',
+    status: 'COMPLETED',
+    mtsUpdated: 30 * HOUR_MS,
+    amount: 2,
+    fees: 0
+  },
+  {
+    id: 14,
+    currency: 'ETH',
+    status: 'PROCESSING',
+    mtsUpdated: 31 * HOUR_MS,
+    amount: 3,
+    fees: 0
+  }
+]
+const trades = [
+  {
+    id: 21,
+    symbol: 'tBTCUSD',
+    mtsCreate: 12 * HOUR_MS,
+    fee: -2,
+    feeCurrency: 'USD'
+  },
+  {
+    id: 22,
+    symbol: 'tBTCUSD',
+    mtsCreate: 13 * HOUR_MS,
+    fee: -0.002,
+    feeCurrency: 'BTC'
+  },
+  {
+    id: 23,
+    symbol: 'tETHUSD',
+    mtsCreate: 14 * HOUR_MS,
+    fee: 0,
+    feeCurrency: 'USD'
+  }
+]
+const ledgers = [
+  {
+    id: 101,
+    currency: 'BTC',
+    mts: 10 * HOUR_MS + 1000,
+    amount: 1,
+    description: 'Deposit (BITCOIN) #11 on wallet exchange'
+  },
+  {
+    id: 102,
+    currency: 'BTC',
+    mts: 20 * HOUR_MS + 1000,
+    amount: -0.501,
+    description: 'Crypto Withdrawal #12 on wallet exchange'
+  },
+  {
+    id: 103,
+    currency: 'ETH',
+    mts: 30 * HOUR_MS,
+    amount: 1.9,
+    description: 'Deposit (ETHEREUM) #13 on wallet exchange'
+  },
+  {
+    id: 104,
+    currency: 'USD',
+    mts: 12 * HOUR_MS,
+    amount: -2,
+    description: 'Trading fees for 0.1 BTC (BTCUSD) @ 20000 on BFX (0.1%) on wallet exchange'
+  },
+  {
+    id: 105,
+    currency: 'USD',
+    mts: 15 * HOUR_MS,
+    amount: -3,
+    description: 'Trading fees for 0.1 ETH (ETHUSD) @ 1500 on BFX (0.2%) on wallet exchange'
+  },
+  {
+    id: 106,
+    currency: 'USD',
+    mts: 16 * HOUR_MS,
+    amount: -100,
+    description: 'Exchange 0.1 BTC for USD @ 20000 on wallet exchange'
+  }
+]
+
+describe('reconcile helper', () => {
+  it('unmatched and mismatched items are listed with reasons', function () {
+    this.timeout(1000)
+
+    const { summary, res } = reconcile(
+      { movements, trades, ledgers },
+      { start: 0, end: 40 * HOUR_MS, timeWindow: HOUR_MS }
+    )
+
+    assert.deepStrictEqual(summary, [
+      {
+        type: 'MOVEMENT',
+        itemsCount: 3,
+        matchedCount: 2,
+        mismatchedCount: 1,
+        unmatchedItemsCount: 0,
+        unmatchedLedgersCount: 0
+      },
+      {
+        type: 'TRADE_FEE',
+        itemsCount: 2,
+        matchedCount: 1,
+        mismatchedCount: 0,
+        unmatchedItemsCount: 1,
+        unmatchedLedgersCount: 1
+      }
+    ])
+    assert.lengthOf(res, 3)
+
+    const [mismatchedDeposit, noTrade, noFeeLedger] = res
+
+    assert.strictEqual(mismatchedDeposit.status, 'MISMATCHED')
+    assert.strictEqual(mismatchedDeposit.reason, 'AMOUNT_MISMATCH')
+    assert.strictEqual(mismatchedDeposit.sourceId, 13)
+    assert.strictEqual(mismatchedDeposit.ledgerId, 103)
+    assert.closeTo(mismatchedDeposit.diff, -0.1, 1e-12)
+
+    assert.strictEqual(noTrade.status, 'UNMATCHED')
+    assert.strictEqual(noTrade.reason, 'NO_TRADE')
+    assert.strictEqual(noTrade.ledgerId, 105)
+    assert.isNull(noTrade.sourceId)
+
+    assert.strictEqual(noFeeLedger.reason, 'NO_LEDGER_ENTRY')
+    assert.strictEqual(noFeeLedger.sourceId, 22)
+    assert.strictEqual(noFeeLedger.currency, 'BTC')
+  })
+
+  it('ledger entries out of the time window are not matched', function () {
+    this.timeout(1000)
+
+    const { res } = reconcile(
+      {
+        movements: [movements[0]],
+        ledgers: [{ ...ledgers[0], mts: 12 * HOUR_MS }]
+      },
+      { start: 0, end: 40 * HOUR_MS, timeWindow: HOUR_MS }
+    )
+
+    assert.lengthOf(res, 2)
+    assert.sameMembers(
+      res.map(({ reason }) => reason),
+      ['NO_LEDGER_ENTRY', 'NO_MOVEMENT']
+    )
+  })
+
+  it('unmatched ledger entries out of the period are skipped', function () {
+    this.timeout(1000)
+
+    const { summary, res } = reconcile(
+      { ledgers },
+      { start: 0, end: 11 * HOUR_MS, timeWindow: HOUR_MS }
+    )
+
+    assert.lengthOf(res, 1)
+    assert.strictEqual(res[0].ledgerId, 101)
+    assert.strictEqual(summary[1].unmatchedLedgersCount, 0)
+  })
+
+  it('wire withdrawals are matched with ledger entries', function () {
+    this.timeout(1000)
+
+    const { summary, res } = reconcile(
+      {
+        movements: [{
+          id: 15,
+          currency: 'USD',
+          status: 'COMPLETED',
+          mtsUpdated: 10 * HOUR_MS,
+          amount: -1000,
+          fees: -20
+        }],
+        ledgers: [{
+          id: 107,
+          currency: 'USD',
+          mts: 10 * HOUR_MS + 1000,
+          amount: -1020,
+          description: 'Wire Withdrawal #15 on wallet funding'
+        }]
+      },
+      { start: 0, end: 40 * HOUR_MS, timeWindow: HOUR_MS }
+    )
+
+    assert.lengthOf(res, 0)
+    assert.strictEqual(summary[0].matchedCount, 1)
+  })
+
+  it('nearest ledger entries of the currency are matched', function () {
+    this.timeout(1000)
+
+    const ledgerEntries = [
+      { id: 1, currency: 'BTC', mts: 14 * HOUR_MS, amount: 1 },
+      { id: 2, currency: 'ETH', mts: 10 * HOUR_MS, amount: 1 },
+      { id: 3, currency: 'BTC', mts: 11 * HOUR_MS, amount: 1 },
+      { id: 4, currency: 'BTC', mts: 9 * HOUR_MS, amount: 1 },
+      { id: 5, currency: 'BTC', mts: 10 * HOUR_MS, amount: 2 }
+    ]
+    const {
+      matched,
+      mismatched,
+      unmatchedItems,
+      unmatchedLedgers
+    } = matchLedgers(
+      [
+        { currency: 'BTC', mts: 10 * HOUR_MS, amounts: [1] },
+        { currency: 'BTC', mts: 10 * HOUR_MS, amounts: [1] },
+        { currency: 'BTC', mts: 10 * HOUR_MS, amounts: [3] },
+        { currency: 'BTC', mts: 10 * HOUR_MS, amounts: [1] }
+      ],
+      ledgerEntries,
+      { timeWindow: 2 * HOUR_MS }
+    )
+
+    assert.deepStrictEqual(
+      matched.map(({ ledger }) => ledger.id),
+      [3, 4]
+    )
+    assert.deepStrictEqual(
+      mismatched.map(({ ledger }) => ledger.id),
+      [5]
+    )
+    assert.lengthOf(unmatchedItems, 1)
+    assert.deepStrictEqual(
+      unmatchedLedgers.map(({ id }) => id),
+      [1, 2]
+    )
+  })
+})
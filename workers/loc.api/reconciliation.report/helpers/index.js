@@ -0,0 +1,9 @@
+'use strict'
+
+const matchLedgers = require('./match-ledgers')
+const reconcile = require('./reconcile')
+
+module.exports = {
+  matchLedgers,
+  reconcile
+}
@@ -0,0 +1,169 @@
+'use strict'
+
+// Relative tolerance for float amounts
+const EPSILON = 1e-8
+
+const _isAmountEqual = (a, b) => (
+  Math.abs(a - b) <= EPSILON * Math.max(1, Math.abs(a), Math.abs(b))
+)
+
+/*
+ * Ledgers are grouped by currency and sorted by mts
+ * to take candidates inside the time window by binary search,
+ * the original order is kept for the same mts difference
+ */
+const _indexLedgers = (ledgers) => {
+  const ledgersIndex = new Map()
+
+  ledgers.forEach((ledger, index) => {
+    const currencyLedgers = ledgersIndex.get(ledger.currency) ?? []
+
+    currencyLedgers.push({ ledger, index })
+    ledgersIndex.set(ledger.currency, currencyLedgers)
+  })
+
+  for (const currencyLedgers of ledgersIndex.values()) {
+    currencyLedgers.sort((a, b) => (
+      (a.ledger.mts - b.ledger.mts) ||
+      (a.index - b.index)
+    ))
+  }
+
+  return ledgersIndex
+}
+
+// Returns the index of the first ledger with mts not less than the passed one
+const _findFirstIndex = (currencyLedgers, mts) => {
+  let low = 0
+  let high = currencyLedgers.length
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2)
+
+    if (currencyLedgers[middle].ledger.mts < mts) {
+      low = middle + 1
+
+      continue
+    }
+
+    high = middle
+  }
+
+  return low
+}
+
+const _findNearestLedger = (item, ledgersIndex, usedLedgers, opts) => {
+  const {
+    timeWindow,
+    isAmountRequired
+  } = opts
+  const currencyLedgers = ledgersIndex.get(item.currency) ?? []
+  let nearestLedger = null
+  let nearestMtsDiff = Infinity
+  let nearestIndex = Infinity
+
+  for (
+    let i = _findFirstIndex(currencyLedgers, item.mts - timeWindow);
+    i < currencyLedgers.length;
+    i += 1
+  ) {
+    const { ledger, index } = currencyLedgers[i]
+
+    if (ledger.mts > item.mts + timeWindow) {
+      break
+    }
+    if (usedLedgers.has(ledger)) {
+      continue
+    }
+
+    const mtsDiff = Math.abs(ledger.mts - item.mts)
+
+    if (
+      mtsDiff > nearestMtsDiff ||
+      (mtsDiff === nearestMtsDiff && index > nearestIndex) ||
+      Math.sign(ledger.amount) !== Math.sign(item.amounts[0])
+    ) {
+      continue
+    }
+    if (
+      isAmountRequired &&
+      item.amounts.every((amount) => !_isAmountEqual(amount, ledger.amount))
+    ) {
+      continue
+    }
+
+    nearestLedger = ledger
+    nearestMtsDiff = mtsDiff
+    nearestIndex = index
+  }
+
+  return nearestLedger
+}
+
+/*
+ * Items are normalized to `{ currency, mts, amounts, source }`,
+ * where `amounts` lists acceptable ledger amounts for the item.
+ * Exact amount matches are found at first for all items
+ * to not let a mismatched item take a ledger entry of another one
+ */
+module.exports = (items, ledgers, opts) => {
+  const { timeWindow = 0 } = opts ?? {}
+  const sortedItems = [...items].sort((a, b) => a.mts - b.mts)
+  const ledgersIndex = _indexLedgers(ledgers)
+  const usedLedgers = new Set()
+  const matchedMap = new Map()
+  const mismatched = []
+  const unmatchedItems = []
+
+  for (const item of sortedItems) {
+    const ledger = _findNearestLedger(
+      item,
+      ledgersIndex,
+      usedLedgers,
+      { timeWindow, isAmountRequired: true }
+    )
+
+    if (!ledger) {
+      continue
+    }
+
+    usedLedgers.add(ledger)
+    matchedMap.set(item, ledger)
+  }
+  for (const item of sortedItems) {
+    if (matchedMap.has(item)) {
+      continue
+    }
+
+    const ledger = _findNearestLedger(
+      item,
+      ledgersIndex,
+      usedLedgers,
+      { timeWindow, isAmountRequired: false }
+    )
+
+    if (!ledger) {
+      unmatchedItems.push(item)
+
+      continue
+    }
+
+    usedLedgers.add(ledger)
+    mismatched.push({ item, ledger })
+  }
+
+  const matched = [...matchedMap].map(([item, ledger]) => ({
+    item,
+    ledger
+  }))
+  const unmatchedLedgers = ledgers.filter((ledger) => (
+    !usedLedgers.has(ledger)
+  ))
+
+  return {
+    matched,
+    mismatched,
+    unmatchedItems,
+    unmatchedLedgers
+  }
+}
@@ -0,0 +1,218 @@
+'use strict'
+
+const LEDGER_KINDS = require('../../helpers/ledger.kinds')
+const getLedgerKind = require('../../helpers/get-ledger-kind')
+const ITEM_TYPES = require('../item.types')
+const MISMATCH_REASONS = require('../mismatch.reasons')
+const matchLedgers = require('./match-ledgers')
+
+const MISMATCHED = 'MISMATCHED'
+const UNMATCHED = 'UNMATCHED'
+
+/*
+ * A withdrawal can be debited by one ledger entry
+ * together with its fee, so both amounts are acceptable
+ */
+const _getMovementItems = (movements) => {
+  const items = []
+
+  for (const movement of (Array.isArray(movements) ? movements : [])) {
+    if (
+      movement?.status !== 'COMPLETED' ||
+      !movement.currency ||
+      !Number.isFinite(movement.amount) ||
+      movement.amount === 0
+    ) {
+      continue
+    }
+
+    const amounts = [movement.amount]
+
+    if (
+      Number.isFinite(movement.fees) &&
+      movement.fees !== 0
+    ) {
+      amounts.push(movement.amount + movement.fees)
+    }
+
+    items.push({
+      currency: movement.currency,
+      mts: movement.mtsUpdated,
+      amounts,
+      source: movement
+    })
+  }
+
+  return items
+}
+
+// Fees are negative values in the BFX API as ledger amounts are
+const _getTradeFeeItems = (trades) => {
+  const items = []
+
+  for (const trade of (Array.isArray(trades) ? trades : [])) {
+    if (
+      !trade?.feeCurrency ||
+      !Number.isFinite(trade.fee) ||
+      trade.fee === 0
+    ) {
+      continue
+    }
+
+    items.push({
+      currency: trade.feeCurrency,
+      mts: trade.mtsCreate,
+      amounts: [trade.fee],
+      source: trade
+    })
+  }
+
+  return items
+}
+
+const _filterLedgersByKind = (ledgers, kind) => (
+  (Array.isArray(ledgers) ? ledgers : []).filter((ledger) => (
+    ledger?.currency &&
+    Number.isInteger(ledger.mts) &&
+    Number.isFinite(ledger.amount) &&
+    ledger.amount !== 0 &&
+    getLedgerKind(ledger) === kind
+  ))
+)
+
+const _getRow = (type, status, reason, params) => {
+  const { item, ledger, details } = params ?? {}
+  const sourceAmount = item?.amounts[0] ?? null
+  const ledgerAmount = ledger?.amount ?? null
+
+  return {
+    type,
+    status,
+    reason,
+    currency: item?.currency ?? ledger?.currency ?? null,
+    sourceId: item?.source?.id ?? null,
+    sourceMts: item?.mts ?? null,
+    sourceAmount,
+    ledgerId: ledger?.id ?? null,
+    ledgerMts: ledger?.mts ?? null,
+    ledgerAmount,
+    diff: (
+      Number.isFinite(sourceAmount) &&
+      Number.isFinite(ledgerAmount)
+    )
+      ? ledgerAmount - sourceAmount
+      : null,
+    details: details ?? ledger?.description ?? ''
+  }
+}
+
+const _reconcileItems = (type, items, ledgers, opts) => {
+  const {
+    start,
+    end,
+    timeWindow,
+    noLedgerEntryDetails,
+    noSourceReason,
+    noSourceDetails
+  } = opts
+  const {
+    matched,
+    mismatched,
+    unmatchedItems,
+    unmatchedLedgers
+  } = matchLedgers(items, ledgers, { timeWindow })
+
+  /*
+   * Ledgers are fetched with the time window around the period
+   * to match items near its bounds, the rest are out of scope
+   */
+  const unmatchedLedgersInPeriod = unmatchedLedgers.filter(({ mts }) => (
+    mts >= start &&
+    mts <= end
+  ))
+  const res = [
+    ...mismatched.map(({ item, ledger }) => _getRow(
+      type,
+      MISMATCHED,
+      MISMATCH_REASONS.AMOUNT_MISMATCH,
+      { item, ledger }
+    )),
+    ...unmatchedItems.map((item) => _getRow(
+      type,
+      UNMATCHED,
+      MISMATCH_REASONS.NO_LEDGER_ENTRY,
+      { item, details: noLedgerEntryDetails }
+    )),
+    ...unmatchedLedgersInPeriod.map((ledger) => _getRow(
+      type,
+      UNMATCHED,
+      noSourceReason,
+      { ledger, details: `${noSourceDetails}: ${ledger.description ?? ''}` }
+    ))
+  ]
+
+  return {
+    summary: {
+      type,
+      itemsCount: items.length,
+      matchedCount: matched.length,
+      mismatchedCount: mismatched.length,
+      unmatchedItemsCount: unmatchedItems.length,
+      unmatchedLedgersCount: unmatchedLedgersInPeriod.length
+    },
+    res
+  }
+}
+
+module.exports = ({
+  movements,
+  trades,
+  ledgers
+} = {}, opts) => {
+  const {
+    start = 0,
+    end = Date.now(),
+    timeWindow = 0
+  } = opts ?? {}
+
+  const movementsRes = _reconcileItems(
+    ITEM_TYPES.MOVEMENT,
+    _getMovementItems(movements),
+    _filterLedgersByKind(ledgers, LEDGER_KINDS.MOVEMENT),
+    {
+      start,
+      end,
+      timeWindow,
+      noLedgerEntryDetails: 'There is no ledger entry with the same currency in the time window',
+      noSourceReason: MISMATCH_REASONS.NO_MOVEMENT,
+      noSourceDetails: 'There is no completed movement for the ledger entry'
+    }
+  )
+  const tradeFeesRes = _reconcileItems(
+    ITEM_TYPES.TRADE_FEE,
+    _getTradeFeeItems(trades),
+    _filterLedgersByKind(ledgers, LEDGER_KINDS.TRADE_FEE),
+    {
+      start,
+      end,
+      timeWindow,
+      noLedgerEntryDetails: 'There is no fee ledger entry with the same currency in the time window',
+      noSourceReason: MISMATCH_REASONS.NO_TRADE,
+      noSourceDetails: 'There is no trade for the fee ledger entry'
+    }
+  )
+  const res = [
+    ...movementsRes.res,
+    ...tradeFeesRes.res
+  ].sort((a, b) => (
+    (b.sourceMts ?? b.ledgerMts) - (a.sourceMts ?? a.ledgerMts)
+  ))
+
+  return {
+    summary: [
+      movementsRes.summary,
+      tradeFeesRes.summary
+    ],
+    res
+  }
+}
@@ -0,0 +1,102 @@
+'use strict'
+
+const { reconcile } = require('./helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const DEFAULT_TIME_WINDOW_MS = 60 * 60 * 1000
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination
+]
+class ReconciliationReport {
+  constructor (
+    rService,
+    fetchDataWithPagination
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+  }
+
+  async getReconciliationReport (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start = 0,
+      end = Date.now(),
+      symbol: _symbol = [],
+      timeWindow = DEFAULT_TIME_WINDOW_MS
+    } = params ?? {}
+    const symbolArr = Array.isArray(_symbol)
+      ? _symbol
+      : [_symbol]
+    const symbol = symbolArr.filter((s) => (
+      s && typeof s === 'string'
+    ))
+    const isCurrencyFilterSet = symbol.length > 0
+    const currencyParams = isCurrencyFilterSet
+      ? { symbol }
+      : {}
+
+    const movements = await this.fetchDataWithPagination({
+      getData: this.rService.getMovements.bind(this.rService),
+      args: {
+        auth,
+        params: { start, end, ...currencyParams }
+      },
+      apiMethodName: 'movements',
+      datePropName: 'mtsUpdated',
+      callerName: 'RECONCILIATION_REPORT'
+    })
+    // Trades are filtered by the fee currency instead of the pair
+    const _trades = await this.fetchDataWithPagination({
+      getData: this.rService.getTrades.bind(this.rService),
+      args: {
+        auth,
+        params: { start, end }
+      },
+      apiMethodName: 'trades',
+      datePropName: 'mtsCreate',
+      callerName: 'RECONCILIATION_REPORT'
+    })
+    const trades = isCurrencyFilterSet
+      ? _trades.filter(({ feeCurrency }) => symbol.includes(feeCurrency))
+      : _trades
+    const ledgers = await this.fetchDataWithPagination({
+      getData: this.rService.getLedgers.bind(this.rService),
+      args: {
+        auth,
+        params: {
+          start: Math.max(start - timeWindow, 0),
+          end: end + timeWindow,
+          ...currencyParams
+        }
+      },
+      apiMethodName: 'ledgers',
+      datePropName: 'mts',
+      callerName: 'RECONCILIATION_REPORT'
+    })
+
+    const {
+      summary,
+      res
+    } = reconcile(
+      { movements, trades, ledgers },
+      { start, end, timeWindow }
+    )
+
+    return {
+      nextPage: false,
+      isReconciled: res.length === 0,
+      summary,
+      res
+    }
+  }
+}
+
+decorateInjectable(ReconciliationReport, depsTypes)
+
+module.exports = ReconciliationReport
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+  MOVEMENT: 'MOVEMENT',
+  TRADE_FEE: 'TRADE_FEE'
+}
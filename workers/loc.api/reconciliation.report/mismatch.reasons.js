@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  NO_LEDGER_ENTRY: 'NO_LEDGER_ENTRY',
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  NO_MOVEMENT: 'NO_MOVEMENT',
+  NO_TRADE: 'NO_TRADE'
+}
@@ -0,0 +1,215 @@
+'use strict'
+
+const fs = require('fs')
+
+const {
+  readJsonArrayFile,
+  writeJsonArrayFile
+} = require('../helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const CHECKPOINT_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+const depsTypes = (TYPES) => [
+  TYPES.ReportFileJobScheduler,
+  TYPES.Logger,
+  TYPES.ReportFileCheckpointsFilePath
+]
+
+/*
+ * Checkpoints keep the progress of report file jobs on the disk
+ * to resume the generation after restarting the worker:
+ * the temp file of each sub report and the pagination cursor
+ * of the one being written
+ */
+class ReportFileCheckpoints {
+  constructor (
+    reportFileJobScheduler,
+    logger,
+    reportFileCheckpointsFilePath
+  ) {
+    this.reportFileJobScheduler = reportFileJobScheduler
+    this.logger = logger
+    this.reportFileCheckpointsFilePath = reportFileCheckpointsFilePath
+
+    this._checkpoints = null
+    this._loadingPromise = null
+    this._savingPromise = Promise.resolve()
+  }
+
+  /*
+   * Custom csv writers are not kept in the persisted job data
+   * and the error file of unauth jobs is written at once
+   */
+  isResumableJob (jobData) {
+    const subJobsData = Array.isArray(jobData?.jobsData)
+      ? jobData.jobsData
+      : []
+
+    return (
+      !!jobData?.reportFileJob?.id &&
+      !jobData?.isUnauth &&
+      [jobData, ...subJobsData].every((data) => (
+        typeof data?.csvCustomWriter !== 'function'
+      ))
+    )
+  }
+
+  async getCheckpoint (jobData) {
+    if (!this.isResumableJob(jobData)) {
+      return null
+    }
+
+    const checkpoints = await this._getCheckpoints()
+    const checkpoint = checkpoints.get(jobData.reportFileJob.id)
+
+    if (!checkpoint) {
+      return null
+    }
+
+    const files = []
+
+    // The temp file may be removed, then the sub report is generated again
+    for (const file of checkpoint.files ?? []) {
+      files.push(await this._isExistingFile(file?.filePath)
+        ? file
+        : null)
+    }
+
+    return { ...checkpoint, files }
+  }
+
+  async saveCheckpoint (jobData, files) {
+    if (!this.isResumableJob(jobData)) {
+      return
+    }
+
+    const checkpoints = await this._getCheckpoints()
+    const { id } = jobData.reportFileJob
+
+    checkpoints.set(id, {
+      id,
+      jobData,
+      files,
+      updatedAt: Date.now()
+    })
+
+    await this._saveCheckpoints()
+  }
+
+  async removeCheckpoint (jobData) {
+    const id = jobData?.reportFileJob?.id
+    const checkpoints = await this._getCheckpoints()
+
+    if (!checkpoints.has(id)) {
+      return
+    }
+
+    checkpoints.delete(id)
+    await this._saveCheckpoints()
+  }
+
+  // The job won't be resumed, e.g. it's canceled while waiting for retry
+  async discardCheckpoint (jobData) {
+    const id = jobData?.reportFileJob?.id
+    const checkpoints = await this._getCheckpoints()
+    const checkpoint = checkpoints.get(id)
+
+    if (!checkpoint) {
+      return
+    }
+
+    checkpoints.delete(id)
+    await this._removeFiles(checkpoint.files)
+    await this._saveCheckpoints()
+  }
+
+  /*
+   * It's called on starting the worker after restoring the scheduler,
+   * jobs which are not kept in the persistent queue or waiting
+   * for retry are added again
+   */
+  async restoreJobs () {
+    const checkpoints = await this._getCheckpoints()
+    const now = Date.now()
+
+    for (const checkpoint of [...checkpoints.values()]) {
+      if (this.reportFileJobScheduler.hasJob(checkpoint.id)) {
+        continue
+      }
+      if (now - checkpoint.updatedAt > CHECKPOINT_TTL_MS) {
+        checkpoints.delete(checkpoint.id)
+        await this._removeFiles(checkpoint.files)
+
+        continue
+      }
+
+      await this.reportFileJobScheduler.requeueJob(checkpoint.jobData)
+    }
+
+    await this._saveCheckpoints()
+  }
+
+  async _isExistingFile (filePath) {
+    if (!filePath) {
+      return false
+    }
+
+    try {
+      await fs.promises.access(filePath, fs.constants.F_OK)
+
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  async _removeFiles (files) {
+    for (const file of files ?? []) {
+      try {
+        if (await this._isExistingFile(file?.filePath)) {
+          await fs.promises.unlink(file.filePath)
+        }
+      } catch (err) {
+        this.logger.error(`REPORT_FILE_CHECKPOINTS: ${err.stack || err}`)
+      }
+    }
+  }
+
+  async _getCheckpoints () {
+    if (this._checkpoints) {
+      return this._checkpoints
+    }
+    if (!this._loadingPromise) {
+      this._loadingPromise = readJsonArrayFile(
+        this.reportFileCheckpointsFilePath
+      ).then((checkpoints) => {
+        this._checkpoints = new Map(checkpoints.map((checkpoint) => (
+          [checkpoint.id, checkpoint]
+        )))
+
+        return this._checkpoints
+      }).finally(() => {
+        this._loadingPromise = null
+      })
+    }
+
+    return this._loadingPromise
+  }
+
+  _saveCheckpoints () {
+    this._savingPromise = this._savingPromise
+      .catch(() => {})
+      .then(() => writeJsonArrayFile(
+        this.reportFileCheckpointsFilePath,
+        [...this._checkpoints.values()]
+      ))
+
+    return this._savingPromise
+  }
+}
+
+decorateInjectable(ReportFileCheckpoints, depsTypes)
+
+module.exports = ReportFileCheckpoints
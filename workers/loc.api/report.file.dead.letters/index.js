@@ -0,0 +1,231 @@
+'use strict'
+
+const {
+  readJsonArrayFile,
+  writeJsonArrayFile
+} = require('../helpers')
+const {
+  ReportFileDeadLetterFindingError,
+  ReportFileDeadLetterRequeuingError
+} = require('../errors')
+
+const { decorateInjectable } = require('../di/utils')
+
+const DEAD_LETTER_TTL_MS = 30 * 24 * 60 * 60 * 1000
+const MAX_DEAD_LETTERS_PER_USER = 50
+
+const depsTypes = (TYPES) => [
+  TYPES.ReportFileJobScheduler,
+  TYPES.ReportFileDeadLettersFilePath
+]
+
+/*
+ * Permanently failed report file jobs are kept to be inspected
+ * and requeued by the user, the job data is persisted to the disk
+ */
+class ReportFileDeadLetters {
+  constructor (
+    reportFileJobScheduler,
+    reportFileDeadLettersFilePath
+  ) {
+    this.reportFileJobScheduler = reportFileJobScheduler
+    this.reportFileDeadLettersFilePath = reportFileDeadLettersFilePath
+
+    this._deadLetters = null
+    this._loadingPromise = null
+    this._savingPromise = Promise.resolve()
+    // Custom csv writers are lost in the persisted job data
+    this._jobsData = new Map()
+  }
+
+  async addJob (failedJobData, err) {
+    const deadLetters = await this._getDeadLetters()
+    const jobData = this._omitAuth(failedJobData)
+    const subJobsData = Array.isArray(jobData?.jobsData)
+      ? jobData.jobsData
+      : [jobData]
+    const id = jobData?.reportFileJob?.id
+
+    if (!id) {
+      return
+    }
+
+    deadLetters.set(id, {
+      id,
+      userId: jobData?.userInfo?.userId ?? jobData?.userId ?? null,
+      name: jobData?.name ?? null,
+      subReportNames: subJobsData.map((subJobData) => (
+        subJobData?.name ?? null
+      )),
+      attempts: (jobData?.retryAttempt ?? 0) + 1,
+      error: {
+        message: err?.message ?? `${err}`,
+        statusCode: err?.statusCode ?? null,
+        statusMessage: err?.statusMessage ?? null
+      },
+      failedAt: Date.now(),
+      hasCsvCustomWriter: [jobData, ...subJobsData].some((data) => (
+        typeof data?.csvCustomWriter === 'function' ||
+        !!data?.isCsvCustomWriterLost
+      )),
+      jobData
+    })
+    this._jobsData.set(id, jobData)
+
+    this._removeExpiredDeadLetters()
+    await this._saveDeadLetters()
+  }
+
+  async getJobs (userId, params) {
+    const {
+      limit = MAX_DEAD_LETTERS_PER_USER
+    } = params ?? {}
+    const deadLetters = await this._getDeadLetters()
+
+    return [...deadLetters.values()]
+      .filter((deadLetter) => deadLetter.userId === userId)
+      .sort((a, b) => b.failedAt - a.failedAt)
+      .slice(0, limit)
+      .map((deadLetter) => this._serializeDeadLetter(deadLetter))
+  }
+
+  /*
+   * The job is added as the new one with the auth
+   * of the request as the stored one may be expired
+   */
+  async requeueJob (user, id, auth) {
+    const deadLetters = await this._getDeadLetters()
+    const deadLetter = deadLetters.get(id)
+
+    if (
+      !deadLetter ||
+      deadLetter.userId !== user.id
+    ) {
+      throw new ReportFileDeadLetterFindingError()
+    }
+    if (
+      deadLetter.hasCsvCustomWriter &&
+      !this._jobsData.has(id)
+    ) {
+      throw new ReportFileDeadLetterRequeuingError()
+    }
+
+    const jobData = this._getRequeuedJobData(
+      this._jobsData.get(id) ?? deadLetter.jobData,
+      auth
+    )
+    const jobId = await this.reportFileJobScheduler.addJob(jobData)
+
+    deadLetters.delete(id)
+    this._jobsData.delete(id)
+    await this._saveDeadLetters()
+
+    return { jobId }
+  }
+
+  _getRequeuedJobData (jobData, auth) {
+    const {
+      retryAttempt,
+      ...requeuedJobData
+    } = jobData
+
+    requeuedJobData.args = { ...requeuedJobData.args, auth }
+
+    if (Array.isArray(requeuedJobData.jobsData)) {
+      requeuedJobData.jobsData = requeuedJobData.jobsData
+        .map((subJobData) => ({
+          ...subJobData,
+          args: { ...subJobData?.args, auth }
+        }))
+    }
+
+    return requeuedJobData
+  }
+
+  // Credentials are not kept as the job is requeued with the new auth
+  _omitAuth (jobData) {
+    const omitArgsAuth = (data) => {
+      const { auth, ...args } = data?.args ?? {}
+
+      return { ...data, args }
+    }
+    const jobDataWithoutAuth = omitArgsAuth(jobData)
+
+    if (Array.isArray(jobDataWithoutAuth.jobsData)) {
+      jobDataWithoutAuth.jobsData = jobDataWithoutAuth.jobsData
+        .map((subJobData) => omitArgsAuth(subJobData))
+    }
+
+    return jobDataWithoutAuth
+  }
+
+  _serializeDeadLetter (deadLetter) {
+    const {
+      userId,
+      hasCsvCustomWriter,
+      jobData,
+      ...serializedDeadLetter
+    } = deadLetter
+
+    return { ...serializedDeadLetter }
+  }
+
+  _removeExpiredDeadLetters () {
+    const now = Date.now()
+    const counts = new Map()
+    const deadLetters = [...this._deadLetters.values()]
+      .sort((a, b) => b.failedAt - a.failedAt)
+
+    for (const deadLetter of deadLetters) {
+      const count = (counts.get(deadLetter.userId) ?? 0) + 1
+      counts.set(deadLetter.userId, count)
+
+      if (
+        count > MAX_DEAD_LETTERS_PER_USER ||
+        now - deadLetter.failedAt > DEAD_LETTER_TTL_MS
+      ) {
+        this._deadLetters.delete(deadLetter.id)
+        this._jobsData.delete(deadLetter.id)
+      }
+    }
+  }
+
+  async _getDeadLetters () {
+    if (this._deadLetters) {
+      return this._deadLetters
+    }
+    if (!this._loadingPromise) {
+      this._loadingPromise = readJsonArrayFile(
+        this.reportFileDeadLettersFilePath
+      ).then((deadLetters) => {
+        this._deadLetters = new Map(deadLetters.map((deadLetter) => (
+          [
+            deadLetter.id,
+            { ...deadLetter, jobData: this._omitAuth(deadLetter.jobData) }
+          ]
+        )))
+
+        return this._deadLetters
+      }).finally(() => {
+        this._loadingPromise = null
+      })
+    }
+
+    return this._loadingPromise
+  }
+
+  _saveDeadLetters () {
+    this._savingPromise = this._savingPromise
+      .catch(() => {})
+      .then(() => writeJsonArrayFile(
+        this.reportFileDeadLettersFilePath,
+        [...this._deadLetters.values()]
+      ))
+
+    return this._savingPromise
+  }
+}
+
+decorateInjectable(ReportFileDeadLetters, depsTypes)
+
+module.exports = ReportFileDeadLetters
@@ -0,0 +1,242 @@
+'use strict'
+
+const os = require('os')
+const path = require('path')
+const fs = require('fs')
+const { assert } = require('chai')
+
+require('reflect-metadata')
+const ReportFileJobScheduler = require('..')
+const REPORT_FILE_JOB_PRIORITIES = require(
+  '../report.file.job.priorities'
+)
+const ReportFileJobs = require('../../report.file.jobs')
+const { getJobPriority } = require('../helpers')
+const { QueueJobAddingError } = require('../../errors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const now = Date.UTC(2023, 0, 10)
+
+const getJobData = (userId, name, periodDays) => ({
+  userId,
+  name,
+  userInfo: { userId },
+  args: {
+    params: {
+      start: now - periodDays * DAY_MS,
+      end: now
+    }
+  }
+})
+const getProcessorQueue = (concurrency = 1) => ({
+  opts: { concurrency },
+  addedJobsData: [],
+  addJob (jobData) {
+    this.addedJobsData.push(jobData)
+  },
+  listJobs () {
+    return []
+  }
+})
+const getScheduler = (
+  processorQueue,
+  conf,
+  filePath = path.join(
+    os.tmpdir(),
+    `report_file_job_scheduler_${process.pid}_${Date.now()}.json`
+  )
+) => {
+  return new ReportFileJobScheduler(
+    { isSpamRestrictionMode: true, ...conf },
+    { error: () => {} },
+    processorQueue,
+    new ReportFileJobs(),
+    filePath
+  )
+}
+const removeFile = async (scheduler) => {
+  await scheduler._savingPromise
+  await fs.promises.rm(
+    scheduler.reportFileJobSchedulerFilePath,
+    { force: true }
+  )
+}
+
+describe('Report file job scheduler', () => {
+  it('jobs are taken by priority and round-robin across users', async function () {
+    this.timeout(1000)
+
+    const processorQueue = getProcessorQueue()
+    const scheduler = getScheduler(processorQueue)
+    const jobsData = [
+      getJobData(1, 'first', 7),
+      getJobData(1, 'long', 400),
+      getJobData(1, 'short', 7),
+      getJobData(2, 'other', 7)
+    ]
+
+    for (const jobData of jobsData) {
+      assert.isString(await scheduler.addJob(jobData))
+    }
+
+    assert.deepStrictEqual(
+      processorQueue.addedJobsData.map(({ name }) => name),
+      ['first']
+    )
+
+    for (let i = 0; i < 3; i += 1) {
+      await scheduler.releaseJob(processorQueue.addedJobsData[i])
+    }
+
+    assert.deepStrictEqual(
+      processorQueue.addedJobsData.map(({ name }) => name),
+      ['first', 'other', 'short', 'long']
+    )
+
+    await removeFile(scheduler)
+  })
+
+  it('users are served in parallel up to the queue concurrency', async function () {
+    this.timeout(1000)
+
+    const processorQueue = getProcessorQueue(2)
+    const scheduler = getScheduler(processorQueue)
+    const firstJobData = getJobData(1, 'first', 7)
+    const jobsData = [
+      firstJobData,
+      getJobData(1, 'second', 7),
+      getJobData(2, 'other', 7),
+      getJobData(3, 'third', 7)
+    ]
+
+    for (const jobData of jobsData) {
+      await scheduler.addJob(jobData)
+    }
+
+    assert.deepStrictEqual(
+      processorQueue.addedJobsData.map(({ name }) => name),
+      ['first', 'other']
+    )
+
+    await scheduler.releaseJob(firstJobData)
+
+    assert.deepStrictEqual(
+      processorQueue.addedJobsData.map(({ name }) => name),
+      ['first', 'other', 'third']
+    )
+
+    await removeFile(scheduler)
+  })
+
+  it('queue depth is limited per user', async function () {
+    this.timeout(1000)
+
+    const processorQueue = getProcessorQueue()
+    const scheduler = getScheduler(processorQueue, {
+      reportFileJobScheduler: { maxPendingJobsPerUser: 2 }
+    })
+
+    for (let i = 0; i < 3; i += 1) {
+      await scheduler.addJob(getJobData(1, `job${i}`, 7))
+    }
+
+    try {
+      await scheduler.addJob(getJobData(1, 'rejected', 7))
+
+      assert.fail('The job should not be added')
+    } catch (err) {
+      assert.instanceOf(err, QueueJobAddingError)
+    }
+
+    assert.isString(await scheduler.addJob(getJobData(2, 'other', 7)))
+    assert.strictEqual(processorQueue.addedJobsData.length, 1)
+
+    await removeFile(scheduler)
+  })
+
+  it('canceled pending job does not hold the user queue', async function () {
+    this.timeout(1000)
+
+    const processorQueue = getProcessorQueue()
+    const scheduler = getScheduler(processorQueue)
+    const firstJobData = getJobData(1, 'first', 7)
+    const canceledJobData = getJobData(1, 'canceled', 7)
+
+    await scheduler.addJob(firstJobData)
+    const canceledJobId = await scheduler.addJob(canceledJobData)
+    await scheduler.addJob(getJobData(1, 'last', 7))
+
+    scheduler.reportFileJobs.cancelJob(1, canceledJobId)
+    await scheduler.releaseJob(firstJobData)
+
+    assert.deepStrictEqual(
+      processorQueue.addedJobsData.map(({ name }) => name),
+      ['first', 'canceled', 'last']
+    )
+
+    await removeFile(scheduler)
+  })
+
+  it('retried job is restored after restarting till the retry time', async function () {
+    this.timeout(1000)
+
+    const conf = { isSpamRestrictionMode: false }
+    const scheduler = getScheduler(getProcessorQueue(), conf)
+    const jobData = {
+      ...getJobData(1, 'retried', 7),
+      retryAttempt: 1,
+      reportFileJob: { id: 'retried-job-id' },
+      csvCustomWriter: () => {}
+    }
+
+    await scheduler.requeueJob(jobData, { retryDelay: 50 })
+    scheduler.stop()
+
+    const processorQueue = getProcessorQueue()
+    const restartedScheduler = getScheduler(
+      processorQueue,
+      conf,
+      scheduler.reportFileJobSchedulerFilePath
+    )
+    await restartedScheduler.restoreJobs()
+
+    assert.isTrue(restartedScheduler.hasJob('retried-job-id'))
+    assert.lengthOf(processorQueue.addedJobsData, 0)
+
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    await restartedScheduler._savingPromise
+
+    assert.isFalse(restartedScheduler.hasJob('retried-job-id'))
+    assert.lengthOf(processorQueue.addedJobsData, 1)
+    assert.strictEqual(processorQueue.addedJobsData[0].retryAttempt, 1)
+    assert.isTrue(processorQueue.addedJobsData[0].isCsvCustomWriterLost)
+
+    await removeFile(restartedScheduler)
+  })
+
+  it('job priority depends on the summed period of sub reports', function () {
+    this.timeout(1000)
+
+    const opts = { now }
+
+    assert.strictEqual(
+      getJobPriority(getJobData(1, 'getLedgers', 30), opts),
+      REPORT_FILE_JOB_PRIORITIES.HIGH
+    )
+    assert.strictEqual(
+      getJobPriority({
+        name: 'getMultiple',
+        jobsData: [
+          getJobData(1, 'getLedgers', 30),
+          getJobData(1, 'getTrades', 30),
+          { name: 'getWallets', args: { params: { end: now } } }
+        ]
+      }, opts),
+      REPORT_FILE_JOB_PRIORITIES.NORMAL
+    )
+    assert.strictEqual(
+      getJobPriority({ name: 'getLedgers', args: { params: {} } }, opts),
+      REPORT_FILE_JOB_PRIORITIES.LOW
+    )
+  })
+})
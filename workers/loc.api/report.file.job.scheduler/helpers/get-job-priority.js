@@ -0,0 +1,90 @@
+'use strict'
+
+const REPORT_FILE_JOB_PRIORITIES = require(
+  '../report.file.job.priorities'
+)
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_HIGH_PRIORITY_PERIOD_MS = 31 * DAY_MS
+const DEFAULT_LOW_PRIORITY_PERIOD_MS = 365 * DAY_MS
+
+const _priorityOrder = [
+  REPORT_FILE_JOB_PRIORITIES.HIGH,
+  REPORT_FILE_JOB_PRIORITIES.NORMAL,
+  REPORT_FILE_JOB_PRIORITIES.LOW
+]
+
+// Data of these methods is taken at once without the pagination by time
+const _methodsWithoutPeriod = [
+  'getWallets',
+  'getWalletsSnapshotAt',
+  'getActivePositions',
+  'getPositionsSnapshot',
+  'getFullSnapshotReport',
+  'getStatusMessages'
+]
+
+const _getSubJobsData = (jobData) => {
+  if (Array.isArray(jobData?.jobsData)) {
+    return jobData.jobsData
+  }
+  if (Array.isArray(jobData?.presetJobsData)) {
+    return jobData.presetJobsData
+  }
+
+  return [jobData]
+}
+
+const _getPeriod = (jobData, now) => {
+  if (_methodsWithoutPeriod.includes(jobData?.name)) {
+    return 0
+  }
+
+  const {
+    start = 0,
+    end = now
+  } = jobData?.args?.params ?? {}
+
+  return Math.max(
+    Math.min(end, now) - start,
+    0
+  )
+}
+
+/*
+ * Data of all sub reports is fetched in the one job,
+ * so their periods are summed
+ */
+const getJobPriority = (jobData, opts) => {
+  const {
+    highPriorityPeriodMs = DEFAULT_HIGH_PRIORITY_PERIOD_MS,
+    lowPriorityPeriodMs = DEFAULT_LOW_PRIORITY_PERIOD_MS,
+    now = Date.now()
+  } = opts ?? {}
+  const period = _getSubJobsData(jobData)
+    .reduce((accum, subJobData) => (
+      accum + _getPeriod(subJobData, now)
+    ), 0)
+
+  if (period <= highPriorityPeriodMs) {
+    return REPORT_FILE_JOB_PRIORITIES.HIGH
+  }
+  if (period <= lowPriorityPeriodMs) {
+    return REPORT_FILE_JOB_PRIORITIES.NORMAL
+  }
+
+  return REPORT_FILE_JOB_PRIORITIES.LOW
+}
+
+const getPriorityRank = (priority) => {
+  const rank = _priorityOrder.indexOf(priority)
+
+  return rank < 0
+    ? _priorityOrder.indexOf(REPORT_FILE_JOB_PRIORITIES.NORMAL)
+    : rank
+}
+
+module.exports = {
+  getJobPriority,
+  getPriorityRank
+}
@@ -0,0 +1,11 @@
+'use strict'
+
+const {
+  getJobPriority,
+  getPriorityRank
+} = require('./get-job-priority')
+
+module.exports = {
+  getJobPriority,
+  getPriorityRank
+}
@@ -0,0 +1,384 @@
+'use strict'
+
+const REPORT_FILE_JOB_PRIORITIES = require(
+  './report.file.job.priorities'
+)
+const {
+  getJobPriority,
+  getPriorityRank
+} = require('./helpers')
+const {
+  readJsonArrayFile,
+  writeJsonArrayFile
+} = require('../helpers/json-file-storage')
+const { QueueJobAddingError } = require('../errors')
+
+const { decorateInjectable } = require('../di/utils')
+
+const DEFAULT_MAX_PENDING_JOBS_PER_USER = 10
+// The default concurrency of the lokue queue
+const DEFAULT_MAX_PROCESSING_JOBS = 3
+
+const depsTypes = (TYPES) => [
+  TYPES.CONF,
+  TYPES.Logger,
+  TYPES.ProcessorQueue,
+  TYPES.ReportFileJobs,
+  TYPES.ReportFileJobSchedulerFilePath
+]
+
+/*
+ * Under the spam restriction mode each user has the only job
+ * in the processor queue, others wait in the pending queue
+ * of the user. Users are served in parallel up to the queue
+ * concurrency, jobs are taken by the priority and then
+ * round-robin across users to not let one user hold the queue.
+ * Retried jobs wait in the pending queue till the retry time
+ * in any mode to not be lost on restarting the worker
+ */
+class ReportFileJobScheduler {
+  constructor (
+    conf,
+    logger,
+    processorQueue,
+    reportFileJobs,
+    reportFileJobSchedulerFilePath
+  ) {
+    this.conf = conf
+    this.logger = logger
+    this.processorQueue = processorQueue
+    this.reportFileJobs = reportFileJobs
+    this.reportFileJobSchedulerFilePath = reportFileJobSchedulerFilePath
+
+    this.PRIORITIES = REPORT_FILE_JOB_PRIORITIES
+
+    this._pendingJobs = null
+    this._loadingPromise = null
+    this._savingPromise = Promise.resolve()
+    this._processingJobs = new Map()
+    this._servedUsers = new Map()
+    this._servingCount = 0
+    this._dispatchingTimeout = null
+  }
+
+  isSpamRestrictionMode () {
+    const {
+      syncMode,
+      isSpamRestrictionMode
+    } = this.conf ?? {}
+
+    return !syncMode && !!isSpamRestrictionMode
+  }
+
+  /*
+   * Returns the id of the report file job,
+   * the job is queued if the user has the one being processed
+   */
+  async addJob (jobData) {
+    if (!this.isSpamRestrictionMode()) {
+      const jobId = this.reportFileJobs.addJob(jobData)
+      this.processorQueue.addJob(jobData)
+
+      return jobId
+    }
+
+    const pendingJobs = await this._getPendingJobs()
+    const userId = this._getUserId(jobData)
+    const {
+      maxPendingJobsPerUser = DEFAULT_MAX_PENDING_JOBS_PER_USER
+    } = this.conf?.reportFileJobScheduler ?? {}
+    const userPendingJobs = pendingJobs
+      .filter((pendingJob) => (
+        pendingJob.userId === userId &&
+        !pendingJob.jobData?.retryAttempt
+      ))
+
+    if (userPendingJobs.length >= maxPendingJobsPerUser) {
+      throw new QueueJobAddingError()
+    }
+
+    const jobId = this.reportFileJobs.addJob(jobData)
+
+    this._addPendingJob(jobData)
+    this._dispatchJobs()
+    await this._savePendingJobs()
+
+    return jobId
+  }
+
+  /*
+   * The retried job keeps its id and is not limited by the queue depth,
+   * it's kept on the disk till the retry time
+   */
+  async requeueJob (jobData, opts) {
+    const { retryDelay = 0 } = opts ?? {}
+
+    await this._getPendingJobs()
+
+    this._addPendingJob(jobData, {
+      notBefore: Date.now() + retryDelay
+    })
+    this._dispatchJobs()
+    await this._savePendingJobs()
+  }
+
+  async releaseJob (jobData) {
+    const id = jobData?.reportFileJob?.id
+
+    if (!this._processingJobs.has(id)) {
+      return
+    }
+
+    this._processingJobs.delete(id)
+    await this._getPendingJobs()
+
+    if (this._dispatchJobs()) {
+      await this._savePendingJobs()
+    }
+  }
+
+  // The job is waiting or being processed
+  hasJob (id) {
+    return (
+      this._processingJobs.has(id) ||
+      (this._pendingJobs ?? []).some((pendingJob) => pendingJob.id === id)
+    )
+  }
+
+  /*
+   * It's called on starting the worker, jobs restored
+   * by the persistent queue are processed first
+   */
+  async restoreJobs () {
+    await this._getPendingJobs()
+
+    for (const status of ['ACTIVE', 'PROCESSING']) {
+      const jobs = this.processorQueue.listJobs(status)
+
+      for (const job of Array.isArray(jobs) ? jobs : []) {
+        const id = job?.data?.reportFileJob?.id
+
+        if (id) {
+          this._processingJobs.set(id, this._getUserId(job.data))
+        }
+      }
+    }
+
+    if (this._dispatchJobs()) {
+      await this._savePendingJobs()
+    }
+  }
+
+  stop () {
+    clearTimeout(this._dispatchingTimeout)
+    this._dispatchingTimeout = null
+  }
+
+  _getUserId (jobData) {
+    return jobData?.userInfo?.userId ?? jobData?.userId ?? null
+  }
+
+  _addPendingJob (jobData, opts) {
+    const { notBefore = null } = opts ?? {}
+    const {
+      highPriorityPeriodMs,
+      lowPriorityPeriodMs
+    } = this.conf?.reportFileJobScheduler ?? {}
+
+    this._pendingJobs.push({
+      id: jobData?.reportFileJob?.id ?? null,
+      userId: this._getUserId(jobData),
+      priority: getJobPriority(jobData, {
+        highPriorityPeriodMs,
+        lowPriorityPeriodMs
+      }),
+      addedAt: Date.now(),
+      notBefore,
+      hasCsvCustomWriter: this._hasCsvCustomWriter(jobData),
+      jobData
+    })
+  }
+
+  _hasCsvCustomWriter (jobData) {
+    const subJobsData = Array.isArray(jobData?.jobsData)
+      ? jobData.jobsData
+      : []
+
+    return [jobData, ...subJobsData].some((data) => (
+      typeof data?.csvCustomWriter === 'function'
+    ))
+  }
+
+  _isDuePendingJob (pendingJob, now) {
+    return (
+      !Number.isFinite(pendingJob.notBefore) ||
+      pendingJob.notBefore <= now
+    )
+  }
+
+  /*
+   * The next job is the one with the highest priority among
+   * users without processing jobs, the least recently served
+   * user goes first for the same priority
+   */
+  _getNextPendingJob () {
+    const isSpamRestrictionMode = this.isSpamRestrictionMode()
+    const processingUserIds = [...this._processingJobs.values()]
+    const userFirstJobs = new Map()
+    const now = Date.now()
+
+    for (const pendingJob of this._pendingJobs) {
+      if (!this._isDuePendingJob(pendingJob, now)) {
+        continue
+      }
+      if (!isSpamRestrictionMode) {
+        return pendingJob
+      }
+      if (processingUserIds.includes(pendingJob.userId)) {
+        continue
+      }
+
+      const userFirstJob = userFirstJobs.get(pendingJob.userId)
+
+      if (
+        !userFirstJob ||
+        this._comparePendingJobs(pendingJob, userFirstJob) < 0
+      ) {
+        userFirstJobs.set(pendingJob.userId, pendingJob)
+      }
+    }
+
+    return [...userFirstJobs.values()]
+      .sort((a, b) => (
+        (getPriorityRank(a.priority) - getPriorityRank(b.priority)) ||
+        (
+          (this._servedUsers.get(a.userId) ?? 0) -
+          (this._servedUsers.get(b.userId) ?? 0)
+        ) ||
+        (a.addedAt - b.addedAt)
+      ))[0] ?? null
+  }
+
+  _comparePendingJobs (a, b) {
+    return (
+      (getPriorityRank(a.priority) - getPriorityRank(b.priority)) ||
+      (a.addedAt - b.addedAt)
+    )
+  }
+
+  _getMaxProcessingJobs () {
+    const concurrency = this.processorQueue?.opts?.concurrency
+
+    return Number.isInteger(concurrency) && concurrency > 0
+      ? concurrency
+      : DEFAULT_MAX_PROCESSING_JOBS
+  }
+
+  // Returns true if the pending queue is changed
+  _dispatchJobs () {
+    const isSpamRestrictionMode = this.isSpamRestrictionMode()
+    const maxProcessingJobs = isSpamRestrictionMode
+      ? this._getMaxProcessingJobs()
+      : Infinity
+    let isChanged = false
+
+    while (this._processingJobs.size < maxProcessingJobs) {
+      const pendingJob = this._getNextPendingJob()
+
+      if (!pendingJob) {
+        break
+      }
+
+      this._pendingJobs.splice(this._pendingJobs.indexOf(pendingJob), 1)
+      isChanged = true
+
+      /*
+       * The job canceled while waiting is skipped by the processor
+       * to remove its checkpoint, it doesn't hold the user queue
+       */
+      if (
+        isSpamRestrictionMode &&
+        !this.reportFileJobs.isCanceledJob(pendingJob.id)
+      ) {
+        this._servingCount += 1
+        this._servedUsers.set(pendingJob.userId, this._servingCount)
+        this._processingJobs.set(pendingJob.id, pendingJob.userId)
+      }
+
+      this.processorQueue.addJob(pendingJob.jobData)
+    }
+
+    this._setDispatchingTimeout()
+
+    return isChanged
+  }
+
+  // Delayed jobs are dispatched on the nearest retry time
+  _setDispatchingTimeout () {
+    clearTimeout(this._dispatchingTimeout)
+    this._dispatchingTimeout = null
+
+    const now = Date.now()
+    const notBefore = Math.min(
+      ...this._pendingJobs
+        .filter((pendingJob) => !this._isDuePendingJob(pendingJob, now))
+        .map((pendingJob) => pendingJob.notBefore)
+    )
+
+    if (!Number.isFinite(notBefore)) {
+      return
+    }
+
+    this._dispatchingTimeout = setTimeout(async () => {
+      try {
+        if (this._dispatchJobs()) {
+          await this._savePendingJobs()
+        }
+      } catch (err) {
+        this.logger.error(`REPORT_FILE_JOB_SCHEDULER: ${err.stack || err}`)
+      }
+    }, notBefore - now)
+  }
+
+  async _getPendingJobs () {
+    if (this._pendingJobs) {
+      return this._pendingJobs
+    }
+    if (!this._loadingPromise) {
+      this._loadingPromise = readJsonArrayFile(
+        this.reportFileJobSchedulerFilePath
+      ).then((pendingJobs) => {
+        // The job is failed by the processor as the writer can't be restored
+        this._pendingJobs = pendingJobs.map((pendingJob) => (
+          pendingJob.hasCsvCustomWriter
+            ? {
+                ...pendingJob,
+                jobData: { ...pendingJob.jobData, isCsvCustomWriterLost: true }
+              }
+            : pendingJob
+        ))
+
+        return this._pendingJobs
+      }).finally(() => {
+        this._loadingPromise = null
+      })
+    }
+
+    return this._loadingPromise
+  }
+
+  _savePendingJobs () {
+    this._savingPromise = this._savingPromise
+      .catch(() => {})
+      .then(() => writeJsonArrayFile(
+        this.reportFileJobSchedulerFilePath,
+        this._pendingJobs
+      ))
+
+    return this._savingPromise
+  }
+}
+
+decorateInjectable(ReportFileJobScheduler, depsTypes)
+
+module.exports = ReportFileJobScheduler
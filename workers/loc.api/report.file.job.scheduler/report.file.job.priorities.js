@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  HIGH: 'HIGH',
+  NORMAL: 'NORMAL',
+  LOW: 'LOW'
+}
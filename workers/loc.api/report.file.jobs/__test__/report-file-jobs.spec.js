@@ -0,0 +1,101 @@
+'use strict'
+
+const { assert } = require('chai')
+
+require('reflect-metadata')
+const ReportFileJobs = require('..')
+const {
+  ReportFileJobFindingError,
+  ReportFileJobCancelingError,
+  ReportFileJobCanceledError
+} = require('../../errors')
+
+const userId = 1
+const getJobData = () => ({
+  name: 'getMultiple',
+  userInfo: { userId },
+  args: { params: {} },
+  jobsData: [
+    { name: 'getTrades', args: { params: {} } },
+    { name: 'getLedgers', args: { params: {} } }
+  ]
+})
+
+describe('Report file jobs', () => {
+  it('job goes through all statuses with progress', function () {
+    this.timeout(1000)
+
+    const reportFileJobs = new ReportFileJobs()
+    const jobData = getJobData()
+    const jobId = reportFileJobs.addJob(jobData)
+
+    assert.isString(jobId)
+    assert.deepStrictEqual(jobData.jobsData[1].reportFileJob, {
+      id: jobId,
+      subJobIndex: 1,
+      subJobsCount: 2
+    })
+
+    const [queuedJob] = reportFileJobs.getJobs(userId)
+
+    assert.strictEqual(queuedJob.status, reportFileJobs.STATUSES.QUEUED)
+    assert.deepStrictEqual(queuedJob.subReportNames, ['getTrades', 'getLedgers'])
+    assert.notProperty(queuedJob, 'userId')
+
+    reportFileJobs.startJob(jobData)
+    reportFileJobs.setProgress(100, jobData.jobsData[0].reportFileJob)
+    reportFileJobs.setProgress(0, jobData.jobsData[0].reportFileJob)
+    reportFileJobs.setProgress(50, jobData.jobsData[1].reportFileJob)
+
+    const [processingJob] = reportFileJobs.getJobs(userId)
+
+    assert.strictEqual(processingJob.status, reportFileJobs.STATUSES.PROCESSING)
+    assert.strictEqual(processingJob.progress, 75)
+    assert.isNumber(processingJob.startedAt)
+
+    reportFileJobs.passJobToAggregator(jobId)
+    reportFileJobs.completeJob(jobId)
+    reportFileJobs.failJob(jobId, new Error('ERR_AFTER_COMPLETION'))
+
+    const [completedJob] = reportFileJobs.getJobs(userId)
+
+    assert.strictEqual(completedJob.status, reportFileJobs.STATUSES.COMPLETED)
+    assert.strictEqual(completedJob.progress, 100)
+    assert.isNumber(completedJob.finishedAt)
+    assert.isNull(completedJob.error)
+    assert.isEmpty(reportFileJobs.getJobs(2))
+    assert.isEmpty(reportFileJobs.getJobs(
+      userId,
+      { statuses: [reportFileJobs.STATUSES.FAILED] }
+    ))
+  })
+
+  it('only queued and processing jobs of user are canceled', function () {
+    this.timeout(1000)
+
+    const reportFileJobs = new ReportFileJobs()
+    const jobData = getJobData()
+    const jobId = reportFileJobs.addJob(jobData)
+
+    assert.throws(
+      () => reportFileJobs.cancelJob(2, jobId),
+      ReportFileJobFindingError
+    )
+
+    reportFileJobs.startJob(jobData)
+    reportFileJobs.checkJobCancellation(jobData.jobsData[0].reportFileJob)
+
+    const canceledJob = reportFileJobs.cancelJob(userId, jobId)
+
+    assert.strictEqual(canceledJob.status, reportFileJobs.STATUSES.CANCELED)
+    assert.isOk(reportFileJobs.isCanceledJob(jobId))
+    assert.throws(
+      () => reportFileJobs.checkJobCancellation(jobData.jobsData[0].reportFileJob),
+      ReportFileJobCanceledError
+    )
+    assert.throws(
+      () => reportFileJobs.cancelJob(userId, jobId),
+      ReportFileJobCancelingError
+    )
+  })
+})
@@ -0,0 +1,304 @@
+'use strict'
+
+const { v4: uuidv4 } = require('uuid')
+
+const REPORT_FILE_JOB_STATUSES = require('./report.file.job.statuses')
+const {
+  ReportFileJobFindingError,
+  ReportFileJobCancelingError,
+  ReportFileJobCanceledError
+} = require('../errors')
+
+const { decorateInjectable } = require('../di/utils')
+
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000
+const MAX_FINISHED_JOBS_PER_USER = 50
+const CANCELABLE_STATUSES = [
+  REPORT_FILE_JOB_STATUSES.QUEUED,
+  REPORT_FILE_JOB_STATUSES.PROCESSING
+]
+const FINISHED_STATUSES = [
+  REPORT_FILE_JOB_STATUSES.COMPLETED,
+  REPORT_FILE_JOB_STATUSES.FAILED,
+  REPORT_FILE_JOB_STATUSES.CANCELED
+]
+
+/*
+ * Jobs are kept in memory to be available for the status
+ * request, the job data of the queue has the `reportFileJob`
+ * tag only to link queue events with the job
+ */
+class ReportFileJobs {
+  constructor () {
+    this.STATUSES = REPORT_FILE_JOB_STATUSES
+
+    this._jobs = new Map()
+  }
+
+  addJob (jobData) {
+    const id = uuidv4()
+    const subJobsData = this._getSubJobsData(jobData)
+
+    this._setJobTag(jobData, {
+      id,
+      subJobIndex: 0,
+      subJobsCount: subJobsData.length
+    })
+    subJobsData.forEach((subJobData, subJobIndex) => {
+      this._setJobTag(subJobData, {
+        id,
+        subJobIndex,
+        subJobsCount: subJobsData.length
+      })
+    })
+
+    this._removeExpiredJobs()
+    this._jobs.set(id, this._createJob(jobData))
+
+    return id
+  }
+
+  /*
+   * The job may be restored by the persistent queue
+   * after restarting, so it's created if it's missing
+   */
+  startJob (jobData) {
+    const id = jobData?.reportFileJob?.id
+
+    if (!id) {
+      return null
+    }
+    if (!this._jobs.has(id)) {
+      this._jobs.set(id, this._createJob(jobData))
+    }
+
+    const job = this._jobs.get(id)
+
+    job.status = REPORT_FILE_JOB_STATUSES.PROCESSING
+    job.startedAt = job.startedAt ?? Date.now()
+
+    return job
+  }
+
+  setProgress (percent, jobTag) {
+    const job = this._jobs.get(jobTag?.id)
+
+    if (
+      !job ||
+      job.status !== REPORT_FILE_JOB_STATUSES.PROCESSING ||
+      !Number.isFinite(percent)
+    ) {
+      return
+    }
+
+    const subJobIndex = jobTag.subJobIndex ?? 0
+    const _percent = Math.min(Math.max(percent, 0), 100)
+
+    // Each page request starts from zero, it should not move back
+    job.subJobsProgress[subJobIndex] = Math.max(
+      job.subJobsProgress[subJobIndex] ?? 0,
+      _percent
+    )
+    job.progress = Math.floor(
+      job.subJobsProgress.reduce((accum, val) => accum + (val ?? 0), 0) /
+      job.subJobsProgress.length
+    )
+  }
+
+  passJobToAggregator (id) {
+    const job = this._jobs.get(id)
+
+    if (!job) {
+      return
+    }
+
+    job.status = REPORT_FILE_JOB_STATUSES.AGGREGATING
+    job.progress = 100
+  }
+
+  /*
+   * The job is put back into the queue to be retried
+   * or to send the file with the error message to the user
+   */
+  requeueJob (id, err) {
+    const job = this._jobs.get(id)
+
+    if (!job) {
+      return
+    }
+
+    job.status = REPORT_FILE_JOB_STATUSES.QUEUED
+    job.error = this._getErrorData(err)
+  }
+
+  completeJob (id) {
+    this._finishJob(id, REPORT_FILE_JOB_STATUSES.COMPLETED)
+  }
+
+  failJob (id, err) {
+    this._finishJob(
+      id,
+      REPORT_FILE_JOB_STATUSES.FAILED,
+      this._getErrorData(err)
+    )
+  }
+
+  cancelJob (userId, id) {
+    const job = this._jobs.get(id)
+
+    if (
+      !job ||
+      job.userId !== userId
+    ) {
+      throw new ReportFileJobFindingError()
+    }
+    if (!CANCELABLE_STATUSES.includes(job.status)) {
+      throw new ReportFileJobCancelingError()
+    }
+
+    this._finishJob(id, REPORT_FILE_JOB_STATUSES.CANCELED)
+
+    return this._serializeJob(job)
+  }
+
+  isCanceledJob (id) {
+    return (
+      this._jobs.get(id)?.status === REPORT_FILE_JOB_STATUSES.CANCELED
+    )
+  }
+
+  checkJobCancellation (jobTag) {
+    if (this.isCanceledJob(jobTag?.id)) {
+      throw new ReportFileJobCanceledError()
+    }
+  }
+
+  getJobs (userId, params) {
+    const {
+      statuses,
+      limit = MAX_FINISHED_JOBS_PER_USER
+    } = params ?? {}
+
+    this._removeExpiredJobs()
+
+    return [...this._jobs.values()]
+      .filter((job) => (
+        job.userId === userId &&
+        (
+          !Array.isArray(statuses) ||
+          statuses.includes(job.status)
+        )
+      ))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map((job) => this._serializeJob(job))
+  }
+
+  _finishJob (id, status, error = null) {
+    const job = this._jobs.get(id)
+
+    if (
+      !job ||
+      FINISHED_STATUSES.includes(job.status)
+    ) {
+      return
+    }
+
+    job.status = status
+    job.finishedAt = Date.now()
+    job.error = error ?? job.error
+  }
+
+  _createJob (jobData) {
+    const {
+      id,
+      subJobsCount = 1
+    } = jobData?.reportFileJob ?? {}
+
+    return {
+      id,
+      userId: jobData?.userInfo?.userId ?? jobData?.userId ?? null,
+      name: jobData?.name ?? null,
+      subReportNames: this._getSubJobsData(jobData)
+        .map((subJobData) => subJobData?.name ?? null),
+      status: REPORT_FILE_JOB_STATUSES.QUEUED,
+      progress: 0,
+      subJobsProgress: new Array(subJobsCount).fill(0),
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      error: null
+    }
+  }
+
+  _serializeJob (job) {
+    const {
+      userId,
+      subJobsProgress,
+      ...serializedJob
+    } = job
+
+    return { ...serializedJob }
+  }
+
+  _getSubJobsData (jobData) {
+    if (Array.isArray(jobData?.jobsData)) {
+      return jobData.jobsData
+    }
+    if (Array.isArray(jobData?.presetJobsData)) {
+      return jobData.presetJobsData
+    }
+
+    return [jobData]
+  }
+
+  _setJobTag (jobData, jobTag) {
+    if (
+      !jobData ||
+      typeof jobData !== 'object'
+    ) {
+      return
+    }
+
+    jobData.reportFileJob = jobTag
+  }
+
+  _getErrorData (err) {
+    if (!err) {
+      return null
+    }
+
+    return {
+      message: err.message ?? `${err}`,
+      statusCode: err.statusCode ?? null,
+      statusMessage: err.statusMessage ?? null
+    }
+  }
+
+  _removeExpiredJobs () {
+    const now = Date.now()
+    const finishedJobsCounts = new Map()
+    const jobs = [...this._jobs.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+
+    for (const job of jobs) {
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        continue
+      }
+
+      const count = (finishedJobsCounts.get(job.userId) ?? 0) + 1
+      finishedJobsCounts.set(job.userId, count)
+
+      if (
+        count > MAX_FINISHED_JOBS_PER_USER ||
+        now - job.finishedAt > FINISHED_JOB_TTL_MS
+      ) {
+        this._jobs.delete(job.id)
+      }
+    }
+  }
+}
+
+decorateInjectable(ReportFileJobs)
+
+module.exports = ReportFileJobs
@@ -0,0 +1,10 @@
+'use strict'
+
+module.exports = {
+  QUEUED: 'QUEUED',
+  PROCESSING: 'PROCESSING',
+  AGGREGATING: 'AGGREGATING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  CANCELED: 'CANCELED'
+}
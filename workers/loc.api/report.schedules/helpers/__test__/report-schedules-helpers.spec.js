@@ -0,0 +1,114 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  getNextRunMts,
+  getSchedulePeriod,
+  getScheduleArgs
+} = require('..')
+
+const mts = Date.UTC(2023, 0, 10, 5) // Tuesday
+const auth = { apiKey: 'key', apiSecret: 'secret' }
+
+describe('Report schedules helpers', () => {
+  it('next run time is computed in the schedule timezone', function () {
+    this.timeout(1000)
+
+    assert.strictEqual(
+      getNextRunMts({ frequency: 'daily', hour: 3 }, mts),
+      Date.UTC(2023, 0, 11, 3)
+    )
+    assert.strictEqual(
+      getNextRunMts({ frequency: 'daily', hour: 6, minute: 30 }, mts),
+      Date.UTC(2023, 0, 10, 6, 30)
+    )
+    assert.strictEqual(
+      getNextRunMts({ frequency: 'weekly', dayOfWeek: 1 }, mts),
+      Date.UTC(2023, 0, 16)
+    )
+    assert.strictEqual(
+      getNextRunMts(
+        { frequency: 'monthly', dayOfMonth: 1, timezone: 'Europe/Kiev' },
+        mts
+      ),
+      Date.UTC(2023, 0, 31, 22)
+    )
+    assert.strictEqual(
+      getNextRunMts({ frequency: 'daily' }, Date.UTC(2023, 0, 11)),
+      Date.UTC(2023, 0, 12)
+    )
+  })
+
+  it('period ends right before the run time', function () {
+    this.timeout(1000)
+
+    assert.deepStrictEqual(
+      getSchedulePeriod({ frequency: 'monthly' }, Date.UTC(2023, 1, 1)),
+      {
+        start: Date.UTC(2023, 0, 1),
+        end: Date.UTC(2023, 1, 1) - 1
+      }
+    )
+    assert.deepStrictEqual(
+      getSchedulePeriod({ frequency: 'weekly' }, Date.UTC(2023, 0, 16)),
+      {
+        start: Date.UTC(2023, 0, 9),
+        end: Date.UTC(2023, 0, 16) - 1
+      }
+    )
+  })
+
+  it('period is set only to params supported by method', function () {
+    this.timeout(1000)
+
+    const recurrence = { frequency: 'daily' }
+    const runMts = Date.UTC(2023, 0, 11)
+    const start = Date.UTC(2023, 0, 10)
+    const end = runMts - 1
+
+    assert.deepStrictEqual(
+      getScheduleArgs(
+        {
+          auth,
+          method: 'getLedgersFile',
+          params: { symbol: 'BTC', start: 1 },
+          recurrence
+        },
+        runMts
+      ),
+      { auth, params: { symbol: 'BTC', start, end } }
+    )
+    assert.deepStrictEqual(
+      getScheduleArgs(
+        { auth, method: 'getWalletsFile', recurrence },
+        runMts
+      ).params,
+      { end }
+    )
+    assert.deepStrictEqual(
+      getScheduleArgs(
+        {
+          auth,
+          method: 'getMultipleFile',
+          params: {
+            language: 'en',
+            multiExport: [
+              { method: 'getTradesFile' },
+              { method: 'getActivePositionsFile' }
+            ]
+          },
+          recurrence
+        },
+        runMts
+      ).params,
+      {
+        language: 'en',
+        multiExport: [
+          { method: 'getTradesFile', start, end },
+          { method: 'getActivePositionsFile' }
+        ]
+      }
+    )
+  })
+})
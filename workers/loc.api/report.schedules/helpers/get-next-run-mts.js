@@ -0,0 +1,73 @@
+'use strict'
+
+const moment = require('moment-timezone')
+
+const REPORT_SCHEDULE_FREQUENCIES = require(
+  '../report.schedule.frequencies'
+)
+
+const _units = {
+  [REPORT_SCHEDULE_FREQUENCIES.DAILY]: 'day',
+  [REPORT_SCHEDULE_FREQUENCIES.WEEKLY]: 'week',
+  [REPORT_SCHEDULE_FREQUENCIES.MONTHLY]: 'month'
+}
+
+const getRecurrenceUnit = (frequency) => {
+  return _units[frequency] ?? _units[REPORT_SCHEDULE_FREQUENCIES.DAILY]
+}
+
+const _setRecurrenceTime = (date, recurrence) => {
+  const {
+    frequency,
+    dayOfWeek = 1,
+    dayOfMonth = 1,
+    hour = 0,
+    minute = 0
+  } = recurrence ?? {}
+
+  if (frequency === REPORT_SCHEDULE_FREQUENCIES.WEEKLY) {
+    date.day(dayOfWeek)
+  }
+  if (frequency === REPORT_SCHEDULE_FREQUENCIES.MONTHLY) {
+    date.date(dayOfMonth)
+  }
+
+  return date
+    .hour(hour)
+    .minute(minute)
+    .second(0)
+    .millisecond(0)
+}
+
+/*
+ * Run time is the wall clock time of the schedule timezone,
+ * the day of month is not more than 28 to be in each month
+ */
+const getNextRunMts = (recurrence, mts = Date.now()) => {
+  const unit = getRecurrenceUnit(recurrence?.frequency)
+  const timezone = recurrence?.timezone ?? 'UTC'
+  const date = moment.tz(mts, timezone)
+  const nextRun = _setRecurrenceTime(date.clone(), recurrence)
+
+  if (nextRun.valueOf() <= mts) {
+    nextRun.add(1, unit)
+    _setRecurrenceTime(nextRun, recurrence)
+  }
+
+  return nextRun.valueOf()
+}
+
+const getPrevRunMts = (recurrence, runMts) => {
+  const unit = getRecurrenceUnit(recurrence?.frequency)
+  const timezone = recurrence?.timezone ?? 'UTC'
+
+  return moment.tz(runMts, timezone)
+    .subtract(1, unit)
+    .valueOf()
+}
+
+module.exports = {
+  getRecurrenceUnit,
+  getNextRunMts,
+  getPrevRunMts
+}
@@ -0,0 +1,70 @@
+'use strict'
+
+const { getPrevRunMts } = require('./get-next-run-mts')
+
+const _periodParamNamesMap = new Map([
+  ['getWalletsFile', ['end']],
+  ['getWalletsSnapshotAtFile', ['end']],
+  ['getActivePositionsFile', []],
+  ['getStatusMessagesFile', []]
+])
+
+/*
+ * The report covers the period from the previous run
+ * till the scheduled one, e.g. the previous calendar month
+ * for the monthly recurrence on the 1st at midnight
+ */
+const getSchedulePeriod = (recurrence, runMts) => {
+  return {
+    start: getPrevRunMts(recurrence, runMts),
+    end: runMts - 1
+  }
+}
+
+const _setPeriodParams = (method, params, period) => {
+  const names = _periodParamNamesMap.get(method) ?? ['start', 'end']
+
+  return names.reduce((accum, name) => {
+    accum[name] = period[name]
+
+    return accum
+  }, { ...params })
+}
+
+const getScheduleArgs = (schedule, runMts) => {
+  const {
+    auth,
+    method,
+    params,
+    recurrence
+  } = schedule ?? {}
+  const period = getSchedulePeriod(recurrence, runMts)
+
+  if (method !== 'getMultipleFile') {
+    return {
+      auth,
+      params: _setPeriodParams(method, params, period)
+    }
+  }
+
+  const multiExport = Array.isArray(params?.multiExport)
+    ? params.multiExport
+    : []
+
+  return {
+    auth,
+    params: {
+      ...params,
+      multiExport: multiExport.map((subParams) => _setPeriodParams(
+        subParams?.method,
+        subParams,
+        period
+      ))
+    }
+  }
+}
+
+module.exports = {
+  getSchedulePeriod,
+  getScheduleArgs
+}
@@ -0,0 +1,19 @@
+'use strict'
+
+const {
+  getRecurrenceUnit,
+  getNextRunMts,
+  getPrevRunMts
+} = require('./get-next-run-mts')
+const {
+  getSchedulePeriod,
+  getScheduleArgs
+} = require('./get-schedule-args')
+
+module.exports = {
+  getRecurrenceUnit,
+  getNextRunMts,
+  getPrevRunMts,
+  getSchedulePeriod,
+  getScheduleArgs
+}
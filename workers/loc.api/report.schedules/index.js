@@ -0,0 +1,335 @@
+'use strict'
+
+const { v4: uuidv4 } = require('uuid')
+
+const REPORT_SCHEDULE_FREQUENCIES = require(
+  './report.schedule.frequencies'
+)
+const {
+  getNextRunMts,
+  getScheduleArgs
+} = require('./helpers')
+const {
+  getTimezoneConf,
+  readJsonArrayFile,
+  writeJsonArrayFile
+} = require('../helpers')
+const {
+  FindMethodToGetReportFileError,
+  QueueJobAddingError,
+  ReportScheduleFindingError,
+  ReportSchedulesLimitError
+} = require('../errors')
+
+const { decorateInjectable } = require('../di/utils')
+
+const MAX_SCHEDULES_PER_USER = 20
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.ReportFileJobData,
+  TYPES.GenerateReportFile,
+  TYPES.Logger,
+  TYPES.CONF,
+  TYPES.ReportSchedulesFilePath
+]
+class ReportSchedules {
+  constructor (
+    rService,
+    reportFileJobData,
+    generateReportFile,
+    logger,
+    conf,
+    reportSchedulesFilePath
+  ) {
+    this.rService = rService
+    this.reportFileJobData = reportFileJobData
+    this.generateReportFile = generateReportFile
+    this.logger = logger
+    this.conf = conf
+    this.reportSchedulesFilePath = reportSchedulesFilePath
+
+    this.FREQUENCIES = REPORT_SCHEDULE_FREQUENCIES
+
+    this._schedules = null
+    this._loadingPromise = null
+    this._savingPromise = Promise.resolve()
+    this._isRunning = false
+  }
+
+  async createSchedule (user, args) {
+    const schedules = await this._getSchedules()
+    const userSchedules = [...schedules.values()]
+      .filter(({ userId }) => userId === user.id)
+
+    if (userSchedules.length >= MAX_SCHEDULES_PER_USER) {
+      throw new ReportSchedulesLimitError()
+    }
+
+    const {
+      name = null,
+      method,
+      params = {},
+      recurrence,
+      isEnabled = true
+    } = args.params
+    const now = Date.now()
+    const _recurrence = this._normalizeRecurrence(recurrence, user)
+    const schedule = {
+      id: uuidv4(),
+      userId: user.id,
+      name,
+      method,
+      params: this._getDefaultParams(params, user),
+      recurrence: _recurrence,
+      isEnabled,
+      auth: args.auth,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: getNextRunMts(_recurrence, now),
+      lastRunAt: null,
+      lastJobId: null,
+      lastError: null
+    }
+
+    await this._checkScheduleArgs(schedule, user)
+
+    schedules.set(schedule.id, schedule)
+    await this._saveSchedules()
+
+    return this._serializeSchedule(schedule)
+  }
+
+  async getSchedules (userId) {
+    const schedules = await this._getSchedules()
+
+    return [...schedules.values()]
+      .filter((schedule) => schedule.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((schedule) => this._serializeSchedule(schedule))
+  }
+
+  /*
+   * Auth of the request replaces the stored one,
+   * so it's a way to renew expired keys
+   */
+  async updateSchedule (user, args) {
+    const schedules = await this._getSchedules()
+    const schedule = this._getUserSchedule(
+      schedules,
+      user.id,
+      args.params.id
+    )
+    const {
+      name,
+      method,
+      params,
+      recurrence,
+      isEnabled
+    } = args.params
+    const now = Date.now()
+    const _recurrence = recurrence
+      ? this._normalizeRecurrence(recurrence, user)
+      : schedule.recurrence
+    const updatedSchedule = {
+      ...schedule,
+      ...(typeof name !== 'undefined' ? { name } : {}),
+      ...(method ? { method } : {}),
+      ...(params ? { params: this._getDefaultParams(params, user) } : {}),
+      ...(typeof isEnabled === 'boolean' ? { isEnabled } : {}),
+      recurrence: _recurrence,
+      auth: args.auth,
+      updatedAt: now,
+      nextRunAt: (
+        recurrence ||
+        (isEnabled && !schedule.isEnabled)
+      )
+        ? getNextRunMts(_recurrence, now)
+        : schedule.nextRunAt
+    }
+
+    await this._checkScheduleArgs(updatedSchedule, user)
+
+    schedules.set(updatedSchedule.id, updatedSchedule)
+    await this._saveSchedules()
+
+    return this._serializeSchedule(updatedSchedule)
+  }
+
+  async deleteSchedule (userId, id) {
+    const schedules = await this._getSchedules()
+    const schedule = this._getUserSchedule(schedules, userId, id)
+
+    schedules.delete(schedule.id)
+    await this._saveSchedules()
+
+    return true
+  }
+
+  /*
+   * It's called by the interval, missed runs are not repeated,
+   * only the latest one is enqueued after restarting
+   */
+  async runDueSchedules (mts = Date.now()) {
+    if (this._isRunning) {
+      return
+    }
+
+    this._isRunning = true
+
+    try {
+      const schedules = await this._getSchedules()
+      const dueSchedules = [...schedules.values()]
+        .filter((schedule) => (
+          schedule.isEnabled &&
+          schedule.nextRunAt <= mts
+        ))
+
+      for (const schedule of dueSchedules) {
+        await this._runSchedule(schedule, mts)
+      }
+
+      if (dueSchedules.length > 0) {
+        await this._saveSchedules()
+      }
+    } catch (err) {
+      this.logger.error(`REPORT_SCHEDULES: ${err.stack || err}`)
+    } finally {
+      this._isRunning = false
+    }
+  }
+
+  async _runSchedule (schedule, mts) {
+    try {
+      const { jobId } = await this.generateReportFile(
+        `${schedule.method}JobData`,
+        getScheduleArgs(schedule, schedule.nextRunAt)
+      )
+
+      schedule.lastJobId = jobId ?? null
+      schedule.lastError = null
+    } catch (err) {
+      schedule.lastError = {
+        message: err.message ?? `${err}`,
+        statusCode: err.statusCode ?? null,
+        statusMessage: err.statusMessage ?? null
+      }
+
+      // The user has an export in the queue, it's tried on the next tick
+      if (err instanceof QueueJobAddingError) {
+        return
+      }
+
+      this.logger.error(`REPORT_SCHEDULES: ${err.stack || err}`)
+    }
+
+    schedule.lastRunAt = mts
+    schedule.nextRunAt = getNextRunMts(schedule.recurrence, mts)
+  }
+
+  /*
+   * Params are checked by the job data getter
+   * without adding the job into the queue
+   */
+  async _checkScheduleArgs (schedule, user) {
+    const getterName = `${schedule.method}JobData`
+
+    if (typeof this.reportFileJobData[getterName] !== 'function') {
+      throw new FindMethodToGetReportFileError()
+    }
+
+    await this.reportFileJobData[getterName](
+      getScheduleArgs(schedule, schedule.nextRunAt),
+      user.id,
+      user
+    )
+  }
+
+  _normalizeRecurrence (recurrence, user) {
+    const { timezoneName } = getTimezoneConf(
+      recurrence?.timezone ?? user?.timezone
+    )
+
+    return {
+      ...recurrence,
+      timezone: timezoneName
+    }
+  }
+
+  /*
+   * The hosted service sends files only by email,
+   * the email of the user is taken if it's not set
+   */
+  _getDefaultParams (params, user) {
+    if (
+      !this.conf?.isHosted ||
+      params?.email
+    ) {
+      return { ...params }
+    }
+
+    return {
+      ...params,
+      email: user.email
+    }
+  }
+
+  _getUserSchedule (schedules, userId, id) {
+    const schedule = schedules.get(id)
+
+    if (
+      !schedule ||
+      schedule.userId !== userId
+    ) {
+      throw new ReportScheduleFindingError()
+    }
+
+    return schedule
+  }
+
+  _serializeSchedule (schedule) {
+    const {
+      auth,
+      userId,
+      ...serializedSchedule
+    } = schedule
+
+    return { ...serializedSchedule }
+  }
+
+  async _getSchedules () {
+    if (this._schedules) {
+      return this._schedules
+    }
+    if (!this._loadingPromise) {
+      this._loadingPromise = readJsonArrayFile(
+        this.reportSchedulesFilePath
+      ).then((schedules) => {
+        this._schedules = new Map(schedules.map((schedule) => (
+          [schedule.id, schedule]
+        )))
+
+        return this._schedules
+      }).finally(() => {
+        this._loadingPromise = null
+      })
+    }
+
+    return this._loadingPromise
+  }
+
+  _saveSchedules () {
+    this._savingPromise = this._savingPromise
+      .catch(() => {})
+      .then(() => writeJsonArrayFile(
+        this.reportSchedulesFilePath,
+        [...this._schedules.values()]
+      ))
+
+    return this._savingPromise
+  }
+}
+
+decorateInjectable(ReportSchedules, depsTypes)
+
+module.exports = ReportSchedules
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+}
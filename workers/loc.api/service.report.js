@@ -678,6 +678,222 @@ class ReportService extends Api {
     }, 'getWeightedAveragesReport', args, cb)
   }
 
+  getRealizedPnLReport (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_REALIZED_PNL_REPORT_REQ
+      )
+
+      return this._realizedPnLReport
+        .getRealizedPnLReport(args)
+    }, 'getRealizedPnLReport', args, cb)
+  }
+
+  getFeeSummaryReport (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_FEE_SUMMARY_REPORT_REQ
+      )
+
+      return this._feeSummaryReport
+        .getFeeSummaryReport(args)
+    }, 'getFeeSummaryReport', args, cb)
+  }
+
+  getBalanceHistory (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_BALANCE_HISTORY_REQ
+      )
+
+      return this._balanceHistory
+        .getBalanceHistory(args)
+    }, 'getBalanceHistory', args, cb)
+  }
+
+  getWalletsSnapshotAt (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_WALLETS_SNAPSHOT_AT_REQ
+      )
+
+      return this._walletsSnapshot
+        .getWalletsSnapshotAt(args)
+    }, 'getWalletsSnapshotAt', args, cb)
+  }
+
+  checkLedgersIntegrity (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.CHECK_LEDGERS_INTEGRITY_REQ
+      )
+
+      return this._ledgersIntegrity
+        .checkLedgersIntegrity(args)
+    }, 'checkLedgersIntegrity', args, cb)
+  }
+
+  getReconciliationReport (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_RECONCILIATION_REPORT_REQ
+      )
+
+      return this._reconciliationReport
+        .getReconciliationReport(args)
+    }, 'getReconciliationReport', args, cb)
+  }
+
+  getPortfolioValuation (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_PORTFOLIO_VALUATION_REQ
+      )
+
+      return this._portfolioValuation
+        .getPortfolioValuation(args)
+    }, 'getPortfolioValuation', args, cb)
+  }
+
+  getPerformanceReport (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_PERFORMANCE_REPORT_REQ
+      )
+
+      return this._performanceReport
+        .getPerformanceReport(args)
+    }, 'getPerformanceReport', args, cb)
+  }
+
+  getTradingVolumeReport (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_TRADING_VOLUME_REPORT_REQ
+      )
+
+      return this._tradingVolumeReport
+        .getTradingVolumeReport(args)
+    }, 'getTradingVolumeReport', args, cb)
+  }
+
+  getReportFileJobs (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_REPORT_FILE_JOBS_REQ
+      )
+
+      const { id } = await this.verifyUser(null, args)
+
+      return this._reportFileJobs.getJobs(id, args?.params)
+    }, 'getReportFileJobs', args, cb)
+  }
+
+  cancelReportFileJob (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.CANCEL_REPORT_FILE_JOB_REQ,
+        { shouldParamsFieldBeChecked: true }
+      )
+
+      const { id } = await this.verifyUser(null, args)
+
+      return this._reportFileJobs.cancelJob(id, args.params.jobId)
+    }, 'cancelReportFileJob', args, cb)
+  }
+
+  createReportSchedule (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.CREATE_REPORT_SCHEDULE_REQ,
+        { shouldParamsFieldBeChecked: true }
+      )
+
+      const user = await this.verifyUser(null, args)
+
+      return this._reportSchedules.createSchedule(user, args)
+    }, 'createReportSchedule', args, cb)
+  }
+
+  listReportSchedules (space, args, cb) {
+    return this._responder(async () => {
+      const { id } = await this.verifyUser(null, args)
+
+      return this._reportSchedules.getSchedules(id)
+    }, 'listReportSchedules', args, cb)
+  }
+
+  updateReportSchedule (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.UPDATE_REPORT_SCHEDULE_REQ,
+        { shouldParamsFieldBeChecked: true }
+      )
+
+      const user = await this.verifyUser(null, args)
+
+      return this._reportSchedules.updateSchedule(user, args)
+    }, 'updateReportSchedule', args, cb)
+  }
+
+  deleteReportSchedule (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.DELETE_REPORT_SCHEDULE_REQ,
+        { shouldParamsFieldBeChecked: true }
+      )
+
+      const { id } = await this.verifyUser(null, args)
+
+      return this._reportSchedules.deleteSchedule(id, args.params.id)
+    }, 'deleteReportSchedule', args, cb)
+  }
+
+  getReportFileDeadLetters (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.GET_REPORT_FILE_DEAD_LETTERS_REQ
+      )
+
+      const { id } = await this.verifyUser(null, args)
+
+      return this._reportFileDeadLetters.getJobs(id, args?.params)
+    }, 'getReportFileDeadLetters', args, cb)
+  }
+
+  requeueReportFileDeadLetter (space, args, cb) {
+    return this._responder(async () => {
+      this._dataValidator.validate(
+        args,
+        this._dataValidator.SCHEMA_IDS.REQUEUE_REPORT_FILE_DEAD_LETTER_REQ,
+        { shouldParamsFieldBeChecked: true }
+      )
+
+      const user = await this.verifyUser(null, args)
+
+      return this._reportFileDeadLetters.requeueJob(
+        user,
+        args.params.jobId,
+        args.auth
+      )
+    }, 'requeueReportFileDeadLetter', args, cb)
+  }
+
   getMultipleFile (space, args, cb) {
     return this._responder(() => {
       return this._generateReportFile(
@@ -875,6 +1091,69 @@ class ReportService extends Api {
       )
     }, 'getWeightedAveragesReportFile', args, cb)
   }
+
+  getRealizedPnLReportFile (space, args, cb) {
+    return this._responder(() => {
+      return this._generateReportFile(
+        'getRealizedPnLReportFileJobData',
+        args
+      )
+    }, 'getRealizedPnLReportFile', args, cb)
+  }
+
+  getFeeSummaryReportFile (space, args, cb) {
+    return this._responder(() => {
+      return this._generateReportFile(
+        'getFeeSummaryReportFileJobData',
+        args
+      )
+    }, 'getFeeSummaryReportFile', args, cb)
+  }
+
+  getWalletsSnapshotAtFile (space, args, cb) {
+    return this._responder(() => {
+      return this._generateReportFile(
+        'getWalletsSnapshotAtFileJobData',
+        args
+      )
+    }, 'getWalletsSnapshotAtFile', args, cb)
+  }
+
+  checkLedgersIntegrityFile (space, args, cb) {
+    return this._responder(() => {
+      return this._generateReportFile(
+        'checkLedgersIntegrityFileJobData',
+        args
+      )
+    }, 'checkLedgersIntegrityFile', args, cb)
+  }
+
+  getReconciliationReportFile (space, args, cb) {
+    return this._responder(() => {
+      return this._generateReportFile(
+        'getReconciliationReportFileJobData',
+        args
+      )
+    }, 'getReconciliationReportFile', args, cb)
+  }
+
+  getPerformanceReportFile (space, args, cb) {
+    return this._responder(() => {
+      return this._generateReportFile(
+        'getPerformanceReportFileJobData',
+        args
+      )
+    }, 'getPerformanceReportFile', args, cb)
+  }
+
+  getJournalFile (space, args, cb) {
+    return this._responder(() => {
+      return this._generateReportFile(
+        'getJournalFileJobData',
+        args
+      )
+    }, 'getJournalFile', args, cb)
+  }
 }
 
 module.exports = ReportService
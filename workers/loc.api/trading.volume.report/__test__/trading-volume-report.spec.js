@@ -0,0 +1,79 @@
+'use strict'
+
+const { assert } = require('chai')
+
+require('reflect-metadata')
+const TradingVolumeReport = require('..')
+const { TradingVolumeTimeframeError } = require('../../errors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const firstTradeMts = Date.UTC(2023, 0, 1, 5)
+
+const trades = [
+  {
+    symbol: 'tBTCUSD',
+    mtsCreate: firstTradeMts + DAY_MS,
+    execAmount: 0.1,
+    execPrice: 20000
+  },
+  {
+    symbol: 'tBTCUSD',
+    mtsCreate: firstTradeMts,
+    execAmount: -0.05,
+    execPrice: 20000
+  }
+]
+
+const getTradingVolumeReport = (fetchedParams) => new TradingVolumeReport(
+  {
+    _getUserInfo: async () => ({ timezone: 'UTC' }),
+    getTrades: () => {},
+    getAccountSummary: async () => []
+  },
+  async ({ args }) => {
+    fetchedParams.push(args.params)
+
+    return trades
+  },
+  {
+    getRateGetter: async () => () => 1
+  }
+)
+
+describe('Trading volume report', () => {
+  it('report starts from the first trade by default', async function () {
+    this.timeout(1000)
+
+    const fetchedParams = []
+    const { res } = await getTradingVolumeReport(fetchedParams)
+      .getTradingVolumeReport({
+        params: { end: Date.UTC(2023, 0, 3) }
+      })
+    const totalRows = res.filter(({ pair }) => pair === 'ALL')
+
+    assert.lengthOf(totalRows, 3)
+    assert.strictEqual(totalRows[2].mts, firstTradeMts)
+    assert.strictEqual(totalRows[2].volumeUsd, 1000)
+    assert.strictEqual(totalRows[1].rolling30dVolumeUsd, 3000)
+    assert.strictEqual(fetchedParams[0].start, 0)
+  })
+
+  it('too many periods are rejected before fetching trades', async function () {
+    this.timeout(1000)
+
+    const fetchedParams = []
+
+    try {
+      await getTradingVolumeReport(fetchedParams)
+        .getTradingVolumeReport({
+          params: { start: 0, end: Date.UTC(2023, 0, 3) }
+        })
+
+      assert.fail('The error should be thrown')
+    } catch (err) {
+      assert.instanceOf(err, TradingVolumeTimeframeError)
+    }
+
+    assert.lengthOf(fetchedParams, 0)
+  })
+})
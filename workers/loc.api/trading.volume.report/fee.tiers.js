@@ -0,0 +1,19 @@
+'use strict'
+
+/*
+ * Trading fee tiers by the 30-day USD volume,
+ * fees are rates, `0.001` is `0.1%`
+ */
+module.exports = [
+  { minVolume: 0, makerFee: 0.001, takerFee: 0.002 },
+  { minVolume: 500000, makerFee: 0.0008, takerFee: 0.002 },
+  { minVolume: 1000000, makerFee: 0.0006, takerFee: 0.002 },
+  { minVolume: 2500000, makerFee: 0.0004, takerFee: 0.002 },
+  { minVolume: 5000000, makerFee: 0.0002, takerFee: 0.002 },
+  { minVolume: 7500000, makerFee: 0, takerFee: 0.002 },
+  { minVolume: 10000000, makerFee: 0, takerFee: 0.0018 },
+  { minVolume: 15000000, makerFee: 0, takerFee: 0.0016 },
+  { minVolume: 20000000, makerFee: 0, takerFee: 0.0014 },
+  { minVolume: 25000000, makerFee: 0, takerFee: 0.0012 },
+  { minVolume: 30000000, makerFee: 0, takerFee: 0.001 }
+]
@@ -0,0 +1,113 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const {
+  getTradeVolumes,
+  calcRollingVolume,
+  calcTradingVolume,
+  getFeeTierProjection
+} = require('..')
+const FEE_TIERS = require('../../fee.tiers')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const rates = { USD: 1, BTC: 20000 }
+const getUsdRate = (currency) => rates[currency] ?? null
+
+describe('Trading volume helpers', () => {
+  it('notional volumes are converted to USD', function () {
+    this.timeout(1000)
+
+    const { volumes, unpricedPairs } = getTradeVolumes([
+      { symbol: 'tBTCUSD', mtsCreate: DAY_MS, execAmount: -0.5, execPrice: 20000 },
+      { symbol: 'tETHBTC', mtsCreate: DAY_MS, execAmount: 2, execPrice: 0.05 },
+      { symbol: 'tETHEUR', mtsCreate: DAY_MS, execAmount: 2, execPrice: 1500 }
+    ], getUsdRate)
+
+    assert.deepStrictEqual(volumes, [
+      { mts: DAY_MS, pair: 'tBTCUSD', volumeUsd: 10000 },
+      { mts: DAY_MS, pair: 'tETHBTC', volumeUsd: 2000 }
+    ])
+    assert.deepStrictEqual(unpricedPairs, ['tETHEUR'])
+  })
+
+  it('volumes are summed per period and pair with the rolling volume', function () {
+    this.timeout(1000)
+
+    const volumes = [
+      { mts: 0, pair: 'tBTCUSD', volumeUsd: 1000 },
+      { mts: 40 * DAY_MS, pair: 'tBTCUSD', volumeUsd: 100 },
+      { mts: 41 * DAY_MS, pair: 'tETHUSD', volumeUsd: 10 },
+      { mts: 41 * DAY_MS + 1, pair: 'tBTCUSD', volumeUsd: 20 }
+    ]
+
+    assert.strictEqual(calcRollingVolume(volumes, 41 * DAY_MS + 1), 130)
+    assert.strictEqual(calcRollingVolume(volumes, 29 * DAY_MS), 1000)
+
+    const rows = calcTradingVolume(volumes, {
+      start: 40 * DAY_MS,
+      end: 42 * DAY_MS - 1,
+      interval: 'day',
+      timezoneName: 'UTC'
+    })
+
+    assert.lengthOf(rows, 5)
+    assert.deepStrictEqual(rows[0], {
+      mts: 41 * DAY_MS,
+      pair: 'ALL',
+      tradesCount: 2,
+      volumeUsd: 30,
+      rolling30dVolumeUsd: 130
+    })
+    assert.strictEqual(rows[1].pair, 'tBTCUSD')
+    assert.strictEqual(rows[1].volumeUsd, 20)
+    assert.isNull(rows[1].rolling30dVolumeUsd)
+    assert.strictEqual(rows[3].pair, 'ALL')
+    assert.strictEqual(rows[3].rolling30dVolumeUsd, 100)
+  })
+
+  it('rolling volume of periods is the trailing 30-day volume', function () {
+    this.timeout(1000)
+
+    const volumes = Array.from({ length: 90 }, (item, i) => ({
+      mts: ((89 - i) * DAY_MS) + (i % 3),
+      pair: i % 2 ? 'tBTCUSD' : 'tETHUSD',
+      volumeUsd: i + 1
+    }))
+    const rows = calcTradingVolume(volumes, {
+      end: 90 * DAY_MS - 1,
+      interval: 'day',
+      timezoneName: 'UTC'
+    })
+    const totalRows = rows.filter(({ pair }) => pair === 'ALL')
+
+    assert.lengthOf(totalRows, 90)
+
+    for (const row of totalRows) {
+      assert.strictEqual(
+        row.rolling30dVolumeUsd,
+        calcRollingVolume(
+          volumes,
+          (Math.floor(row.mts / DAY_MS) + 1) * DAY_MS - 1
+        )
+      )
+    }
+  })
+
+  it('the next fee tier is projected', function () {
+    this.timeout(1000)
+
+    const projection = getFeeTierProjection(750000, FEE_TIERS)
+
+    assert.strictEqual(projection.currentTier.minVolume, 500000)
+    assert.strictEqual(projection.nextTier.minVolume, 1000000)
+    assert.strictEqual(projection.volumeToNextTierUsd, 250000)
+    assert.strictEqual(projection.progressToNextTier, 0.5)
+
+    const topProjection = getFeeTierProjection(50000000, FEE_TIERS)
+
+    assert.isNull(topProjection.nextTier)
+    assert.isNull(topProjection.volumeToNextTierUsd)
+  })
+})
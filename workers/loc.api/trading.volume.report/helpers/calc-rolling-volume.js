@@ -0,0 +1,15 @@
+'use strict'
+
+const ROLLING_WINDOW_MS = 30 * 24 * 60 * 60 * 1000
+
+// The exchange uses the trailing 30-day volume for fee tiers
+module.exports = (volumes, mts) => (
+  (Array.isArray(volumes) ? volumes : []).reduce((accum, volume) => (
+    (
+      volume.mts > mts - ROLLING_WINDOW_MS &&
+      volume.mts <= mts
+    )
+      ? accum + volume.volumeUsd
+      : accum
+  ), 0)
+)
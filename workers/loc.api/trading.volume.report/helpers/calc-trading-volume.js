@@ -0,0 +1,107 @@
+'use strict'
+
+const { getPeriods } = require('../../balance.history/helpers')
+const { TradingVolumeTimeframeError } = require('../../errors')
+
+const ROLLING_WINDOW_MS = 30 * 24 * 60 * 60 * 1000
+const ALL_PAIRS = 'ALL'
+
+/*
+ * Each period has a total row for all pairs and rows per pair,
+ * the rolling 30-day volume is shown at the end of the period
+ * in the total row, the last periods go first. Volumes are swept
+ * once in order with the sliding window for the rolling volume,
+ * by default periods start from the first volume
+ */
+module.exports = (volumes, opts) => {
+  const {
+    start,
+    end = Date.now(),
+    interval,
+    timezoneName
+  } = opts ?? {}
+
+  const sortedVolumes = [...(Array.isArray(volumes) ? volumes : [])]
+    .sort((a, b) => a.mts - b.mts)
+  const periods = getPeriods({
+    start: Number.isInteger(start)
+      ? start
+      : Math.min(sortedVolumes[0]?.mts ?? end, end),
+    end,
+    interval,
+    timezoneName,
+    TimeframeError: TradingVolumeTimeframeError
+  })
+  const periodsRows = []
+  let periodVolumeIndex = 0
+  let windowStartIndex = 0
+  let windowEndIndex = 0
+  let rollingVolumeUsd = 0
+
+  for (const period of periods) {
+    const pairsMap = new Map()
+    let tradesCount = 0
+    let volumeUsd = 0
+
+    while (
+      periodVolumeIndex < sortedVolumes.length &&
+      sortedVolumes[periodVolumeIndex].mts < period.start
+    ) {
+      periodVolumeIndex += 1
+    }
+    while (
+      periodVolumeIndex < sortedVolumes.length &&
+      sortedVolumes[periodVolumeIndex].mts <= period.end
+    ) {
+      const volume = sortedVolumes[periodVolumeIndex]
+      const pairRow = pairsMap.get(volume.pair) ?? {
+        mts: period.start,
+        pair: volume.pair,
+        tradesCount: 0,
+        volumeUsd: 0,
+        rolling30dVolumeUsd: null
+      }
+
+      pairRow.tradesCount += 1
+      pairRow.volumeUsd += volume.volumeUsd
+      pairsMap.set(volume.pair, pairRow)
+
+      tradesCount += 1
+      volumeUsd += volume.volumeUsd
+      periodVolumeIndex += 1
+    }
+
+    while (
+      windowEndIndex < sortedVolumes.length &&
+      sortedVolumes[windowEndIndex].mts <= period.end
+    ) {
+      rollingVolumeUsd += sortedVolumes[windowEndIndex].volumeUsd
+      windowEndIndex += 1
+    }
+    while (
+      windowStartIndex < windowEndIndex &&
+      sortedVolumes[windowStartIndex].mts <= period.end - ROLLING_WINDOW_MS
+    ) {
+      rollingVolumeUsd -= sortedVolumes[windowStartIndex].volumeUsd
+      windowStartIndex += 1
+    }
+
+    // Not to keep the float error of subtractions in the empty window
+    if (windowStartIndex === windowEndIndex) {
+      rollingVolumeUsd = 0
+    }
+
+    periodsRows.push([
+      {
+        mts: period.start,
+        pair: ALL_PAIRS,
+        tradesCount,
+        volumeUsd,
+        rolling30dVolumeUsd: rollingVolumeUsd
+      },
+      ...[...pairsMap.values()].sort((a, b) => b.volumeUsd - a.volumeUsd)
+    ])
+  }
+
+  return periodsRows.reverse().flat()
+}
@@ -0,0 +1,29 @@
+'use strict'
+
+/*
+ * Tiers are sorted by `minVolume`, the current tier is the last one
+ * reached by the volume and the next one is the closest unreached
+ */
+module.exports = (volume30dUsd, feeTiers) => {
+  const sortedTiers = [...(Array.isArray(feeTiers) ? feeTiers : [])]
+    .sort((a, b) => a.minVolume - b.minVolume)
+  const currentTier = sortedTiers.findLast(({ minVolume }) => (
+    minVolume <= volume30dUsd
+  )) ?? null
+  const nextTier = sortedTiers.find(({ minVolume }) => (
+    minVolume > volume30dUsd
+  )) ?? null
+
+  return {
+    volume30dUsd,
+    currentTier,
+    nextTier,
+    volumeToNextTierUsd: nextTier
+      ? nextTier.minVolume - volume30dUsd
+      : null,
+    progressToNextTier: nextTier
+      ? (volume30dUsd - (currentTier?.minVolume ?? 0)) /
+        (nextTier.minVolume - (currentTier?.minVolume ?? 0))
+      : null
+  }
+}
@@ -0,0 +1,53 @@
+'use strict'
+
+const splitSymbolPairs = require('../../helpers/split-symbol-pairs')
+
+/*
+ * The notional is in the quote currency of the pair,
+ * trades which can't be converted to USD are listed as unpriced
+ */
+module.exports = (trades, getUsdRate) => {
+  const volumes = []
+  const unpricedPairs = new Set()
+
+  for (const trade of (Array.isArray(trades) ? trades : [])) {
+    const {
+      symbol,
+      mtsCreate,
+      execAmount,
+      execPrice
+    } = trade ?? {}
+
+    if (
+      !symbol ||
+      typeof symbol !== 'string' ||
+      !Number.isInteger(mtsCreate) ||
+      !Number.isFinite(execAmount) ||
+      !Number.isFinite(execPrice)
+    ) {
+      continue
+    }
+
+    const [, quoteCurrency] = splitSymbolPairs(symbol)
+    const rate = quoteCurrency
+      ? getUsdRate(quoteCurrency, mtsCreate)
+      : null
+
+    if (!Number.isFinite(rate)) {
+      unpricedPairs.add(symbol)
+
+      continue
+    }
+
+    volumes.push({
+      mts: mtsCreate,
+      pair: symbol,
+      volumeUsd: Math.abs(execAmount * execPrice) * rate
+    })
+  }
+
+  return {
+    volumes,
+    unpricedPairs: [...unpricedPairs]
+  }
+}
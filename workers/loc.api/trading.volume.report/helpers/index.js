@@ -0,0 +1,13 @@
+'use strict'
+
+const getTradeVolumes = require('./get-trade-volumes')
+const calcRollingVolume = require('./calc-rolling-volume')
+const calcTradingVolume = require('./calc-trading-volume')
+const getFeeTierProjection = require('./get-fee-tier-projection')
+
+module.exports = {
+  getTradeVolumes,
+  calcRollingVolume,
+  calcTradingVolume,
+  getFeeTierProjection
+}
@@ -0,0 +1,203 @@
+'use strict'
+
+const {
+  getTradeVolumes,
+  calcRollingVolume,
+  calcTradingVolume,
+  getFeeTierProjection
+} = require('./helpers')
+const FEE_TIERS = require('./fee.tiers')
+const {
+  getTimezoneConf,
+  splitSymbolPairs
+} = require('../helpers')
+const { getPeriods } = require('../balance.history/helpers')
+const { TradingVolumeTimeframeError } = require('../errors')
+
+const { decorateInjectable } = require('../di/utils')
+
+const ROLLING_WINDOW_MS = 30 * 24 * 60 * 60 * 1000
+const ACCOUNT_SUMMARY_TOTAL_VOLUME_CURR = 'Total (USD)'
+const VOLUME_SOURCES = {
+  ACCOUNT_SUMMARY: 'ACCOUNT_SUMMARY',
+  TRADES: 'TRADES'
+}
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination,
+  TYPES.CurrencyConverter
+]
+class TradingVolumeReport {
+  constructor (
+    rService,
+    fetchDataWithPagination,
+    currencyConverter
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+    this.currencyConverter = currencyConverter
+  }
+
+  async getTradingVolumeReport (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      start: _start,
+      end = Date.now(),
+      interval = 'day',
+      symbol: _symbol = [],
+      feeTiers = FEE_TIERS
+    } = params ?? {}
+    const symbolArr = Array.isArray(_symbol)
+      ? _symbol
+      : [_symbol]
+    const symbol = symbolArr.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    const { timezone } = await this.rService._getUserInfo({ auth })
+    const { timezoneName } = getTimezoneConf(timezone)
+
+    const isStartPassed = Number.isInteger(_start)
+
+    // Too many periods are not allowed before fetching the trades
+    if (isStartPassed) {
+      this._checkPeriods({
+        start: _start,
+        end,
+        interval,
+        timezoneName
+      })
+    }
+
+    /*
+     * Trades before `start` are needed for the rolling volume,
+     * by default the report starts from the first trade
+     */
+    const tradesStart = isStartPassed
+      ? Math.max(_start - ROLLING_WINDOW_MS, 0)
+      : 0
+    const trades = await this.fetchDataWithPagination({
+      getData: this.rService.getTrades.bind(this.rService),
+      args: {
+        auth,
+        params: {
+          start: tradesStart,
+          end,
+          ...(symbol.length > 0 ? { symbol } : {})
+        }
+      },
+      apiMethodName: 'trades',
+      datePropName: 'mtsCreate',
+      callerName: 'TRADING_VOLUME_REPORT'
+    })
+    const start = isStartPassed
+      ? _start
+      : this._getFirstTradeMts(trades, end)
+
+    if (!isStartPassed) {
+      this._checkPeriods({
+        start,
+        end,
+        interval,
+        timezoneName
+      })
+    }
+
+    const getUsdRate = await this.currencyConverter.getRateGetter({
+      currencies: trades.map(({ symbol }) => (
+        typeof symbol === 'string'
+          ? splitSymbolPairs(symbol)[1]
+          : null
+      )),
+      quoteCurrency: 'USD',
+      start: isStartPassed
+        ? tradesStart
+        : start,
+      end
+    })
+    const {
+      volumes,
+      unpricedPairs
+    } = getTradeVolumes(trades, getUsdRate)
+    const res = calcTradingVolume(
+      volumes,
+      {
+        start,
+        end,
+        interval,
+        timezoneName
+      }
+    )
+    const feeTierProjection = await this._getFeeTierProjection({
+      auth,
+      volume30dUsd: calcRollingVolume(volumes, end),
+      feeTiers
+    })
+
+    return {
+      nextPage: false,
+      timezoneName,
+      unpricedPairs,
+      feeTierProjection,
+      res
+    }
+  }
+
+  _checkPeriods (params) {
+    getPeriods({
+      ...params,
+      TimeframeError: TradingVolumeTimeframeError
+    })
+  }
+
+  _getFirstTradeMts (trades, end) {
+    return trades.reduce((accum, trade) => (
+      Number.isInteger(trade?.mtsCreate)
+        ? Math.min(accum, trade.mtsCreate)
+        : accum
+    ), end)
+  }
+
+  /*
+   * The 30-day volume of the account summary is the one
+   * used by the exchange, the volume calculated from trades
+   * is taken only if it's not available
+   */
+  async _getFeeTierProjection ({ auth, volume30dUsd, feeTiers }) {
+    const [accountSummary] = await this.rService
+      .getAccountSummary(null, { auth }) ?? []
+    const tradeVol30d = Array.isArray(accountSummary?.trade_vol_30d)
+      ? accountSummary.trade_vol_30d
+      : []
+    const accountVolume30dUsd = tradeVol30d.find(({ curr }) => (
+      curr === ACCOUNT_SUMMARY_TOTAL_VOLUME_CURR
+    ))?.vol
+    const isAccountVolumeAvailable = Number.isFinite(accountVolume30dUsd)
+
+    return {
+      volumeSource: isAccountVolumeAvailable
+        ? VOLUME_SOURCES.ACCOUNT_SUMMARY
+        : VOLUME_SOURCES.TRADES,
+      ...getFeeTierProjection(
+        isAccountVolumeAvailable
+          ? accountVolume30dUsd
+          : volume30dUsd,
+        feeTiers
+      ),
+      accountFees: {
+        makerFee: accountSummary?.makerFee ?? null,
+        takerFeeToCrypto: accountSummary?.takerFeeToCrypto ?? null,
+        takerFeeToStable: accountSummary?.takerFeeToStable ?? null,
+        takerFeeToFiat: accountSummary?.takerFeeToFiat ?? null
+      }
+    }
+  }
+}
+
+decorateInjectable(TradingVolumeReport, depsTypes)
+
+module.exports = TradingVolumeReport
@@ -0,0 +1,70 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const { calcWalletsSnapshot } = require('..')
+
+const ledgers = [
+  { id: 1, currency: 'BTC', wallet: 'exchange', mts: 1000, balance: 1 },
+  { id: 2, currency: 'BTC', wallet: 'exchange', mts: 2000, balance: 2 },
+  { id: 4, currency: 'BTC', wallet: 'exchange', mts: 3000, balance: 4 },
+  { id: 3, currency: 'BTC', wallet: 'exchange', mts: 3000, balance: 3 },
+  { id: 5, currency: 'USD', wallet: 'margin', mts: 2500, balance: 100 },
+  { id: 6, currency: 'ETH', wallet: 'funding', mts: 5000, balance: 7 }
+]
+
+describe('calcWalletsSnapshot helper', () => {
+  it('balances are taken from the last ledger entry before the end', function () {
+    this.timeout(1000)
+
+    const res = calcWalletsSnapshot(ledgers, { end: 3000 })
+
+    assert.isArray(res)
+    assert.lengthOf(res, 2)
+    assert.deepStrictEqual(res[0], {
+      type: 'exchange',
+      currency: 'BTC',
+      balance: 4,
+      mtsUpdate: 3000
+    })
+    assert.strictEqual(res[1].type, 'margin')
+    assert.strictEqual(res[1].balance, 100)
+  })
+
+  it('balances are compared with the second date', function () {
+    this.timeout(1000)
+
+    const res = calcWalletsSnapshot(ledgers, {
+      end: 6000,
+      compareEnd: 2000
+    })
+
+    assert.lengthOf(res, 3)
+
+    const [btc, eth, usd] = res
+
+    assert.strictEqual(btc.balance, 4)
+    assert.strictEqual(btc.compareBalance, 2)
+    assert.strictEqual(btc.delta, 2)
+    assert.strictEqual(eth.type, 'funding')
+    assert.strictEqual(eth.compareBalance, 0)
+    assert.strictEqual(eth.delta, 7)
+    assert.strictEqual(usd.compareBalance, 0)
+    assert.strictEqual(usd.delta, 100)
+  })
+
+  it('wallets which appear after the end are shown with zero balance in comparison', function () {
+    this.timeout(1000)
+
+    const res = calcWalletsSnapshot(ledgers, {
+      end: 1500,
+      compareEnd: 6000
+    })
+
+    const eth = res.find(({ currency }) => currency === 'ETH')
+
+    assert.strictEqual(eth.balance, 0)
+    assert.isNull(eth.mtsUpdate)
+    assert.strictEqual(eth.delta, -7)
+  })
+})
@@ -0,0 +1,52 @@
+'use strict'
+
+const getBalancesAt = require('./get-balances-at')
+
+const _compareRows = (a, b) => (
+  String(a.type).localeCompare(String(b.type)) ||
+  a.currency.localeCompare(b.currency)
+)
+
+/*
+ * The delta is a change of the balance
+ * from the comparison date to the `end` date
+ */
+module.exports = (ledgers, opts) => {
+  const {
+    end = Date.now(),
+    compareEnd
+  } = opts ?? {}
+  const isCompared = Number.isInteger(compareEnd)
+
+  const balancesMap = getBalancesAt(ledgers, end)
+  const comparedBalancesMap = isCompared
+    ? getBalancesAt(ledgers, compareEnd)
+    : new Map()
+  const keys = new Set([
+    ...balancesMap.keys(),
+    ...comparedBalancesMap.keys()
+  ])
+  const rows = []
+
+  for (const key of keys) {
+    const ledger = balancesMap.get(key)
+    const comparedLedger = comparedBalancesMap.get(key)
+    const { currency, wallet } = ledger ?? comparedLedger
+    const balance = ledger?.balance ?? 0
+
+    rows.push({
+      type: wallet,
+      currency,
+      balance,
+      mtsUpdate: ledger?.mts ?? null,
+      ...(isCompared
+        ? {
+            compareBalance: comparedLedger?.balance ?? 0,
+            delta: balance - (comparedLedger?.balance ?? 0)
+          }
+        : {})
+    })
+  }
+
+  return rows.sort(_compareRows)
+}
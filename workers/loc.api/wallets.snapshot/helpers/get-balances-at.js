@@ -0,0 +1,41 @@
+'use strict'
+
+/*
+ * Returns the last ledger entry balance
+ * per currency and wallet at the `mts` moment
+ */
+module.exports = (ledgers, mts) => {
+  const balancesMap = new Map()
+
+  for (const ledger of (Array.isArray(ledgers) ? ledgers : [])) {
+    if (
+      !ledger?.currency ||
+      !Number.isInteger(ledger.mts) ||
+      !Number.isFinite(ledger.balance) ||
+      ledger.mts > mts
+    ) {
+      continue
+    }
+
+    const wallet = ledger.wallet ?? null
+    const key = `${ledger.currency}:${wallet}`
+    const prevLedger = balancesMap.get(key)
+
+    if (
+      prevLedger &&
+      (
+        prevLedger.mts > ledger.mts ||
+        (
+          prevLedger.mts === ledger.mts &&
+          (prevLedger.id ?? 0) > (ledger.id ?? 0)
+        )
+      )
+    ) {
+      continue
+    }
+
+    balancesMap.set(key, ledger)
+  }
+
+  return balancesMap
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+const getBalancesAt = require('./get-balances-at')
+const calcWalletsSnapshot = require('./calc-wallets-snapshot')
+
+module.exports = {
+  getBalancesAt,
+  calcWalletsSnapshot
+}
@@ -0,0 +1,65 @@
+'use strict'
+
+const { calcWalletsSnapshot } = require('./helpers')
+
+const { decorateInjectable } = require('../di/utils')
+
+const depsTypes = (TYPES) => [
+  TYPES.RService,
+  TYPES.FetchDataWithPagination
+]
+class WalletsSnapshot {
+  constructor (
+    rService,
+    fetchDataWithPagination
+  ) {
+    this.rService = rService
+    this.fetchDataWithPagination = fetchDataWithPagination
+  }
+
+  async getWalletsSnapshotAt (args = {}) {
+    const {
+      auth = {},
+      params = {}
+    } = args ?? {}
+    const {
+      end = Date.now(),
+      compareEnd,
+      symbol: _symbol = []
+    } = params ?? {}
+    const symbolArr = Array.isArray(_symbol)
+      ? _symbol
+      : [_symbol]
+    const symbol = symbolArr.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    const ledgers = await this.fetchDataWithPagination({
+      getData: this.rService.getLedgers.bind(this.rService),
+      args: {
+        auth,
+        params: {
+          start: 0,
+          end: Math.max(end, compareEnd ?? 0),
+          ...(symbol.length > 0 ? { symbol } : {})
+        }
+      },
+      apiMethodName: 'ledgers',
+      datePropName: 'mts',
+      callerName: 'WALLETS_SNAPSHOT'
+    })
+    const res = calcWalletsSnapshot(
+      ledgers,
+      { end, compareEnd }
+    )
+
+    return {
+      nextPage: false,
+      res
+    }
+  }
+}
+
+decorateInjectable(WalletsSnapshot, depsTypes)
+
+module.exports = WalletsSnapshot